@@ -9,6 +9,7 @@ import { hamburgerMenuRegistry } from './index.js';
 import { undoRegistry } from './index.js';
 import { Requests, getReactiveStore, appSettings } from './index.js';
 import { BannerNotifications, NotificationBubbleOverlay, notificationBus } from './index.js';
+import { OfflineQueue, PendingSyncPanel, CacheInspectorPanel } from './index.js';
 
 const { createApp } = Vue;
 
@@ -46,7 +47,8 @@ const App = {
             globalLocksStore: null, // Global reactive store for ALL locks
             notificationBus: notificationBus, // Reference for reactivity
             updateAvailable: false, // Banner shows when deployed version differs from current
-            lastKnownVersion: null // Version at time of app mount (session-scoped, no localStorage needed)
+            lastKnownVersion: null, // Version at time of app mount (session-scoped, no localStorage needed)
+            pendingSyncEntries: [] // Saves queued while offline (OfflineQueue)
         };
     },
     computed: {
@@ -74,15 +76,31 @@ const App = {
         isOffline() {
             return authState.isOffline;
         },
+        pendingSyncNeedsAttention() {
+            return this.pendingSyncEntries.filter(entry => entry.status !== 'pending').length;
+        },
         appBanners() {
             const staticBanners = [
                 {
                     key: 'offline',
                     color: 'orange',
-                    message: 'No network connection. Your data is preserved. Changes cannot be saved until connectivity is restored.',
+                    message: 'No network connection. Saved changes are kept on this device and will sync when connectivity is restored.',
                     visible: this.isOffline,
                     dismissible: false
                 },
+                {
+                    key: 'pending-sync',
+                    color: this.pendingSyncNeedsAttention ? 'red' : 'orange',
+                    message: this.pendingSyncNeedsAttention
+                        ? `${this.pendingSyncNeedsAttention} offline change(s) could not be synced and need review.`
+                        : `${this.pendingSyncEntries.length} offline change(s) waiting to sync.`,
+                    visible: this.pendingSyncEntries.length > 0,
+                    dismissible: false,
+                    action: {
+                        label: 'Review',
+                        fn: () => modalManager.custom(PendingSyncPanel, {}, 'Pending Sync')
+                    }
+                },
                 {
                     key: 'permissions',
                     color: 'red',
@@ -166,6 +184,12 @@ const App = {
         }
     },
     async mounted() {
+        // Track saves queued while offline for the pending-sync banner
+        OfflineQueue.on(() => {
+            OfflineQueue.list().then(entries => { this.pendingSyncEntries = entries; });
+        });
+        OfflineQueue.list().then(entries => { this.pendingSyncEntries = entries; });
+
         // Initialize authentication on app mount
         await Auth.initialize();
 
@@ -405,6 +429,11 @@ const App = {
                 const alert = undoRegistry.redo();
                 if (alert) modalManager.confirm(alert, () => {}, null, 'Note', 'OK', null, 'small-menu');
             }
+            // Ctrl+Alt+C for the cache inspector (developer panel)
+            else if (event.ctrlKey && event.altKey && event.code === 'KeyC') {
+                event.preventDefault();
+                modalManager.custom(CacheInspectorPanel, {}, 'Cache Inspector');
+            }
         },
     },
     setup() {
@@ -0,0 +1,90 @@
+import { html, TableComponent, Requests, getReactiveStore } from '../../index.js';
+
+/**
+ * Editor for the crate type catalog (CACHE/CrateTypes, see utils/crateCatalog.js).
+ * Shown on the packlist/templates ("Automation") route; pack list Type cells suggest these types
+ * and flag crates whose dimensions differ from them.
+ */
+export const CrateCatalogEditor = {
+    components: { TableComponent },
+    data() {
+        return {
+            catalogStore: null
+        };
+    },
+    computed: {
+        columns() {
+            return [
+                { key: 'Type', label: 'Type', editable: true, width: 120 },
+                { key: 'L', label: 'L', editable: true, width: 20, font: 'narrow' },
+                { key: 'W', label: 'W', editable: true, width: 20, font: 'narrow' },
+                { key: 'H', label: 'H', editable: true, width: 20, font: 'narrow' },
+                { key: 'Weight', label: 'Weight', editable: true, width: 40, font: 'narrow' },
+                { key: 'Items', label: 'Designated For', editable: true, width: 120 },
+                { key: 'Notes', label: 'Notes', editable: true, width: 200 }
+            ];
+        },
+        tableData() {
+            return this.catalogStore ? this.catalogStore.data : [];
+        },
+        originalData() {
+            return this.catalogStore && Array.isArray(this.catalogStore.originalData)
+                ? JSON.parse(JSON.stringify(this.catalogStore.originalData))
+                : [];
+        },
+        isLoading() {
+            return this.catalogStore ? this.catalogStore.isLoading : false;
+        }
+    },
+    mounted() {
+        this.catalogStore = getReactiveStore(Requests.getCrateTypes, Requests.saveCrateTypes, []);
+    },
+    methods: {
+        handleCellEdit(rowIdx, colIdx, value) {
+            const colKey = this.columns[colIdx]?.key;
+            if (colKey && this.catalogStore?.data[rowIdx]) {
+                this.catalogStore.data[rowIdx][colKey] = value;
+            }
+        },
+        handleNewRow() {
+            this.catalogStore?.addRow({ Type: '', L: '', W: '', H: '', Weight: '', Items: '', Notes: '', EditHistory: '' });
+        },
+        async handleSave() {
+            await this.catalogStore?.save('Saving crate types...');
+        },
+        handleRefresh() {
+            this.catalogStore?.load('Refreshing crate types...');
+        }
+    },
+    template: html`
+        <slot>
+            <div class="card">
+                <p>
+                    Crate types are suggested in a pack list's Type column and fill in their default dimensions and weight.
+                    Crates whose L, W or H differ from their type by more than an inch are flagged.
+                    "Designated For" takes comma-separated item numbers; that type is suggested first for crates holding them.
+                </p>
+            </div>
+            <TableComponent
+                theme="purple"
+                :data="tableData"
+                :originalData="originalData"
+                :columns="columns"
+                title="Crate Types"
+                :isLoading="isLoading"
+                :error="catalogStore ? catalogStore.error : null"
+                :showRefresh="true"
+                :showSearch="true"
+                :newRow="true"
+                :showNewRowButton="true"
+                :draggable="true"
+                emptyMessage="No crate types yet"
+                :loading-message="catalogStore ? (catalogStore.loadingMessage || 'Loading crate types...') : 'Loading crate types...'"
+                @refresh="handleRefresh"
+                @cell-edit="handleCellEdit"
+                @new-row="handleNewRow"
+                @on-save="handleSave"
+            />
+        </slot>
+    `
+};
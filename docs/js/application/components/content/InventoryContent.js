@@ -3,6 +3,10 @@ import { InventoryOverviewTableComponent } from './InventoryOverviewTable.js';
 import { ShowInventoryReport } from './ShowInventoryReport.js';
 import { InventoryItemReport } from './InventoryItemReport.js';
 import { InventoryItemTimeline } from './InventoryItemTimeline.js';
+import { InventoryLabels } from './LabelSheet.js';
+import { InventoryStockTake } from './InventoryStockTake.js';
+import { InventoryImport } from './InventoryImport.js';
+import { InventoryRenumber } from './InventoryRenumber.js';
 
 // Inventory Hamburger Menu Component (content only)
 export const InventoryMenuComponent = {
@@ -39,6 +43,9 @@ export const InventoryMenuComponent = {
             }
             
             items.push({ label: 'Inventory Shortage Report', action: 'navigateReports' });
+            items.push({ label: 'Stock Take', action: 'navigateStockTake' });
+            items.push({ label: 'Import Items', action: 'navigateImport' });
+            items.push({ label: 'Renumber Items', action: 'navigateRenumber' });
             
             return items;
         }
@@ -67,6 +74,24 @@ export const InventoryMenuComponent = {
                         this.$emit('close-modal');
                     }
                     break;
+                case 'navigateStockTake':
+                    if (this.navigateToPath) {
+                        this.navigateToPath('inventory/stock-take');
+                        this.$emit('close-modal');
+                    }
+                    break;
+                case 'navigateImport':
+                    if (this.navigateToPath) {
+                        this.navigateToPath('inventory/import');
+                        this.$emit('close-modal');
+                    }
+                    break;
+                case 'navigateRenumber':
+                    if (this.navigateToPath) {
+                        this.navigateToPath('inventory/renumber');
+                        this.$emit('close-modal');
+                    }
+                    break;
                 default:
                     this.$modal.alert(`Action ${action} not implemented yet.`, 'Info');
             }
@@ -93,7 +118,11 @@ export const InventoryContent = {
         'cards-grid': CardsComponent,
         'show-inventory-report': ShowInventoryReport,
         'inventory-item-report': InventoryItemReport,
-        'inventory-item-timeline': InventoryItemTimeline
+        'inventory-item-timeline': InventoryItemTimeline,
+        'inventory-labels': InventoryLabels,
+        'inventory-stock-take': InventoryStockTake,
+        'inventory-import': InventoryImport,
+        'inventory-renumber': InventoryRenumber
     },
     props: {
         containerPath: {
@@ -118,6 +147,22 @@ export const InventoryContent = {
         cleanContainerPath() {
             return this.containerPath.split('?')[0];
         },
+        // inventory/<cat>/labels: printable item labels
+        isLabelsView() {
+            return this.cleanContainerPath.split('/')[2] === 'labels';
+        },
+        // inventory/stock-take: count sheets for the selected categories
+        isStockTakeView() {
+            return this.cleanContainerPath === 'inventory/stock-take';
+        },
+        // inventory/import: CSV/XLSX import into a category
+        isImportView() {
+            return this.cleanContainerPath === 'inventory/import';
+        },
+        // inventory/renumber: prefix clean-up and bulk renumbering
+        isRenumberView() {
+            return this.cleanContainerPath === 'inventory/renumber';
+        },
         categoryList() {
             // Return loaded categories from store with formatted title
             const categories = this.categoriesStore?.data || [];
@@ -421,6 +466,34 @@ export const InventoryContent = {
                 :view-modes="viewModes"
             />
             
+            <!-- Import Items: inventory/import -->
+            <inventory-import
+                v-else-if="isImportView"
+                :container-path="containerPath"
+                :navigate-to-path="navigateToPath"
+            />
+
+            <!-- Renumber Items: inventory/renumber -->
+            <inventory-renumber
+                v-else-if="isRenumberView"
+                :container-path="containerPath"
+                :navigate-to-path="navigateToPath"
+            />
+
+            <!-- Stock Take: inventory/stock-take -->
+            <inventory-stock-take
+                v-else-if="isStockTakeView"
+                :container-path="containerPath"
+                :navigate-to-path="navigateToPath"
+            />
+
+            <!-- Item Labels Subpage: inventory/<cat>/labels -->
+            <inventory-labels
+                v-else-if="isLabelsView && currentCategoryName"
+                :container-path="containerPath"
+                :tab-title="currentCategoryName"
+            />
+
             <!-- Item Timeline Subpage: inventory/<cat>/<item#> -->
             <inventory-item-timeline
                 v-else-if="containerPath.startsWith('inventory/') && cleanContainerPath.split('/').length >= 3"
@@ -0,0 +1,286 @@
+import { html, TableComponent, Requests, getReactiveStore, NavigationRegistry, todayISOString, IMPORT_FIELDS, parseCsv, guessColumnMapping, planInventoryImport, applyInventoryImport } from '../../index.js';
+import { InventorySaveModal } from './InventoryTable.js';
+
+/**
+ * Inventory import (inventory/import): load a CSV or XLSX file, map its columns onto ITEM#, QTY,
+ * Description and NOTES, preview which items would be created, updated or skipped as conflicts,
+ * then save the category through saveInventoryTabData like a table edit (note, optional scheduled
+ * date, EditHistory). The category is kept in the URL ({"category":"FURNITURE"}).
+ * XLSX files are read with SheetJS (window.XLSX, loaded by index.html).
+ */
+export const InventoryImport = {
+    components: { TableComponent },
+    inject: ['appContext', '$modal'],
+    props: {
+        containerPath: { type: String, default: '' },
+        navigateToPath: Function
+    },
+    data() {
+        return {
+            categoriesStore: null,
+            indexStore: null,
+            inventoryStore: null,
+            category: '',
+            fileName: '',
+            sheetRows: [],
+            columns: {},
+            quantityMode: 'set',
+            fileError: null,
+            isImporting: false
+        };
+    },
+    computed: {
+        importPath() {
+            return (this.containerPath || 'inventory/import').split('?')[0];
+        },
+        categories() {
+            return (this.categoriesStore?.data || [])
+                .map(tab => tab.title)
+                .filter(title => title && title !== 'INDEX');
+        },
+        importFields() {
+            return IMPORT_FIELDS;
+        },
+        headers() {
+            return (this.sheetRows[0] || []).map((header, index) => String(header ?? '').trim() || `Column ${index + 1}`);
+        },
+        isReady() {
+            return !!this.inventoryStore && !this.inventoryStore.isLoading && !this.indexStore?.isLoading;
+        },
+        plan() {
+            if (!this.isReady || this.sheetRows.length < 2) return [];
+            return planInventoryImport(
+                this.sheetRows.slice(1),
+                this.columns,
+                this.inventoryStore.data,
+                this.indexStore?.data,
+                this.category,
+                this.quantityMode
+            );
+        },
+        counts() {
+            const counts = { create: 0, update: 0, unchanged: 0, conflict: 0 };
+            this.plan.forEach(entry => { counts[entry.action]++; });
+            return counts;
+        },
+        previewColumns() {
+            return [
+                { key: 'line', label: 'Row', format: 'number', autoColor: false, width: 60, sortable: true },
+                {
+                    key: 'action',
+                    label: 'Action',
+                    width: 100,
+                    sortable: true,
+                    cellClass: (value) => ({ create: 'green', update: 'yellow', conflict: 'red' }[value] || '')
+                },
+                { key: 'itemNumber', label: 'Item#', width: 120, sortable: true },
+                { key: 'quantity', label: 'QTY', width: 90, sortable: true },
+                { key: 'description', label: 'Description', sortable: false },
+                { key: 'notes', label: 'Notes', sortable: false },
+                { key: 'details', label: 'Details', sortable: false }
+            ];
+        },
+        previewData() {
+            return this.plan.map(entry => ({
+                ...entry,
+                details: entry.action === 'conflict'
+                    ? entry.issues.join('; ')
+                    : entry.changes.map(field => `${field} was "${entry.previous[field] ?? ''}"`).join('; ')
+            }));
+        },
+        hasChanges() {
+            return this.counts.create + this.counts.update > 0;
+        }
+    },
+    watch: {
+        category() {
+            this.initializeInventoryStore();
+        }
+    },
+    mounted() {
+        this.categoriesStore = getReactiveStore(Requests.getAvailableTabs, null, ['INVENTORY']);
+        this.indexStore = getReactiveStore(Requests.getInventoryIndexData, null, []);
+        const params = NavigationRegistry.getParametersForContainer(this.importPath, this.appContext?.currentPath);
+        if (params?.category) this.category = params.category;
+    },
+    methods: {
+        initializeInventoryStore() {
+            // The category's table store, so the import saves like a table edit and shows up there
+            this.inventoryStore = this.category
+                ? getReactiveStore(Requests.getInventoryTabData, Requests.saveInventoryTabData, [this.category, undefined, undefined, undefined])
+                : null;
+        },
+
+        handleCategoryChange(event) {
+            this.category = event.target.value;
+            if (this.navigateToPath) {
+                this.navigateToPath(NavigationRegistry.buildPathWithCurrentParams(
+                    this.importPath,
+                    this.appContext?.currentPath,
+                    { category: this.category || undefined }
+                ));
+            }
+        },
+
+        async handleFileChange(event) {
+            const file = event.target.files?.[0];
+            this.fileError = null;
+            this.sheetRows = [];
+            this.fileName = file?.name || '';
+            if (!file) return;
+            try {
+                this.sheetRows = await this.readRows(file);
+                this.columns = guessColumnMapping(this.sheetRows[0]);
+                if (this.sheetRows.length < 2) this.fileError = 'The file has no rows below its header row';
+            } catch (error) {
+                console.error('[InventoryImport] Failed to read file:', error);
+                this.fileError = error.message;
+            }
+        },
+
+        async readRows(file) {
+            if (!/\.xlsx?$/i.test(file.name)) return parseCsv(await file.text());
+            if (!window.XLSX) throw new Error('The spreadsheet reader is not loaded; save the file as CSV and import that instead');
+            const workbook = window.XLSX.read(await file.arrayBuffer(), { type: 'array' });
+            const sheet = workbook.Sheets[workbook.SheetNames[0]];
+            return window.XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: '' })
+                .filter(row => row.some(cell => String(cell).trim() !== ''));
+        },
+
+        handleColumnChange(fieldKey, event) {
+            const value = event.target.value;
+            this.columns = { ...this.columns, [fieldKey]: value === '' ? null : Number(value) };
+        },
+
+        confirmImport() {
+            if (this.inventoryStore.isModified) {
+                this.$modal.alert(`${this.category} has unsaved changes. Save or discard them before importing.`, 'Import Items');
+                return;
+            }
+            const plan = this.plan;
+            const hasQtyChanges = plan.some(entry => entry.action === 'create' || entry.changes.includes('quantity'));
+            this.$modal.custom(InventorySaveModal, {
+                hasQtyChanges,
+                onConfirm: (scheduledDate, note) => this.runImport(plan, scheduledDate, note)
+            }, `Import ${this.counts.create} new, ${this.counts.update} updated`);
+        },
+
+        async runImport(plan, scheduledDate, note) {
+            const store = this.inventoryStore;
+            this.isImporting = true;
+            try {
+                store.setData(applyInventoryImport(plan, store.data));
+                const result = await store.save('Importing items...', { scheduledDate, note });
+                if (!result) {
+                    const reason = store.lockConflictOwner
+                        ? `${this.category} is locked by ${store.lockConflictOwner}`
+                        : store.conflictReport ? 'someone else saved this category meanwhile; check the preview and import again' : store.error;
+                    // Drop the imported rows so the category is left as it was
+                    await store.load('Reloading inventory...');
+                    this.$modal.error(`Import failed: ${reason || 'the items could not be saved'}.`, 'Import Items');
+                    return;
+                }
+                // A scheduled import keeps the current values until its date; show what was saved
+                if (scheduledDate > todayISOString()) {
+                    await store.load('Reloading inventory...');
+                }
+                const skipped = this.counts.conflict;
+                this.sheetRows = [];
+                this.fileName = '';
+                if (this.$refs.fileInput) this.$refs.fileInput.value = '';
+                this.$modal.alert(
+                    `Imported ${plan.filter(entry => entry.action === 'create').length} new and ${plan.filter(entry => entry.action === 'update').length} updated items into ${this.category}${scheduledDate > todayISOString() ? `, scheduled for ${scheduledDate}` : ''}.${skipped > 0 ? ` ${skipped} conflicting row${skipped === 1 ? ' was' : 's were'} skipped.` : ''}`,
+                    'Import Items'
+                );
+            } catch (error) {
+                console.error('[InventoryImport] Failed to import items:', error);
+                this.$modal.error(`Import failed: ${error.message}`, 'Import Items');
+            } finally {
+                this.isImporting = false;
+            }
+        }
+    },
+    template: html`
+        <div class="inventory-import">
+            <div class="card">
+                <div class="button-bar">
+                    <label>
+                        Category
+                        <select :value="category" @change="handleCategoryChange">
+                            <option value="">Select a category</option>
+                            <option v-for="title in categories" :key="title" :value="title">{{ title }}</option>
+                        </select>
+                    </label>
+                    <label>
+                        File
+                        <input ref="fileInput" type="file" accept=".csv,.txt,.xlsx,.xls" @change="handleFileChange" />
+                    </label>
+                    <label>
+                        QTY
+                        <select v-model="quantityMode">
+                            <option value="set">replaces the quantity (count)</option>
+                            <option value="add">is added to the quantity (delivery)</option>
+                        </select>
+                    </label>
+                </div>
+                <div v-if="headers.length > 0" class="button-bar">
+                    <label v-for="field in importFields" :key="field.key">
+                        {{ field.label }}
+                        <select :value="columns[field.key] ?? ''" @change="handleColumnChange(field.key, $event)">
+                            <option value="">Not imported</option>
+                            <option v-for="(header, index) in headers" :key="index" :value="index">{{ header }}</option>
+                        </select>
+                    </label>
+                </div>
+            </div>
+
+            <div v-if="fileError" class="card red">{{ fileError }}</div>
+            <div v-else-if="!category" class="card">Select the category to import into.</div>
+            <div v-else-if="sheetRows.length === 0" class="card">Choose a CSV or XLSX file with a header row.</div>
+            <div v-else-if="columns.itemNumber === null || columns.itemNumber === undefined" class="card yellow">Select the column that holds the item numbers.</div>
+
+            <template v-else>
+                <div class="details-grid">
+                    <div class="detail-item">
+                        <label>New items:</label>
+                        <span>{{ counts.create }}</span>
+                    </div>
+                    <div class="detail-item">
+                        <label>Updated items:</label>
+                        <span>{{ counts.update }}</span>
+                    </div>
+                    <div class="detail-item">
+                        <label>Unchanged:</label>
+                        <span>{{ counts.unchanged }}</span>
+                    </div>
+                    <div class="detail-item">
+                        <label>Conflicts (skipped):</label>
+                        <span>{{ counts.conflict }}</span>
+                    </div>
+                </div>
+
+                <TableComponent
+                    theme="purple"
+                    :data="previewData"
+                    :columns="previewColumns"
+                    :show-search="true"
+                    :hide-rows-on-search="true"
+                    :readonly="true"
+                    :allowDetails="false"
+                    :is-loading="!isReady"
+                    loading-message="Loading inventory..."
+                    empty-message="No rows to import"
+                >
+                    <template #header-area>
+                        <div class="button-bar">
+                            <span>{{ fileName }}</span>
+                            <button @click="confirmImport" :disabled="!isReady || isImporting || !hasChanges" class="purple">
+                                {{ isImporting ? 'Importing...' : 'Import' }}
+                            </button>
+                        </div>
+                    </template>
+                </TableComponent>
+            </template>
+        </div>
+    `
+};
@@ -0,0 +1,276 @@
+import { html, TableComponent, Requests, getReactiveStore, findMatchingStores, NavigationRegistry, parseItemNumber, findIndexRow, resolveAlias, planRenumber } from '../../index.js';
+
+/**
+ * Renumber items (inventory/renumber): list the prefixes a category's item numbers use, flag the
+ * ones that are aliases (SHELF for SHLF) or missing from the INDEX, and move one prefix's items to
+ * another prefix or close the gaps in its numbering. Renumbering rewrites the items, their unit
+ * registry and every pack list that names them (InventoryUtils.renumberItems).
+ * The category is kept in the URL ({"category":"SHELVES"}).
+ */
+export const InventoryRenumber = {
+    components: { TableComponent },
+    inject: ['appContext', '$modal'],
+    props: {
+        containerPath: { type: String, default: '' },
+        navigateToPath: Function
+    },
+    data() {
+        return {
+            categoriesStore: null,
+            indexStore: null,
+            aliasStore: null,
+            inventoryStore: null,
+            category: '',
+            fromPrefix: '',
+            toPrefix: '',
+            compact: false,
+            keepAlias: true,
+            note: '',
+            isRenumbering: false
+        };
+    },
+    computed: {
+        renumberPath() {
+            return (this.containerPath || 'inventory/renumber').split('?')[0];
+        },
+        categories() {
+            return (this.categoriesStore?.data || [])
+                .map(tab => tab.title)
+                .filter(title => title && title !== 'INDEX');
+        },
+        aliases() {
+            return Array.isArray(this.aliasStore?.data) ? this.aliasStore.data : [];
+        },
+        itemNumbers() {
+            return (this.inventoryStore?.data || []).map(row => row.itemNumber).filter(Boolean);
+        },
+        isLoading() {
+            return !!(this.inventoryStore?.isLoading || this.indexStore?.isLoading || this.aliasStore?.isLoading);
+        },
+        prefixColumns() {
+            return [
+                { key: 'prefix', label: 'Prefix', width: 120, sortable: true },
+                { key: 'count', label: 'Items', format: 'number', autoColor: false, width: 80, sortable: true },
+                { key: 'range', label: 'Numbers', width: 160, sortable: false },
+                {
+                    key: 'status',
+                    label: 'Status',
+                    sortable: true,
+                    cellClass: (value, row) => row?.level === 'error' ? 'red' : (row?.level === 'warning' ? 'yellow' : '')
+                }
+            ];
+        },
+        prefixRows() {
+            const byPrefix = new Map();
+            this.itemNumbers.forEach(itemNumber => {
+                const parsed = parseItemNumber(itemNumber);
+                const prefix = parsed ? parsed.prefix : '(other)';
+                if (!byPrefix.has(prefix)) byPrefix.set(prefix, []);
+                byPrefix.get(prefix).push(parsed ? parsed.number : null);
+            });
+            return [...byPrefix.entries()].map(([prefix, numbers]) => {
+                const numeric = numbers.filter(number => number !== null);
+                const highest = numeric.length > 0 ? Math.max(...numeric) : 0;
+                const gaps = highest - new Set(numeric).size;
+                return {
+                    prefix,
+                    count: numbers.length,
+                    range: numeric.length > 0 ? `${Math.min(...numeric)}–${highest}${gaps > 0 ? `, ${gaps} gap${gaps === 1 ? '' : 's'}` : ''}` : '—',
+                    ...this.prefixStatus(prefix)
+                };
+            });
+        },
+        plan() {
+            if (!this.fromPrefix || !this.toPrefix) return { renames: [], skipped: [] };
+            return planRenumber(this.itemNumbers, this.fromPrefix, this.toPrefix, {
+                reserved: this.aliases.map(alias => alias.alias),
+                compact: this.compact
+            });
+        },
+        planColumns() {
+            return [
+                { key: 'from', label: 'Item#', width: 140, sortable: true },
+                { key: 'to', label: 'New Item#', width: 140, sortable: true },
+                { key: 'description', label: 'Description', sortable: false }
+            ];
+        },
+        planRows() {
+            const rows = this.inventoryStore?.data || [];
+            return this.plan.renames.map(rename => ({
+                ...rename,
+                description: rows.find(row => row.itemNumber === rename.from)?.description || ''
+            }));
+        },
+        toPrefixIssue() {
+            if (!this.toPrefix) return null;
+            if (!/^[A-Z]+$/.test(this.toPrefix)) return 'Use capital letters only';
+            const status = this.prefixStatus(this.toPrefix);
+            return status.level === 'ok' ? null : status.status;
+        },
+        canRecordAlias() {
+            return !!this.fromPrefix && this.fromPrefix !== this.toPrefix && resolveAlias(this.fromPrefix, this.aliases) !== this.toPrefix;
+        },
+        hasUnsavedChanges() {
+            return findMatchingStores(Requests.getInventoryTabData, [this.category, undefined, undefined, undefined])
+                .some(match => match.isModified);
+        }
+    },
+    watch: {
+        category() {
+            this.fromPrefix = '';
+            this.toPrefix = '';
+            this.inventoryStore = this.category
+                ? getReactiveStore(Requests.getInventoryTabData, null, [this.category, undefined, undefined, undefined])
+                : null;
+        }
+    },
+    mounted() {
+        this.categoriesStore = getReactiveStore(Requests.getAvailableTabs, null, ['INVENTORY']);
+        this.indexStore = getReactiveStore(Requests.getInventoryIndexData, null, []);
+        this.aliasStore = getReactiveStore(Requests.getItemAliases, null, []);
+        const params = NavigationRegistry.getParametersForContainer(this.renumberPath, this.appContext?.currentPath);
+        if (params?.category) this.category = params.category;
+    },
+    methods: {
+        prefixStatus(prefix) {
+            if (prefix === '(other)') return { status: 'Not PREFIX-NNN; pack lists do not recognize these', level: 'error' };
+            const target = resolveAlias(prefix, this.aliases);
+            if (target !== prefix) return { status: `Alias of ${target}`, level: 'warning', target };
+            const indexRow = findIndexRow(prefix, this.indexStore?.data);
+            if (indexRow && indexRow.tab !== this.category) return { status: `Prefix ${indexRow.prefix} belongs to ${indexRow.tab}`, level: 'error' };
+            if (!indexRow || indexRow.prefix !== prefix) return { status: 'Not in the INDEX', level: 'warning' };
+            return { status: 'In the INDEX', level: 'ok' };
+        },
+
+        handleCategoryChange(event) {
+            this.category = event.target.value;
+            if (this.navigateToPath) {
+                this.navigateToPath(NavigationRegistry.buildPathWithCurrentParams(
+                    this.renumberPath,
+                    this.appContext?.currentPath,
+                    { category: this.category || undefined }
+                ));
+            }
+        },
+
+        selectPrefix(prefix) {
+            if (prefix === '(other)') return;
+            this.fromPrefix = prefix;
+            // An alias moves to its target; anything else is renumbered in place
+            this.toPrefix = this.prefixStatus(prefix).target || prefix;
+            this.compact = this.toPrefix === prefix;
+        },
+
+        handleToPrefixInput(event) {
+            this.toPrefix = event.target.value.trim().toUpperCase();
+        },
+
+        confirmRenumber() {
+            if (this.hasUnsavedChanges) {
+                this.$modal.alert(`${this.category} has unsaved changes. Save or discard them before renumbering.`, 'Renumber Items');
+                return;
+            }
+            const count = this.plan.renames.length;
+            this.$modal.confirm(
+                `Renumber ${count} item${count === 1 ? '' : 's'} from ${this.fromPrefix} to ${this.toPrefix}? Every pack list that names them is rewritten, including archived ones.`,
+                () => this.renumber(),
+                null,
+                'Renumber Items',
+                'Renumber',
+                'Cancel'
+            );
+        },
+
+        async renumber() {
+            this.isRenumbering = true;
+            try {
+                const result = await Requests.renumberItems(this.plan.renames, {
+                    note: this.note.trim() || `Renumber ${this.fromPrefix}`,
+                    alias: this.keepAlias && this.canRecordAlias ? { alias: this.fromPrefix, target: this.toPrefix } : undefined
+                });
+                this.$modal.alert(
+                    `Renumbered ${result.renamed.length} item${result.renamed.length === 1 ? '' : 's'} and updated ${result.packlists.length} pack list${result.packlists.length === 1 ? '' : 's'}.`,
+                    'Renumber Items'
+                );
+                this.fromPrefix = '';
+                this.toPrefix = '';
+                this.note = '';
+            } catch (error) {
+                console.error('[InventoryRenumber] Failed to renumber items:', error);
+                this.$modal.error(`Renumber failed: ${error.message}`, 'Renumber Items');
+            } finally {
+                this.isRenumbering = false;
+            }
+        }
+    },
+    template: html`
+        <div class="inventory-renumber">
+            <div class="card">
+                <div class="button-bar">
+                    <label>
+                        Category
+                        <select :value="category" @change="handleCategoryChange">
+                            <option value="">Select a category</option>
+                            <option v-for="title in categories" :key="title" :value="title">{{ title }}</option>
+                        </select>
+                    </label>
+                </div>
+            </div>
+
+            <div v-if="!category" class="card">Select the category to renumber.</div>
+
+            <template v-else>
+                <TableComponent
+                    theme="purple"
+                    :data="prefixRows"
+                    :columns="prefixColumns"
+                    :readonly="true"
+                    :allowDetails="false"
+                    :is-loading="isLoading"
+                    loading-message="Loading inventory..."
+                    empty-message="No items in this category"
+                >
+                    <template #default="{ row, column }">
+                        <button v-if="column.key === 'prefix' && row.prefix !== '(other)'" @click="selectPrefix(row.prefix)" :class="row.prefix === fromPrefix ? 'purple' : 'white'">
+                            {{ row.prefix }}
+                        </button>
+                        <span v-else>{{ row[column.key] }}</span>
+                    </template>
+                </TableComponent>
+
+                <div v-if="fromPrefix" class="card">
+                    <div class="button-bar">
+                        <label>
+                            Renumber {{ fromPrefix }} as
+                            <input type="text" :value="toPrefix" @change="handleToPrefixInput" maxlength="10" />
+                        </label>
+                        <label>
+                            <input type="checkbox" v-model="compact" />
+                            Close gaps (number from 1)
+                        </label>
+                        <label v-if="canRecordAlias">
+                            <input type="checkbox" v-model="keepAlias" />
+                            Keep {{ fromPrefix }} as an alias of {{ toPrefix }}
+                        </label>
+                        <input type="text" v-model="note" maxlength="25" :placeholder="'Renumber ' + fromPrefix" title="Note recorded on every renumbered row" />
+                        <button @click="confirmRenumber" :disabled="isRenumbering || isLoading || !!toPrefixIssue || plan.renames.length === 0" class="purple">
+                            {{ isRenumbering ? 'Renumbering...' : 'Renumber' }}
+                        </button>
+                    </div>
+                </div>
+                <div v-if="fromPrefix && toPrefixIssue" class="card red">{{ toPrefix }}: {{ toPrefixIssue }}</div>
+                <div v-if="fromPrefix && plan.skipped.length > 0" class="card yellow">Left alone (not numbered): {{ plan.skipped.join(', ') }}</div>
+
+                <TableComponent
+                    v-if="fromPrefix"
+                    theme="purple"
+                    :data="planRows"
+                    :columns="planColumns"
+                    :readonly="true"
+                    :allowDetails="false"
+                    empty-message="Nothing to renumber"
+                />
+            </template>
+        </div>
+    `
+};
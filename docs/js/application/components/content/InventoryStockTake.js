@@ -0,0 +1,203 @@
+import { html, Requests, getReactiveStore, NavigationRegistry, todayISOString, countVariances, summarizeCount } from '../../index.js';
+import { InventoryTableComponent, getStockTakeStore } from './InventoryTable.js';
+
+/**
+ * Stock-take (inventory/stock-take): pick categories and a count date, enter counted quantities
+ * on each category's count sheet, then post every variance in one batch with one note.
+ * Categories and date are kept in the URL ({"categories":["FURNITURE"],"date":"2026-01-31"});
+ * counts are kept by the count sheet stores (see getStockTakeStore) until posted.
+ */
+export const InventoryStockTake = {
+    components: { 'inventory-table': InventoryTableComponent },
+    inject: ['appContext', '$modal'],
+    props: {
+        containerPath: { type: String, default: '' },
+        navigateToPath: Function
+    },
+    data() {
+        return {
+            categoriesStore: null,
+            selected: [],
+            countDate: todayISOString(),
+            note: '',
+            isPosting: false
+        };
+    },
+    computed: {
+        stockTakePath() {
+            return (this.containerPath || 'inventory/stock-take').split('?')[0];
+        },
+        todayISO() {
+            return todayISOString();
+        },
+        categories() {
+            return (this.categoriesStore?.data || [])
+                .map(tab => tab.title)
+                .filter(title => title && title !== 'INDEX');
+        },
+        countStores() {
+            return this.selected.map(category => getStockTakeStore(category, this.countDate));
+        },
+        lines() {
+            return this.countStores.flatMap(store => Array.isArray(store.data) ? store.data : []);
+        },
+        summary() {
+            return summarizeCount(this.lines);
+        },
+        isBusy() {
+            return this.isPosting || this.countStores.some(store => store.isLoading || store.isAnalyzing);
+        },
+        postNote() {
+            return this.note.trim() || `Count ${this.countDate}`;
+        }
+    },
+    mounted() {
+        this.categoriesStore = getReactiveStore(Requests.getAvailableTabs, null, ['INVENTORY']);
+        const params = NavigationRegistry.getParametersForContainer(this.stockTakePath, this.appContext?.currentPath);
+        if (Array.isArray(params?.categories)) this.selected = params.categories;
+        if (params?.date && params.date <= this.todayISO) this.countDate = params.date;
+    },
+    methods: {
+        updatePath() {
+            if (!this.navigateToPath) return;
+            this.navigateToPath(NavigationRegistry.buildPathWithCurrentParams(
+                this.stockTakePath,
+                this.appContext?.currentPath,
+                {
+                    categories: this.selected.length > 0 ? this.selected : undefined,
+                    date: this.countDate !== this.todayISO ? this.countDate : undefined
+                }
+            ));
+        },
+
+        toggleCategory(category) {
+            this.selected = this.selected.includes(category)
+                ? this.selected.filter(title => title !== category)
+                : [...this.selected, category].sort();
+            this.updatePath();
+        },
+
+        handleDateChange(event) {
+            const date = event.target.value;
+            if (!date || date > this.todayISO) return;
+            this.countDate = date;
+            this.updatePath();
+        },
+
+        handlePrint() {
+            window.print();
+        },
+
+        confirmPost() {
+            const { counted, over, short, netVariance } = this.summary;
+            this.$modal.confirm(
+                `Post the count of ${counted} item${counted === 1 ? '' : 's'} on ${this.countDate}: ${over} over, ${short} short, net ${netVariance > 0 ? '+' : ''}${netVariance}. Each variance is added to the item's current quantity with the note "${this.postNote}".`,
+                () => this.post(),
+                null,
+                'Post Stock Take',
+                'Post Variances',
+                'Cancel'
+            );
+        },
+
+        async post() {
+            this.isPosting = true;
+            const options = { countDate: this.countDate, note: this.postNote };
+            try {
+                // Every category's variances commit together or not at all
+                const results = await Requests.runTransaction(async (transaction) => {
+                    const saved = [];
+                    for (const store of this.countStores) {
+                        if (countVariances(store.data).length === 0) continue;
+                        const result = await store.save('Posting count...', { ...options, transaction });
+                        if (!result) throw new Error(store.error || (store.lockConflictOwner ? `locked by ${store.lockConflictOwner}` : 'the count could not be posted'));
+                        saved.push(result);
+                    }
+                    return saved;
+                });
+                // Clear the posted counts by reloading the sheets
+                await Promise.all(this.countStores.map(store => store.load('Reloading count sheet...')));
+                this.note = '';
+                const posted = results.flatMap(result => result.posted);
+                const unknown = results.flatMap(result => result.unknown);
+                this.$modal.alert(
+                    `Posted ${posted.length} variance${posted.length === 1 ? '' : 's'}.${unknown.length > 0 ? ` Not found in inventory: ${unknown.join(', ')}.` : ''}`,
+                    'Stock Take'
+                );
+            } catch (error) {
+                console.error('[InventoryStockTake] Failed to post stock take:', error);
+                this.$modal.error(`Failed to post stock take: ${error.message}`, 'Stock Take');
+            } finally {
+                this.isPosting = false;
+            }
+        }
+    },
+    template: html`
+        <div class="stock-take">
+            <!-- Print-only Header -->
+            <div class="print-header">
+                <img src="assets/logo.png" alt="Top Shelf Exhibits Logo" class="print-logo" />
+                <h1>Stock Take {{ countDate }}</h1>
+                <span class="page-number"></span>
+            </div>
+
+            <div class="card stock-take-controls">
+                <div class="button-bar">
+                    <label>
+                        Count date
+                        <input type="date" :value="countDate" :max="todayISO" @change="handleDateChange" />
+                    </label>
+                    <button @click="handlePrint" :disabled="selected.length === 0" class="button-symbol white" title="Print Count Sheets">
+                        <span class="material-symbols-outlined">print</span>
+                    </button>
+                </div>
+                <div class="button-bar">
+                    <label v-for="category in categories" :key="category">
+                        <input type="checkbox" :checked="selected.includes(category)" @change="toggleCategory(category)" />
+                        {{ category }}
+                    </label>
+                </div>
+            </div>
+
+            <div v-if="selected.length === 0" class="card">Select the categories to count.</div>
+
+            <template v-else>
+                <div class="details-grid stock-take-controls">
+                    <div class="detail-item">
+                        <label>Counted:</label>
+                        <span>{{ summary.counted }} of {{ summary.lines }} items</span>
+                    </div>
+                    <div class="detail-item">
+                        <label>Matching:</label>
+                        <span>{{ summary.matched }}</span>
+                    </div>
+                    <div class="detail-item">
+                        <label>Over / short:</label>
+                        <span>{{ summary.over }} / {{ summary.short }}</span>
+                    </div>
+                    <div class="detail-item">
+                        <label>Net variance:</label>
+                        <span>{{ summary.netVariance > 0 ? '+' : '' }}{{ summary.netVariance }}</span>
+                    </div>
+                </div>
+
+                <div class="button-bar stock-take-controls">
+                    <input type="text" v-model="note" maxlength="25" :placeholder="'Count ' + countDate" title="Note recorded on every posted change" />
+                    <button @click="confirmPost" :disabled="isBusy || summary.counted === 0" class="purple">
+                        {{ isPosting ? 'Posting...' : 'Post Variances' }}
+                    </button>
+                </div>
+
+                <inventory-table
+                    v-for="category in selected"
+                    :key="category + '@' + countDate"
+                    :container-path="containerPath"
+                    :inventory-name="'Count: ' + category.toLowerCase()"
+                    :tab-title="category"
+                    :edit-mode="false"
+                    :count-date="countDate"
+                />
+            </template>
+        </div>
+    `
+};
@@ -1,4 +1,4 @@
-import { html, Requests, TableComponent, getReactiveStore, createAnalysisConfig, NavigationRegistry, Priority, invalidateCache, authState, undoRegistry, EditHistoryUtils, todayISOString } from '../../index.js';
+import { html, Requests, TableComponent, getReactiveStore, createAnalysisConfig, NavigationRegistry, Priority, invalidateCache, authState, undoRegistry, EditHistoryUtils, todayISOString, ConflictMergeModal, unitKey, countVariances, hasCustomItemNumbers, nextItemNumber, validateItemNumber } from '../../index.js';
 import { sheetLockMixin } from '../../utils/sheetLockMixin.js';
 
 /**
@@ -10,7 +10,7 @@ import { sheetLockMixin } from '../../utils/sheetLockMixin.js';
  *
  * Emits 'close-modal' to close itself.
  */
-const InventorySaveModal = {
+export const InventorySaveModal = {
     props: {
         onConfirm: {
             type: Function,
@@ -103,11 +103,12 @@ const InventorySaveModal = {
 
 // Simple modal component for entering new item number
 const NewItemNumberPrompt = {
-    props: ['initialItemNumber', 'existingItems', 'onConfirm'],
+    props: ['initialItemNumber', 'existingItems', 'onConfirm', 'tabTitle', 'indexData', 'aliases'],
     data() {
         return {
             itemNumber: this.initialItemNumber,
             error: null,
+            warning: null, // Prefix rule the number breaks but may be kept (see utils/itemNumbers.js)
             suggestion: null,
             isNewPrefix: false
         };
@@ -116,7 +117,11 @@ const NewItemNumberPrompt = {
         helperText() {
             if (this.error) {
                 return null; // Error takes precedence
-            }            if (this.isNewPrefix && this.itemNumber) {
+            }
+            if (this.warning) {
+                return this.warning.suggestion ? `${this.warning.message}: Tab for ${this.warning.suggestion}` : this.warning.message;
+            }
+            if (this.isNewPrefix && this.itemNumber) {
                 return `"${this.itemNumber}" is a new prefix`;
             }            if (this.suggestion) {
                 return `Next available: ${this.suggestion}`;
@@ -138,18 +143,20 @@ const NewItemNumberPrompt = {
     },
     methods: {
         validate() {
-            if (!this.itemNumber) {
-                this.error = 'Item number is required';
-                this.suggestion = null;
-                return false;
-            }
-            
-            const duplicate = this.existingItems.find(
-                item => item.itemNumber === this.itemNumber
-            );
-            
-            if (duplicate) {
-                this.error = 'Item number already exists';
+            // Numbers in use and old numbers kept as aliases cannot be issued
+            const takenNumbers = [
+                ...this.existingItems.map(item => item.itemNumber),
+                ...(this.aliases || []).map(alias => alias.alias)
+            ];
+            const [issue] = validateItemNumber(this.itemNumber, {
+                tab: this.tabTitle,
+                indexData: this.indexData,
+                aliases: this.aliases || [],
+                takenNumbers
+            });
+            this.warning = issue?.level === 'warning' ? issue : null;
+            if (issue?.level === 'error') {
+                this.error = issue.message;
                 this.suggestion = null;
                 return false;
             }
@@ -272,9 +279,10 @@ const NewItemNumberPrompt = {
         },
         handleKeydown(event) {
             // Accept suggestion on Tab key
-            if (event.key === 'Tab' && this.suggestion) {
+            const suggestion = this.warning?.suggestion || this.suggestion;
+            if (event.key === 'Tab' && suggestion) {
                 event.preventDefault();
-                this.itemNumber = this.suggestion;
+                this.itemNumber = suggestion;
             }
         },
         handleSubmit() {
@@ -317,6 +325,98 @@ const NewItemNumberPrompt = {
 };
 
 
+// Modal for renaming a saved item or merging it into another item of the same category.
+// Both rewrite every pack list naming the item and keep the old number as an alias.
+const ItemRenamePrompt = {
+    props: ['itemNumber', 'mode', 'existingItems', 'tabTitle', 'indexData', 'aliases', 'onConfirm'],
+    data() {
+        return {
+            target: this.mode === 'merge' ? '' : this.itemNumber,
+            error: null,
+            warning: null
+        };
+    },
+    computed: {
+        mergeOptions() {
+            return this.existingItems
+                .filter(item => item.itemNumber && item.itemNumber !== this.itemNumber)
+                .sort((a, b) => String(a.itemNumber).localeCompare(String(b.itemNumber)));
+        },
+        summary() {
+            if (!this.target || this.error) return '';
+            return this.mode === 'merge'
+                ? `${this.itemNumber} is removed and its quantity, history, units, kit parts and thumbnail are added to ${this.target}.`
+                : `${this.itemNumber} becomes ${this.target}, with its history, units, kit parts and thumbnail.`;
+        }
+    },
+    methods: {
+        validate() {
+            if (this.mode === 'merge') {
+                this.error = this.target ? null : 'Select the item to merge into';
+                return !this.error;
+            }
+            if (this.target === this.itemNumber) {
+                this.error = 'Enter the new item number';
+                return false;
+            }
+            // Numbers in use and old numbers kept as aliases cannot be taken
+            const takenNumbers = [
+                ...this.existingItems.map(item => item.itemNumber),
+                ...(this.aliases || []).map(alias => alias.alias)
+            ];
+            const [issue] = validateItemNumber(this.target, {
+                tab: this.tabTitle,
+                indexData: this.indexData,
+                aliases: this.aliases || [],
+                takenNumbers
+            });
+            this.warning = issue?.level === 'warning' ? issue : null;
+            this.error = issue?.level === 'error' ? issue.message : null;
+            return !this.error;
+        },
+        handleSubmit() {
+            if (this.validate()) {
+                this.onConfirm(this.target.trim());
+                this.$emit('close-modal');
+            }
+        }
+    },
+    watch: {
+        target() {
+            this.validate();
+        }
+    },
+    template: html`
+        <div class="content">
+            <div class="form-group">
+                <select v-if="mode === 'merge'" v-model="target" :class="{ error: error }">
+                    <option value="">Merge {{ itemNumber }} into...</option>
+                    <option v-for="item in mergeOptions" :key="item.itemNumber" :value="item.itemNumber">
+                        {{ item.itemNumber }}{{ item.description ? ' - ' + item.description : '' }}
+                    </option>
+                </select>
+                <input
+                    v-else
+                    type="text"
+                    v-model="target"
+                    @keyup.enter="handleSubmit"
+                    :class="{ error: error }"
+                    autofocus
+                />
+                <span v-if="error" class="error-message">{{ error }}</span>
+                <span v-else-if="warning" class="helper-text">{{ warning.message }}</span>
+                <span v-else-if="summary" class="helper-text">{{ summary }}</span>
+            </div>
+            <p>Every pack list naming {{ itemNumber }} is rewritten, and {{ itemNumber }} is kept as an old number of the item so older pack list text still finds it.</p>
+            <div class="button-bar">
+                <button @click="handleSubmit" :disabled="!!error || !target" class="purple">{{ mode === 'merge' ? 'Merge' : 'Rename' }}</button>
+                <button @click="$emit('close-modal')">Cancel</button>
+            </div>
+        </div>
+    `
+};
+
+
 // Modal component for viewing a full-size thumbnail with a replace option
 const ImageViewWithReplaceComponent = {
     props: {
@@ -820,7 +920,28 @@ export const ItemImageComponent = {
     `
 };
 
-
+// Count sheet store of a stock-take: the category's items with their expected quantity on the
+// count date. Counted quantities are typed into the store data, so the reactive store's auto-save
+// keeps them as a draft; saving the store posts the variances. Shared by InventoryTable and InventoryStockTake.
+export function getStockTakeStore(tabTitle, countDate) {
+    return getReactiveStore(
+        Requests.getStockTakeSheet,
+        Requests.postStockTake,
+        [tabTitle],
+        [
+            createAnalysisConfig(
+                Requests.getExpectedQuantity,
+                'expected',
+                'Calculating expected quantities...',
+                ['itemNumber'],
+                [countDate],
+                'expected',
+                false,
+                Priority.USER_ACTION
+            )
+        ]
+    );
+}
 
 export const InventoryTableComponent = {
     mixins: [sheetLockMixin],
@@ -850,18 +971,32 @@ export const InventoryTableComponent = {
         editMode: {
             type: Boolean,
             default: true
+        },
+        // Stock-take count date: shows the category as a count sheet (see getStockTakeStore)
+        countDate: {
+            type: String,
+            default: null
         }
     },
     data() {
         return {
             inventoryTableStore: null,
+            unitStore: null, // Unit registry of this category (serial numbers, variants), shown in row details
+            kitStore: null, // Kit definitions of this category (components per kit), shown in row details
             lockNamespace: 'INVENTORY',
-            tabMetaFlags: { hideQuantity: false, hideItemNumber: false },
+            tabMetaFlags: { hideQuantity: false, hideItemNumber: false, serialized: false, trackCost: false },
+            indexData: null, // Inventory INDEX, for item number prefix rules
+            itemAliases: [], // Prefix and item number aliases (CACHE/Aliases)
+            lastSaveOptions: {}, // Date/note of the last save, reused when saving again after a merge
             _visibilityManager: createVisibilityManager()
         };
     },
     computed: {
+        isCountMode() {
+            return !!this.countDate;
+        },
         columns() {
+            if (this.isCountMode) return this.countColumns;
             // Dynamically set columns' editable property based on allowEdit
             const cols = [
                 { 
@@ -899,11 +1034,38 @@ export const InventoryTableComponent = {
                     editable: this.allowEdit,
                     sortable: false
                 },
+                {
+                    key: 'unitCost',
+                    label: 'Unit Cost ($)',
+                    format: 'number',
+                    editable: this.allowEdit,
+                    autoColor: false,
+                    width: 100,
+                    sortable: true
+                },
+                {
+                    key: 'purchaseDate',
+                    label: 'Purchased',
+                    format: 'date',
+                    editable: this.allowEdit,
+                    width: 110,
+                    sortable: true
+                },
+                {
+                    key: 'usefulLife',
+                    label: 'Life (yrs)',
+                    format: 'number',
+                    editable: this.allowEdit,
+                    autoColor: false,
+                    width: 80,
+                    sortable: false
+                },
                 {
                     key: '_navigate',
                     labelHtml: '<span class="material-symbols-outlined">calendar_month</span>',
                     label: '',
-                    width: 36,
+                    // Room for the kit part, rename and merge actions while editing
+                    width: this.allowEdit ? 144 : 36,
                     sortable: false
                 }
             ];
@@ -911,9 +1073,42 @@ export const InventoryTableComponent = {
             return cols.filter(c => {
                 if (this.tabMetaFlags.hideQuantity && c.key === 'quantity') return false;
                 if (this.tabMetaFlags.hideItemNumber && c.key === 'itemNumber') return false;
+                if (!this.showCostColumns && ['unitCost', 'purchaseDate', 'usefulLife'].includes(c.key)) return false;
                 return true;
             });
         },
+        countColumns() {
+            // Counted is a plain input rather than an editable column: counts are a draft, not a table save
+            return [
+                {
+                    key: 'image',
+                    labelHtml: '<span class="material-symbols-outlined">imagesmode</span>',
+                    label: 'IMG',
+                    width: 1,
+                    sortable: false
+                },
+                { key: 'itemNumber', label: 'Item#', type: 'item', width: 120, sortable: true },
+                { key: 'description', label: 'Description', sortable: true },
+                { key: 'quantity', label: 'On Record', format: 'number', autoColor: false, width: 90, sortable: true },
+                { key: 'expected', label: `Expected ${this.countDate}`, format: 'number', autoColor: false, width: 120, sortable: true },
+                { key: 'counted', label: 'Counted', width: 100, sortable: false },
+                {
+                    key: 'variance',
+                    label: 'Variance',
+                    width: 90,
+                    sortable: false,
+                    cellClass: (value, row) => {
+                        const variance = this.getVariance(row);
+                        return variance === null || variance === 0 ? '' : (variance > 0 ? 'green' : 'red');
+                    }
+                }
+            ];
+        },
+        showCostColumns() {
+            // Cost columns are optional: shown when the category tracks cost or already has some
+            return this.tabMetaFlags.trackCost
+                || this.tableData.some(row => String(row.unitCost ?? '').trim() !== '');
+        },
         tableData() {
             return this.inventoryTableStore ? this.inventoryTableStore.data : [];
         },
@@ -933,12 +1128,15 @@ export const InventoryTableComponent = {
             return this.inventoryTableStore ? this.inventoryTableStore.isLoading : false;
         },
         isDirty() {
-            const result = this.inventoryTableStore?.isModified || false;
+            // Counts are kept as a draft by the store's auto-save and posted by the stock-take page
+            if (this.isCountMode) return false;
+            const result = this.inventoryTableStore?.isModified || this.unitStore?.isModified || this.kitStore?.isModified || false;
             //console.log('[InventoryTable] isDirty computed:', result, '| store exists:', !!this.inventoryTableStore, '| isModified:', this.inventoryTableStore?.isModified);
             return result;
         },
         lockKey() {
-            return this.tabTitle;
+            // Counting does not lock the category; posting checks the lock
+            return this.isCountMode ? null : this.tabTitle;
         },
         activeStore() {
             return this.inventoryTableStore;
@@ -946,6 +1144,11 @@ export const InventoryTableComponent = {
         hasExternalConflict() {
             return this.inventoryTableStore?.externalConflict ?? false;
         },
+        remoteChangeMessage() {
+            const remoteChange = this.inventoryTableStore?.remoteChange;
+            if (!remoteChange) return '';
+            return `${remoteChange.user} updated ${remoteChange.count} row${remoteChange.count === 1 ? '' : 's'}`;
+        },
         banners() {
             return [
                 {
@@ -963,7 +1166,7 @@ export const InventoryTableComponent = {
                 {
                     key: 'conflict',
                     color: 'red',
-                    message: 'Another session changed this data while you have unsaved edits. Save to keep your changes or discard them.',
+                    message: 'Another session changed this data while you have unsaved edits. Save to merge your changes or discard them.',
                     visible: this.hasExternalConflict,
                     action: {
                         label: 'Discard', fn: () =>
@@ -978,6 +1181,12 @@ export const InventoryTableComponent = {
                                 'Cancel'
                             )
                     }
+                },
+                {
+                    key: 'remote-change',
+                    color: 'blue',
+                    message: this.remoteChangeMessage,
+                    visible: !!this.remoteChangeMessage
                 }
             ];
         },
@@ -996,12 +1205,25 @@ export const InventoryTableComponent = {
         if (this.tabTitle) {
             Requests.getInventoryIndexData().then(indexData => {
                 if (!Array.isArray(indexData)) return;
+                this.indexData = indexData;
                 const tabPrefixes = indexData.filter(row => row.tab === this.tabTitle);
                 if (tabPrefixes.length > 0) {
                     const allDescOnly = tabPrefixes.every(row => row.metadata?.descriptionOnly === 'true');
-                    this.tabMetaFlags = { hideQuantity: allDescOnly, hideItemNumber: allDescOnly };
+                    // serialized: every item in edit mode gets an "Add unit" row in its details
+                    const serialized = tabPrefixes.some(row => row.metadata?.serialized === 'true');
+                    // trackCost: show the unit cost, purchase date and useful life columns
+                    const trackCost = tabPrefixes.some(row => row.metadata?.trackCost === 'true');
+                    this.tabMetaFlags = { hideQuantity: allDescOnly, hideItemNumber: allDescOnly, serialized, trackCost };
                 }
             }).catch(() => {});
+            Requests.getItemAliases().then(aliases => {
+                this.itemAliases = Array.isArray(aliases) ? aliases : [];
+            }).catch(() => {});
+        }
+
+        if (this.isCountMode) {
+            this.inventoryTableStore = getStockTakeStore(this.tabTitle, this.countDate);
+            return;
         }
 
         // Defensive: always set up the store before using it
@@ -1010,6 +1232,17 @@ export const InventoryTableComponent = {
             Requests.saveInventoryTabData,
             [this.tabTitle, undefined, undefined, undefined] // No filters needed - search is handled in UI
         );
+        this.inventoryTableStore.livePatches = true; // Show other users' saves without a reload
+        this.unitStore = getReactiveStore(
+            Requests.getUnitRegistry,
+            Requests.saveUnitRegistry,
+            [this.tabTitle]
+        );
+        this.kitStore = getReactiveStore(
+            Requests.getKitRegistry,
+            Requests.saveKitRegistry,
+            [this.tabTitle]
+        );
         
         // Apply any pending changes that are due today or earlier
         if (this.tabTitle) {
@@ -1030,6 +1263,9 @@ export const InventoryTableComponent = {
         },
         isDirty(newValue) {
             this.handleLockState(newValue);
+        },
+        'inventoryTableStore.conflictReport'(report) {
+            if (report) this.openConflictMergeModal(report);
         }
     },
     beforeUnmount() {
@@ -1052,6 +1288,12 @@ export const InventoryTableComponent = {
             if (this.inventoryTableStore) {
                 this.inventoryTableStore.setData(this.inventoryTableStore.originalData);
             }
+            if (this.unitStore) {
+                this.unitStore.setData(this.unitStore.originalData);
+            }
+            if (this.kitStore) {
+                this.kitStore.setData(this.kitStore.originalData);
+            }
             if (this.appContext?.navigateToPath) {
                 const viewPath = NavigationRegistry.buildPathWithCurrentParams(
                     this.containerPath,
@@ -1076,6 +1318,8 @@ export const InventoryTableComponent = {
                         { namespace: 'database', methodName: 'getData', args: ['INVENTORY', this.tabTitle] }
                     ], true);
                     this.inventoryTableStore?.load('Refreshing data...');
+                    this.unitStore?.load('Refreshing units...');
+                    this.kitStore?.load('Refreshing kits...');
                 },
                 null,
                 'Refresh Data',
@@ -1108,12 +1352,15 @@ export const InventoryTableComponent = {
             // positionData: { position: 'above'|'below', targetIndex: number }
             
             // Generate next item number
-            const nextItemNumber = await this.generateNextItemNumber();
+            const suggestedNumber = await this.generateNextItemNumber();
             
             // Show prompt modal
             this.$modal.custom(NewItemNumberPrompt, {
-                initialItemNumber: nextItemNumber,
+                initialItemNumber: suggestedNumber,
                 existingItems: this.inventoryTableStore?.data || [],
+                tabTitle: this.tabTitle,
+                indexData: this.indexData,
+                aliases: this.itemAliases,
                 onConfirm: (itemNumber) => {
                     this.addNewRow(itemNumber, positionData);
                 },
@@ -1123,16 +1370,29 @@ export const InventoryTableComponent = {
         
         async generateNextItemNumber() {
             const items = this.inventoryTableStore?.data || [];
-            
-            if (items.length === 0) {
-                return `${this.tabTitle}-001`;
-            }
-            
             const itemNumbers = items.map(item => item.itemNumber).filter(Boolean);
             
             // Try to detect pattern
             const pattern = this.detectNumberingPattern(itemNumbers);
             
+            // Issue the next free number of the category's INDEX prefix, preferring the one in use
+            const tabPrefixes = (this.indexData || []).filter(row => row.tab === this.tabTitle).map(row => row.prefix);
+            if (tabPrefixes.length > 0 && !hasCustomItemNumbers(this.tabTitle, this.indexData)) {
+                const usedPrefix = pattern?.prefix.replace(/-$/, '');
+                const prefix = tabPrefixes.includes(usedPrefix) ? usedPrefix : tabPrefixes[0];
+                try {
+                    const issued = await Requests.getNextItemNumber(prefix);
+                    // Rows added since the last save are not in the saved category yet
+                    return itemNumbers.includes(issued) ? nextItemNumber(prefix, [...itemNumbers, issued]) : issued;
+                } catch (error) {
+                    console.warn('[InventoryTable] Could not issue the next item number:', error);
+                }
+            }
+            
+            if (items.length === 0) {
+                return `${this.tabTitle}-001`;
+            }
+            
             if (pattern) {
                 return this.incrementPattern(pattern);
             }
@@ -1232,6 +1492,12 @@ export const InventoryTableComponent = {
         
         async handleSave() {
             if (!this.inventoryTableStore) return;
+            // Unit registry and kit edits apply immediately; only inventory rows can be scheduled
+            if (!this.inventoryTableStore.isModified) {
+                await this.saveUnits();
+                await this.saveKits();
+                return;
+            }
             const data = this.inventoryTableStore.data || [];
             const original = this.inventoryTableStore.originalData || [];
             const hasQtyChanges = data.some(row => {
@@ -1241,6 +1507,7 @@ export const InventoryTableComponent = {
             this.$modal.custom(InventorySaveModal, {
                 hasQtyChanges,
                 onConfirm: async (scheduledDate, note) => {
+                    this.lastSaveOptions = { scheduledDate, note };
                     await this.inventoryTableStore.save('Saving inventory...', { scheduledDate, note });
                     // After a scheduled (future) save the server keeps the original quantity and
                     // stores the change as a pending entry. The store's optimistic data still
@@ -1248,10 +1515,151 @@ export const InventoryTableComponent = {
                     if (scheduledDate > todayISOString()) {
                         await this.inventoryTableStore.load('Loading...');
                     }
+                    await this.saveUnits();
+                    await this.saveKits();
                 }
             }, 'Save Changes');
         },
 
+        async saveUnits() {
+            if (this.unitStore?.isModified) {
+                await this.unitStore.save('Saving units...');
+            }
+        },
+
+        getUnits(item) {
+            const data = this.unitStore?.data || [];
+            return data.filter(unit => unitKey(unit.itemNumber) === unitKey(item?.itemNumber));
+        },
+
+        hasUnitDetails(item) {
+            return this.getUnits(item).length > 0 || (this.allowEdit && this.tabMetaFlags.serialized);
+        },
+
+        addUnit(item) {
+            if (!this.unitStore || !item?.itemNumber) return;
+            const numbers = this.getUnits(item).map(unit => parseInt(unit.unit, 10)).filter(Number.isFinite);
+            this.unitStore.addRow({
+                itemNumber: item.itemNumber,
+                unit: String(numbers.length ? Math.max(...numbers) + 1 : 1),
+                serial: '',
+                variant: '',
+                condition: '',
+                notes: '',
+                edithistory: ''
+            });
+        },
+
+        removeUnit(unit) {
+            const index = this.unitStore?.data.indexOf(unit) ?? -1;
+            if (index !== -1) this.unitStore.data.splice(index, 1);
+        },
+
+        async saveKits() {
+            if (this.kitStore?.isModified) {
+                await this.kitStore.save('Saving kits...');
+            }
+        },
+
+        getKitComponents(item) {
+            const data = this.kitStore?.data || [];
+            return data.filter(component => unitKey(component.kit) === unitKey(item?.itemNumber));
+        },
+
+        addKitComponent(item) {
+            if (!this.kitStore || !item?.itemNumber) return;
+            this.kitStore.addRow({
+                kit: item.itemNumber,
+                itemNumber: '',
+                quantity: '1',
+                notes: '',
+                edithistory: ''
+            });
+        },
+
+        removeKitComponent(component) {
+            const index = this.kitStore?.data.indexOf(component) ?? -1;
+            if (index !== -1) this.kitStore.data.splice(index, 1);
+        },
+
+        canRenameItem(item) {
+            // Only saved items: a new row can simply be retyped
+            return this.allowEdit && !this.tabMetaFlags.hideItemNumber
+                && !!item?.itemNumber
+                && (this.inventoryTableStore?.originalData || []).some(row => row.itemNumber === item.itemNumber);
+        },
+
+        openRenameItem(item, mode) {
+            if (this.isDirty) {
+                this.$modal.alert('Save or discard your changes before renaming or merging items.', 'Rename Item');
+                return;
+            }
+            this.$modal.custom(ItemRenamePrompt, {
+                itemNumber: item.itemNumber,
+                mode,
+                existingItems: this.inventoryTableStore?.data || [],
+                tabTitle: this.tabTitle,
+                indexData: this.indexData,
+                aliases: this.itemAliases,
+                onConfirm: (target) => this.renameItem(item.itemNumber, target, mode)
+            }, mode === 'merge' ? `Merge ${item.itemNumber}` : `Rename ${item.itemNumber}`);
+        },
+
+        async renameItem(itemNumber, target, mode) {
+            try {
+                const result = mode === 'merge'
+                    ? await Requests.mergeItems(itemNumber, target)
+                    : await Requests.renumberItems([{ from: itemNumber, to: target }], { note: `rename ${itemNumber}`, itemAliases: true });
+                await Promise.all([
+                    this.inventoryTableStore?.load('Reloading inventory...'),
+                    this.unitStore?.load('Reloading units...'),
+                    this.kitStore?.load('Reloading kits...'),
+                    Requests.getItemAliases().then(aliases => { this.itemAliases = Array.isArray(aliases) ? aliases : []; })
+                ]);
+                const count = result.packlists.length;
+                this.$modal.alert(
+                    `${mode === 'merge' ? 'Merged' : 'Renamed'} ${itemNumber} ${mode === 'merge' ? 'into' : 'to'} ${target} and updated ${count} pack list${count === 1 ? '' : 's'}.`,
+                    mode === 'merge' ? 'Merge Item' : 'Rename Item'
+                );
+            } catch (error) {
+                console.error('[InventoryTable] Failed to rename item:', error);
+                this.$modal.error(`${mode === 'merge' ? 'Merge' : 'Rename'} failed: ${error.message}`, mode === 'merge' ? 'Merge Item' : 'Rename Item');
+            }
+        },
+
+        openConflictMergeModal(report) {
+            const store = this.inventoryTableStore;
+            this.$modal.custom(ConflictMergeModal, {
+                report,
+                describeColumn: (column) => this.columns.find(col => col.key === column)?.label || column,
+                onResolve: async (choices) => {
+                    report.rows.forEach((row, rowIndex) => {
+                        if (row.missing) {
+                            // Their edited row was deleted here; "theirs" restores it
+                            if (choices[rowIndex]?._row !== 'theirs') return;
+                            const markedIndex = store.data.findIndex(item => item.itemNumber === row.key);
+                            if (markedIndex !== -1) {
+                                store.markRowForDeletion(markedIndex, false);
+                                Object.assign(store.data[markedIndex], row.theirs);
+                            } else {
+                                store.addRow({ ...row.theirs });
+                            }
+                            return;
+                        }
+                        const target = store.data.find(item => item.itemNumber === row.key);
+                        if (!target) return;
+                        row.merged.forEach(({ column, value }) => { target[column] = value; });
+                        row.cells.forEach(cell => {
+                            if (choices[rowIndex]?.[cell.column] === 'theirs') target[cell.column] = cell.theirs;
+                        });
+                        // Carry their history forward so this save appends to it
+                        target.edithistory = row.edithistory;
+                    });
+                    await store.save('Saving inventory...', { ...this.lastSaveOptions, knownVersion: report.version });
+                }
+            }, 'Merge Changes');
+        },
+
         getPendingEntries(item) {
             const eh = item?.edithistory || item?.EditHistory;
             return EditHistoryUtils.getPendingEntries(eh);
@@ -1276,6 +1684,12 @@ export const InventoryTableComponent = {
             });
         },
 
+        getVariance(row) {
+            if (row.expected === null || row.expected === undefined) return null;
+            const variance = countVariances([row])[0];
+            return variance ? variance.variance : null;
+        },
+
         formatPendingDate(deciseconds) {
             return new Date(deciseconds * 100).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
         },
@@ -1299,6 +1713,25 @@ export const InventoryTableComponent = {
             if (this.appContext?.navigateToPath) {
                 this.appContext.navigateToPath(newPath);
             }
+        },
+        navigateToLabels() {
+            if (!this.tabTitle) return;
+            // Label the items the table is filtered to
+            const currentParams = NavigationRegistry.getParametersForContainer(
+                this.containerPath,
+                this.appContext?.currentPath
+            );
+            const newPath = NavigationRegistry.buildPath(`inventory/${this.tabTitle.toLowerCase()}/labels`, { searchTerm: currentParams.searchTerm });
+            this.appContext?.navigateToPath?.(newPath);
+        },
+        navigateToStockTake() {
+            if (!this.tabTitle) return;
+            this.appContext?.navigateToPath?.(NavigationRegistry.buildPath('inventory/stock-take', { categories: [this.tabTitle] }));
+        },
+
+        navigateToImport() {
+            if (!this.tabTitle) return;
+            this.appContext?.navigateToPath?.(NavigationRegistry.buildPath('inventory/import', { category: this.tabTitle }));
         }
     },
     template: html `
@@ -1313,7 +1746,7 @@ export const InventoryTableComponent = {
                 default-sort-column="itemNumber"
                 :isLoading="isLoading"
                 :error="error"
-                :showRefresh="true"
+                :showRefresh="!isCountMode"
                 :showSearch="true"
                 :showNewRowButton="allowEdit"
                 :sync-search-with-url="true"
@@ -1321,19 +1754,29 @@ export const InventoryTableComponent = {
                 :navigate-to-path="appContext.navigateToPath"
                 :newRow="allowEdit"
                 :external-dirty-state="isDirty"
-                :allowDetails="true"
+                :allowDetails="!isCountMode"
                 :forceDetails="editMode"
-                :rowDetailsVisible="row => getPendingEntries(row).length > 0"
+                :rowDetailsVisible="row => getPendingEntries(row).length > 0 || hasUnitDetails(row) || getKitComponents(row).length > 0"
                 emptyMessage="No inventory items found"
                 :loading-message="loadingMessage"
-                class="inventory-table-component mark-dirty"
+                :class="['inventory-table-component', isCountMode ? 'count-sheet' : 'mark-dirty']"
                 @refresh="handleRefresh"
                 @cell-edit="handleCellEdit"
                 @new-row="handleNewRow"
                 @on-save="handleSave"
             >
                 <template #header-area>
-                    <div class="button-bar" style="display: none;"></div>
+                    <div v-if="!isCountMode" class="button-bar">
+                        <button @click="navigateToImport" :disabled="isDirty" class="button-symbol white" title="Import Items">
+                            <span class="material-symbols-outlined">upload</span>
+                        </button>
+                        <button @click="navigateToStockTake" :disabled="isDirty" class="button-symbol white" title="Stock Take">
+                            <span class="material-symbols-outlined">checklist</span>
+                        </button>
+                        <button @click="navigateToLabels" :disabled="isDirty" class="button-symbol white" title="Print Item Labels">
+                            <span class="material-symbols-outlined">qr_code</span>
+                        </button>
+                    </div>
                 </template>
                 <template #default="{ row, column, rowIndex, cellRowIndex, cellColIndex }">
                     <ItemImageComponent 
@@ -1341,12 +1784,33 @@ export const InventoryTableComponent = {
                         :itemNumber="row.itemNumber"
                         :editable="true"
                     />
-                    <button
-                        v-else-if="column.key === '_navigate'"
-                        class="button-symbol purple"
-                        @click.stop="navigateToItemPage(row)"
-                        title="View item timeline"
-                    >☷</button>
+                    <input
+                        v-else-if="column.key === 'counted'"
+                        type="number"
+                        min="0"
+                        step="1"
+                        v-model.lazy="row.counted"
+                        :title="'Counted quantity of ' + row.itemNumber"
+                    />
+                    <span v-else-if="column.key === 'variance'">{{ getVariance(row) === null ? '' : (getVariance(row) > 0 ? '+' : '') + getVariance(row) }}</span>
+                    <div v-else-if="column.key === '_navigate'" class="button-bar">
+                        <button
+                            class="button-symbol purple"
+                            @click.stop="navigateToItemPage(row)"
+                            title="View item timeline"
+                        >☷</button>
+                        <template v-if="canRenameItem(row)">
+                            <button class="button-symbol white" @click.stop="addKitComponent(row)" title="Add a kit part: each one packed also takes its parts out of inventory">
+                                <span class="material-symbols-outlined">widgets</span>
+                            </button>
+                            <button class="button-symbol white" @click.stop="openRenameItem(row, 'rename')" :disabled="isDirty" title="Rename: change the item number everywhere it is used">
+                                <span class="material-symbols-outlined">edit</span>
+                            </button>
+                            <button class="button-symbol white" @click.stop="openRenameItem(row, 'merge')" :disabled="isDirty" title="Merge: combine this item with another item of the category">
+                                <span class="material-symbols-outlined">call_merge</span>
+                            </button>
+                        </template>
+                    </div>
                 </template>
                 <template #row-detail-rows="{ row }">
                     <tr
@@ -1361,6 +1825,63 @@ export const InventoryTableComponent = {
                         <td class="detail-value-cell">{{ entry.fields.description !== undefined ? entry.fields.description : '' }}</td>
                         <td class="detail-value-cell">{{ entry.fields.notes !== undefined ? entry.fields.notes : '' }}</td>
                     </tr>
+                    <tr
+                        v-for="(unit, unitIndex) in getUnits(row)"
+                        :key="'unit-' + unitIndex"
+                        class="detail-row-unit in-group"
+                    >
+                        <td colspan="2" class="detail-meta-cell">
+                            <template v-if="allowEdit">
+                                Unit <input v-model="unit.unit" size="3" title="Unit" />
+                                <input v-model="unit.variant" size="3" placeholder="Variant" title="Variant (A/B for doubles)" />
+                            </template>
+                            <strong v-else>Unit {{ unit.unit }}{{ unit.variant ? ' (' + unit.variant + ')' : '' }}</strong>
+                        </td>
+                        <td class="detail-value-cell">
+                            <input v-if="allowEdit" v-model="unit.condition" placeholder="Condition" title="Condition (retired, lost, broken or in repair units are not available)" />
+                            <span v-else>{{ unit.condition }}</span>
+                        </td>
+                        <td class="detail-value-cell">
+                            <input v-if="allowEdit" v-model="unit.serial" placeholder="Serial #" title="Serial #" />
+                            <span v-else>{{ unit.serial }}</span>
+                        </td>
+                        <td class="detail-value-cell">
+                            <input v-if="allowEdit" v-model="unit.notes" placeholder="Password / location notes" title="Notes" />
+                            <span v-else>{{ unit.notes }}</span>
+                        </td>
+                        <td>
+                            <button v-if="allowEdit" class="button-symbol red" @click.stop="removeUnit(unit)" title="Remove unit">✕</button>
+                        </td>
+                    </tr>
+                    <tr v-if="allowEdit && hasUnitDetails(row)" class="detail-row-unit in-group">
+                        <td colspan="2" class="detail-meta-cell">
+                            <button class="purple" @click.stop="addUnit(row)" title="Track a serialized unit or variant of this item">+ Unit</button>
+                        </td>
+                    </tr>
+                    <tr
+                        v-for="(component, componentIndex) in getKitComponents(row)"
+                        :key="'kit-' + componentIndex"
+                        class="detail-row-unit in-group"
+                    >
+                        <td colspan="2" class="detail-meta-cell">
+                            <template v-if="allowEdit">
+                                Kit part <input v-model.trim="component.itemNumber" size="10" placeholder="Item#" title="Component item number" />
+                            </template>
+                            <strong v-else>Kit part {{ component.itemNumber }}</strong>
+                        </td>
+                        <td class="detail-value-cell">
+                            <input v-if="allowEdit" v-model="component.quantity" type="number" min="1" step="1" title="Quantity in one kit" />
+                            <span v-else>× {{ component.quantity }}</span>
+                        </td>
+                        <td class="detail-value-cell">
+                            <input v-if="allowEdit" v-model="component.notes" placeholder="Notes" title="Notes" />
+                            <span v-else>{{ component.notes }}</span>
+                        </td>
+                        <td></td>
+                        <td>
+                            <button v-if="allowEdit" class="button-symbol red" @click.stop="removeKitComponent(component)" title="Remove kit part">✕</button>
+                        </td>
+                    </tr>
                 </template>
             </TableComponent>
         </slot>
@@ -0,0 +1,196 @@
+import { html, TableComponent, Requests, getReactiveStore, NavigationRegistry, invalidateCache, todayISOString, summarizeValuation, formatMoney } from '../../index.js';
+
+/**
+ * Inventory valuation report.
+ * One row per category (expand for its items) with replacement value, depreciated book value
+ * and depreciation as of a date, and company-wide totals above. Values come from the optional
+ * UNIT COST, PURCHASE DATE and USEFUL LIFE inventory columns.
+ */
+export const InventoryValuationReport = {
+    components: { TableComponent },
+    inject: ['appContext'],
+    props: {
+        containerPath: { type: String, default: '' },
+        navigateToPath: Function
+    },
+    data() {
+        return {
+            valuationStore: null,
+            asOfDate: todayISOString()
+        };
+    },
+    computed: {
+        reportPath() {
+            return this.containerPath || 'reports/valuation';
+        },
+
+        tableColumns() {
+            return [
+                { key: 'itemId', label: 'Category / Item#', sortable: true },
+                { key: 'description', label: 'Description', sortable: false },
+                { key: 'quantity', label: 'Qty', format: 'number', sortable: true },
+                { key: 'unitCost', label: 'Unit Cost', format: 'number', sortable: true },
+                { key: 'ageYears', label: 'Age (yrs)', format: 'number', sortable: true },
+                { key: 'replacementValue', label: 'Replacement', format: 'number', sortable: true },
+                { key: 'bookValue', label: 'Book Value', format: 'number', sortable: true },
+                { key: 'depreciation', label: 'Depreciation', format: 'number', sortable: true }
+            ];
+        },
+
+        rows() {
+            return Array.isArray(this.valuationStore?.data) ? this.valuationStore.data : [];
+        },
+
+        summary() {
+            return summarizeValuation(this.rows);
+        },
+
+        tableData() {
+            // Category totals as group masters, their items as members
+            const result = [];
+            this.summary.categories.forEach(category => {
+                const groupId = `valuation-${category.category}`;
+                result.push({
+                    itemId: category.category,
+                    description: category.uncostedCount > 0
+                        ? `${category.itemCount} items, ${category.uncostedCount} without a unit cost`
+                        : `${category.itemCount} items`,
+                    quantity: null,
+                    unitCost: null,
+                    ageYears: null,
+                    replacementValue: category.replacementValue,
+                    bookValue: category.bookValue,
+                    depreciation: category.depreciation,
+                    MetaData: JSON.stringify({ grouping: { groupId, isGroupMaster: true } })
+                });
+                this.rows
+                    .filter(row => row.category === category.category)
+                    .forEach(row => result.push({
+                        ...row,
+                        MetaData: JSON.stringify({ grouping: { groupId, isGroupMaster: false } })
+                    }));
+            });
+            return result;
+        },
+
+        isLoading() {
+            return this.valuationStore?.isLoading || false;
+        },
+
+        loadingMessage() {
+            return this.valuationStore?.loadingMessage || 'Loading inventory...';
+        },
+
+        loadingProgress() {
+            return this.isLoading ? (this.valuationStore?.loadingProgress ?? -1) : -1;
+        }
+    },
+    mounted() {
+        const params = NavigationRegistry.getParametersForContainer(this.reportPath, this.appContext?.currentPath);
+        if (params?.asOf) this.asOfDate = params.asOf;
+        this.initializeStore();
+    },
+    methods: {
+        initializeStore() {
+            this.valuationStore = getReactiveStore(Requests.getInventoryValuation, null, [this.asOfDate]);
+        },
+
+        handleDateChange(event) {
+            if (!event.target.value) return;
+            this.asOfDate = event.target.value;
+            this.initializeStore();
+            if (this.navigateToPath) {
+                this.navigateToPath(NavigationRegistry.buildPathWithCurrentParams(
+                    this.reportPath.split('?')[0],
+                    this.appContext?.currentPath,
+                    { asOf: this.asOfDate !== todayISOString() ? this.asOfDate : undefined }
+                ));
+            }
+        },
+
+        handleRefresh() {
+            invalidateCache([
+                { namespace: 'database', methodName: 'getData', args: ['INVENTORY'] },
+                { namespace: 'database', methodName: 'getTabs', args: ['INVENTORY'] }
+            ]);
+            this.initializeStore();
+        },
+
+        formatMoney,
+
+        handlePrint() {
+            window.print();
+        }
+    },
+    template: html`
+        <div>
+            <!-- Print-only Header -->
+            <div class="print-header">
+                <img src="assets/logo.png" alt="Top Shelf Exhibits Logo" class="print-logo" />
+                <h1>Inventory Valuation as of {{ asOfDate }}</h1>
+                <span class="page-number"></span>
+            </div>
+
+            <div v-if="valuationStore && valuationStore.error" class="card red">{{ valuationStore.error }}</div>
+
+            <div v-if="!isLoading && rows.length > 0" class="details-grid">
+                <div class="detail-item">
+                    <label>Replacement value:</label>
+                    <span>{{ formatMoney(summary.totals.replacementValue) }}</span>
+                </div>
+                <div class="detail-item">
+                    <label>Book value:</label>
+                    <span>{{ formatMoney(summary.totals.bookValue) }}</span>
+                </div>
+                <div class="detail-item">
+                    <label>Depreciation:</label>
+                    <span>{{ formatMoney(summary.totals.depreciation) }}</span>
+                </div>
+                <div class="detail-item">
+                    <label>Without a unit cost:</label>
+                    <span>{{ summary.totals.uncostedCount }} of {{ summary.totals.itemCount }} items</span>
+                </div>
+            </div>
+
+            <TableComponent
+                theme="blue"
+                :data="tableData"
+                :columns="tableColumns"
+                :hide-group-members="true"
+                :show-search="true"
+                :sync-search-with-url="true"
+                :container-path="reportPath"
+                :navigate-to-path="navigateToPath"
+                :hide-rows-on-search="false"
+                :readonly="true"
+                :allowDetails="false"
+                :is-loading="isLoading"
+                :loading-message="loadingMessage"
+                :loading-progress="loadingProgress"
+                empty-message="No inventory found"
+                @refresh="handleRefresh"
+            >
+                <template #header-area>
+                    <div class="button-bar">
+                        <label>
+                            As of
+                            <input type="date" :value="asOfDate" @change="handleDateChange" />
+                        </label>
+                        <button @click="handlePrint" :disabled="isLoading" class="button-symbol white" title="Print Valuation Report">
+                            <span class="material-symbols-outlined">print</span>
+                        </button>
+                    </div>
+                </template>
+
+                <template #default="{ row, column }">
+                    <slot v-if="['unitCost', 'replacementValue', 'bookValue', 'depreciation'].includes(column.key)">
+                        {{ row[column.key] === null || row[column.key] === undefined || (column.key !== 'unitCost' && row.costed === false) ? '—' : formatMoney(row[column.key], column.key === 'unitCost' ? 2 : 0) }}
+                    </slot>
+                    <div v-else>
+                        {{ row[column.key] !== null && row[column.key] !== undefined && row[column.key] !== '' ? row[column.key] : '—' }}
+                    </div>
+                </template>
+            </TableComponent>
+        </div>
+    `
+};
@@ -0,0 +1,280 @@
+import { html, Requests, NavigationRegistry } from '../../index.js';
+import { URLRouter } from '../../utils/urlRouter.js';
+
+/**
+ * QR code for a label as an SVG string. Uses the qrcode-generator script loaded by index.html;
+ * returns '' if it is not available (the label still prints its link text).
+ * @param {string} text
+ * @returns {string}
+ */
+function qrSvg(text) {
+    if (typeof window.qrcode !== 'function' || !text) return '';
+    try {
+        const qr = window.qrcode(0, 'M');
+        qr.addData(text);
+        qr.make();
+        return qr.createSvgTag({ cellSize: 4, margin: 0, scalable: true });
+    } catch (error) {
+        console.error('[LabelSheet] Failed to build QR code:', error);
+        return '';
+    }
+}
+
+function _dimension(value) {
+    return String(value ?? '').trim();
+}
+
+/**
+ * Printable sheet of labels, each with a QR code linking back into the app
+ * Labels: [{ key, link, heading, title, lines: [string] }]
+ */
+export const LabelSheet = {
+    props: {
+        labels: { type: Array, default: () => [] },
+        isLoading: { type: Boolean, default: false },
+        error: { type: String, default: null },
+        emptyMessage: { type: String, default: 'Nothing to label' }
+    },
+    methods: {
+        qrSvg,
+        print() {
+            window.print();
+        }
+    },
+    template: html`
+        <div class="label-sheet-view">
+            <div class="button-bar">
+                <slot name="controls"></slot>
+                <button @click="print" :disabled="isLoading || labels.length === 0" class="button-symbol white" title="Print Labels">
+                    <span class="material-symbols-outlined">print</span>
+                </button>
+            </div>
+            <div v-if="error" class="card red">{{ error }}</div>
+            <div v-else-if="isLoading" class="card">Preparing labels...</div>
+            <div v-else-if="labels.length === 0" class="card">{{ emptyMessage }}</div>
+            <div v-else class="label-sheet">
+                <div v-for="label in labels" :key="label.key" class="label">
+                    <div class="label-qr" v-html="qrSvg(label.link)"></div>
+                    <div class="label-text">
+                        <strong class="label-heading">{{ label.heading }}</strong>
+                        <span class="label-title">{{ label.title }}</span>
+                        <span v-for="(line, index) in label.lines" :key="index">{{ line }}</span>
+                    </div>
+                </div>
+            </div>
+        </div>
+    `
+};
+
+/**
+ * Crate labels for a pack list (packlist/<name>/labels): show, crate number, type, dimensions
+ * and weight, with a QR code that opens the pack list at that crate.
+ */
+export const PacklistLabels = {
+    components: { LabelSheet },
+    props: {
+        tabName: { type: String, required: true }
+    },
+    data() {
+        return {
+            labels: [],
+            isLoading: true,
+            error: null
+        };
+    },
+    async mounted() {
+        try {
+            const crates = await Requests.getPackList(this.tabName);
+            const paths = (crates || []).map((crate, index) => NavigationRegistry.buildPath(`packlist/${this.tabName}`, { crate: index + 1 }));
+            const links = await URLRouter.createShortUrls(paths);
+            this.labels = (crates || []).map((crate, index) => {
+                const dims = ['L', 'W', 'H'].map(key => _dimension(crate[key]));
+                const weight = _dimension(crate.Weight);
+                return {
+                    key: paths[index],
+                    link: links[paths[index]],
+                    heading: `Crate ${index + 1} of ${crates.length}`,
+                    title: this.tabName,
+                    lines: [
+                        _dimension(crate.Type),
+                        dims.every(Boolean) ? `${dims.join(' × ')} in` : '',
+                        weight ? `${weight} lb` : ''
+                    ].filter(Boolean)
+                };
+            });
+        } catch (error) {
+            console.error('Error preparing crate labels:', error);
+            this.error = `Failed to prepare labels: ${error.message}`;
+        } finally {
+            this.isLoading = false;
+        }
+    },
+    template: html`
+        <LabelSheet :labels="labels" :is-loading="isLoading" :error="error" empty-message="This pack list has no crates" />
+    `
+};
+
+/**
+ * Item labels for an inventory category (inventory/<category>/labels), optionally one per
+ * registered unit. The QR code opens the category filtered to the item.
+ */
+export const InventoryLabels = {
+    components: { LabelSheet },
+    props: {
+        tabTitle: { type: String, required: true },
+        containerPath: { type: String, default: '' }
+    },
+    inject: ['appContext'],
+    data() {
+        return {
+            items: [],
+            units: [],
+            filter: '',
+            perUnit: false,
+            labels: [],
+            isLoading: true,
+            error: null
+        };
+    },
+    computed: {
+        filteredItems() {
+            const words = this.filter.toLowerCase().split(/\s+/).filter(Boolean);
+            return this.items.filter(item => {
+                const text = `${item.itemNumber} ${item.description || ''}`.toLowerCase();
+                return words.every(word => text.includes(word));
+            });
+        }
+    },
+    watch: {
+        filteredItems() {
+            this.buildLabels();
+        },
+        perUnit() {
+            this.buildLabels();
+        }
+    },
+    async mounted() {
+        const params = NavigationRegistry.getParametersForContainer(this.containerPath, this.appContext?.currentPath);
+        this.filter = params?.searchTerm || '';
+        try {
+            const [items, units] = await Promise.all([
+                Requests.getInventoryTabData(this.tabTitle),
+                Requests.getUnitRegistry(this.tabTitle)
+            ]);
+            this.units = units || [];
+            this.items = (items || []).filter(item => String(item.itemNumber ?? '').trim() !== '');
+        } catch (error) {
+            console.error('Error loading items for labels:', error);
+            this.error = `Failed to load items: ${error.message}`;
+            this.isLoading = false;
+        }
+    },
+    methods: {
+        async buildLabels() {
+            this.isLoading = true;
+            try {
+                const items = this.filteredItems;
+                const itemPath = (item) => NavigationRegistry.buildPath(`inventory/${this.tabTitle.toLowerCase()}`, { searchTerm: item.itemNumber });
+                const links = await URLRouter.createShortUrls(items.map(itemPath));
+                const labels = [];
+                items.forEach(item => {
+                    const link = links[itemPath(item)];
+                    const itemUnits = this.perUnit ? this.units.filter(unit => unit.itemNumber === item.itemNumber) : [];
+                    if (itemUnits.length === 0) {
+                        labels.push({ key: item.itemNumber, link, heading: item.itemNumber, title: item.description || '', lines: [this.tabTitle] });
+                        return;
+                    }
+                    itemUnits.forEach(unit => {
+                        labels.push({
+                            key: `${item.itemNumber}/${unit.unit}`,
+                            link,
+                            heading: `${item.itemNumber} · Unit ${unit.unit}`,
+                            title: item.description || '',
+                            lines: [unit.serial ? `S/N ${unit.serial}` : '', unit.variant ? `Variant ${unit.variant}` : ''].filter(Boolean)
+                        });
+                    });
+                });
+                this.labels = labels;
+                this.error = null;
+            } catch (error) {
+                console.error('Error preparing item labels:', error);
+                this.error = `Failed to prepare labels: ${error.message}`;
+            } finally {
+                this.isLoading = false;
+            }
+        }
+    },
+    template: html`
+        <LabelSheet :labels="labels" :is-loading="isLoading" :error="error" empty-message="No items match">
+            <template #controls>
+                <input type="text" v-model.lazy="filter" placeholder="Filter items" />
+                <label v-if="units.length > 0">
+                    <input type="checkbox" v-model="perUnit" /> One label per unit
+                </label>
+            </template>
+        </LabelSheet>
+    `
+};
+
+/**
+ * Scan route (packlist/scan): a crate or item label's QR code typed, pasted or read in by a
+ * handheld scanner opens the pack list at that crate, or the item.
+ */
+export const LabelScan = {
+    emits: ['navigate-to-path'],
+    data() {
+        return {
+            payload: '',
+            isResolving: false,
+            error: null
+        };
+    },
+    mounted() {
+        this.$refs.scanInput?.focus();
+    },
+    methods: {
+        async resolve() {
+            if (!this.payload.trim()) return;
+            this.isResolving = true;
+            this.error = null;
+            try {
+                const path = await URLRouter.resolveScannedText(this.payload);
+                if (!path) {
+                    this.error = `"${this.payload.trim()}" is not a label from this app.`;
+                    return;
+                }
+                this.payload = '';
+                this.$emit('navigate-to-path', path);
+            } catch (error) {
+                console.error('Error resolving scanned label:', error);
+                this.error = `Failed to look up the label: ${error.message}`;
+            } finally {
+                this.isResolving = false;
+            }
+        }
+    },
+    template: html`
+        <div class="content">
+            <div class="card">
+                <p>Scan a crate or item label, or type or paste its link or short code.</p>
+                <div class="form-group">
+                    <input
+                        ref="scanInput"
+                        type="text"
+                        v-model="payload"
+                        @keyup.enter="resolve"
+                        :disabled="isResolving"
+                        placeholder="e.g. go:1gx"
+                        autocomplete="off"
+                    />
+                </div>
+                <div class="button-bar">
+                    <button @click="resolve" :disabled="isResolving || !payload.trim()" class="purple">
+                        {{ isResolving ? 'Looking up...' : 'Open' }}
+                    </button>
+                </div>
+            </div>
+            <div v-if="error" class="card red">{{ error }}</div>
+        </div>
+    `
+};
@@ -1,8 +1,17 @@
-import { Requests, html, hamburgerMenuRegistry, PacklistTable, CardsComponent, NavigationRegistry, DashboardToggleComponent, getReactiveStore, findMatchingStores, createAnalysisConfig, generateStoreKey, authState, ScheduleFilterSelect, invalidateCache, Priority } from '../../index.js';
+import { Requests, html, hamburgerMenuRegistry, PacklistTable, CardsComponent, NavigationRegistry, DashboardToggleComponent, getReactiveStore, findMatchingStores, createAnalysisConfig, generateStoreKey, authState, ScheduleFilterSelect, invalidateCache, Priority, formatShipmentTotals } from '../../index.js';
 import { normalizeFilterValues } from '../../../data_management/utils/helpers.js';
 import { PacklistItemsSummary } from './PacklistItemsSummary.js';
 import { ScheduleTableComponent } from './ScheduleTable.js';
 import { PacklistTableMenuComponent } from './PacklistTable.js';
+import { PacklistRulesEditor } from './PacklistRulesEditor.js';
+import { CrateCatalogEditor } from './CrateCatalogEditor.js';
+import { PacklistTemplatePicker, PacklistTemplateLibrary, SaveAsTemplateModal } from './PacklistTemplates.js';
+import { PacklistDiffModal } from './PacklistDiff.js';
+import { PacklistWarehouse } from './PacklistWarehouse.js';
+import { PacklistLabels, LabelScan } from './LabelSheet.js';
+
+// Route segments under packlist/ that are pages rather than pack list names
+const RESERVED_SEGMENTS = ['pins', 'templates', 'scan'];
 
 export const PacklistMenuComponent = {
     props: {
@@ -34,8 +43,10 @@ export const PacklistMenuComponent = {
             switch (this.currentView) {
                 default:
                     // Show duplicate option only when viewing a specific packlist (not on reserved pages like pins)
-                    if (this.isViewingSpecificPacklist && this.currentPacklistName !== 'pins') {
+                    if (this.isViewingSpecificPacklist && !RESERVED_SEGMENTS.includes(this.currentPacklistName)) {
                         items.push({ label: 'Duplicate This Packlist', action: 'duplicatePacklist' });
+                        items.push({ label: 'Save as Template', action: 'saveAsTemplate' });
+                        items.push({ label: 'Compare Versions', action: 'comparePacklist' });
                     }
                     
                     items.push(
@@ -59,6 +70,12 @@ export const PacklistMenuComponent = {
                 case 'duplicatePacklist':
                     this.openDuplicatePacklistModal();
                     break;
+                case 'saveAsTemplate':
+                    this.openSaveAsTemplateModal();
+                    break;
+                case 'comparePacklist':
+                    this.openComparePacklistModal();
+                    break;
                 // case 'help': // Placeholder - not yet implemented
                 //     this.$modal.alert('Packlist help functionality coming soon!', 'Info');
                 //     break;
@@ -75,7 +92,8 @@ export const PacklistMenuComponent = {
             const CreatePacklistModalContent = {
                 components: {
                     'schedule-table': ScheduleTableComponent,
-                    'ScheduleFilterSelect': ScheduleFilterSelect
+                    'ScheduleFilterSelect': ScheduleFilterSelect,
+                    'PacklistTemplatePicker': PacklistTemplatePicker
                 },
                 props: {
                     navigateToPath: Function,
@@ -87,7 +105,8 @@ export const PacklistMenuComponent = {
                 emits: ['close-modal'],
                 data() {
                     return {
-                        filter: null
+                        filter: null,
+                        selectedTemplate: this.templateName
                     };
                 },
                 computed: {
@@ -167,11 +186,12 @@ export const PacklistMenuComponent = {
                         <p style="margin-bottom: 1rem;">
                             Search for a show and click "Create Packlist" to create a new pack list.
                         </p>
+                        <PacklistTemplatePicker v-if="templateName === '_TEMPLATE'" v-model="selectedTemplate" />
                         <schedule-table
                             :filter="dateFilter"
                             :search-params="tableSearchParams"
                             :hide-rows-on-search="true"
-                            :template-name="templateName"
+                            :template-name="selectedTemplate"
                             @navigate-to-path="handleNavigateToPath"
                             @packlist-created="handlePacklistCreated"
                         >
@@ -203,6 +223,9 @@ export const PacklistMenuComponent = {
             const parentNavigateToPath = this.navigateToPath;
             
             const CustomPacklistModalContent = {
+                components: {
+                    'PacklistTemplatePicker': PacklistTemplatePicker
+                },
                 inject: ['$modal'],
                 props: {
                     navigateToPath: Function,
@@ -215,7 +238,8 @@ export const PacklistMenuComponent = {
                 data() {
                     return {
                         packlistName: '',
-                        isCreating: false
+                        isCreating: false,
+                        selectedTemplate: this.templateName
                     };
                 },
                 methods: {
@@ -230,7 +254,7 @@ export const PacklistMenuComponent = {
                         this.isCreating = true;
                         try {
                             // Create the tab from template
-                            await Requests.createNewTab('PACK_LISTS', this.templateName, name);
+                            await Requests.createNewTab('PACK_LISTS', this.selectedTemplate, name);
                             
                             // Close modal
                             this.$emit('close-modal');
@@ -258,6 +282,7 @@ export const PacklistMenuComponent = {
                         <div v-else class="card">
                             <p><strong>Duplicating:</strong> {{ templateName }}</p>
                         </div>
+                        <PacklistTemplatePicker v-if="templateName === '_TEMPLATE'" v-model="selectedTemplate" />
                         <div style="margin-bottom: 1rem;">
                             <label for="packlistNameInput" style="display: block; margin-bottom: 0.5rem; font-weight: bold;">
                                 {{ templateName === '_TEMPLATE' ? 'Packlist Name:' : 'New Packlist Name:' }}
@@ -290,6 +315,35 @@ export const PacklistMenuComponent = {
                 templateName === '_TEMPLATE' ? 'Create Custom Packlist' : 'Duplicate As Custom Packlist'
             );
         },
+        openSaveAsTemplateModal() {
+            // Close the hamburger menu modal first
+            this.$emit('close-modal');
+
+            const parentNavigateToPath = this.navigateToPath;
+            this.$modal.custom(
+                SaveAsTemplateModal,
+                {
+                    modalClass: 'reading-menu',
+                    sourceTab: this.currentPacklistName,
+                    onCreated: () => parentNavigateToPath?.('packlist/templates')
+                },
+                'Save as Template'
+            );
+        },
+        openComparePacklistModal() {
+            // Close the hamburger menu modal first
+            this.$emit('close-modal');
+
+            this.$modal.custom(
+                PacklistDiffModal,
+                {
+                    modalClass: 'reading-menu',
+                    tabName: this.currentPacklistName,
+                    navigateToPath: this.navigateToPath
+                },
+                `Compare ${this.currentPacklistName}`
+            );
+        },
         openDuplicatePacklistModal() {
             // Close the hamburger menu modal first
             this.$emit('close-modal');
@@ -381,7 +435,7 @@ const PacklistPinToggleComponent = {
         currentPacklistName() {
             if (!this.containerPath) return null;
             const segments = this.containerPath.split('?')[0].split('/').filter(Boolean);
-            return (segments[0] === 'packlist' && segments[1] && segments[1] !== 'pins')
+            return (segments[0] === 'packlist' && segments[1] && !RESERVED_SEGMENTS.includes(segments[1]))
                 ? segments[1]
                 : null;
         },
@@ -418,6 +472,12 @@ export const PacklistContent = {
         'packlist-table': PacklistTable,
         'cards-grid': CardsComponent,
         'PacklistItemsSummary': PacklistItemsSummary,
+        'PacklistWarehouse': PacklistWarehouse,
+        'PacklistLabels': PacklistLabels,
+        'LabelScan': LabelScan,
+        'PacklistRulesEditor': PacklistRulesEditor,
+        'PacklistTemplateLibrary': PacklistTemplateLibrary,
+        'CrateCatalogEditor': CrateCatalogEditor,
         'ScheduleFilterSelect': ScheduleFilterSelect
     },
     props: {
@@ -453,7 +513,7 @@ export const PacklistContent = {
             return 'packlist';
         },
         currentPacklist() {
-            // Handle direct packlist access: packlist/{name} or packlist/{name}/details or packlist/{name}/edit
+            // Handle direct packlist access: packlist/{name}, packlist/{name}/details, packlist/{name}/warehouse, packlist/{name}/labels or packlist/{name}/edit
             // pathSegments[0] = 'packlist', pathSegments[1] = packlist identifier, pathSegments[2] = 'details' or 'edit' (optional)
             return this.pathSegments[1] || '';
         },
@@ -461,9 +521,25 @@ export const PacklistContent = {
             // Check if we're viewing the details subview
             return this.pathSegments[2] === 'details';
         },
+        // packlist/{name}/warehouse: pack/load/return check-off
+        isWarehouseView() {
+            return this.pathSegments[2] === 'warehouse';
+        },
+        // packlist/{name}/labels: printable crate labels
+        isLabelsView() {
+            return this.pathSegments[2] === 'labels';
+        },
         // Determine if we're viewing a specific packlist
         isViewingPacklist() {
-            return !!this.currentPacklist && this.currentPacklist !== 'packlist' && this.currentPacklist !== 'pins';
+            return !!this.currentPacklist && this.currentPacklist !== 'packlist' && !RESERVED_SEGMENTS.includes(this.currentPacklist);
+        },
+        // packlist/templates: pack list automation (generation rules)
+        isTemplatesPage() {
+            return this.pathSegments[1] === 'templates';
+        },
+        // packlist/scan: open a crate or item from its label
+        isScanPage() {
+            return this.pathSegments[1] === 'scan';
         },
         // Check if we're viewing pinned cards based on URL
         showPinnedOnly() {
@@ -530,7 +606,7 @@ export const PacklistContent = {
         // Watch for route changes to resolve packlist identifier
         currentPacklist: {
             handler(newVal, oldVal) {
-                if (newVal && newVal !== 'packlist' && newVal !== 'pins' && newVal !== oldVal) {
+                if (newVal && newVal !== 'packlist' && !RESERVED_SEGMENTS.includes(newVal) && newVal !== oldVal) {
                     this.resolvePacklistIdentifier(newVal);
                 }
             },
@@ -581,6 +657,10 @@ export const PacklistContent = {
                 templates: {
                     displayName: 'Automation',
                     dashboardTitle: 'Pack List Automation',
+                },
+                scan: {
+                    displayName: 'Scan Label',
+                    dashboardTitle: 'Scan Label',
                 }
             }
         });
@@ -674,6 +754,18 @@ export const PacklistContent = {
                     false,
                     false // nonessential
                 ),
+                createAnalysisConfig(
+                    Requests.getShipmentSummary,
+                    'shipment',
+                    'Totaling shipments...',
+                    ['title'], // Use title as the source (project identifier)
+                    [],
+                    'shipment', // Store shipment totals in 'shipment' column
+                    false,
+                    Priority.ANALYSIS,
+                    false,
+                    false // nonessential
+                ),
                 createAnalysisConfig(
                     Requests.getShowDetails,
                     'showDetails',
@@ -796,12 +888,20 @@ export const PacklistContent = {
                 content = description;
             }
 
+            // Add shipment totals after description
+            const shipment = formatShipmentTotals(tab.shipment);
+            if (shipment) {
+                content = content ? `${content}<br>${shipment}` : shipment;
+            }
+
             const shipDate = tab.showDetails?.Ship || null;
 
             return {
                 id: tab.sheetId,
                 title: tab.title,
                 shipDate,
+                totalWeight: tab.shipment?.totalWeight || null,
+                linearFeet: tab.shipment?.linearFeet || null,
                 content: content,
                 cardClass: cardClass,
                 contentFooter: contentFooter,
@@ -1146,8 +1246,19 @@ export const PacklistContent = {
     },
     template: html `
         <slot>
+            <template v-if="isTemplatesPage">
+                <PacklistTemplateLibrary :navigate-to-path="navigateToPath" />
+                <PacklistRulesEditor
+                    :container-path="containerPath"
+                    :navigate-to-path="navigateToPath"
+                />
+                <CrateCatalogEditor />
+            </template>
+
+            <LabelScan v-else-if="isScanPage" @navigate-to-path="navigateToPath" />
+
             <cards-grid
-                v-if="!isViewingPacklist"
+                v-else-if="!isViewingPacklist"
                 :show-header="true"
                 :show-search="true"
                 :show-sort="true"
@@ -1158,7 +1269,9 @@ export const PacklistContent = {
                 :items="availablePacklists"
                 :sort-columns="[
                     { key: 'title', label: 'Title', type: 'string', sortable: true },
-                    { key: 'shipDate', label: 'Ship Date', type: 'date', sortable: true }
+                    { key: 'shipDate', label: 'Ship Date', type: 'date', sortable: true },
+                    { key: 'totalWeight', label: 'Weight', type: 'number', sortable: true },
+                    { key: 'linearFeet', label: 'Linear Feet', type: 'number', sortable: true }
                 ]"
                 default-sort-column="title"
                 :on-item-click="handlePacklistSelect"
@@ -1187,6 +1300,7 @@ export const PacklistContent = {
                             @search-selected="handleSearchSelected"
                         />
                         <button v-if="!showPinnedOnly" @click="togglePinnedView" class="button-symbol" title="show pinned and unsaved packlists"><span class="material-symbols-outlined">keep</span></button>
+                        <button v-if="!showPinnedOnly" @click="navigateToPath('packlist/scan')" class="button-symbol" title="Scan a crate or item label"><span class="material-symbols-outlined">qr_code_scanner</span></button>
                         <div v-if="showPinnedOnly" class='card' style="white-space: nowrap; padding: var(--padding-sm) var(--padding-md);">showing pinned or unsaved packlists</div>
                         <button v-if="showPinnedOnly" @click="togglePinnedView" class="small">Back</button>
                     </div>
@@ -1210,7 +1324,7 @@ export const PacklistContent = {
             <!-- Individual Packlist View (Read-only or Edit mode) - only render after verification -->
             <packlist-table 
                 ref="packlistTable"
-                v-else-if="!isDetailsView && resolvedTabName"
+                v-else-if="!isDetailsView && !isWarehouseView && !isLabelsView && resolvedTabName"
                 :tab-name="resolvedTabName"
                 :container-path="containerPath"
                 @navigate-to-path="navigateToPath"
@@ -1223,6 +1337,20 @@ export const PacklistContent = {
                 :container-path="containerPath"
                 @navigate-to-path="navigateToPath"
             />
+
+            <!-- Crate labels - only after verification -->
+            <PacklistLabels
+                v-else-if="isLabelsView && resolvedTabName"
+                :tab-name="resolvedTabName"
+            />
+
+            <!-- Warehouse check-off view - only after verification -->
+            <PacklistWarehouse
+                v-else-if="isWarehouseView && resolvedTabName"
+                :tab-name="resolvedTabName"
+                :container-path="containerPath"
+                @navigate-to-path="navigateToPath"
+            />
         </slot>
     `
 };
\ No newline at end of file
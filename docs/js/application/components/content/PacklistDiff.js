@@ -0,0 +1,177 @@
+import { html, Requests, parseDate, toISODateString } from '../../index.js';
+
+/**
+ * Compare a pack list with its own state on a past date (e.g. when it went to ops) or with
+ * another pack list (e.g. last year's show). Opened from the packlist hamburger menu.
+ */
+export const PacklistDiffModal = {
+    props: {
+        tabName: { type: String, required: true },
+        navigateToPath: Function
+    },
+    emits: ['close-modal'],
+    data() {
+        return {
+            mode: 'date',
+            date: '',
+            dateHint: '',
+            otherTab: '',
+            packlists: [],
+            result: null,
+            comparedLabel: '',
+            isComparing: false,
+            error: null
+        };
+    },
+    computed: {
+        canCompare() {
+            return this.mode === 'date' ? !!this.date : !!this.otherTab && this.otherTab !== this.tabName;
+        },
+        itemsAdded() {
+            return (this.result?.items || []).filter(item => item.status === 'added');
+        },
+        itemsRemoved() {
+            return (this.result?.items || []).filter(item => item.status === 'removed');
+        },
+        itemsChanged() {
+            return (this.result?.items || []).filter(item => item.status === 'changed');
+        },
+        hasChanges() {
+            return !!this.result && (this.result.crates.length > 0 || this.result.items.length > 0);
+        }
+    },
+    async mounted() {
+        try {
+            const [details, packlists] = await Promise.all([
+                Requests.getShowDetails(this.tabName),
+                Requests.getPacklists({ type: 'show-all' })
+            ]);
+            this.packlists = (packlists || []).map(tab => tab.title).filter(title => title !== this.tabName).sort();
+
+            // Default the date to when the pack list went to ops, if the schedule has one
+            const sentToOps = parseDate(details?.['PL to OPS'], true, details?.Year);
+            if (sentToOps) {
+                this.date = toISODateString(sentToOps);
+                this.dateHint = 'PL to OPS date from the schedule';
+            }
+
+            // Default the other pack list to the same show a year earlier
+            const lastYear = this.tabName.replace(/\b(20\d\d)\b/, year => String(Number(year) - 1));
+            if (lastYear !== this.tabName && this.packlists.includes(lastYear)) {
+                this.otherTab = lastYear;
+            }
+        } catch (error) {
+            console.error('Error loading packlist comparison options:', error);
+        }
+    },
+    methods: {
+        async compare() {
+            if (!this.canCompare) return;
+            this.isComparing = true;
+            this.error = null;
+            this.result = null;
+            try {
+                if (this.mode === 'date') {
+                    this.result = await Requests.diffPacklists(this.tabName, this.tabName, this.date);
+                    this.comparedLabel = `${this.tabName} on ${this.date}`;
+                } else {
+                    this.result = await Requests.diffPacklists(this.otherTab, this.tabName);
+                    this.comparedLabel = this.otherTab;
+                }
+            } catch (error) {
+                console.error('Error comparing packlists:', error);
+                this.error = `Failed to compare: ${error.message}`;
+            } finally {
+                this.isComparing = false;
+            }
+        },
+        formatCrates(crates) {
+            return crates.length > 0 ? crates.join(', ') : '—';
+        },
+        openPacklist(title) {
+            this.$emit('close-modal');
+            this.navigateToPath?.(`packlist/${title}`);
+        }
+    },
+    template: html`
+        <div class="content">
+            <div class="button-bar">
+                <button @click="mode = 'date'; result = null" :class="mode === 'date' ? 'purple' : 'white'">Since a date</button>
+                <button @click="mode = 'packlist'; result = null" :class="mode === 'packlist' ? 'purple' : 'white'">Against another pack list</button>
+            </div>
+            <div v-if="mode === 'date'" class="form-group">
+                <label>Compare with this pack list as of</label>
+                <input type="date" v-model="date" />
+                <span v-if="dateHint" class="helper-text">{{ dateHint }}</span>
+                <span v-else class="helper-text">Rebuilt from the rows' edit history</span>
+            </div>
+            <div v-else class="form-group">
+                <label>Compare with</label>
+                <select v-model="otherTab" style="width: 100%; padding: 0.5rem;">
+                    <option value="">Select a pack list</option>
+                    <option v-for="title in packlists" :key="title" :value="title">{{ title }}</option>
+                </select>
+            </div>
+            <div class="button-bar">
+                <button @click="compare" :disabled="!canCompare || isComparing" class="purple">
+                    {{ isComparing ? 'Comparing...' : 'Compare' }}
+                </button>
+                <button v-if="mode === 'packlist' && otherTab" @click="openPacklist(otherTab)" class="white">Open {{ otherTab }}</button>
+            </div>
+
+            <div v-if="error" class="card red">{{ error }}</div>
+            <div v-else-if="result && !hasChanges" class="card green">No differences from {{ comparedLabel }}.</div>
+            <template v-else-if="result">
+                <p class="helper-text">Changes from {{ comparedLabel }} to {{ tabName }}</p>
+
+                <div v-if="result.crates.length > 0" class="card">
+                    <h4>Crates</h4>
+                    <ul>
+                        <li v-for="crate in result.crates" :key="crate.status + crate.piece">
+                            <strong>{{ crate.piece }}</strong>
+                            <span v-if="crate.status === 'added'"> added</span>
+                            <span v-else-if="crate.status === 'removed'"> removed</span>
+                            <span v-else>
+                                <span v-for="change in crate.changes" :key="change.column">
+                                    · {{ change.column }} {{ change.from || '—' }} → {{ change.to || '—' }}
+                                </span>
+                            </span>
+                        </li>
+                    </ul>
+                </div>
+
+                <div v-if="itemsAdded.length > 0" class="card green">
+                    <h4>Added</h4>
+                    <ul>
+                        <li v-for="item in itemsAdded" :key="'added-' + (item.itemNumber || item.description)">
+                            {{ item.toQuantity }} × {{ item.itemNumber || item.description }}
+                            <span class="helper-text">in {{ formatCrates(item.toCrates) }}</span>
+                        </li>
+                    </ul>
+                </div>
+
+                <div v-if="itemsRemoved.length > 0" class="card red">
+                    <h4>Removed</h4>
+                    <ul>
+                        <li v-for="item in itemsRemoved" :key="'removed-' + (item.itemNumber || item.description)">
+                            {{ item.fromQuantity }} × {{ item.itemNumber || item.description }}
+                            <span class="helper-text">was in {{ formatCrates(item.fromCrates) }}</span>
+                        </li>
+                    </ul>
+                </div>
+
+                <div v-if="itemsChanged.length > 0" class="card yellow">
+                    <h4>Changed</h4>
+                    <ul>
+                        <li v-for="item in itemsChanged" :key="'changed-' + (item.itemNumber || item.description)">
+                            {{ item.itemNumber || item.description }}:
+                            <span v-if="item.quantityChanged">quantity {{ item.fromQuantity }} → {{ item.toQuantity }}</span>
+                            <span v-if="item.quantityChanged && item.moved">, </span>
+                            <span v-if="item.moved">moved from {{ formatCrates(item.fromCrates) }} to {{ formatCrates(item.toCrates) }}</span>
+                        </li>
+                    </ul>
+                </div>
+            </template>
+        </div>
+    `
+};
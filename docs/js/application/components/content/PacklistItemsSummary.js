@@ -1,8 +1,9 @@
-import { html, TableComponent, Requests, getReactiveStore, createAnalysisConfig, NavigationRegistry, ItemImageComponent, InventoryCategoryFilter, Priority, invalidateCache, todayISOString, OverlappingShowsModal } from '../../index.js';
+import { html, TableComponent, Requests, getReactiveStore, createAnalysisConfig, NavigationRegistry, ItemImageComponent, InventoryCategoryFilter, Priority, invalidateCache, todayISOString, OverlappingShowsModal, formatShipmentTotals, formatMoney } from '../../index.js';
 
 /**
  * Component for displaying item quantities summary with progressive analysis
- * Shows: Item ID, Quantity, Available, Remaining, Overlapping Shows
+ * Shows: Item ID, Quantity, Available, Remaining, Overlapping Shows, and the parts of packed kits
+ * (each part's quantity includes what the kits hold)
  */
 export const PacklistItemsSummary = {
     components: { TableComponent, ItemImageComponent, InventoryCategoryFilter, OverlappingShowsModal },
@@ -19,6 +20,8 @@ export const PacklistItemsSummary = {
         return {
             itemsSummaryStore: null,
             showDetails: null, // Production schedule show details
+            shipment: null, // Shipment totals from the crate dimensions and weights
+            valueShipped: null, // Replacement and book value of the items packed, for the COI
             projectShipDate: null,
             projectReturnDate: null,
             error: null,
@@ -38,6 +41,7 @@ export const PacklistItemsSummary = {
                 },
                 { key: 'itemId', label: 'Item#', type: 'item', sortable: true},
                 { key: 'quantity', label: 'Quantity', sortable: true},
+                { key: 'kit', label: 'Kit', sortable: false, columnClass: 'gray' },
                 { key: 'available', label: 'Inv. Qty.', sortable: true},
                 { key: 'tabName', label: 'Tab', sortable: true},
                 { 
@@ -79,6 +83,8 @@ export const PacklistItemsSummary = {
                 if (newProjectId) {
                     this.initializeStore();
                     this.loadShowDetails();
+                    this.loadShipment();
+                    this.loadValueShipped();
                 }
             }
         }
@@ -196,6 +202,31 @@ export const PacklistItemsSummary = {
             }
         },
 
+        async loadShipment() {
+            if (!this.projectIdentifier) return;
+
+            try {
+                this.shipment = await Requests.getShipmentSummary(this.projectIdentifier);
+            } catch (err) {
+                console.error('Error loading shipment totals:', err);
+                this.shipment = null;
+            }
+        },
+
+        async loadValueShipped() {
+            if (!this.projectIdentifier) return;
+
+            try {
+                this.valueShipped = await Requests.getPacklistValueShipped(this.projectIdentifier);
+            } catch (err) {
+                console.error('Error loading shipment value:', err);
+                this.valueShipped = null;
+            }
+        },
+
+        formatShipmentTotals,
+        formatMoney,
+
         openOverlappingShowsModal(shows) {
             this.$modal.custom(OverlappingShowsModal, { shows, modalClass: 'hamburger-menu small-menu'}, `${shows.length} Overlapping Shows`, { modalClass: 'hamburger-menu' });
         },
@@ -221,6 +252,49 @@ export const PacklistItemsSummary = {
                 </div>
             </div>
             
+            <div v-if="shipment && shipment.crateCount" class="details-grid">
+                <div class="detail-item">
+                    <label>Crates:</label>
+                    <span>{{ shipment.crateCount }}</span>
+                </div>
+                <div class="detail-item">
+                    <label>Weight:</label>
+                    <span>{{ shipment.totalWeight.toLocaleString('en-US') }} lb</span>
+                </div>
+                <div class="detail-item">
+                    <label>Volume:</label>
+                    <span>{{ shipment.cubicFeet.toLocaleString('en-US') }} ft³</span>
+                </div>
+                <div class="detail-item">
+                    <label>Truck:</label>
+                    <span>{{ shipment.linearFeet }} linear ft</span>
+                </div>
+                <div v-for="type in shipment.byType" :key="type.type" class="detail-item">
+                    <label>{{ type.type }}:</label>
+                    <span>{{ formatShipmentTotals(type) }}</span>
+                </div>
+            </div>
+            <div v-if="valueShipped && valueShipped.replacementValue" class="details-grid">
+                <div class="detail-item">
+                    <label>Value shipped:</label>
+                    <span>{{ formatMoney(valueShipped.replacementValue) }}</span>
+                </div>
+                <div class="detail-item">
+                    <label>Book value:</label>
+                    <span>{{ formatMoney(valueShipped.bookValue) }}</span>
+                </div>
+                <div v-if="valueShipped.uncosted.length" class="detail-item">
+                    <label>No unit cost:</label>
+                    <span>{{ valueShipped.uncosted.join(', ') }}</span>
+                </div>
+            </div>
+            <div v-if="shipment && (shipment.missingDimensions || shipment.missingWeight)" class="card yellow">
+                Totals leave out
+                <span v-if="shipment.missingDimensions">{{ shipment.missingDimensions }} crate(s) without L/W/H</span>
+                <span v-if="shipment.missingDimensions && shipment.missingWeight"> and </span>
+                <span v-if="shipment.missingWeight">{{ shipment.missingWeight }} crate(s) without a weight</span>.
+            </div>
+
             <TableComponent
                 :data="tableData"
                 :columns="tableColumns"
@@ -0,0 +1,106 @@
+import { html, TableComponent, Requests, getReactiveStore, parsePacklistRules, PACKLIST_RULE_KINDS } from '../../index.js';
+
+/**
+ * Editor for the pack list generation rules (CACHE/PacklistRules, see utils/packlistRules.js).
+ * Shown on the packlist/templates ("Automation") route; rules are applied from a pack list's
+ * "Apply Rules" button.
+ */
+export const PacklistRulesEditor = {
+    components: { TableComponent },
+    props: {
+        containerPath: { type: String, default: '' },
+        navigateToPath: Function
+    },
+    data() {
+        return {
+            rulesStore: null
+        };
+    },
+    computed: {
+        columns() {
+            return [
+                { key: 'Name', label: 'Name', editable: true, width: 120 },
+                { key: 'Kind', label: 'Kind', editable: true, width: 60, font: 'narrow' },
+                { key: 'Match', label: 'Match', editable: true, width: 120 },
+                { key: 'CrateType', label: 'Crate Type', editable: true, width: 60 },
+                { key: 'Items', label: 'Rows to Add', editable: true, width: 250 },
+                { key: 'Enabled', label: 'Enabled', editable: true, width: 40, font: 'narrow' }
+            ];
+        },
+        tableData() {
+            return this.rulesStore ? this.rulesStore.data : [];
+        },
+        originalData() {
+            return this.rulesStore && Array.isArray(this.rulesStore.originalData)
+                ? JSON.parse(JSON.stringify(this.rulesStore.originalData))
+                : [];
+        },
+        isLoading() {
+            return this.rulesStore ? this.rulesStore.isLoading : false;
+        },
+        kindsText() {
+            return PACKLIST_RULE_KINDS.join(' or ');
+        },
+        ruleErrors() {
+            return parsePacklistRules(this.tableData).errors;
+        }
+    },
+    mounted() {
+        this.rulesStore = getReactiveStore(Requests.getPacklistRules, Requests.savePacklistRules, []);
+    },
+    methods: {
+        handleCellEdit(rowIdx, colIdx, value) {
+            const colKey = this.columns[colIdx]?.key;
+            if (colKey && this.rulesStore?.data[rowIdx]) {
+                this.rulesStore.data[rowIdx][colKey] = value;
+            }
+        },
+        handleNewRow() {
+            this.rulesStore?.addRow({ Name: '', Kind: 'follow', Match: '', CrateType: '', Items: '', Enabled: 'TRUE', EditHistory: '' });
+        },
+        async handleSave() {
+            await this.rulesStore?.save('Saving rules...');
+        },
+        handleRefresh() {
+            this.rulesStore?.load('Refreshing rules...');
+        }
+    },
+    template: html`
+        <slot>
+            <div class="card">
+                <p>
+                    Rules add typical rows to a pack list when "Apply Rules" is used while editing it.
+                    <strong>crate</strong> rules append a crate at the end (Match, if set, limits them to pack lists containing a matching item);
+                    <strong>follow</strong> rules insert rows right after every item whose description matches.
+                </p>
+                <p class="helper-text">
+                    Kind: {{ kindsText }}.
+                    Match: comma-separated words, or a /regular expression/.
+                    Rows to Add: one per line, "Description" or "Description | Packing/shop notes".
+                    Enabled: FALSE turns a rule off.
+                </p>
+            </div>
+            <div v-for="message in ruleErrors" :key="message" class="card yellow">{{ message }}</div>
+            <TableComponent
+                theme="purple"
+                :data="tableData"
+                :originalData="originalData"
+                :columns="columns"
+                title="Pack List Rules"
+                :isLoading="isLoading"
+                :error="rulesStore ? rulesStore.error : null"
+                :showRefresh="true"
+                :showSearch="true"
+                :newRow="true"
+                :showNewRowButton="true"
+                :draggable="true"
+                emptyMessage="No rules yet"
+                :loading-message="rulesStore ? (rulesStore.loadingMessage || 'Loading rules...') : 'Loading rules...'"
+                @refresh="handleRefresh"
+                @cell-edit="handleCellEdit"
+                @new-row="handleNewRow"
+                @on-save="handleSave"
+            />
+        </slot>
+    `
+};
@@ -1,4 +1,4 @@
-import { html, TableComponent, Requests, getReactiveStore, NavigationRegistry, createAnalysisConfig, invalidateCache, Priority, tableRowSelectionState, EditHistoryUtils, authState, undoRegistry, todayISOString, getAutoColorClass } from '../../index.js';
+import { html, TableComponent, Requests, getReactiveStore, NavigationRegistry, createAnalysisConfig, invalidateCache, Priority, tableRowSelectionState, EditHistoryUtils, authState, undoRegistry, todayISOString, getAutoColorClass, ConflictMergeModal, planPacklistRules, suggestCrateTypes, checkCrateDimensions, CRATE_DEFAULT_KEYS } from '../../index.js';
 import { ItemImageComponent } from './InventoryTable.js';
 import { sheetLockMixin } from '../../utils/sheetLockMixin.js';
 
@@ -68,6 +68,58 @@ export const PacklistTableMenuComponent = {
     `
 };
 
+// Preview of the rows the pack list rules would add, with a checkbox per action
+const ApplyRulesPreviewComponent = {
+    props: {
+        actions: { type: Array, required: true },
+        errors: { type: Array, default: () => [] },
+        onApply: { type: Function, required: true }
+    },
+    emits: ['close-modal'],
+    data() {
+        return {
+            selected: this.actions.map(() => true)
+        };
+    },
+    computed: {
+        selectedCount() {
+            return this.selected.filter(Boolean).length;
+        }
+    },
+    methods: {
+        describe(action) {
+            return action.kind === 'crate'
+                ? `New ${action.crateType || 'Crate'}`
+                : `After "${action.anchor}" (crate ${action.crateIndex + 1})`;
+        },
+        apply() {
+            this.onApply(this.actions.filter((action, index) => this.selected[index]));
+            this.$emit('close-modal');
+        }
+    },
+    template: html`
+        <div class="content">
+            <div v-for="message in errors" :key="message" class="card yellow">{{ message }}</div>
+            <p v-if="actions.length === 0">The rules have nothing to add to this pack list.</p>
+            <div v-for="(action, index) in actions" :key="index">
+                <label>
+                    <input type="checkbox" v-model="selected[index]">
+                    <strong>{{ action.rule }}</strong>: {{ describe(action) }}
+                </label>
+                <ul>
+                    <li v-for="(item, itemIndex) in action.items" :key="itemIndex">
+                        {{ item.description }}<span v-if="item.notes" class="helper-text"> — {{ item.notes }}</span>
+                    </li>
+                </ul>
+            </div>
+            <div class="button-bar">
+                <button @click="apply" class="purple" :disabled="selectedCount === 0">Add {{ selectedCount }} Selected</button>
+                <button @click="$emit('close-modal')" class="gray">Cancel</button>
+            </div>
+        </div>
+    `
+};
+
 // Row Options Menu Component for selected rows
 const RowOptionsMenuComponent = {
     props: {
@@ -233,6 +285,12 @@ export const PacklistTable = {
         itemHeadersStart() {
             return this.itemHeaders.filter(k => !this.hiddenColumns.includes(k))[0];
         },
+        crateTypesStore() {
+            return getReactiveStore(Requests.getCrateTypes, null, []);
+        },
+        crateCatalog() {
+            return this.crateTypesStore?.data || [];
+        },
         error() {
             return this.packlistTableStore ? this.packlistTableStore.error : null;
         },
@@ -255,6 +313,11 @@ export const PacklistTable = {
         hasExternalConflict() {
             return this.packlistTableStore?.externalConflict ?? false;
         },
+        remoteChangeMessage() {
+            const remoteChange = this.packlistTableStore?.remoteChange;
+            if (!remoteChange) return '';
+            return `${remoteChange.user} updated ${remoteChange.count} row${remoteChange.count === 1 ? '' : 's'}`;
+        },
         banners() {
             const banners = [
                 {
@@ -278,7 +341,7 @@ export const PacklistTable = {
                 {
                     key: 'conflict',
                     color: 'red',
-                    message: 'Another session changed this data while you have unsaved edits. Save to keep your changes or discard them.',
+                    message: 'Another session changed this data while you have unsaved edits. Save to merge your changes or discard them.',
                     visible: this.hasExternalConflict,
                     action: {
                         label: 'Discard', fn: () =>
@@ -293,6 +356,12 @@ export const PacklistTable = {
                                 'Cancel'
                             )
                     }
+                },
+                {
+                    key: 'remote-change',
+                    color: 'blue',
+                    message: this.remoteChangeMessage,
+                    visible: !!this.remoteChangeMessage
                 }
             ];
             
@@ -355,6 +424,14 @@ export const PacklistTable = {
             );
             // Handle both boolean true and string "true" from URL parameters
             return params?.edit === true || params?.edit === 'true';
+        },
+        // Crate to bring into view, from a scanned crate label (packlist/<name>?{"crate":3})
+        targetCrate() {
+            const params = NavigationRegistry.getParametersForContainer(
+                this.containerPath || `packlist/${this.tabName}`,
+                this.appContext?.currentPath
+            );
+            return params?.crate ? Number(params.crate) : null;
         }
     },
     watch: {
@@ -375,6 +452,12 @@ export const PacklistTable = {
             }
 
             this.handleLockState(newValue);
+        },
+        'packlistTableStore.conflictReport'(report) {
+            if (report) this.openConflictMergeModal(report);
+        },
+        targetCrate(crate) {
+            if (crate) this.focusCrate(crate);
         }
     },
     beforeUnmount() {
@@ -427,6 +510,7 @@ export const PacklistTable = {
         // Watch for store loading completion to check schedule attachment
         this.$watch(() => this.packlistTableStore?.isLoading, async (isLoading, wasLoading) => {
             if (wasLoading && !isLoading && this.tabName) {
+                if (this.targetCrate) this.focusCrate(this.targetCrate);
                 // Store just finished loading, check schedule attachment
                 try {
                     this.scheduleAttachment = await Requests.getPacklistScheduleAttachment(this.tabName);
@@ -751,6 +835,7 @@ export const PacklistTable = {
                 [this.tabName],
                 analysisConfig // Add analysis configuration
             );
+            this.packlistTableStore.livePatches = true; // Show other users' saves without a reload
             
             // Load database headers
             this.loadItemHeaders();
@@ -874,6 +959,116 @@ export const PacklistTable = {
                 });
             }
         },
+        async handleApplyRules() {
+            let ruleRows;
+            try {
+                ruleRows = await Requests.getPacklistRules();
+            } catch (error) {
+                this.$modal.error(`Failed to load pack list rules: ${error.message}`, 'Apply Rules');
+                return;
+            }
+            const { actions, errors } = planPacklistRules(this.mainTableData, ruleRows);
+            this.$modal.custom(ApplyRulesPreviewComponent, {
+                actions,
+                errors,
+                onApply: (selectedActions) => this.applyRuleActions(selectedActions)
+            }, 'Apply Rules');
+        },
+        /**
+         * Insert the rows planned by planPacklistRules as one undo step
+         * @param {Array<Object>} actions - Actions from planPacklistRules
+         */
+        async applyRuleActions(actions) {
+            if (!actions.length || !this.packlistTableStore) return;
+            const user = authState.user?.email;
+            if (user && this.tabName && !await this.acquireLockForEdit()) {
+                if (this.lockOwner) {
+                    this.$modal.alert(`Cannot edit: this pack list is locked by ${this.lockOwnerDisplay}`, 'Locked');
+                }
+                return;
+            }
+
+            const routeKey = this.appContext?.currentPath?.split('?')[0];
+            if (routeKey) {
+                undoRegistry.capture(this.packlistTableStore.data, routeKey, { type: 'apply-rules' });
+            }
+
+            const buildItem = (rule, { description, notes }) => {
+                const itemObj = {};
+                this.itemHeaders.forEach(label => {
+                    itemObj[label] = '';
+                });
+                itemObj['Description'] = description;
+                itemObj['Packing/shop notes'] = notes;
+                itemObj.MetaData = JSON.stringify({ rule });
+                return itemObj;
+            };
+
+            // Insert from the bottom up so earlier crate/item indexes stay valid;
+            // each action's rows are inserted last-first directly below their anchor
+            actions
+                .filter(action => action.kind === 'follow')
+                .sort((a, b) => b.crateIndex - a.crateIndex || b.itemIndex - a.itemIndex)
+                .forEach(action => {
+                    [...action.items].reverse().forEach(item => {
+                        this.packlistTableStore.addNestedRow(action.crateIndex, 'Items', buildItem(action.rule, item), null, {
+                            position: 'below',
+                            targetIndex: action.itemIndex
+                        });
+                    });
+                });
+
+            actions
+                .filter(action => action.kind === 'crate')
+                .forEach(action => {
+                    const infoObj = {};
+                    this.mainHeaders.filter(h => h !== 'Items' && !this.itemHeaders.includes(h)).forEach(label => {
+                        infoObj[label] = '';
+                    });
+                    infoObj['Piece #'] = this.mainTableData.length + 1;
+                    infoObj['Type'] = action.crateType || 'Crate';
+                    infoObj.MetaData = JSON.stringify({ rule: action.rule });
+                    this.packlistTableStore.addRow({
+                        ...infoObj,
+                        Items: action.items.map(item => buildItem(action.rule, item))
+                    });
+                });
+        },
+        getCrateTypeSuggestions(crate) {
+            const itemNumbers = (crate?.Items || []).map(item => item['Extracted Item']).filter(Boolean);
+            return suggestCrateTypes(this.crateCatalog, crate?.Type, itemNumbers);
+        },
+        getCrateDimensionCheck(crate) {
+            return checkCrateDimensions(crate, this.crateCatalog);
+        },
+        formatCrateDimensions(entry) {
+            return ['L', 'W', 'H'].map(key => entry[key] || '?').join('x');
+        },
+        /**
+         * Set a crate's Type from the catalog and fill in the type's default dimensions and weight
+         * @param {number} rowIdx - Crate index
+         * @param {Object} entry - Catalog entry from CACHE/CrateTypes
+         */
+        async applyCrateType(rowIdx, entry) {
+            const crate = this.mainTableData[rowIdx];
+            if (!crate || !entry) return;
+            const user = authState.user?.email;
+            if (user && this.tabName && !await this.acquireLockForEdit()) {
+                if (this.lockOwner) {
+                    this.$modal.alert(`Cannot edit: this pack list is locked by ${this.lockOwnerDisplay}`, 'Locked');
+                }
+                return;
+            }
+
+            const routeKey = this.appContext?.currentPath?.split('?')[0];
+            if (routeKey) {
+                undoRegistry.capture(this.packlistTableStore.data, routeKey, { type: 'crate-type' });
+            }
+            crate.Type = entry.Type;
+            CRATE_DEFAULT_KEYS.forEach(key => {
+                if (String(entry[key] ?? '').trim() !== '') crate[key] = entry[key];
+            });
+        },
         handleAddItem(crateIdx, position = null) {
             // Immediately show inventory selector modal
             // position: { position: 'above'|'below', targetIndex: number } or null
@@ -1087,20 +1282,94 @@ export const PacklistTable = {
         },
         async handleSave() {
             if (!this.packlistTableStore) return;
-            if (this.hasExternalConflict) {
-                this.$modal.confirm(
-                    'Another session changed this data. Saving will overwrite their changes.',
-                    async () => {
-                        await this.packlistTableStore.save('Saving packlist...');
-                    },
-                    null,
-                    'External Changes Detected',
-                    'Save Anyway',
-                    'Cancel'
-                );
+            // Edits from another session are merged on save; overlapping ones come back as
+            // store.conflictReport and open the merge modal (see the conflictReport watcher)
+            await this.packlistTableStore.save('Saving packlist...');
+        },
+        openConflictMergeModal(report) {
+            const store = this.packlistTableStore;
+            // Report columns are sheet headers, except the lowercased metadata columns
+            const storeKey = (column) => ({ edithistory: 'EditHistory', metadata: 'MetaData' })[column] || column;
+            this.$modal.custom(ConflictMergeModal, {
+                report,
+                describeRow: (row) => {
+                    if (row.missing) {
+                        const theirs = row.restore?.row || {};
+                        return row.restore?.crate
+                            ? `Deleted crate${theirs['Piece #'] ? ` ${theirs['Piece #']}` : ''}`
+                            : `Deleted item${theirs.Description ? `: ${theirs.Description}` : ''}`;
+                    }
+                    const [crateIndex, , itemIndex] = row.path || [];
+                    if (itemIndex === undefined) return `Crate ${crateIndex + 1}`;
+                    const item = store.getSavedRow(row.path);
+                    return `Crate ${crateIndex + 1}, item ${itemIndex + 1}${item?.Description ? `: ${item.Description}` : ''}`;
+                },
+                onResolve: async (choices) => {
+                    // Paths point into the rows that were sent, so find them before any row is put back
+                    const targets = report.rows.map(row => (row.path ? store.getSavedRow(row.path) : null));
+                    report.rows.forEach((row, rowIndex) => {
+                        const target = targets[rowIndex];
+                        if (!target) return;
+                        row.merged.forEach(({ column, value }) => { target[storeKey(column)] = value; });
+                        row.cells.forEach(cell => {
+                            if (choices[rowIndex]?.[cell.column] === 'theirs') target[storeKey(cell.column)] = cell.theirs;
+                        });
+                        // Carry their history forward so this save appends to it
+                        target.EditHistory = row.edithistory;
+                    });
+                    // Their edited rows that this save deletes; "theirs" puts them back, in sheet order
+                    report.rows
+                        .filter((row, rowIndex) => row.missing && row.restore && choices[rowIndex]?._row === 'theirs')
+                        .sort((a, b) => a.remoteIndex - b.remoteIndex)
+                        .forEach(row => this.restoreDeletedRow(row));
+                    await store.save('Saving packlist...', { knownVersion: report.version });
+                }
+            }, 'Merge Changes');
+        },
+
+        /**
+         * Put back a crate or item another session edited after it was deleted here (a conflict
+         * report row with missing: true). Rows marked for deletion are still in the table where
+         * the sheet has them, so the row at its sheet position is unmarked when it is that one.
+         */
+        restoreDeletedRow(row) {
+            const store = this.packlistTableStore;
+            const isMarked = (obj) => {
+                try {
+                    const metadata = typeof obj?.MetaData === 'string' ? JSON.parse(obj.MetaData) : obj?.MetaData;
+                    return metadata?.deletion?.marked === true;
+                } catch (e) {
+                    return false;
+                }
+            };
+            const sheetRows = [];
+            store.data.forEach((crate, crateIndex) => {
+                sheetRows.push({ crateIndex, itemIndex: null, obj: crate });
+                (crate.Items || []).forEach((item, itemIndex) => sheetRows.push({ crateIndex, itemIndex, obj: item }));
+            });
+
+            const { crate: isCrate, row: theirs } = row.restore;
+            const atPosition = sheetRows[row.remoteIndex];
+            if (atPosition && (atPosition.itemIndex === null) === isCrate
+                && (isMarked(atPosition.obj) || isMarked(store.data[atPosition.crateIndex]))) {
+                const { Items, ...values } = theirs;
+                Object.assign(atPosition.obj, values);
+                // An item can't come back without its crate
+                if (!isCrate && isMarked(store.data[atPosition.crateIndex])) {
+                    store.markRowForDeletion(atPosition.crateIndex, false);
+                }
                 return;
             }
-            await this.packlistTableStore.save('Saving packlist...');
+
+            // Gone from the table: add it after the row that now sits above its sheet position
+            const above = sheetRows[Math.min(row.remoteIndex, sheetRows.length) - 1];
+            if (isCrate) {
+                store.addRow({ ...theirs, Items: [] });
+                store.data.splice(above ? above.crateIndex + 1 : 0, 0, store.data.pop());
+            } else if (above) {
+                store.addNestedRow(above.crateIndex, 'Items', { ...theirs }, null,
+                    above.itemIndex === null ? { position: 'above', targetIndex: 0 } : { position: 'below', targetIndex: above.itemIndex });
+            }
         },
 
         handleInnerTableDirty(isDirty, rowIndex) {
@@ -1517,6 +1786,20 @@ export const PacklistTable = {
                 this.isPrinting = false;
             }, 100);
         },
+        /**
+         * Scroll to a crate row and flash it
+         * @param {number} crate - Piece # as shown in the table (1-based)
+         */
+        async focusCrate(crate) {
+            if (!this.packlistTableStore || this.packlistTableStore.isLoading) return;
+            await this.$nextTick();
+            const table = this.$refs.mainTableComponent?.$el?.querySelector('.table-wrapper table');
+            const row = table?.querySelector(`:scope > tbody > tr[data-visible-idx="${crate - 1}"]`);
+            if (!row) return;
+            row.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            row.classList.add('scan-target');
+            setTimeout(() => row.classList.remove('scan-target'), 3000);
+        },
         handleRowOptions(selectedRows) {
             // Show modal with custom options for selected rows
             this.$modal.custom(RowOptionsMenuComponent, {
@@ -1650,10 +1933,18 @@ export const PacklistTable = {
                                 </button>
                             </template>
                             <button @click="() => tabName ? $emit('navigate-to-path', 'packlist/' + tabName + '/details') : null" class="button-symbol" title="View Packlist Details">☷</button>
+                            <button v-if="!editMode" @click="() => tabName ? $emit('navigate-to-path', 'packlist/' + tabName + '/warehouse') : null" class="button-symbol white" title="Warehouse check-off (pack, load, return)">
+                                <span class="material-symbols-outlined">checklist</span>
+                            </button>
+
+                            <button v-if="editMode" @click="handleApplyRules" :disabled="isLoading || isAnalyzing" class="small" title="Add the typical rows from the pack list rules (Automation)">Apply Rules</button>
 
                             <button v-if="!editMode" @click="handlePrint" :disabled="isLoading || isAnalyzing" class="button-symbol white" title="Print Packlist">
                                 <span class="material-symbols-outlined">print</span>
                             </button>
+                            <button v-if="!editMode" @click="() => tabName ? $emit('navigate-to-path', 'packlist/' + tabName + '/labels') : null" :disabled="isLoading" class="button-symbol white" title="Print Crate Labels">
+                                <span class="material-symbols-outlined">qr_code</span>
+                            </button>
                             <!--this was moved span v-if="!editMode && lockedByOther" style="margin-left: 1rem; color: var(--color-text-secondary);">
                                 Locked by {{ lockOwner.includes('@') ? lockOwner.split('@')[0] : lockOwner }}
                             </span-->
@@ -1744,6 +2035,37 @@ export const PacklistTable = {
                             {{ row[column.key] }}
                         </template>
                     </template>
+                    <template #cell-extra="{ row, rowIndex, column }">
+                        <template v-if="column.key === 'Type'">
+                            <template v-if="editMode">
+                                <div
+                                    v-for="entry in getCrateTypeSuggestions(row)"
+                                    :key="entry.Type"
+                                    @click="applyCrateType(rowIndex, entry)"
+                                    class="card white clickable"
+                                    :title="entry.Notes || 'Use ' + entry.Type + ' (' + formatCrateDimensions(entry) + ')'"
+                                >
+                                    {{ entry.Type }}
+                                </div>
+                            </template>
+                            <template v-if="getCrateDimensionCheck(row)">
+                                <div
+                                    v-if="getCrateDimensionCheck(row).deviations.length"
+                                    class="card yellow"
+                                    :title="getCrateDimensionCheck(row).deviations.map(d => d.key + ' ' + d.actual + ' (catalog ' + d.expected + ')').join(', ')"
+                                >
+                                    {{ row.Type }} is {{ formatCrateDimensions(getCrateDimensionCheck(row).entry) }}
+                                </div>
+                                <div
+                                    v-else-if="editMode && getCrateDimensionCheck(row).missing.length"
+                                    @click="applyCrateType(rowIndex, getCrateDimensionCheck(row).entry)"
+                                    class="card white clickable"
+                                >
+                                    Fill {{ row.Type }} defaults
+                                </div>
+                            </template>
+                        </template>
+                    </template>
                 </TableComponent>
             </div>
         </slot>
@@ -0,0 +1,261 @@
+import { html, Requests } from '../../index.js';
+
+// The plain template every pack list was created from before named templates existed
+const BLANK_TEMPLATE = '_TEMPLATE';
+
+/**
+ * Template select with a preview of the selected template's crates.
+ * With a projectIdentifier, the template's items are also checked against that show's dates.
+ * v-model is the template tab title ('_TEMPLATE' for a blank pack list).
+ */
+export const PacklistTemplatePicker = {
+    props: {
+        modelValue: { type: String, default: BLANK_TEMPLATE },
+        projectIdentifier: { type: String, default: null },
+        showSelect: { type: Boolean, default: true }
+    },
+    emits: ['update:modelValue'],
+    data() {
+        return {
+            templates: [],
+            crates: null,
+            quantities: null,
+            isLoadingPreview: false,
+            isChecking: false,
+            error: null
+        };
+    },
+    computed: {
+        isBlank() {
+            return !this.modelValue || this.modelValue === BLANK_TEMPLATE;
+        },
+        previewCrates() {
+            return (this.crates || []).map(crate => ({
+                label: [crate['Piece #'], crate.Type].filter(Boolean).join(' · ') || 'Crate',
+                dimensions: ['L', 'W', 'H'].map(key => crate[key]).filter(Boolean).join('x'),
+                items: (crate.Items || []).map(item => item.Description).filter(Boolean)
+            }));
+        },
+        shortages() {
+            return Object.entries(this.quantities || {})
+                .filter(([, status]) => status.remaining < 0)
+                .map(([itemId, status]) => ({ itemId, ...status }));
+        }
+    },
+    watch: {
+        modelValue() {
+            this.loadPreview();
+        },
+        projectIdentifier() {
+            this.checkQuantities();
+        }
+    },
+    async mounted() {
+        try {
+            this.templates = await Requests.getPacklistTemplates();
+        } catch (error) {
+            this.error = `Failed to load templates: ${error.message}`;
+        }
+        this.loadPreview();
+    },
+    methods: {
+        async loadPreview() {
+            this.crates = null;
+            this.quantities = null;
+            if (this.isBlank) return;
+            const templateTab = this.modelValue;
+            this.isLoadingPreview = true;
+            try {
+                const crates = await Requests.getPackList(templateTab);
+                if (templateTab === this.modelValue) this.crates = crates || [];
+            } catch (error) {
+                this.error = `Failed to load template: ${error.message}`;
+            } finally {
+                this.isLoadingPreview = false;
+            }
+            this.checkQuantities();
+        },
+        async checkQuantities() {
+            this.quantities = null;
+            if (this.isBlank || !this.projectIdentifier) return;
+            const templateTab = this.modelValue;
+            this.isChecking = true;
+            try {
+                const quantities = await Requests.checkTemplateQuantities(templateTab, this.projectIdentifier);
+                if (templateTab === this.modelValue) this.quantities = quantities;
+            } catch (error) {
+                this.error = `Failed to check quantities: ${error.message}`;
+            } finally {
+                this.isChecking = false;
+            }
+        }
+    },
+    template: html`
+        <div>
+            <div v-if="showSelect" style="margin-bottom: 1rem;">
+                <label style="display: block; margin-bottom: 0.5rem; font-weight: bold;">Template:</label>
+                <select :value="modelValue" @change="$emit('update:modelValue', $event.target.value)" style="width: 100%; padding: 0.5rem;">
+                    <option value="_TEMPLATE">Blank pack list</option>
+                    <option v-for="template in templates" :key="template.title" :value="template.title">{{ template.name }}</option>
+                </select>
+            </div>
+            <div v-if="error" class="card red">{{ error }}</div>
+            <div v-if="isLoadingPreview" class="loading-message">
+                <img src="assets/loading.gif" alt="..."/>
+                <p>Loading template...</p>
+            </div>
+            <div v-else-if="crates" class="card">
+                <p v-if="previewCrates.length === 0">This template has no crates.</p>
+                <div v-for="(crate, index) in previewCrates" :key="index">
+                    <strong>{{ crate.label }}</strong><span v-if="crate.dimensions" class="helper-text"> {{ crate.dimensions }}</span>
+                    <ul>
+                        <li v-for="(description, itemIndex) in crate.items" :key="itemIndex">{{ description }}</li>
+                    </ul>
+                </div>
+            </div>
+            <p v-if="isChecking" class="helper-text">Checking quantities for {{ projectIdentifier }}...</p>
+            <div v-else-if="quantities && shortages.length === 0" class="card green">
+                Inventory covers every template item for {{ projectIdentifier }}.
+            </div>
+            <div v-else-if="shortages.length > 0" class="card yellow">
+                <p><strong>Short for {{ projectIdentifier }}:</strong></p>
+                <ul>
+                    <li v-for="shortage in shortages" :key="shortage.itemId">
+                        {{ shortage.itemId }}: needs {{ shortage.requested }}, {{ shortage.remaining + shortage.requested }} available
+                        <span v-if="shortage.overlapping.length" class="helper-text">(also on {{ shortage.overlapping.join(', ') }})</span>
+                    </li>
+                </ul>
+            </div>
+        </div>
+    `
+};
+
+/**
+ * Name prompt that saves a pack list (or the blank template) as a named template
+ */
+export const SaveAsTemplateModal = {
+    inject: ['$modal'],
+    props: {
+        sourceTab: { type: String, default: BLANK_TEMPLATE },
+        onCreated: Function
+    },
+    emits: ['close-modal'],
+    data() {
+        return {
+            templateName: '',
+            isCreating: false
+        };
+    },
+    methods: {
+        async handleCreate() {
+            const name = this.templateName.trim();
+            if (!name) return;
+            this.isCreating = true;
+            try {
+                const title = await Requests.createPacklistTemplate(name, this.sourceTab);
+                this.$emit('close-modal');
+                this.onCreated?.(title);
+            } catch (error) {
+                console.error('Error creating packlist template:', error);
+                this.$modal.error(`Failed to create template: ${error.message}`, 'Error');
+            } finally {
+                this.isCreating = false;
+            }
+        }
+    },
+    template: html`
+        <slot>
+            <div v-if="sourceTab !== '_TEMPLATE'" class="card">
+                <p><strong>Copying:</strong> {{ sourceTab }}</p>
+            </div>
+            <div style="margin-bottom: 1rem;">
+                <label for="templateNameInput" style="display: block; margin-bottom: 0.5rem; font-weight: bold;">Template Name:</label>
+                <input
+                    id="templateNameInput"
+                    v-model="templateName"
+                    type="text"
+                    placeholder="e.g. 10x10 inline"
+                    style="width: 100%; padding: 0.5rem; font-size: 1rem;"
+                    :disabled="isCreating"
+                    @keyup.enter="handleCreate"
+                />
+            </div>
+            <div class="button-bar">
+                <button @click="handleCreate" :disabled="isCreating || !templateName.trim()">
+                    {{ isCreating ? 'Creating...' : 'Create Template' }}
+                </button>
+                <button @click="$emit('close-modal')" class="gray" :disabled="isCreating">Cancel</button>
+            </div>
+        </slot>
+    `
+};
+
+/**
+ * Template browser for the packlist/templates ("Automation") route.
+ * Templates open like any pack list (packlist/_TEMPLATE_<name>) for editing.
+ */
+export const PacklistTemplateLibrary = {
+    components: { PacklistTemplatePicker },
+    inject: ['$modal'],
+    props: {
+        navigateToPath: Function
+    },
+    data() {
+        return {
+            templates: null,
+            selectedTemplate: null,
+            error: null
+        };
+    },
+    async mounted() {
+        await this.loadTemplates();
+    },
+    methods: {
+        async loadTemplates() {
+            try {
+                this.templates = await Requests.getPacklistTemplates();
+            } catch (error) {
+                this.error = `Failed to load templates: ${error.message}`;
+            }
+        },
+        select(title) {
+            this.selectedTemplate = this.selectedTemplate === title ? null : title;
+        },
+        openTemplate(title) {
+            this.navigateToPath?.(`packlist/${title}`);
+        },
+        handleNewTemplate() {
+            this.$modal.custom(SaveAsTemplateModal, {
+                modalClass: 'reading-menu',
+                sourceTab: BLANK_TEMPLATE,
+                onCreated: (title) => this.openTemplate(title)
+            }, 'New Pack List Template');
+        }
+    },
+    template: html`
+        <div class="card">
+            <h3>Pack List Templates</h3>
+            <p class="helper-text">
+                Templates are offered by "Create Show Packlist" and "Create Custom Packlist".
+                Use "Save as Template" in a pack list's menu to add one, or open a template to edit it.
+            </p>
+            <div v-if="error" class="card red">{{ error }}</div>
+            <p v-else-if="!templates">Loading templates...</p>
+            <p v-else-if="templates.length === 0">No templates yet.</p>
+            <div v-for="template in templates || []" :key="template.title">
+                <div class="button-bar">
+                    <button @click="select(template.title)" :class="selectedTemplate === template.title ? 'purple' : 'white'">{{ template.name }}</button>
+                    <button @click="openTemplate(template.title)" class="small">Edit</button>
+                </div>
+                <PacklistTemplatePicker
+                    v-if="selectedTemplate === template.title"
+                    :model-value="template.title"
+                    :show-select="false"
+                />
+            </div>
+            <div class="button-bar">
+                <button @click="handleNewTemplate">New Template</button>
+            </div>
+        </div>
+    `
+};
@@ -0,0 +1,319 @@
+import { html, Requests, getReactiveStore, authState, todayISOString, CHECK_STAGES, getItemCheck, setItemCheck, clearItemCheck, getCrateCheckProgress } from '../../index.js';
+import { sheetLockMixin } from '../../utils/sheetLockMixin.js';
+
+const STAGE_BUTTONS = { packed: 'Pack', loaded: 'Load', returned: 'Return' };
+
+/**
+ * Compare what went out with what was checked back in, and post the missing and damaged
+ * quantities to inventory as a pending change. Opened from the warehouse view.
+ */
+export const ReturnReconciliationModal = {
+    props: {
+        tabName: { type: String, required: true }
+    },
+    emits: ['close-modal'],
+    data() {
+        return {
+            items: [],
+            date: todayISOString(),
+            note: '',
+            isLoading: true,
+            isPosting: false,
+            result: null,
+            error: null
+        };
+    },
+    computed: {
+        losses() {
+            return this.items.filter(item => item.missing + item.damaged > 0);
+        },
+        uncheckedLines() {
+            return this.items.reduce((total, item) => total + item.unchecked, 0);
+        }
+    },
+    async mounted() {
+        try {
+            this.items = await Requests.getReturnReconciliation(this.tabName);
+        } catch (error) {
+            console.error('Error loading return reconciliation:', error);
+            this.error = `Failed to load: ${error.message}`;
+        } finally {
+            this.isLoading = false;
+        }
+    },
+    methods: {
+        async post() {
+            this.isPosting = true;
+            this.error = null;
+            try {
+                this.result = await Requests.postReturnReconciliation(this.tabName, this.date, this.note || null);
+            } catch (error) {
+                console.error('Error posting return reconciliation:', error);
+                this.error = `Failed to post: ${error.message}`;
+            } finally {
+                this.isPosting = false;
+            }
+        }
+    },
+    template: html`
+        <div class="content">
+            <div v-if="isLoading" class="card">Comparing returns...</div>
+            <div v-else-if="error" class="card red">{{ error }}</div>
+            <template v-else-if="result">
+                <div class="card green">
+                    Return posted.
+                    <span v-if="result.scheduled.length > 0">Inventory change scheduled for {{ date }} on {{ result.scheduled.join(', ') }}.</span>
+                    <span v-else>No inventory changes were needed.</span>
+                </div>
+                <div v-if="result.unknown.length > 0" class="card yellow">
+                    Not found in inventory: {{ result.unknown.join(', ') }}
+                </div>
+                <div class="button-bar">
+                    <button @click="$emit('close-modal')" class="white">Close</button>
+                </div>
+            </template>
+            <template v-else>
+                <div v-if="items.length === 0" class="card">Nothing left to reconcile on this pack list.</div>
+                <template v-else>
+                    <div v-if="uncheckedLines > 0" class="card yellow">
+                        {{ uncheckedLines }} line{{ uncheckedLines === 1 ? ' is' : 's are' }} not marked returned and will be counted missing.
+                    </div>
+                    <div v-if="losses.length === 0" class="card green">Everything came back undamaged.</div>
+                    <div v-else class="card red">
+                        <h4>Missing or damaged</h4>
+                        <ul>
+                            <li v-for="item in losses" :key="item.itemNumber">
+                                <strong>{{ item.itemNumber }}</strong>
+                                <span v-if="item.missing > 0"> · {{ item.missing }} of {{ item.quantity }} missing</span>
+                                <span v-if="item.damaged > 0"> · {{ item.damaged }} damaged</span>
+                                <span class="helper-text"> ({{ item.crates.join(', ') || 'no crate' }})</span>
+                            </li>
+                        </ul>
+                    </div>
+                    <div class="form-group">
+                        <label>Take off inventory on</label>
+                        <input type="date" v-model="date" />
+                    </div>
+                    <div class="form-group">
+                        <label>Note</label>
+                        <input type="text" v-model="note" maxlength="25" :placeholder="'Return ' + tabName" />
+                        <span class="helper-text">Shown on the scheduled inventory change</span>
+                    </div>
+                    <div class="button-bar">
+                        <button @click="post" :disabled="isPosting || !date" class="purple">
+                            {{ isPosting ? 'Posting...' : 'Post Return' }}
+                        </button>
+                        <button @click="$emit('close-modal')" class="white">Cancel</button>
+                    </div>
+                </template>
+            </template>
+        </div>
+    `
+};
+
+/**
+ * Warehouse mode for a pack list (packlist/<name>/warehouse): crew tap item lines as they are
+ * packed, loaded and returned. Checks are kept in each line's MetaData and Check column
+ * (see utils/packlistChecks.js) and saved with the pack list.
+ */
+export const PacklistWarehouse = {
+    mixins: [sheetLockMixin],
+    inject: ['$modal'],
+    props: {
+        tabName: { type: String, required: true },
+        containerPath: { type: String, default: '' }
+    },
+    emits: ['navigate-to-path'],
+    data() {
+        return {
+            warehouseStore: null,
+            stage: 'packed',
+            lockNamespace: 'PACK_LISTS',
+            damageLine: null,
+            damageQty: 1,
+            damageNote: '',
+            CHECK_STAGES,
+            STAGE_BUTTONS
+        };
+    },
+    computed: {
+        crates() {
+            return this.warehouseStore && Array.isArray(this.warehouseStore.data) ? this.warehouseStore.data : [];
+        },
+        isLoading() {
+            return this.warehouseStore ? this.warehouseStore.isLoading : false;
+        },
+        isDirty() {
+            return this.warehouseStore?.isModified || false;
+        },
+        lockKey() {
+            return this.tabName;
+        },
+        activeStore() {
+            return this.warehouseStore;
+        },
+        totalProgress() {
+            return this.crates.reduce((total, crate) => {
+                const progress = getCrateCheckProgress(crate, this.stage);
+                return { done: total.done + progress.done, total: total.total + progress.total };
+            }, { done: 0, total: 0 });
+        }
+    },
+    watch: {
+        isDirty(newValue) {
+            this.handleLockState(newValue);
+        }
+    },
+    async mounted() {
+        // No analysis: this store is separate from the pack list table's
+        this.warehouseStore = getReactiveStore(Requests.getPackList, Requests.savePackList, [this.tabName]);
+        await this.checkLockStatus();
+    },
+    methods: {
+        crateLines(crate) {
+            return (crate.Items || []).filter(item => String(item.Description ?? '').trim() !== '');
+        },
+        progress(crate) {
+            return getCrateCheckProgress(crate, this.stage);
+        },
+        percent(progress) {
+            return progress.total > 0 ? Math.round((progress.done / progress.total) * 100) : 0;
+        },
+        check(item) {
+            return getItemCheck(item);
+        },
+        toggle(item) {
+            if (this.lockedByOther) return;
+            if (this.check(item)[this.stage]) {
+                clearItemCheck(item, this.stage);
+            } else {
+                setItemCheck(item, this.stage, authState.user?.email);
+            }
+        },
+        setReturnedQty(item, value) {
+            if (this.lockedByOther) return;
+            const qty = value === '' ? undefined : Math.max(0, Number(value) || 0);
+            setItemCheck(item, 'returned', authState.user?.email, qty === undefined ? {} : { qty });
+        },
+        openDamage(item) {
+            const damaged = this.check(item).damaged;
+            this.damageLine = item;
+            this.damageQty = damaged?.qty || 1;
+            this.damageNote = damaged?.note || '';
+        },
+        markDamaged() {
+            if (!this.damageLine || this.lockedByOther) return;
+            const qty = Math.max(1, Number(this.damageQty) || 1);
+            setItemCheck(this.damageLine, 'damaged', authState.user?.email, { qty, note: this.damageNote.trim() });
+            this.damageLine = null;
+        },
+        clearDamaged(item) {
+            if (this.lockedByOther) return;
+            clearItemCheck(item, 'damaged');
+            this.damageLine = null;
+        },
+        checkedBy(item) {
+            const mark = this.check(item)[this.stage];
+            if (!mark) return '';
+            const time = new Date(mark.t * 100).toLocaleString([], { month: 'numeric', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+            return `${mark.u} · ${time}`;
+        },
+        async handleSave() {
+            await this.warehouseStore?.save('Saving checks...');
+        },
+        handleDiscard() {
+            this.warehouseStore?.load('Discarding changes...');
+        },
+        openReconciliation() {
+            this.$modal.custom(ReturnReconciliationModal, { tabName: this.tabName }, 'Reconcile Return');
+        }
+    },
+    template: html`
+        <div class="warehouse-view">
+            <div class="button-bar">
+                <button @click="$emit('navigate-to-path', 'packlist/' + tabName)" class="white">Back to Pack List</button>
+                <button
+                    v-for="name in CHECK_STAGES"
+                    :key="name"
+                    @click="stage = name; damageLine = null"
+                    :class="stage === name ? 'purple' : 'white'"
+                >
+                    {{ STAGE_BUTTONS[name] }}
+                </button>
+            </div>
+
+            <div v-if="lockedByOther" class="card yellow">Locked by {{ lockOwnerDisplay }}; checks can't be changed until they save.</div>
+            <div v-if="warehouseStore && warehouseStore.error" class="card red">{{ warehouseStore.error }}</div>
+            <div v-if="isLoading" class="card">Loading pack list...</div>
+
+            <template v-else>
+                <div class="card warehouse-summary">
+                    <strong>{{ totalProgress.done }} of {{ totalProgress.total }} lines {{ stage }}</strong>
+                    <div class="check-progress"><div class="check-progress-fill" :style="{ width: percent(totalProgress) + '%' }"></div></div>
+                    <div class="button-bar">
+                        <button v-if="isDirty" @click="handleSave" :disabled="lockedByOther" class="green">Save Checks</button>
+                        <button v-if="isDirty" @click="handleDiscard" class="white">Discard</button>
+                        <button
+                            v-if="stage === 'returned'"
+                            @click="openReconciliation"
+                            :disabled="isDirty"
+                            :title="isDirty ? 'Save checks before reconciling' : 'Post missing and damaged items to inventory'"
+                            class="purple"
+                        >
+                            Reconcile Return
+                        </button>
+                    </div>
+                </div>
+
+                <div v-for="(crate, crateIndex) in crates" :key="crateIndex" class="card warehouse-crate">
+                    <div class="warehouse-crate-header">
+                        <strong>{{ crate['Piece #'] || ('#' + (crateIndex + 1)) }}</strong>
+                        <span v-if="crate.Type">{{ crate.Type }}</span>
+                        <span class="helper-text">{{ progress(crate).done }}/{{ progress(crate).total }}</span>
+                    </div>
+                    <div class="check-progress"><div class="check-progress-fill" :style="{ width: percent(progress(crate)) + '%' }"></div></div>
+
+                    <div v-for="(item, itemIndex) in crateLines(crate)" :key="itemIndex" class="warehouse-line">
+                        <button
+                            @click="toggle(item)"
+                            :disabled="lockedByOther"
+                            :class="['warehouse-check', check(item)[stage] ? 'green' : 'white']"
+                        >
+                            <span class="material-symbols-outlined">{{ check(item)[stage] ? 'check_box' : 'check_box_outline_blank' }}</span>
+                            <span class="warehouse-line-text">
+                                {{ item.Description }}
+                                <span v-if="checkedBy(item)" class="helper-text">{{ checkedBy(item) }}</span>
+                            </span>
+                        </button>
+
+                        <div v-if="stage === 'returned'" class="warehouse-return">
+                            <label>
+                                Qty back
+                                <input
+                                    type="number"
+                                    min="0"
+                                    :value="check(item).returned && check(item).returned.qty !== undefined ? check(item).returned.qty : ''"
+                                    @change="setReturnedQty(item, $event.target.value)"
+                                    :disabled="lockedByOther"
+                                    placeholder="all"
+                                />
+                            </label>
+                            <span v-if="check(item).damaged" class="warehouse-damage">
+                                {{ check(item).damaged.qty }} damaged<span v-if="check(item).damaged.note">: {{ check(item).damaged.note }}</span>
+                                <button @click="clearDamaged(item)" :disabled="lockedByOther" class="button-symbol white" title="Clear damage">✕</button>
+                            </span>
+                            <button v-else @click="openDamage(item)" :disabled="lockedByOther" class="small white">Damaged</button>
+                        </div>
+
+                        <div v-if="damageLine === item" class="warehouse-return">
+                            <input type="number" min="1" v-model="damageQty" />
+                            <input type="text" v-model="damageNote" placeholder="What's wrong" />
+                            <button @click="markDamaged" class="small red">Mark</button>
+                            <button @click="damageLine = null" class="small white">Cancel</button>
+                        </div>
+                    </div>
+                </div>
+            </template>
+        </div>
+    `
+};
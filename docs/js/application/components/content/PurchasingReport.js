@@ -0,0 +1,303 @@
+import { html, TableComponent, Requests, getReactiveStore, createAnalysisConfig, NavigationRegistry, ItemImageComponent, ScheduleFilterSelect, InventoryCategoryFilter, Priority, invalidateCache, todayISOString, offsetToISO, buyListToCsv } from '../../index.js';
+import { normalizeFilterValues } from '../../../data_management/utils/helpers.js';
+
+/**
+ * Purchase planning report.
+ * For the shows in a schedule filter, lists each item that runs below zero once with:
+ *   item# | description | category | worst deficit | suggested qty | needed by | order by | shows
+ * Lead times and order multiples come from the inventory INDEX MetaData.
+ */
+export const PurchasingReport = {
+    components: { TableComponent, ItemImageComponent, ScheduleFilterSelect, InventoryCategoryFilter },
+    inject: ['appContext'],
+    props: {
+        containerPath: { type: String, default: '' },
+        navigateToPath: Function
+    },
+    data() {
+        return {
+            reportStore: null,
+            referenceDate: null,
+            ctgFilter: null,
+            searchFilter: null,
+            searchParams: null,
+            error: null
+        };
+    },
+    computed: {
+        reportPath() {
+            return this.containerPath || 'reports/purchasing';
+        },
+
+        tableColumns() {
+            return [
+                {
+                    key: 'image',
+                    labelHtml: '<span class="material-symbols-outlined">imagesmode</span>',
+                    label: 'IMG',
+                    width: 1,
+                    sortable: false
+                },
+                { key: 'itemId', label: 'Item#', type: 'item', sortable: true },
+                { key: 'description', label: 'Description', sortable: true },
+                { key: 'category', label: 'Category', sortable: true },
+                { key: 'deficit', label: 'Worst Deficit', format: 'number', sortable: true, cellClass: () => 'red' },
+                { key: 'suggestedQty', label: 'Suggested Qty', format: 'number', sortable: true },
+                { key: 'neededBy', label: 'Needed By', format: 'date', sortable: true },
+                {
+                    key: 'orderBy',
+                    label: 'Order By',
+                    format: 'date',
+                    sortable: true,
+                    cellClass: (value, row) => (row?.late ? 'red' : '')
+                },
+                { key: 'leadTimeDays', label: 'Lead Days', format: 'number', sortable: true },
+                { key: 'shows', label: 'Shows', sortable: false, columnClass: 'gray' }
+            ];
+        },
+
+        tableData() {
+            return this.reportStore?.data || [];
+        },
+
+        isLoading() {
+            return this.reportStore?.isLoading || false;
+        },
+
+        isAnalyzing() {
+            return this.reportStore?.isAnalyzing || false;
+        },
+
+        loadingMessage() {
+            if (this.reportStore?.isAnalyzing) return this.reportStore.analysisMessage || 'Analyzing...';
+            return this.reportStore?.loadingMessage || 'Loading...';
+        },
+
+        loadingProgress() {
+            if (!this.reportStore) return -1;
+            if (this.isLoading) return this.reportStore.loadingProgress ?? -1;
+            if (this.isAnalyzing) return this.reportStore.analysisProgress;
+            return -1;
+        },
+
+        emptyMessage() {
+            if (this.reportStore && !this.isLoading && !this.isAnalyzing && this.tableData.length === 0) {
+                return 'Nothing needs to be bought for the selected shows.';
+            }
+            return 'Select a schedule filter to set the planning horizon';
+        }
+    },
+    methods: {
+        async handleSearchSelected(searchData) {
+            if (!searchData) {
+                this.searchFilter = null;
+                this.searchParams = null;
+                this.reportStore = null;
+                this.error = null;
+                return;
+            }
+
+            const filter = {};
+            const searchParams = {};
+
+            if (searchData.dateFilters && searchData.dateFilters.length > 0) {
+                filter.dateFilters = searchData.dateFilters;
+            }
+
+            const shipAfterFilter = searchData.dateFilters?.find(f => f.column === 'Ship' && f.type === 'after');
+            this.referenceDate = searchData?.startDate ?? offsetToISO(shipAfterFilter?.value) ?? todayISOString();
+
+            if (searchData.textFilters && searchData.textFilters.length > 0) {
+                searchData.textFilters.forEach(textFilter => {
+                    if (textFilter.column && (textFilter.values || textFilter.value)) {
+                        searchParams[textFilter.column] = {
+                            values: normalizeFilterValues(textFilter),
+                            type: textFilter.type || 'contains'
+                        };
+                    }
+                });
+            }
+
+            this.searchFilter = filter;
+            this.searchParams = searchParams;
+
+            try {
+                this.initializeReportStore();
+            } catch (err) {
+                console.error('[PurchasingReport] Error initializing report:', err);
+                this.error = 'Failed to load report: ' + err.message;
+            }
+        },
+
+        initializeReportStore() {
+            if (!this.searchFilter && !this.searchParams) return;
+
+            const analysisConfig = [
+                createAnalysisConfig(
+                    Requests.getTabNameForItem,
+                    'tabName',
+                    'Getting inventory tab names...',
+                    ['itemId'],
+                    [],
+                    'tabName',
+                    false,
+                    Priority.USER_ACTION
+                ),
+                createAnalysisConfig(
+                    Requests.getItemDescription,
+                    'description',
+                    'Loading item descriptions...',
+                    ['itemId'],
+                    [this.referenceDate],
+                    'description',
+                    false,
+                    Priority.BACKGROUND,
+                    undefined,
+                    false
+                )
+            ];
+
+            this.reportStore = getReactiveStore(
+                Requests.getPurchasingPlan,
+                null,
+                [this.searchFilter, this.searchParams, this.ctgFilter],
+                analysisConfig,
+                true
+            );
+
+            this.error = null;
+        },
+
+        handleCategorySelected(categoryName) {
+            this.ctgFilter = categoryName || null;
+            if (this.searchFilter || this.searchParams) {
+                this.initializeReportStore();
+            }
+        },
+
+        handleRefresh() {
+            invalidateCache([
+                { namespace: 'database', methodName: 'getData', args: ['PROD_SCHED', 'Production Schedule'] },
+                { namespace: 'database', methodName: 'getData', args: ['INVENTORY'] },
+                { namespace: 'database', methodName: 'getData', args: ['PACK_LISTS'] },
+                { namespace: 'database', methodName: 'getData', args: ['CACHE', 'Inventory'] },
+                { namespace: 'database', methodName: 'getTabs', args: ['PACK_LISTS'] }
+            ]);
+            this.reportStore = null;
+            this.initializeReportStore();
+        },
+
+        navigateToItemPage(row) {
+            if (!row.tabName || !row.itemId || !this.navigateToPath) return;
+            this.navigateToPath(`inventory/${row.tabName.toLowerCase()}/${row.itemId}`);
+        },
+
+        exportCsv() {
+            const csv = buyListToCsv(this.tableData);
+            const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv;charset=utf-8' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `buy-list-${todayISOString()}.csv`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(url);
+        },
+
+        handlePrint() {
+            window.print();
+        }
+    },
+    template: html`
+        <div>
+            <!-- Print-only Header -->
+            <div class="print-header">
+                <img src="assets/logo.png" alt="Top Shelf Exhibits Logo" class="print-logo" />
+                <h1>Purchase Planning Report</h1>
+                <span class="page-number"></span>
+            </div>
+
+            <div v-if="error" class="card red">
+                <p>{{ error }}</p>
+            </div>
+
+            <TableComponent
+                theme="blue"
+                :data="tableData"
+                :columns="tableColumns"
+                :hide-columns="['tabName']"
+                :show-search="true"
+                :sync-search-with-url="true"
+                :container-path="reportPath"
+                :navigate-to-path="navigateToPath"
+                :hide-rows-on-search="false"
+                :readonly="true"
+                :allowDetails="false"
+                :is-loading="isLoading"
+                :is-analyzing="isAnalyzing"
+                :loading-message="loadingMessage"
+                :loading-progress="loadingProgress"
+                :empty-message="emptyMessage"
+                @refresh="handleRefresh"
+            >
+                <template #header-area>
+                    <div class="button-bar">
+                        <ScheduleFilterSelect
+                            :container-path="reportPath"
+                            :navigate-to-path="navigateToPath"
+                            :show-advanced-button="true"
+                            :default-search="null"
+                            @search-selected="handleSearchSelected"
+                        />
+                        <InventoryCategoryFilter
+                            :container-path="reportPath"
+                            :navigate-to-path="navigateToPath"
+                            @category-selected="handleCategorySelected"
+                        />
+                        <button @click="exportCsv" :disabled="isLoading || isAnalyzing || tableData.length === 0" class="button-symbol white" title="Export Buy List as CSV">
+                            <span class="material-symbols-outlined">download</span>
+                        </button>
+                        <button @click="handlePrint" :disabled="isLoading || isAnalyzing" class="button-symbol white" title="Print Purchase Planning Report">
+                            <span class="material-symbols-outlined">print</span>
+                        </button>
+                    </div>
+                </template>
+
+                <template #default="{ row, column }">
+                    <slot v-if="column.key === 'image'">
+                        <ItemImageComponent
+                            :imageSize="48"
+                            :itemNumber="row.itemId"
+                        />
+                    </slot>
+                    <slot v-else-if="column.key === 'itemId'">
+                        <button v-if="row.tabName"
+                                @click="navigateToItemPage(row)"
+                                class="purple card"
+                                :title="'View timeline for ' + row.itemId">
+                            {{ row.itemId }}
+                        </button>
+                        <span v-else>{{ row.itemId }}</span>
+                    </slot>
+                    <slot v-else-if="column.key === 'orderBy'">
+                        {{ row.orderBy || '—' }}<span v-if="row.late"> (late)</span>
+                    </slot>
+                    <slot v-else-if="column.key === 'shows'">
+                        <slot v-if="row.shows.length === 0">—</slot>
+                        <slot v-else class="overlapping-shows-buttons">
+                            <button v-for="showId in row.shows"
+                                    :key="showId"
+                                    @click="navigateToPath && navigateToPath('packlist/' + showId)"
+                                    class="card white">
+                                {{ showId }}
+                            </button>
+                        </slot>
+                    </slot>
+                    <div v-else>
+                        {{ row[column.key] !== null && row[column.key] !== undefined ? row[column.key] : '—' }}
+                    </div>
+                </template>
+            </TableComponent>
+        </div>
+    `
+};
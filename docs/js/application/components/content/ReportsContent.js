@@ -1,12 +1,16 @@
 import { html, CardsComponent, hamburgerMenuRegistry, NavigationRegistry, DashboardToggleComponent } from '../../index.js';
 import { ShowInventoryReport } from './ShowInventoryReport.js';
 import { InventoryItemReport } from './InventoryItemReport.js';
+import { PurchasingReport } from './PurchasingReport.js';
+import { InventoryValuationReport } from './InventoryValuationReport.js';
 
 export const ReportsContent = {
     components: {
         'cards-grid': CardsComponent,
         'show-inventory-report': ShowInventoryReport,
-        'inventory-item-report': InventoryItemReport
+        'inventory-item-report': InventoryItemReport,
+        'purchasing-report': PurchasingReport,
+        'inventory-valuation-report': InventoryValuationReport
     },
     props: {
         containerPath: {
@@ -19,7 +23,9 @@ export const ReportsContent = {
         return {
             items: [
                 { id: 'show-usage', title: 'Show Usage', content: 'View inventory quantities across shows in a matrix.', cardClass: 'blue' },
-                { id: 'item-shortages', title: 'Item Shortages', content: 'View items with quantities that drop below a set threshold.', cardClass: 'blue' }
+                { id: 'item-shortages', title: 'Item Shortages', content: 'View items with quantities that drop below a set threshold.', cardClass: 'blue' },
+                { id: 'purchasing', title: 'Purchasing', content: 'Build a buy list from shortages across upcoming shows, with order-by dates.', cardClass: 'blue' },
+                { id: 'valuation', title: 'Valuation', content: 'Replacement and depreciated book value of inventory by category.', cardClass: 'blue' }
             ]
         };
     },
@@ -75,6 +81,20 @@ export const ReportsContent = {
                 :navigate-to-path="navigateToPath"
             />
 
+            <!-- Purchase Planning (buy list) View -->
+            <purchasing-report
+                v-else-if="cleanContainerPath === 'reports/purchasing'"
+                :container-path="containerPath"
+                :navigate-to-path="navigateToPath"
+            />
+
+            <!-- Inventory Valuation View -->
+            <inventory-valuation-report
+                v-else-if="cleanContainerPath === 'reports/valuation'"
+                :container-path="containerPath"
+                :navigate-to-path="navigateToPath"
+            />
+
             <!-- 404 state when item not found (aka when the store returns null) -->
             <div v-else>
                 <div class="card red">
@@ -1,4 +1,4 @@
-import { html, Requests, parseDate, toUSDateString, TableComponent, getReactiveStore, createAnalysisConfig, invalidateCache, Priority } from '../../index.js';
+import { html, Requests, parseDate, toUSDateString, TableComponent, getReactiveStore, createAnalysisConfig, invalidateCache, Priority, formatShipmentTotals, formatMoney } from '../../index.js';
 import { CalendarComponent } from '../interface/calendarComponent.js';
 
 export const ScheduleTableComponent = {
@@ -104,6 +104,22 @@ export const ScheduleTableComponent = {
                 sortable: false
             });
 
+            // Shipment totals of the show's packlists, for freight planning
+            dynamicColumns.push({
+                key: 'shipment',
+                label: 'Shipment',
+                width: 140,
+                sortable: false
+            });
+
+            // Value of what the show's packlists send out, for the COI
+            dynamicColumns.push({
+                key: 'valueShipped',
+                label: 'Value Shipped',
+                width: 120,
+                sortable: false
+            });
+
             return dynamicColumns;
         },
         tableData() {
@@ -210,6 +226,30 @@ export const ScheduleTableComponent = {
                     Priority.ANALYSIS,
                     true // extractColumnsAsObject
                 ),
+                createAnalysisConfig(
+                    Requests.getScheduleShipmentSummary,
+                    'shipment',
+                    'Totaling shipments...',
+                    ['Show', 'Client', 'Year', 'Identifier'],
+                    [],
+                    null,
+                    false,
+                    Priority.ANALYSIS,
+                    true, // extractColumnsAsObject
+                    false // nonessential
+                ),
+                createAnalysisConfig(
+                    Requests.getScheduleValueShipped,
+                    'valueShipped',
+                    'Valuing shipments...',
+                    ['Show', 'Client', 'Year', 'Identifier'],
+                    [],
+                    null,
+                    false,
+                    Priority.ANALYSIS,
+                    true, // extractColumnsAsObject
+                    false // nonessential
+                ),
                 createAnalysisConfig(
                     Requests.checkScheduleReferenceState,
                     'clientIndexIssue',
@@ -421,10 +461,24 @@ export const ScheduleTableComponent = {
                 const year = scheduleRow.Year || '';
                 const startDate = scheduleRow['S. Start'] || 'TBD';
                 
-                const isDuplicate = this.templateName !== '_TEMPLATE';
-                const confirmMessage = isDuplicate 
-                    ? `Duplicate "${this.templateName}" and attach to:\n\nClient: ${client}\nShow: ${show}\nYear: ${year}\nStart Date: ${startDate}\n\nNew packlist will be named: ${identifier}`
-                    : `Create new empty packlist for:\n\nClient: ${client}\nShow: ${show}\nYear: ${year}\nStart Date: ${startDate}`;
+                const isTemplate = this.templateName.startsWith('_TEMPLATE_');
+                const isDuplicate = this.templateName !== '_TEMPLATE' && !isTemplate;
+                let confirmMessage;
+                if (isTemplate) {
+                    confirmMessage = `Create packlist from template "${this.templateName.slice('_TEMPLATE_'.length)}" for:\n\nClient: ${client}\nShow: ${show}\nYear: ${year}\nStart Date: ${startDate}`;
+                    // Check the template's items against this show's dates before the tab exists
+                    const quantities = await Requests.checkTemplateQuantities(this.templateName, identifier);
+                    const shortages = Object.entries(quantities || {})
+                        .filter(([, status]) => status.remaining < 0)
+                        .map(([itemId, status]) => `${itemId}: needs ${status.requested}, ${status.remaining + status.requested} available`);
+                    confirmMessage += shortages.length > 0
+                        ? `\n\nShort for these dates:\n${shortages.join('\n')}`
+                        : '\n\nInventory covers every template item for these dates.';
+                } else {
+                    confirmMessage = isDuplicate 
+                        ? `Duplicate "${this.templateName}" and attach to:\n\nClient: ${client}\nShow: ${show}\nYear: ${year}\nStart Date: ${startDate}\n\nNew packlist will be named: ${identifier}`
+                        : `Create new empty packlist for:\n\nClient: ${client}\nShow: ${show}\nYear: ${year}\nStart Date: ${startDate}`;
+                }
                 
                 this.$modal.confirm(
                     confirmMessage,
@@ -458,6 +512,56 @@ export const ScheduleTableComponent = {
             // Keeping function for backwards compatibility but returning empty array
             return [];
         },
+        getShipmentCards(row, columnKey) {
+            // Only show shipment totals in the shipment column
+            if (columnKey !== 'shipment' || !row.AppData) {
+                return [];
+            }
+
+            const shipment = row.AppData.shipment;
+            if (shipment === undefined || shipment === null) {
+                return [];
+            }
+            if (!shipment.crateCount) {
+                return [{ message: 'No crates', class: 'gray' }];
+            }
+
+            const missing = Math.max(shipment.missingDimensions, shipment.missingWeight);
+            return [{
+                message: formatShipmentTotals(shipment).split(' · ').join('<br>'),
+                class: missing > 0 ? 'yellow' : 'white',
+                hoverMessage: [
+                    ...shipment.byType.map(type => `${type.type}: ${formatShipmentTotals(type)}`),
+                    ...(missing > 0 ? [`${missing} crate${missing !== 1 ? 's' : ''} missing dimensions or weight`] : []),
+                    ...(shipment.packlists.length > 1 ? [`From ${shipment.packlists.join(', ')}`] : [])
+                ].join('\n')
+            }];
+        },
+        getValueShippedCards(row, columnKey) {
+            // Only show shipment values in the value shipped column
+            if (columnKey !== 'valueShipped' || !row.AppData) {
+                return [];
+            }
+
+            const value = row.AppData.valueShipped;
+            if (value === undefined || value === null) {
+                return [];
+            }
+            if (!value.itemCount) {
+                return [{ message: 'No items', class: 'gray' }];
+            }
+
+            const uncosted = value.uncosted.length;
+            return [{
+                message: `${formatMoney(value.replacementValue)}<br>book ${formatMoney(value.bookValue)}`,
+                class: uncosted > 0 ? 'yellow' : 'white',
+                hoverMessage: [
+                    'Replacement value of the items packed, for the COI',
+                    ...(uncosted > 0 ? [`${uncosted} item${uncosted !== 1 ? 's' : ''} without a unit cost: ${value.uncosted.join(', ')}`] : []),
+                    ...(value.packlists.length > 1 ? [`From ${value.packlists.join(', ')}`] : [])
+                ].join('\n')
+            }];
+        },
         getPacklistCards(row, columnKey) {
             // Only show packlist cards in the packlist column
             if (columnKey !== 'packlist') {
@@ -893,6 +997,24 @@ export const ScheduleTableComponent = {
                     ></span>
                 </template>
                 
+                <!-- Add shipment totals cards based on AppData -->
+                <template v-for="card in getShipmentCards(row, column.key)" :key="'shipment-' + card.message">
+                    <span 
+                        :class="['card', card.class]"
+                        :title="card.hoverMessage"
+                        v-html="card.message"
+                    ></span>
+                </template>
+
+                <!-- Add shipment value cards based on AppData -->
+                <template v-for="card in getValueShippedCards(row, column.key)" :key="'value-' + card.message">
+                    <span 
+                        :class="['card', card.class]"
+                        :title="card.hoverMessage"
+                        v-html="card.message"
+                    ></span>
+                </template>
+
                 <!-- Add packlist cards based on AppData -->
                 <template v-for="card in getPacklistCards(row, column.key)" :key="card.message">
                     <button 
@@ -0,0 +1,204 @@
+import { html, CacheInvalidationBus, getCacheSnapshot, traceCacheInvalidation, authState } from '../../index.js';
+
+// Deepest level shown when expanding a dependency tree
+const MAX_TREE_DEPTH = 12;
+
+/**
+ * Developer panel for the cache: keys by namespace with size, fill time and expiry, the dependency
+ * graph recorded by createDependencyDecorator, CacheInvalidationBus subscribers, and invalidation
+ * of a key or prefix with the resulting cascade.
+ *
+ * Opened with Ctrl+Alt+C (see app.js). Emits 'close-modal' to close itself.
+ */
+export const CacheInspectorPanel = {
+    data() {
+        return {
+            entries: [],
+            subscribers: [],
+            filter: '',
+            selectedKey: null,
+            cascade: null,
+            cascadeTarget: null,
+            now: Date.now()
+        };
+    },
+    computed: {
+        isOffline() {
+            return authState.isOffline;
+        },
+        entriesByKey() {
+            return new Map(this.entries.map(entry => [entry.key, entry]));
+        },
+        namespaces() {
+            const filter = this.filter.trim().toLowerCase();
+            const groups = new Map();
+            this.entries
+                .filter(entry => !filter || entry.key.toLowerCase().includes(filter))
+                .forEach(entry => {
+                    if (!groups.has(entry.namespace)) groups.set(entry.namespace, []);
+                    groups.get(entry.namespace).push(entry);
+                });
+            return Array.from(groups.entries()).map(([namespace, entries]) => ({
+                namespace,
+                entries,
+                size: entries.reduce((total, entry) => total + (entry.size || 0), 0)
+            }));
+        },
+        selected() {
+            return this.selectedKey ? this.entriesByKey.get(this.selectedKey) || null : null;
+        },
+        dependencyTree() {
+            return this.selected ? this.flattenTree(this.selected.key, 'dependencies') : [];
+        },
+        dependentTree() {
+            return this.selected ? this.flattenTree(this.selected.key, 'dependents') : [];
+        },
+        selectedSubscribers() {
+            if (!this.selected) return [];
+            const { namespace, methodName } = this.selected;
+            return this.subscribers.filter(({ pattern }) => pattern === `${namespace}:${methodName}` || pattern === namespace);
+        }
+    },
+    mounted() {
+        this.refresh();
+    },
+    methods: {
+        refresh() {
+            this.entries = getCacheSnapshot();
+            this.subscribers = CacheInvalidationBus.subscribers();
+            this.now = Date.now();
+        },
+        select(key) {
+            this.selectedKey = this.selectedKey === key ? null : key;
+        },
+        /**
+         * Walk the graph from a key, one row per visit; keys already shown higher up are not expanded again
+         * @param {string} rootKey
+         * @param {'dependencies'|'dependents'} direction
+         * @returns {Array<{key: string, depth: number, repeated: boolean}>}
+         */
+        flattenTree(rootKey, direction) {
+            const rows = [];
+            const shown = new Set([rootKey]);
+            const visit = (key, depth) => {
+                const next = this.entriesByKey.get(key)?.[direction] || [];
+                next.forEach(childKey => {
+                    const repeated = shown.has(childKey);
+                    rows.push({ key: childKey, depth, repeated });
+                    if (repeated || depth >= MAX_TREE_DEPTH) return;
+                    shown.add(childKey);
+                    visit(childKey, depth + 1);
+                });
+            };
+            visit(rootKey, 0);
+            return rows;
+        },
+        /**
+         * Reactive stores that reload for a cascade step. Every subscriber on the step's pattern is
+         * notified (counted in step.listeners), but stores only act on their own arguments.
+         */
+        storesFor(key) {
+            return this.subscribers
+                .filter(({ label }) => label === `store ${key}`)
+                .map(({ label }) => label);
+        },
+        invalidate(target, prefix = false) {
+            this.cascadeTarget = prefix ? `${target}*` : target;
+            this.cascade = traceCacheInvalidation(target, { prefix });
+            this.refresh();
+        },
+        formatSize(size) {
+            if (size === null || size === undefined) return '—';
+            if (size < 1024) return `${size} B`;
+            return `${(size / 1024).toFixed(1)} KB`;
+        },
+        formatAge(timestamp) {
+            if (!timestamp) return '—';
+            const seconds = Math.round((this.now - timestamp) / 1000);
+            return seconds < 60 ? `${seconds}s ago` : `${Math.floor(seconds / 60)}m ${seconds % 60}s ago`;
+        },
+        formatExpiry(entry) {
+            if (!entry.cached) return 'expired';
+            if (entry.awaitingRevalidation) return 'awaiting revalidation';
+            if (!entry.expire) return 'never';
+            const seconds = Math.round((entry.expire - this.now) / 1000);
+            return seconds <= 0 ? 'stale' : `in ${seconds}s`;
+        },
+        indent(depth) {
+            return { paddingLeft: `${depth * 1.5}em` };
+        }
+    },
+    template: html`
+        <div class="content">
+            <p v-if="isOffline" class="red">Offline: the cache is frozen and invalidation is suspended.</p>
+            <div class="button-bar">
+                <input type="text" v-model="filter" placeholder="Filter keys (e.g. database:getData:&quot;INVENTORY&quot;)">
+                <button @click="invalidate(filter.trim(), true)" class="orange" :disabled="!filter.trim() || isOffline">Invalidate Prefix</button>
+                <button @click="refresh" class="white">Refresh</button>
+            </div>
+
+            <div v-if="cascade">
+                <p>
+                    <strong>Invalidated {{ cascadeTarget }}</strong>:
+                    {{ cascade.length }} key(s), {{ cascade.reduce((total, step) => total + step.listeners, 0) }} bus notification(s)
+                </p>
+                <p v-if="cascade.length === 0" class="helper-text">Nothing was invalidated.</p>
+                <div v-for="(step, index) in cascade" :key="index" :style="indent(step.depth)">
+                    <code>{{ step.key }}</code>
+                    <span class="helper-text">
+                        {{ step.wasCached ? '' : '(not cached) ' }}{{ step.listeners }} listener(s)
+                        <template v-for="label in storesFor(step.key)" :key="label"> · {{ label }}</template>
+                    </span>
+                </div>
+            </div>
+
+            <p v-if="namespaces.length === 0">No cache keys{{ filter ? ' match the filter' : '' }}.</p>
+            <div v-for="group in namespaces" :key="group.namespace">
+                <p><strong>{{ group.namespace }}</strong> <span class="helper-text">{{ group.entries.length }} key(s), {{ formatSize(group.size) }}</span></p>
+                <table class="white">
+                    <thead>
+                        <tr><th>Method</th><th>Arguments</th><th>Size</th><th>Filled</th><th>Expires</th><th>Deps</th><th>Dependents</th></tr>
+                    </thead>
+                    <tbody>
+                        <tr v-for="entry in group.entries" :key="entry.key" @click="select(entry.key)" :class="{ 'selected': entry.key === selectedKey }">
+                            <td>{{ entry.methodName }}<span v-if="entry.pending" class="helper-text"> (loading)</span></td>
+                            <td><code>{{ entry.argsString }}</code></td>
+                            <td>{{ formatSize(entry.size) }}</td>
+                            <td>{{ formatAge(entry.filled) }}</td>
+                            <td>{{ formatExpiry(entry) }}</td>
+                            <td>{{ entry.dependencies.length }}</td>
+                            <td>{{ entry.dependents.length }}</td>
+                        </tr>
+                    </tbody>
+                </table>
+            </div>
+
+            <div v-if="selected">
+                <p><strong>{{ selected.key }}</strong></p>
+                <div class="button-bar">
+                    <button @click="invalidate(selected.key)" class="orange" :disabled="isOffline">Invalidate Key</button>
+                    <button @click="selectedKey = null" class="white">Deselect</button>
+                </div>
+                <p>Depends on:</p>
+                <p v-if="dependencyTree.length === 0" class="helper-text">Nothing recorded.</p>
+                <div v-for="(row, index) in dependencyTree" :key="'dep' + index" :style="indent(row.depth + 1)">
+                    <code>{{ row.key }}</code><span v-if="row.repeated" class="helper-text"> (shown above)</span>
+                </div>
+                <p>Invalidating it also invalidates:</p>
+                <p v-if="dependentTree.length === 0" class="helper-text">Nothing.</p>
+                <div v-for="(row, index) in dependentTree" :key="'dependent' + index" :style="indent(row.depth + 1)">
+                    <code>{{ row.key }}</code><span v-if="row.repeated" class="helper-text"> (shown above)</span>
+                </div>
+                <p>Bus subscribers for {{ selected.namespace }}:{{ selected.methodName }}:</p>
+                <p v-if="selectedSubscribers.length === 0" class="helper-text">None.</p>
+                <div v-for="(subscriber, index) in selectedSubscribers" :key="'sub' + index" :style="indent(1)">
+                    {{ subscriber.label || 'unlabelled listener' }}<span v-if="subscriber.pattern === selected.namespace" class="helper-text"> (all {{ selected.namespace }} events)</span>
+                </div>
+            </div>
+
+            <div class="button-bar">
+                <button @click="$emit('close-modal')" class="gray">Close</button>
+            </div>
+        </div>
+    `
+};
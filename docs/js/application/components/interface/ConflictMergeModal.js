@@ -0,0 +1,124 @@
+import { html, EditHistoryUtils } from '../../index.js';
+
+/**
+ * Merge modal for a save that found overlapping edits from another session
+ * (the conflict report returned by Database.setData with detectConflicts).
+ * Lists each conflicting cell with their value and ours; the user picks one per cell.
+ *
+ * Props:
+ *   report — the conflict report ({ rows: [{ index, key, users, cells, missing }] })
+ *   describeRow(row) — optional label for a report row (defaults to its key or row number)
+ *   describeColumn(column) — optional label for a column key (defaults to the key)
+ *   onResolve(choices) — called with { [rowIndexInReport]: { [column]: 'mine'|'theirs' } };
+ *       rows with missing: true use the column name '_row' (theirs = keep their row, mine = delete it)
+ *
+ * Emits 'close-modal' to close itself.
+ */
+export const ConflictMergeModal = {
+    props: {
+        report: {
+            type: Object,
+            required: true
+        },
+        describeRow: {
+            type: Function,
+            default: null
+        },
+        describeColumn: {
+            type: Function,
+            default: null
+        },
+        onResolve: {
+            type: Function,
+            required: true
+        }
+    },
+    data() {
+        // Default to "mine" — the user was in the middle of saving these values
+        const choices = {};
+        this.report.rows.forEach((row, rowIndex) => {
+            if (row.missing) {
+                choices[rowIndex] = { _row: 'mine' };
+            } else if (row.cells.length > 0) {
+                choices[rowIndex] = Object.fromEntries(row.cells.map(cell => [cell.column, 'mine']));
+            }
+        });
+        return { choices };
+    },
+    computed: {
+        conflictRows() {
+            return this.report.rows
+                .map((row, rowIndex) => ({ row, rowIndex }))
+                .filter(({ row }) => row.missing || row.cells.length > 0);
+        },
+        mergedCount() {
+            return this.report.rows.reduce((count, row) => count + (row.merged?.length || 0), 0);
+        },
+        users() {
+            return [...new Set(this.report.rows.flatMap(row => row.users))].join(', ');
+        }
+    },
+    methods: {
+        label(row) {
+            if (this.describeRow) return this.describeRow(row);
+            return row.key || `Row ${row.index + 2}`;
+        },
+        columnLabel(column) {
+            return this.describeColumn ? this.describeColumn(column) : column;
+        },
+        lastEdit(row) {
+            const latest = EditHistoryUtils.getMostRecentChange(row.edithistory);
+            return latest ? `${latest.u}, ${EditHistoryUtils.formatTimestampHuman(latest.t)}` : row.users.join(', ');
+        },
+        display(value) {
+            return value === undefined || value === null || value === '' ? '(empty)' : String(value);
+        },
+        chooseAll(side) {
+            Object.values(this.choices).forEach(rowChoices => {
+                Object.keys(rowChoices).forEach(column => { rowChoices[column] = side; });
+            });
+        },
+        apply() {
+            this.onResolve(this.choices);
+            this.$emit('close-modal');
+        }
+    },
+    template: html`
+        <div class="content">
+            <p>
+                {{ users }} saved changes to the same cells while you were editing. Nothing has been saved yet — pick which value to keep for each cell.
+                <span v-if="mergedCount > 0">Their {{ mergedCount }} other change(s) will be kept alongside yours.</span>
+            </p>
+            <div v-for="{ row, rowIndex } in conflictRows" :key="rowIndex">
+                <p><strong>{{ label(row) }}</strong> — last edited by {{ lastEdit(row) }}</p>
+                <div v-if="row.missing" class="button-bar">
+                    <button :class="choices[rowIndex]._row === 'theirs' ? 'purple' : 'white'" @click="choices[rowIndex]._row = 'theirs'">
+                        Keep their edited row
+                    </button>
+                    <button :class="choices[rowIndex]._row === 'mine' ? 'orange' : 'white'" @click="choices[rowIndex]._row = 'mine'">
+                        Delete it (mine)
+                    </button>
+                </div>
+                <template v-else>
+                    <div v-for="cell in row.cells" :key="cell.column">
+                        <p>{{ columnLabel(cell.column) }} <span class="helper-text">(was {{ display(cell.base) }})</span></p>
+                        <div class="button-bar">
+                            <button :class="choices[rowIndex][cell.column] === 'theirs' ? 'purple' : 'white'" @click="choices[rowIndex][cell.column] = 'theirs'">
+                                Theirs: {{ display(cell.theirs) }}
+                            </button>
+                            <button :class="choices[rowIndex][cell.column] === 'mine' ? 'orange' : 'white'" @click="choices[rowIndex][cell.column] = 'mine'">
+                                Mine: {{ display(cell.mine) }}
+                            </button>
+                        </div>
+                    </div>
+                </template>
+            </div>
+            <div class="button-bar">
+                <button @click="chooseAll('theirs')" class="white">All Theirs</button>
+                <button @click="chooseAll('mine')" class="white">All Mine</button>
+                <button @click="apply" class="purple">Merge and Save</button>
+                <button @click="$emit('close-modal')" class="gray">Cancel</button>
+            </div>
+        </div>
+    `
+};
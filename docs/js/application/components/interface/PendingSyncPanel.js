@@ -0,0 +1,211 @@
+import { html, modalManager, OfflineQueue, ConflictMergeModal, authState } from '../../index.js';
+
+// Report columns are sheet headers, except the lowercased packlist metadata columns
+const PACKLIST_STORE_KEYS = { edithistory: 'EditHistory', metadata: 'MetaData' };
+
+/**
+ * Panel listing saves queued while offline (see OfflineQueue), with per-entry conflict handling.
+ * Conflicted entries open ConflictMergeModal; the merged data is put back in the queue and replayed.
+ *
+ * Emits 'close-modal' to close itself.
+ */
+export const PendingSyncPanel = {
+    data() {
+        return {
+            entries: [],
+            isSyncing: false
+        };
+    },
+    computed: {
+        isOffline() {
+            return authState.isOffline;
+        }
+    },
+    mounted() {
+        this._onQueueChange = () => this.refresh();
+        OfflineQueue.on(this._onQueueChange);
+        this.refresh();
+    },
+    beforeUnmount() {
+        OfflineQueue.off(this._onQueueChange);
+    },
+    methods: {
+        async refresh() {
+            this.entries = await OfflineQueue.list();
+        },
+        describe(entry) {
+            const [, target, id] = entry.args;
+            switch (entry.method) {
+                case 'savePackList': return `Pack list: ${target}`;
+                case 'saveInventoryTabData': return `Inventory: ${target}`;
+                case 'savePageNotes': return 'Page notes';
+                case 'storeUserData': return `Settings: ${id}`;
+                default: return entry.method;
+            }
+        },
+        statusText(entry) {
+            if (entry.status === 'conflict') return 'Changed by someone else in the meantime';
+            if (entry.status === 'failed') return `Failed: ${entry.error}`;
+            const held = this.entries.some(other => other.id < entry.id && other.target === entry.target && other.status !== 'pending');
+            return held ? 'Waiting for the earlier change to be resolved' : 'Waiting to sync';
+        },
+        queuedAt(entry) {
+            return new Date(entry.queuedAt).toLocaleString();
+        },
+        async syncNow() {
+            this.isSyncing = true;
+            try {
+                await OfflineQueue.replay();
+            } finally {
+                this.isSyncing = false;
+            }
+        },
+        discard(entry) {
+            modalManager.confirm(
+                `Discard the queued change to ${this.describe(entry)}? It will not be saved.`,
+                () => OfflineQueue.discard(entry.id),
+                null,
+                'Discard Change',
+                'Discard',
+                'Cancel'
+            );
+        },
+        async retry(entry) {
+            this.isSyncing = true;
+            try {
+                await OfflineQueue.retry(entry.id);
+            } finally {
+                this.isSyncing = false;
+            }
+        },
+        resolve(entry) {
+            const report = entry.conflictReport;
+            modalManager.custom(ConflictMergeModal, {
+                report,
+                describeRow: (row) => {
+                    if (entry.method !== 'savePackList') return row.key || `Row ${row.index + 2}`;
+                    if (row.missing) {
+                        const theirs = row.restore?.row || {};
+                        return row.restore?.crate
+                            ? `Deleted crate${theirs['Piece #'] ? ` ${theirs['Piece #']}` : ''}`
+                            : `Deleted item${theirs.Description ? `: ${theirs.Description}` : ''}`;
+                    }
+                    const [crateIndex, , itemIndex] = row.path || [];
+                    return itemIndex === undefined ? `Crate ${crateIndex + 1}` : `Crate ${crateIndex + 1}, item ${itemIndex + 1}`;
+                },
+                onResolve: async (choices) => {
+                    const { args, meta } = this.applyChoices(entry, report, choices);
+                    this.isSyncing = true;
+                    try {
+                        await OfflineQueue.retry(entry.id, { args, meta });
+                    } finally {
+                        this.isSyncing = false;
+                    }
+                }
+            }, 'Merge Changes');
+        },
+        /**
+         * Apply merge choices to a conflicted entry's queued data, the way the tables do for a live save
+         * @returns {{args: Array, meta: Object|undefined}}
+         */
+        applyChoices(entry, report, choices) {
+            const args = JSON.parse(JSON.stringify(entry.args));
+            const rows = args[0];
+            const choose = (row, rowIndex, target, keyFor = (column) => column) => {
+                row.merged.forEach(({ column, value }) => { target[keyFor(column)] = value; });
+                row.cells.forEach(cell => {
+                    if (choices[rowIndex]?.[cell.column] === 'theirs') target[keyFor(cell.column)] = cell.theirs;
+                });
+            };
+
+            if (entry.method === 'savePackList') {
+                // Paths point into the queued crates, so find them before any row is put back
+                const targets = report.rows.map(row => (row.path ? row.path.reduce((node, segment) => node?.[segment], rows) : null));
+                report.rows.forEach((row, rowIndex) => {
+                    const target = targets[rowIndex];
+                    if (!target) return;
+                    choose(row, rowIndex, target, (column) => PACKLIST_STORE_KEYS[column] || column);
+                    // Carry their history forward so this save appends to it
+                    target.EditHistory = row.edithistory;
+                });
+                // Their edited rows that this save deletes; "theirs" puts them back at their sheet position
+                report.rows
+                    .filter((row, rowIndex) => row.missing && row.restore && choices[rowIndex]?._row === 'theirs')
+                    .sort((a, b) => a.remoteIndex - b.remoteIndex)
+                    .forEach(row => {
+                        const sheetRows = rows.flatMap((crate, crateIndex) => [
+                            { crateIndex, itemIndex: null },
+                            ...(crate.Items || []).map((item, itemIndex) => ({ crateIndex, itemIndex }))
+                        ]);
+                        const above = sheetRows[Math.min(row.remoteIndex, sheetRows.length) - 1];
+                        if (row.restore.crate) {
+                            rows.splice(above ? above.crateIndex + 1 : 0, 0, { ...row.restore.row, Items: [] });
+                        } else if (above) {
+                            rows[above.crateIndex].Items.splice(above.itemIndex === null ? 0 : above.itemIndex + 1, 0, { ...row.restore.row });
+                        }
+                    });
+                args[2] = { ...(args[2] || {}), knownVersion: report.version };
+                return { args, meta: undefined };
+            }
+
+            if (entry.method === 'saveInventoryTabData') {
+                report.rows.forEach((row, rowIndex) => {
+                    if (row.missing) {
+                        // Their edited row was deleted here; "theirs" restores it
+                        if (choices[rowIndex]?._row === 'theirs') rows.push({ ...row.theirs });
+                        return;
+                    }
+                    const target = rows.find(item => item.itemNumber === row.key);
+                    if (!target) return;
+                    choose(row, rowIndex, target);
+                    target.edithistory = row.edithistory;
+                });
+                args[5] = { ...(args[5] || {}), knownVersion: report.version };
+                return { args, meta: undefined };
+            }
+
+            // savePageNotes: notes are matched by Path; resolved paths replay without a second conflict check
+            report.rows.forEach((row, rowIndex) => {
+                let target = rows.find(note => note.Path === row.key);
+                const takesTheirs = row.cells.some(cell => choices[rowIndex]?.[cell.column] === 'theirs');
+                if (!target && !takesTheirs) return;
+                if (!target) {
+                    target = { Path: row.key, Note: '', Color: '', Size: '', EditHistory: '' };
+                    rows.push(target);
+                }
+                choose(row, rowIndex, target);
+                if (takesTheirs) target.EditHistory = row.edithistory;
+            });
+            const resolvedPaths = [...(entry.meta?.resolvedPaths || []), ...report.rows.map(row => row.key)];
+            return { args, meta: { ...(entry.meta || {}), resolvedPaths } };
+        }
+    },
+    template: html`
+        <div class="content">
+            <p v-if="entries.length === 0">Everything is synced.</p>
+            <p v-else>
+                These changes were saved on this device while offline.
+                <span v-if="isOffline">They will sync when connectivity is restored.</span>
+            </p>
+            <div v-for="entry in entries" :key="entry.id">
+                <p>
+                    <strong>{{ describe(entry) }}</strong>
+                    <span class="helper-text">— {{ entry.user || 'unknown user' }}, {{ queuedAt(entry) }}</span>
+                    <br>
+                    <span :class="{ 'red': entry.status !== 'pending' }">{{ statusText(entry) }}</span>
+                </p>
+                <div class="button-bar">
+                    <button v-if="entry.status === 'conflict'" @click="resolve(entry)" class="purple" :disabled="isSyncing">Resolve...</button>
+                    <button v-if="entry.status === 'failed'" @click="retry(entry)" class="white" :disabled="isSyncing || isOffline">Retry</button>
+                    <button @click="discard(entry)" class="white" :disabled="isSyncing">Discard</button>
+                </div>
+            </div>
+            <div class="button-bar">
+                <button @click="syncNow" class="purple" :disabled="isSyncing || isOffline || entries.length === 0">
+                    {{ isSyncing ? 'Syncing...' : 'Sync Now' }}
+                </button>
+                <button @click="$emit('close-modal')" class="gray">Close</button>
+            </div>
+        </div>
+    `
+};
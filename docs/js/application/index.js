@@ -1,7 +1,19 @@
 // API
 export { Requests } from '../data_management/api.js';
 export { parseDate, toISODateString, toUSDateString, todayISOString, offsetToISO, parseDateFilterParameters, buildDateFilterParameters, parseTextFilterParameters, buildTextFilterParameters, parseSearchParameters } from '../data_management/utils/helpers.js';
-export { CacheInvalidationBus, invalidateCache, ProgressBus } from '../data_management/utils/caching.js';
+export { CacheInvalidationBus, invalidateCache, ProgressBus, getCacheSnapshot, traceCacheInvalidation } from '../data_management/utils/caching.js';
+export { ChangeFeed } from '../data_management/utils/changeFeed.js';
+export { OfflineQueue } from '../data_management/utils/offlineQueue.js';
+export { planPacklistRules, parsePacklistRules, PACKLIST_RULE_KINDS } from '../data_management/utils/packlistRules.js';
+export { findCrateType, suggestCrateTypes, checkCrateDimensions, CRATE_DEFAULT_KEYS } from '../data_management/utils/crateCatalog.js';
+export { computeShipmentTotals, formatShipmentTotals } from '../data_management/utils/shipmentTotals.js';
+export { unitKey } from '../data_management/utils/inventoryUnits.js';
+export { CHECK_STAGES, getItemCheck, setItemCheck, clearItemCheck, getCrateCheckProgress } from '../data_management/utils/packlistChecks.js';
+export { buyListToCsv } from '../data_management/utils/purchasePlanning.js';
+export { summarizeValuation, formatMoney } from '../data_management/utils/inventoryValuation.js';
+export { countVariances, summarizeCount } from '../data_management/utils/stockTake.js';
+export { IMPORT_FIELDS, parseCsv, guessColumnMapping, planInventoryImport, applyInventoryImport } from '../data_management/utils/inventoryImport.js';
+export { parseItemNumber, findIndexRow, hasCustomItemNumbers, resolveAlias, nextItemNumber, validateItemNumber, planRenumber } from '../data_management/utils/itemNumbers.js';
 export { EditHistoryUtils } from '../data_management/utils/metadata-utils.js';
 
 // Utils
@@ -21,6 +33,9 @@ export { ModalComponent, modalManager } from './components/interface/modalCompon
 export { ContainerComponent } from './components/interface/containerComponent.js';
 export { PageNoteComponent, PageNoteMenuComponent } from './components/interface/pageNoteComponent.js';
 export { OverlappingShowsModal } from './components/interface/OverlappingShowsModal.js';
+export { ConflictMergeModal } from './components/interface/ConflictMergeModal.js';
+export { PendingSyncPanel } from './components/interface/PendingSyncPanel.js';
+export { CacheInspectorPanel } from './components/interface/CacheInspectorPanel.js';
 export { LoadingBarComponent } from './components/interface/loadingBarComponent.js';
 export { BannerNotifications, NotificationBubbleOverlay } from './components/interface/bannerNotifications.js';
 export { TableComponent, tableRowSelectionState } from './components/interface/tableComponent.js';
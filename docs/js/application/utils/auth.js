@@ -1,13 +1,5 @@
-// Dynamically select GoogleSheetsAuth based on environment
-import { isLocalhost } from '../../google_sheets_services/FakeGoogle.js';
-let GoogleSheetsAuth;
-if (isLocalhost()) {
-    // eslint-disable-next-line no-undef
-    ({ GoogleSheetsAuth } = await import('../../google_sheets_services/FakeGoogle.js'));
-} else {
-    // eslint-disable-next-line no-undef
-    ({ GoogleSheetsAuth } = await import('../../google_sheets_services/index.js'));
-}
+// Storage backend auth is selected at runtime from config (google / fake / local)
+import { GoogleSheetsAuth } from '../../google_sheets_services/backend.js';
 
 /**
  * Reactive authentication state
@@ -25,8 +17,10 @@ export const authState = Vue.reactive({
 // Import DashboardRegistry for cleanup on logout
 import { DashboardRegistry } from './DashboardRegistry.js';
 import { reloadErrorStores } from './reactiveStores.js';
-import { restartCacheTimestampPoller, clearCache } from '../../data_management/utils/caching.js';
+import { restartCacheTimestampPoller, clearCache, revalidatePersistedCache } from '../../data_management/utils/caching.js';
 import { networkState } from '../../data_management/utils/networkState.js';
+import { sessionState } from '../../data_management/utils/sessionState.js';
+import { OfflineQueue } from '../../data_management/utils/offlineQueue.js';
 
 // Import modalManager for re-authentication prompts
 let modalManager;
@@ -71,9 +65,14 @@ export class Auth {
             if (isAuth) {
                 let email = testModeEmail || await GoogleSheetsAuth.getUserEmail();
                 authState.user = { email, name: email?.split('@')[0] || 'User' };
+                sessionState.userEmail = email;
                 authState.isAuthenticated = true;
                 authState.permissionsWarning = Auth._buildPermissionsWarning();
                 Auth._startProactiveRefreshTimer();
+                // Check any cache entries restored from IndexedDB against the Caching tab now
+                revalidatePersistedCache();
+                // Sync saves queued while offline in an earlier visit
+                OfflineQueue.replay();
             }
             authState.isInitialized = true;
         } catch (error) {
@@ -113,6 +112,7 @@ export class Auth {
             }
 
             authState.user = { email, name: email?.split('@')[0] || 'User' };
+            sessionState.userEmail = email;
             authState.isAuthenticated = true;
             authState.permissionsWarning = Auth._buildPermissionsWarning();
             Auth._startProactiveRefreshTimer();
@@ -127,6 +127,8 @@ export class Auth {
 
             // Restart the cache timestamp poller if it was paused due to auth expiry
             restartCacheTimestampPoller();
+            revalidatePersistedCache();
+            OfflineQueue.replay();
             
             return true;
         } catch (error) {
@@ -134,6 +136,7 @@ export class Auth {
             authState.error = error.message;
             authState.isAuthenticated = false;
             authState.user = null;
+            sessionState.userEmail = null;
             return false;
         } finally {
             authState.isLoading = false;
@@ -206,6 +209,9 @@ export class Auth {
             DashboardRegistry.cleanup();
             
             await GoogleSheetsAuth.logout();
+
+            // Don't leave the previous user's data in the persisted cache
+            await clearCache();
             
             // Simplified logout: refresh the page instead of complex store clearing
             // This ensures a clean slate with all components properly re-initialized
@@ -405,8 +411,8 @@ export class Auth {
             console.log('[Auth] Network online — resuming operations');
             networkState.isOffline = false;
             authState.isOffline = false;
-            // Reload any stores that errored during the outage
-            reloadErrorStores();
+            // Sync saves queued while offline, then reload any stores that errored during the outage
+            OfflineQueue.replay().finally(() => reloadErrorStores());
         });
     }
 
@@ -1,4 +1,4 @@
-import { CacheInvalidationBus, ProgressBus, Requests, authState, Auth } from '../index.js';
+import { CacheInvalidationBus, ChangeFeed, ProgressBus, Requests, authState, Auth } from '../index.js';
 import { PriorityQueue, Priority } from './priorityQueue.js';
 
 // Re-export Priority for component use
@@ -162,6 +162,9 @@ function shouldExcludeColumn(key, excludedColumns) {
     return excludedColumns.has(key);
 }
 
+// How long store.remoteChange stays set after rows were patched from another session
+const REMOTE_CHANGE_NOTICE_MS = 6000;
+
 /**
  * Check if an item is marked for deletion
  * @param {Object} obj - The object to check
@@ -359,6 +362,11 @@ export function createReactiveStore(apiCall = null, saveCall = null, apiArgs = [
         isSaving: false, // True only during the save operation (used to suppress false conflict detection from the save cascade)
         externalConflict: false, // True when an external session mutated this data while we have unsaved changes
         lockConflictOwner: null, // Set when a save is blocked by a competing lock
+        conflictReport: null, // Set when a save found overlapping edits from another session (see Database.setData)
+        livePatches: false, // Opt-in: patch rows saved by other sessions in place (ChangeFeed) instead of reloading
+        remoteChange: null, // { user, count, at } for a few seconds after rows were patched from another session
+        _absorbedChange: false, // The next main invalidation was already applied by applyRemoteChange
+        pendingSync: false, // True after a save was queued offline (OfflineQueue); cleared by the next load
         analysisProgress: -1,
         analysisMessage: '',
         analysisConfig,
@@ -451,6 +459,8 @@ export function createReactiveStore(apiCall = null, saveCall = null, apiArgs = [
             this.isReloadingMainData = true; // Lock to prevent analysis during reload
             this.externalConflict = false;
             this.lockConflictOwner = null;
+            this.conflictReport = null;
+            this.pendingSync = false;
             this.setError(null);
 
             // Subscribe to progress events emitted by the API function for this load
@@ -539,6 +549,7 @@ export function createReactiveStore(apiCall = null, saveCall = null, apiArgs = [
             this.setLoading(true, message);
             this.setError(null);
             this.lockConflictOwner = null;
+            this.conflictReport = null;
             try {
                 // Remove all objects marked for deletion and analysis target columns before saving
                 const cleanData = removeAppData(this.data, this.analysisConfig);
@@ -550,19 +561,30 @@ export function createReactiveStore(apiCall = null, saveCall = null, apiArgs = [
                     priorities.save,
                     { label: message, type: 'save', store: 'reactive' }
                 );
+                // Nothing was written: another session edited the same cells since we loaded.
+                // The component shows the merge modal and saves again once the user has chosen.
+                if (result && result.conflict) {
+                    this.conflictReport = result;
+                    return false;
+                }
+                // Offline: the save was queued and is written when connectivity returns.
+                // Keep this store in memory until then — its data is newer than the cache.
+                this.pendingSync = !!(result && result.queued);
                 // now remove the rows marked for deletion from live data without breaking reactivity:
                 this.removeMarkedRows();
                 // Sync originalData to the saved state so isModified becomes false.
                 // Must happen after removeMarkedRows so deleted rows are not included in the baseline.
                 this.setOriginalData(this.data);
                 
-                // Remove backup from user data after successful save
-                const storeKey = generateStoreKey(apiCall, saveCall, apiArgs, analysisConfig);
-                await removeStoreBackupFromUserData(storeKey);
-                if (this.loadedBackupKey && this.loadedBackupKey !== storeKey) {
-                    await removeStoreBackupFromUserData(this.loadedBackupKey);
+                // Remove backup from user data after successful save (a queued save keeps it until it syncs)
+                if (!this.pendingSync) {
+                    const storeKey = generateStoreKey(apiCall, saveCall, apiArgs, analysisConfig);
+                    await removeStoreBackupFromUserData(storeKey);
+                    if (this.loadedBackupKey && this.loadedBackupKey !== storeKey) {
+                        await removeStoreBackupFromUserData(this.loadedBackupKey);
+                    }
+                    this.loadedBackupKey = null;
                 }
-                this.loadedBackupKey = null;
                 this.autoSaved = false; // Clear auto-save flag after successful save
                 this.lastAutoSaveHash = null; // Clear auto-save hash after manual save
                 this.externalConflict = false; // Conflict resolved — our save is now the latest
@@ -649,6 +671,54 @@ export function createReactiveStore(apiCall = null, saveCall = null, apiArgs = [
             // Replace data array contents in place (preserves reference)
             this.data.splice(0, this.data.length, ...filteredData);
         },
+        // Resolve a path into the data last sent to saveCall (e.g. [2, 'Items', 0] from a conflict
+        // report) to the live row. Rows marked for deletion were not sent, so they are skipped.
+        getSavedRow(path) {
+            let target = this.data;
+            for (const segment of path || []) {
+                if (typeof segment === 'number') {
+                    target = Array.isArray(target)
+                        ? target.filter(obj => !isMarkedForDeletion(obj))[segment]
+                        : undefined;
+                } else {
+                    target = target?.[segment];
+                }
+                if (target === undefined) return null;
+            }
+            return target ?? null;
+        },
+        // Apply another session's saved rows (a ChangeFeed entry) in place. Only when nothing here is
+        // unsaved or in flight and every patched row can be found; returns false otherwise and the
+        // invalidation that follows reloads (or flags externalConflict) as usual.
+        applyRemoteChange(entry) {
+            const change = entry?.change;
+            if (!this.livePatches || isReadOnly || !change || change.rows.length === 0) return false;
+            if (this.isSaving || this.isLoading || this.isReloadingMainData || this.needsReload || this.isModified) return false;
+
+            const targets = change.rows.map(patch => {
+                if (Array.isArray(patch.p)) return this.getSavedRow(patch.p);
+                if (!change.identifierKey) return null;
+                return this.data.find(row => isValidObject(row) && String(row[change.identifierKey]) === String(patch.k)) || null;
+            });
+            if (targets.some(target => !isValidObject(target))) return false;
+
+            targets.forEach((target, index) => {
+                Object.entries(change.rows[index].v).forEach(([key, value]) => {
+                    // Patches use the save's mapping keys; rows may hold the sheet header instead
+                    const column = key in target ? key : (change.headers?.[key] || key);
+                    target[column] = value;
+                });
+            });
+            this.setOriginalData(this.data);
+            this._absorbedChange = true;
+
+            const at = Date.now();
+            this.remoteChange = { user: (entry.user || '').split('@')[0] || 'Someone', count: change.rows.length, at };
+            setTimeout(() => {
+                if (this.remoteChange?.at === at) this.remoteChange = null;
+            }, REMOTE_CHANGE_NOTICE_MS);
+            return true;
+        },
         addRow(row, fieldNames = null) {
             // Ensure AppData is set and nested arrays are initialized
             if (row && typeof row === 'object') {
@@ -1075,6 +1145,14 @@ export function createReactiveStore(apiCall = null, saveCall = null, apiArgs = [
             // already frozen. Stores with errors are reloaded automatically by reloadErrorStores()
             // when connectivity is restored.
             if (authState.isOffline) return;
+            // Rows were already patched from the change feed. Refetch to re-register the cache chain
+            // (see the isModified branch below), and reload if the sheet turns out to differ from the patch.
+            if (this._absorbedChange) {
+                this._absorbedChange = false;
+                const fresh = await apiCall(...apiArgs).catch(() => null);
+                if (!Array.isArray(fresh) || this.isModified || this.isSaving || this.isReloadingMainData) return;
+                if (areValuesEqual(removeAppData(deepClone(fresh), this.analysisConfig), removeAppData(deepClone(this.originalData), this.analysisConfig))) return;
+            }
             // If unsaved changes exist, don't silently overwrite them — flag the conflict instead.
             // The UI will show a warning banner; reload happens after the user saves or discards.
             if (this.isModified) {
@@ -1209,6 +1287,9 @@ const reactiveStoreRegistry = Vue.reactive({});
 // Score is calculated as: (accessCount / ageInMinutes) × exp(-timeSinceLastAccess / recencyGuard)
 const storeMetaRegistry = {};
 
+// Removes each registered store's invalidation and change feed listeners (see setupCacheInvalidationListeners)
+const storeListenerTeardown = {};
+
 // Maximum number of simultaneously populated stores.
 // Stores exceeding this cap (sorted by lowest score) are evicted after a debounce.
 // Also used for preemptive eviction: when at 80% capacity, invalidated stores in the
@@ -1259,7 +1340,7 @@ function calculateStoreScore(key) {
  */
 function shouldPreemptivelyEvict(key, store) {
     // Never preemptively evict core stores or stores with unsaved changes
-    if (store.exemptFromEviction || store.isModified) {
+    if (store.exemptFromEviction || store.isModified || store.pendingSync) {
         return false;
     }
     
@@ -1337,7 +1418,7 @@ function scheduleLruEviction() {
             // 2. Never evict stores with unsaved work or active operations
             // 3. Never evict stores accessed within the recency guard window (60 seconds)
             const timeSinceAccess = now - lastAccess;
-            if (s.exemptFromEviction || s.isModified || s.isLoading || s.isSaving || s.isAnalyzing || timeSinceAccess < RECENCY_GUARD_MS) {
+            if (s.exemptFromEviction || s.isModified || s.pendingSync || s.isLoading || s.isSaving || s.isAnalyzing || timeSinceAccess < RECENCY_GUARD_MS) {
                 continue;
             }
             
@@ -1814,7 +1895,7 @@ export function getReactiveStore(apiCall, saveCall = null, apiArgs = [], analysi
         store.setLoading(true, 'Initializing...');
         
         // Setup cache invalidation subscriptions
-        setupCacheInvalidationListeners(store, apiCall, apiArgs, analysisConfig);
+        storeListenerTeardown[key] = setupCacheInvalidationListeners(store, apiCall, apiArgs, analysisConfig);
         
         // Start auto-save timer if not already running
         startAutoSaveTimer();
@@ -1919,26 +2000,41 @@ export function getReactiveStore(apiCall, saveCall = null, apiArgs = [], analysi
  *
  * LISTENER LIFECYCLE:
  *   Listeners are registered once when the store is first created and
- *   are never removed. They remain active for the lifetime of the page.
- *   A new store with the same key reuses the existing store instance
- *   (see getReactiveStore) so listeners are not duplicated.
+ *   stay while it is in the registry. A new store with the same key reuses
+ *   the existing store instance (see getReactiveStore) so listeners are not
+ *   duplicated. The returned function removes them all; it is called when
+ *   the store leaves the registry (clearAllReactiveStores).
  * ═══════════════════════════════════════════════════════════════
+ * @returns {Function} Removes the listeners
  */
 function setupCacheInvalidationListeners(store, apiCall, apiArgs, analysisConfig) {
+    const subscriptions = [];
     // Subscribe to main API call invalidations (triggers full reload)
     const mainMethodName = extractMethodName(apiCall);
+    const storeArgs = JSON.stringify(apiArgs).replace(/^\[|\]$/g, '');
+    // Subscriber label for the cache inspector
+    const storeLabel = `store ${mainMethodName ? `api:${mainMethodName}:` : ''}${storeArgs}`;
     if (mainMethodName) {
         const mainPattern = `api:${mainMethodName}`;
-        const storeArgs = JSON.stringify(apiArgs).replace(/^\[|\]$/g, '');
+        const mainKey = `${mainPattern}:${storeArgs}`;
         
-        CacheInvalidationBus.on(mainPattern, (eventData) => {
+        const onInvalidation = (eventData) => {
             // Check if arguments match
             const cachedArgs = eventData.argsString;
             
             if (cachedArgs === storeArgs) {
                 store.handleInvalidation();
             }
-        });
+        };
+        CacheInvalidationBus.on(mainPattern, onInvalidation, storeLabel);
+        subscriptions.push(() => CacheInvalidationBus.off(mainPattern, onInvalidation));
+
+        // Row-level changes from other sessions arrive before the invalidation they cause
+        const onRemoteChange = (entry, affectedKeys) => {
+            if (affectedKeys.has(mainKey)) store.applyRemoteChange(entry);
+        };
+        ChangeFeed.on(onRemoteChange);
+        subscriptions.push(() => ChangeFeed.off(onRemoteChange));
     }
     
     // Subscribe to analysis function invalidations (triggers re-analysis only)
@@ -1970,7 +2066,7 @@ function setupCacheInvalidationListeners(store, apiCall, apiArgs, analysisConfig
             if (analysisMethodName) {
                 const analysisPattern = `api:${analysisMethodName}`;
 
-                CacheInvalidationBus.on(analysisPattern, () => {
+                const onAnalysisInvalidation = () => {
                     pendingInvalidatedKeys.add(config.resultKey || config.targetColumn);
 
                     // Reset the debounce window on every new invalidation so that a burst
@@ -1978,10 +2074,17 @@ function setupCacheInvalidationListeners(store, apiCall, apiArgs, analysisConfig
                     // 150ms is long enough to absorb cascade chains but short enough to feel responsive.
                     if (analysisDebounceTimer) clearTimeout(analysisDebounceTimer);
                     analysisDebounceTimer = setTimeout(flushAnalysisInvalidations, 150);
-                });
+                };
+                CacheInvalidationBus.on(analysisPattern, onAnalysisInvalidation, `${storeLabel} (analysis: ${config.resultKey || config.targetColumn})`);
+                subscriptions.push(() => CacheInvalidationBus.off(analysisPattern, onAnalysisInvalidation));
             }
         });
+        subscriptions.push(() => {
+            if (analysisDebounceTimer) clearTimeout(analysisDebounceTimer);
+        });
     }
+
+    return () => subscriptions.forEach(unsubscribe => unsubscribe());
 }
 
 /**
@@ -2115,6 +2218,7 @@ export async function clearAllReactiveStores(options = {}) {
         store.isSaving = false;
         store.externalConflict = false;
         store.lockConflictOwner = null;
+        store.conflictReport = null;
         store.analysisProgress = -1;
         store.analysisMessage = '';
         store.autoSaved = false;
@@ -2127,6 +2231,8 @@ export async function clearAllReactiveStores(options = {}) {
     // This ensures a clean slate on logout. When stores are re-accessed after login,
     // getReactiveStore() will create fresh entries with needsReload properly handled.
     for (const key of Object.keys(reactiveStoreRegistry)) {
+        storeListenerTeardown[key]?.();
+        delete storeListenerTeardown[key];
         delete reactiveStoreRegistry[key];
         delete storeMetaRegistry[key];
     }
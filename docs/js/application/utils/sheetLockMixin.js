@@ -56,7 +56,7 @@ export const sheetLockMixin = {
 
     created() {
         this._lockInvalidationHandler = () => this.checkLockStatus();
-        CacheInvalidationBus.on('api:getSheetLock', this._lockInvalidationHandler);
+        CacheInvalidationBus.on('api:getSheetLock', this._lockInvalidationHandler, `sheet lock ${this.lockNamespace}`);
     },
 
     beforeUnmount() {
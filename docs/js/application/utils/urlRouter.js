@@ -67,6 +67,40 @@ export class URLRouter {
         return await ApplicationUtils.expandShortLink(shortCode);
     }
 
+    /**
+     * Create short links for several paths at once (e.g. a sheet of labels)
+     * @param {Array<string>} paths - The full paths to shorten
+     * @returns {Promise<Object>} Map of path to full short URL (e.g., "https://…/#go:1gx")
+     */
+    static async createShortUrls(paths) {
+        const codes = await ApplicationUtils.getShortLinks(paths);
+        const base = `${window.location.origin}${window.location.pathname}`;
+        const urls = {};
+        Object.entries(codes).forEach(([path, code]) => {
+            urls[path] = `${base}#go:${code}`;
+        });
+        return urls;
+    }
+
+    /**
+     * Resolve scanned or pasted label text to an app path. Accepts a short URL ("https://…/#go:1gx"),
+     * a short hash ("go:1gx"), a bare short code ("1gx"), or a full app URL ("https://…/#packlist/NAME")
+     * @param {string} text
+     * @returns {Promise<string|null>} The path, or null if the text is not a link to this app
+     */
+    static async resolveScannedText(text) {
+        const value = String(text ?? '').trim();
+        if (!value) return null;
+        const hash = value.includes('#') ? value.slice(value.indexOf('#') + 1) : value;
+        if (URLRouter.isShortHash(hash)) {
+            return await URLRouter.decodeShortHash(hash);
+        }
+        if (/^[0-9a-z]+$/i.test(hash)) {
+            return await URLRouter.decodeShortHash(`go:${hash.toLowerCase()}`);
+        }
+        return value.includes('#') ? hash.replace(/\+/g, ' ') : null;
+    }
+
     /**
      * Initialize URL routing system
      */
@@ -1,16 +1,27 @@
 import { Database, wrapMethods, invalidateCache, stampDataChange, normalizeHeaderName } from '../index.js';
-import { setTimestampWriter, startCacheTimestampPoller, startCacheCleanup } from '../utils/caching.js';
+import { setTimestampWriter, startCacheTimestampPoller, startCacheCleanup, enableCachePersistence } from '../utils/caching.js';
+import { ChangeFeed, MAX_PATCH_CHARS } from '../utils/changeFeed.js';
+import { sessionState } from '../utils/sessionState.js';
 
-// Dynamically import GoogleSheetsAuth based on environment
+// Storage backend is selected at runtime from config (google / fake / local)
 import { isLocalhost } from '../../google_sheets_services/FakeGoogle.js';
-let GoogleSheetsAuth, GoogleSheetsService;
-if (isLocalhost()) {
-    ({ GoogleSheetsAuth, GoogleSheetsService } = await import('../../google_sheets_services/FakeGoogle.js'));
-} else {
-    ({ GoogleSheetsAuth } = await import('../../google_sheets_services/GoogleSheetsAuth.js'));
-    ({ GoogleSheetsService } = await import('../../google_sheets_services/GoogleSheetsData.js'));
+import { GoogleSheetsAuth, GoogleSheetsService, backendName } from '../../google_sheets_services/backend.js';
+
+/**
+ * Deployed version from version.json (fetched by index.html), waiting briefly for it to arrive
+ * @returns {Promise<string|null>}
+ */
+async function _waitForDeployedVersion() {
+    for (let attempts = 0; attempts < 20 && typeof window !== 'undefined' && !window.__deployedVersion; attempts++) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    return (typeof window !== 'undefined' && window.__deployedVersion) || null;
 }
 
+// CACHE/ChangeLog is trimmed back to CHANGE_LOG_KEEP rows once it reaches CHANGE_LOG_MAX
+const CHANGE_LOG_MAX = 200;
+const CHANGE_LOG_KEEP = 100;
+
 function isActiveLockTimestamp(timestamp) {
     const ts = timestamp?.split('|')[0];
     return !!(ts && ts !== '0');
@@ -863,6 +874,69 @@ class applicationUtils_uncached {
         }
     }
 
+    /**
+     * Append a row-level change to the CACHE/ChangeLog tab for the change feed (see changeFeed.js).
+     * Format: [['Timestamp', 'Key', 'User', 'Session', 'Rows'], ...] oldest first.
+     * Rows is the change JSON, or empty when the change can't be patched in place.
+     * Entries are appended by the backend, so sessions saving at once each get their own row.
+     * The log is trimmed to its newest CHANGE_LOG_KEEP rows once it passes CHANGE_LOG_MAX.
+     *
+     * @param {string} prefix - Cache key prefix (e.g., 'database:getData:"INVENTORY","FURNITURE"')
+     * @param {Object} change - { identifierKey, headers, rows } from describeRowChanges
+     */
+    static async appendChangeLogEntry(prefix, change) {
+        const headers = ['Timestamp', 'Key', 'User', 'Session', 'Rows'];
+        let rowsJson = change ? JSON.stringify({ id: change.identifierKey || null, h: change.headers || {}, r: change.rows }) : '';
+        if (rowsJson.length > MAX_PATCH_CHARS) rowsJson = '';
+        const entry = [new Date().toISOString(), prefix, sessionState.userEmail || '', ChangeFeed.sessionId, rowsJson];
+
+        const tabs = await GoogleSheetsService.getSheetTabs('CACHE');
+        if (!tabs.some(tab => tab.title === 'ChangeLog')) {
+            await GoogleSheetsService.createBlankTab('CACHE', 'ChangeLog');
+            await GoogleSheetsService.setSheetData('CACHE', 'ChangeLog', [headers, entry], null);
+            return;
+        }
+
+        const rowNumber = await GoogleSheetsService.appendSheetRow('CACHE', 'ChangeLog', entry);
+        if (rowNumber && rowNumber - 1 > CHANGE_LOG_MAX) {
+            // Read errors propagate (the caller logs them) rather than trimming from a partial read
+            const rawData = await GoogleSheetsService.getSheetData('CACHE', 'ChangeLog');
+            const rows = rawData.slice(1);
+            if (rows.length > CHANGE_LOG_MAX) {
+                await GoogleSheetsService.setSheetData('CACHE', 'ChangeLog', [headers, ...rows.slice(-CHANGE_LOG_KEEP)], null);
+            }
+        }
+    }
+
+    /**
+     * Read the CACHE/ChangeLog tab for the change feed.
+     * Entries with unreadable Rows JSON are returned with change: null (reload instead of patch).
+     *
+     * @returns {Promise<Array<{id: string, at: string, key: string, user: string, session: string, change: Object|null}>|null>}
+     *   Null if auth unavailable, empty array if no entries
+     */
+    static async readChangeLog() {
+        if (!GoogleSheetsAuth || !(await GoogleSheetsAuth.checkAuth())) return null;
+        const rawData = await GoogleSheetsService.getSheetData('CACHE', 'ChangeLog').catch(() => null);
+        if (!rawData || rawData.length < 2) return [];
+        return rawData.slice(1)
+            .filter(row => Array.isArray(row) && row[0] && row[1])
+            .map(([at, key, user, session, rowsJson]) => {
+                let change = null;
+                if (rowsJson) {
+                    try {
+                        const parsed = JSON.parse(rowsJson);
+                        if (Array.isArray(parsed?.r)) {
+                            change = { identifierKey: parsed.id || null, headers: parsed.h || {}, rows: parsed.r };
+                        }
+                    } catch (err) {
+                        console.warn('[readChangeLog] Unreadable Rows JSON for', key);
+                    }
+                }
+                return { id: `${at}|${session || ''}|${key}`, at, key, user: user || '', session: session || '', change };
+            });
+    }
+
     // ─── Thumbnail table ─────────────────────────────────────────────────────────
 
     /**
@@ -909,6 +983,53 @@ class applicationUtils_uncached {
         _thumbnailFlushTimer = setTimeout(_flushThumbnailWrites, 2000);
     }
 
+    /**
+     * Move thumbnail records to new item numbers (a renumber or a merge). Where the new number
+     * already has a thumbnail of its own, that one is kept and the moved record is dropped.
+     * MUTATION — not cached. With a transaction the write is only queued: call
+     * invalidateThumbnailRecords once it commits.
+     * @param {Array<{from: string, to: string}>} renames
+     * @param {Object} [transaction] - Database.transaction handle to queue the write on
+     * @returns {Promise<Array<string>>} The item numbers whose thumbnail changed
+     */
+    static async moveThumbnailRecords(renames, transaction = null) {
+        const map = new Map((renames || []).map(rename => [rename.from, rename.to]));
+        // Records still waiting in the write buffer follow their item too
+        for (const [from, to] of map) {
+            if (!_pendingThumbnailWrites.has(from)) continue;
+            if (!_pendingThumbnailWrites.has(to)) _pendingThumbnailWrites.set(to, _pendingThumbnailWrites.get(from));
+            _pendingThumbnailWrites.delete(from);
+        }
+
+        const allTabs = await Database.getTabs('CACHE');
+        if (!allTabs.some(t => t.title === 'Thumbnails')) return [];
+        const records = await Database.getData('CACHE', 'Thumbnails', _THUMBNAILS_MAPPING);
+        if (!records.some(record => map.has(record.itemNumber))) return [];
+
+        const staying = new Set(records.filter(record => !map.has(record.itemNumber)).map(record => record.itemNumber));
+        const moved = records
+            .filter(record => !map.has(record.itemNumber) || !staying.has(map.get(record.itemNumber)))
+            .map(record => map.has(record.itemNumber) ? { ...record, itemNumber: map.get(record.itemNumber) } : record);
+        await (transaction || Database).setData('CACHE', 'Thumbnails', moved, _THUMBNAILS_MAPPING, { skipMetadata: true });
+
+        const changed = [...map].flatMap(([from, to]) => [from, to]);
+        if (!transaction) applicationUtils_uncached.invalidateThumbnailRecords(changed);
+        return changed;
+    }
+
+    /**
+     * Drop cached thumbnail records after the Thumbnails tab was rewritten, here and in other sessions.
+     * MUTATION — not cached.
+     * @param {Array<string>} itemNumbers - The item numbers whose record changed
+     */
+    static invalidateThumbnailRecords(itemNumbers) {
+        for (const itemNumber of itemNumbers || []) {
+            invalidateCache([{ namespace: 'app_utils', methodName: 'getThumbnailRecord', args: [itemNumber] }]);
+        }
+        invalidateCache([{ namespace: 'app_utils', methodName: 'getAllThumbnailRecords', args: [] }]);
+        stampDataChange('app_utils:getThumbnailRecord');
+    }
+
     /**
      * Get or create a short link for a given path
      * Checks if the path already has a short code, otherwise creates one
@@ -916,6 +1037,16 @@ class applicationUtils_uncached {
      * @returns {Promise<string>} The short code (e.g., "1gx")
      */
     static async getShortLink(path) {
+        const codes = await ApplicationUtils.getShortLinks([path]);
+        return codes[path];
+    }
+
+    /**
+     * Get or create short links for several paths with a single write (e.g. a sheet of labels)
+     * @param {Array<string>} paths - The full paths to shorten
+     * @returns {Promise<Object>} Map of path to short code
+     */
+    static async getShortLinks(paths) {
         // Ensure Links tab exists
         const allTabs = await Database.getTabs('CACHE');
         const linksTab = allTabs.find(t => t.title === 'Links');
@@ -939,14 +1070,8 @@ class applicationUtils_uncached {
             Created: 'Created'
         });
         
-        // Check if path already exists
-        const existing = links.find(link => link.Path === path);
-        if (existing && existing.ShortCode) {
-            return existing.ShortCode;
-        }
-        
-        // Generate new short code (base-36)
-        const maxCode = links.reduce((max, link) => {
+        // Generate new short codes (base-36) after the highest one in use
+        let maxCode = links.reduce((max, link) => {
             if (!link.ShortCode) return max;
             try {
                 const num = parseInt(link.ShortCode, 36);
@@ -956,23 +1081,39 @@ class applicationUtils_uncached {
             }
         }, 0);
         
-        const newShortCode = (maxCode + 1).toString(36);
-        
-        // Add new link
-        links.push({
-            Path: path,
-            ShortCode: newShortCode,
-            Created: new Date().toISOString()
-        });
+        const codes = {};
+        let added = false;
+        for (const path of paths) {
+            if (codes[path]) continue;
+            // Check if path already exists
+            const existing = links.find(link => link.Path === path);
+            if (existing && existing.ShortCode) {
+                codes[path] = existing.ShortCode;
+                continue;
+            }
+            
+            maxCode++;
+            codes[path] = maxCode.toString(36);
+            
+            // Add new link
+            links.push({
+                Path: path,
+                ShortCode: codes[path],
+                Created: new Date().toISOString()
+            });
+            added = true;
+        }
         
-        // Save back to sheet
-        await Database.setData('CACHE', 'Links', links, {
-            Path: 'Path',
-            ShortCode: 'ShortCode',
-            Created: 'Created'
-        }, { skipMetadata: true });
+        if (added) {
+            // Save back to sheet
+            await Database.setData('CACHE', 'Links', links, {
+                Path: 'Path',
+                ShortCode: 'ShortCode',
+                Created: 'Created'
+            }, { skipMetadata: true });
+        }
         
-        return newShortCode;
+        return codes;
     }
 
     /**
@@ -1049,13 +1190,33 @@ async function _flushThumbnailWrites() {
 export const ApplicationUtils = wrapMethods(
     applicationUtils_uncached, 
     'app_utils', 
-    ['storeUserData', 'initializeDefaultSavedSearches', 'lockSheet', 'unlockSheet', 'forceUnlockSheet', 'releaseAllUserLocks', '_writeUserColumn', '_writeLockKeyRow', '_writeLockCell', '_numberToColumnLetter', '_initializeLocksSheet', 'writeCacheTimestamp', 'readCacheTimestamps', 'storeThumbnailRecord', 'getShortLink', 'expandShortLink'], // Mutation methods
+    ['storeUserData', 'initializeDefaultSavedSearches', 'lockSheet', 'unlockSheet', 'forceUnlockSheet', 'releaseAllUserLocks', '_writeUserColumn', '_writeLockKeyRow', '_writeLockCell', '_numberToColumnLetter', '_initializeLocksSheet', 'writeCacheTimestamp', 'readCacheTimestamps', 'appendChangeLogEntry', 'readChangeLog', 'storeThumbnailRecord', 'moveThumbnailRecords', 'invalidateThumbnailRecords', 'getShortLink', 'getShortLinks', 'expandShortLink'], // Mutation methods
     ['getThumbnailRecord', 'expandShortLink'], // Infinite cache methods
     { 'getSheetLock': 10000, 'getLocksData': 10000 } // Custom cache durations (10 seconds for getSheetLock and getLocksData)
 );
 
-setTimestampWriter((prefix) => ApplicationUtils.writeCacheTimestamp(prefix));
+setTimestampWriter((prefix, change) => {
+    ApplicationUtils.writeCacheTimestamp(prefix);
+    // Row-level changes also go to the change log so open stores can patch instead of reload
+    if (change && change.rows.length > 0) {
+        ApplicationUtils.appendChangeLogEntry(prefix, change)
+            .catch(err => console.warn('[appendChangeLogEntry] Failed to append change log entry:', err));
+    }
+});
+
+// Persist the cache to IndexedDB across reloads (APP_CONFIG.PERSIST_CACHE = 'true' / 'false' overrides).
+// Off by default for the fake backend: its mock data resets on reload, so a persisted cache would disagree with it.
+const _persistCacheSetting = String(globalThis.APP_CONFIG?.PERSIST_CACHE ?? '').trim().toLowerCase();
+if (_persistCacheSetting === 'true' || (_persistCacheSetting !== 'false' && backendName !== 'fake')) {
+    enableCachePersistence({
+        name: backendName,
+        version: _waitForDeployedVersion(),
+        // Blob URLs die with the page
+        excludePrefixes: ['database:getItemImageBlobUrl', 'database:getDriveBlobUrl']
+    });
+}
 startCacheTimestampPoller(() => ApplicationUtils.readCacheTimestamps(), isLocalhost() ? 10_000 : 30_000);
+ChangeFeed.start(() => ApplicationUtils.readChangeLog(), isLocalhost() ? 3_000 : 10_000);
 startCacheCleanup(2 * 60 * 1000); // Clean up expired cache entries every 2 minutes
 
 // ─── Development test helper ────────────────────────────────────────────────
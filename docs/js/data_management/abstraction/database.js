@@ -1,21 +1,8 @@
-// Dynamic Google Sheets Service selection
-import { isLocalhost } from '../../google_sheets_services/FakeGoogle.js';
-let GoogleSheetsService, GoogleSheetsAuth;
-
-if (isLocalhost()) {
-    // Dynamically import fake services
-    // Note: This import must match the actual path and export names
-    // If using a bundler, you may need to adjust this to static imports
-    // eslint-disable-next-line no-undef
-    console.warn('Running locally, using fake Google services.');
-    ({ GoogleSheetsService, GoogleSheetsAuth } = await import('../../google_sheets_services/FakeGoogle.js'));
-} else {
-    // Use real services for production
-    // eslint-disable-next-line no-undef
-    ({ GoogleSheetsService, GoogleSheetsAuth } = await import('../../google_sheets_services/index.js'));
-}
+// Storage backend is selected at runtime from config (google / fake / local)
+import { GoogleSheetsService } from '../../google_sheets_services/backend.js';
 
-import { wrapMethods, invalidateCache, stampDataChange, EditHistoryUtils } from '../index.js';
+import { SheetSql } from '../../google_sheets_services/sheetSql.js';
+import { wrapMethods, invalidateCache, stampDataChange, EditHistoryUtils, describeRowChanges } from '../index.js';
 import { ApplicationUtils } from '../index.js';
 
 class database_uncached {
@@ -54,14 +41,48 @@ class database_uncached {
     }
     
     /**
-     * Executes a SQL-like query against logical table data
+     * Executes a SQL-like query against logical table data.
+     * Queries with JOINs or TABLE.tab sources (e.g. `FROM INVENTORY.FURNITURE AS f JOIN PACK_LISTS.* AS p
+     * ON p.Description CONTAINS f.ITEM#`) load every source through the cached getData/getTabs so the
+     * result is invalidated whenever any source tab changes.
      * @param {Object} deps - Dependency decorator for tracking calls
-     * @param {string} tableId - The table identifier
+     * @param {string} tableId - The table identifier (default table for unqualified tabs)
      * @param {string} query - SQL-like query string
      * @returns {Promise<Array<Object>>} Query results
      */
     static async queryData(deps, tableId, query) {
-        return await GoogleSheetsService.querySheetData(tableId, query);
+        const parsedQuery = SheetSql.parseQuery(query);
+        if (!parsedQuery.source || (!parsedQuery.source.table && parsedQuery.joins.length === 0)) {
+            return await GoogleSheetsService.querySheetData(tableId, query);
+        }
+
+        const knownTables = new Set(Object.keys({ ...GoogleSheetsService.ENDPOINT_IDS, ...window.ENDPOINT_IDS }));
+        const refs = [parsedQuery.source, ...parsedQuery.joins.map(join => join.source)];
+
+        const sources = await Promise.all(refs.map(async (ref) => {
+            // A prefix that isn't a known table is part of a dotted tab name
+            let sourceTable = ref.table;
+            let sourceTab = ref.tab;
+            if (sourceTable && !knownTables.has(sourceTable)) {
+                sourceTab = `${sourceTable}.${sourceTab}`;
+                sourceTable = null;
+            }
+            sourceTable = sourceTable || tableId;
+
+            let tabNames = [sourceTab];
+            if (sourceTab === '*') {
+                // Underscore tabs (_TEMPLATE, _EditHistory) are internal and skipped by wildcards
+                const tabs = await deps.call(Database.getTabs, sourceTable);
+                tabNames = tabs.map(tab => tab.title).filter(title => !title.startsWith('_'));
+            }
+
+            return await Promise.all(tabNames.map(async (tab) => ({
+                tab,
+                data: await deps.call(Database.getData, sourceTable, tab)
+            })));
+        }));
+
+        return SheetSql.executeJoinQuery(parsedQuery, sources);
     }
     
     /**
@@ -76,6 +97,21 @@ class database_uncached {
         return tabs.find(tab => tab.title === tabName) || null;
     }
 
+    /**
+     * Rows deleted from a tab, from the spreadsheet's _EditHistory archive
+     * @param {Object} deps - Dependency decorator for tracking calls
+     * @param {string} tableId - Identifier for the table
+     * @param {string} tabName - Tab the rows were deleted from
+     * @returns {Promise<Array<Object>>} Archive entries (see EditHistoryUtils.createArchiveEntry), oldest first
+     */
+    static async getDeletedRows(deps, tableId, tabName) {
+        const archive = await deps.call(Database.findTabByName, tableId, ARCHIVE_TAB);
+        if (!archive) return [];
+        const mapping = Object.fromEntries(ARCHIVE_HEADERS.map(header => [header, header]));
+        const rows = await deps.call(Database.getData, tableId, ARCHIVE_TAB, mapping);
+        return (rows || []).filter(row => row.SourceTable === tableId && row.SourceTab === tabName);
+    }
+
 
     /**
      * Resize a File to fit within maxDimension × maxDimension, preserving aspect ratio.
@@ -254,54 +290,22 @@ class database_uncached {
      * @param {boolean} [options.skipMetadata] - Skip edithistory generation (for EditHistory table itself)
      * @param {string} [options.identifierKey] - Key to identify rows (for deletion tracking)
      * @param {string} [options.source] - Source system for history entries ('web' | 'cad')
-     * @returns {Promise<boolean>} - Success status
+     * @param {boolean} [options.detectConflicts] - Check the rows being overwritten for edits made by
+     *   other users since the client loaded them (see EditHistoryUtils.detectConcurrentEdits).
+     *   Non-overlapping edits are merged; overlapping ones return a conflict report and nothing is written.
+     * @param {number} [options.knownVersion] - report.version from a conflict report the client has resolved
+     * @param {Array<Array>} [options.rowPaths] - Where each update row sits in the caller's nested data
+     *   (e.g. [crateIndex, 'Items', itemIndex]); lets the change feed patch rows that have no identifierKey
+     * @returns {Promise<boolean|Object>} - Success status, or a conflict report
+     *   { conflict: true, tableId, tabName, version, rows } when options.detectConflicts finds conflicting edits
      */
     static async setData(tableId, tabName, updates, mapping = null, options = {}) {
-        const {
-            username = null,
-            skipMetadata = false,
-            identifierKey = null,
-            source = 'web'
-        } = options;
-
-        let updatesWithMetadata = updates;
-
-        // Add edithistory tracking if not skipped
-        if (!skipMetadata && mapping && mapping.edithistory) {
-            try {
-                // Get original data for comparison (use Database.getData to leverage cache)
-                const transformedOriginal = await Database.getData(tableId, tabName, mapping);
-
-                // Add edithistory to updated rows
-                updatesWithMetadata = await _addMetadataToRows(
-                    transformedOriginal,
-                    updates,
-                    username,
-                    mapping,
-                    source
-                );
-
-                // Detect and archive deleted rows
-                if (identifierKey) {
-                    const deletedRows = EditHistoryUtils.detectDeletedRows(
-                        transformedOriginal,
-                        updates,
-                        identifierKey
-                    );
-
-                    if (deletedRows.length > 0) {
-                        await _archiveDeletedRows(
-                            tableId,
-                            tabName,
-                            deletedRows,
-                            username
-                        );
-                    }
-                }
-            } catch (error) {
-                console.warn('Failed to add edithistory, continuing with save:', error);
-                // Continue with save even if edithistory fails
-            }
+        const { updatesWithMetadata, deletedRows, savedAt, conflictReport, change } = await _prepareSetData(tableId, tabName, updates, mapping, options);
+        if (conflictReport) {
+            return conflictReport;
+        }
+        if (deletedRows.length > 0) {
+            await _archiveDeletedRows(tableId, tabName, deletedRows, options.username ?? null, savedAt);
         }
 
         const result = await GoogleSheetsService.setSheetData(tableId, tabName, updatesWithMetadata, mapping);
@@ -325,7 +329,7 @@ class database_uncached {
         // Moving stampDataChange after invalidateCache or after the cache
         // repopulation would break cross-session change detection.
         // ═══════════════════════════════════════════════════════════════
-        stampDataChange(`database:getData:"${tableId}","${tabName}"`);
+        stampDataChange(`database:getData:"${tableId}","${tabName}"`, change);
         invalidateCache([
             { namespace: 'database', methodName: 'getData', args: [tableId, tabName] }
         ], true);
@@ -423,19 +427,15 @@ class database_uncached {
     }
 
     /**
-     * Append a single row to the end of a tab using a targeted range write.
+     * Append a single row to the end of a tab. The backend picks the row, so concurrent
+     * appends from other sessions don't overwrite each other.
      * @param {string} tableId - Identifier for the table
      * @param {string} tabName - Sheet/tab name
      * @param {Array<string>} values - Row values in column order
      * @returns {Promise<number>} 1-based row number that was appended
      */
     static async appendSheetRow(tableId, tabName, values) {
-        const rawData = await GoogleSheetsService.getSheetData(tableId, tabName);
-        const nextRow = (Array.isArray(rawData) ? rawData.length : 0) + 1;
-        const endCol = _numberToColumnLetter(Math.max(values.length, 1));
-        const range = `${tabName}!A${nextRow}:${endCol}${nextRow}`;
-
-        await GoogleSheetsService.setSheetData(tableId, range, [values], null);
+        const nextRow = await GoogleSheetsService.appendSheetRow(tableId, tabName, values);
 
         stampDataChange(`database:getData:"${tableId}","${tabName}"`);
         invalidateCache([
@@ -487,6 +487,119 @@ class database_uncached {
             { namespace: 'database', methodName: 'getData', args: [tableId, newTabName] }
         ]);
     }
+
+    /**
+     * Run several writes, across tabs and spreadsheets, as one unit.
+     *
+     * `work` receives a transaction handle with the same setData / appendSheetRow / setCellValue
+     * signatures as Database. Those calls only queue writes; once `work` resolves they are committed
+     * in the order they were queued, as one batchSetSheetData call per spreadsheet. Every touched tab
+     * is snapshotted first, and if any write fails the tabs are restored from the snapshots before the
+     * error is rethrown. If `work` itself throws, nothing is written.
+     *
+     * Caches are stamped and invalidated once per touched tab, after the commit (or rollback).
+     *
+     * @param {Function} work - async (tx) => result
+     * @returns {Promise<*>} Whatever `work` returned
+     * @throws {Error} The failing write's error, or ROLLBACK_FAILED if a tab could not be restored
+     */
+    static async transaction(work) {
+        const tx = new DatabaseTransaction();
+        let result;
+        try {
+            result = await work(tx);
+        } finally {
+            tx._closed = true;
+        }
+
+        if (tx._operations.length > 0) {
+            await _commitTransaction(tx);
+        }
+        return result;
+    }
+}
+
+/**
+ * Write queue handed to Database.transaction callbacks. Methods mirror the Database mutations
+ * but only record the writes; row numbers returned by appendSheetRow account for rows already
+ * queued in the same transaction.
+ */
+class DatabaseTransaction {
+    constructor() {
+        this._operations = [];          // { tableId, tabName, range, values, fullTab, change }
+        this._appendedRows = new Map(); // "tableId!tabName" -> next free 1-based row
+        this._archives = [];            // Deleted rows to archive once the commit succeeds
+        this._closed = false;
+    }
+
+    _assertOpen(method) {
+        if (this._closed) {
+            throw new Error(`[Database.transaction] CLOSED: tx.${method} called after the transaction finished`);
+        }
+    }
+
+    /**
+     * Queue a whole-tab write (see Database.setData)
+     * @returns {Promise<boolean>}
+     */
+    async setData(tableId, tabName, updates, mapping = null, options = {}) {
+        this._assertOpen('setData');
+        const { updatesWithMetadata, deletedRows, savedAt, conflictReport, change } = await _prepareSetData(tableId, tabName, updates, mapping, options);
+        if (conflictReport) {
+            const error = new Error(`[Database.transaction] CONFLICT: ${tabName} was changed by ${_conflictUsers(conflictReport)} since it was loaded`);
+            error.conflictReport = conflictReport;
+            throw error;
+        }
+        const values = _toSheetValues(updatesWithMetadata, mapping);
+        this._operations.push({ tableId, tabName, range: tabName, values, fullTab: true, change });
+        this._appendedRows.set(`${tableId}!${tabName}`, values.length + 1);
+        if (deletedRows.length > 0) {
+            this._archives.push({ tableId, tabName, deletedRows, username: options.username ?? null, savedAt });
+        }
+        return true;
+    }
+
+    /**
+     * Queue a single-cell write (see Database.setCellValue)
+     * @returns {Promise<boolean>}
+     */
+    async setCellValue(tableId, tabName, rowNumber, columnNumber, value) {
+        this._assertOpen('setCellValue');
+        const colLetter = _numberToColumnLetter(columnNumber);
+        this._operations.push({
+            tableId,
+            tabName,
+            range: `${tabName}!${colLetter}${rowNumber}:${colLetter}${rowNumber}`,
+            values: [[value ?? '']],
+            fullTab: false
+        });
+        return true;
+    }
+
+    /**
+     * Queue a row append (see Database.appendSheetRow)
+     * @returns {Promise<number>} 1-based row number the row will occupy
+     */
+    async appendSheetRow(tableId, tabName, values) {
+        this._assertOpen('appendSheetRow');
+        const key = `${tableId}!${tabName}`;
+        let nextRow = this._appendedRows.get(key);
+        if (nextRow === undefined) {
+            const rawData = await GoogleSheetsService.getSheetData(tableId, tabName);
+            nextRow = (Array.isArray(rawData) ? rawData.length : 0) + 1;
+        }
+        this._appendedRows.set(key, nextRow + 1);
+
+        const endCol = _numberToColumnLetter(Math.max(values.length, 1));
+        this._operations.push({
+            tableId,
+            tabName,
+            range: `${tabName}!A${nextRow}:${endCol}${nextRow}`,
+            values: [values],
+            fullTab: false
+        });
+        return nextRow;
+    }
 }
 
 // Wrap and export the class with caching, excluding mutation methods
@@ -494,7 +607,7 @@ class database_uncached {
 export const Database = wrapMethods(
     database_uncached, 
     'database', 
-    ['createTab', 'hideTabs', 'showTabs', 'setData', 'updateRow', 'setCellValue', 'appendSheetRow', 'uploadItemImage'],
+    ['createTab', 'hideTabs', 'showTabs', 'setData', 'updateRow', 'setCellValue', 'appendSheetRow', 'uploadItemImage', 'transaction'],
     ['getItemImageBlobUrl', 'getDriveBlobUrl', 'getTabs'], // Infinite cache: image URLs (expensive Google Drive API calls)
     {
         // Sheet data: infinite for INVENTORY and PACK_LISTS (cross-session poller handles freshness);
@@ -504,24 +617,247 @@ export const Database = wrapMethods(
 );
 
 
+/**
+ * Add edithistory to a setData payload and find the rows it deletes (shared by
+ * Database.setData and transactions). History entries and archived rows share the save's time (savedAt). Failures are logged and the save continues without history.
+ * With options.detectConflicts, concurrent edits are merged in first, or reported when they overlap.
+ * Also describes the changed rows for the change feed (change is null when they can't be patched in place).
+ * @private
+ * @returns {Promise<{updatesWithMetadata: Array, deletedRows: Array, savedAt: number, conflictReport: Object|null, change: Object|null}>}
+ */
+async function _prepareSetData(tableId, tabName, updates, mapping, options = {}) {
+    const {
+        username = null,
+        skipMetadata = false,
+        identifierKey = null,
+        source = 'web',
+        detectConflicts = false,
+        knownVersion = 0,
+        rowPaths = null
+    } = options;
+
+    let updatesWithMetadata = updates;
+    let deletedRows = [];
+    let remoteRows = null;
+    let change = null;
+    const savedAt = Math.floor(Date.now() / 100);
+
+    // Compare against what is stored now, not the cache: the poller may not have seen the other edit yet
+    if (detectConflicts && !skipMetadata && mapping && mapping.edithistory && Array.isArray(updates)) {
+        const rawData = await GoogleSheetsService.getSheetData(tableId, tabName);
+        remoteRows = GoogleSheetsService.transformSheetData(rawData, mapping, tabName);
+        const check = EditHistoryUtils.detectConcurrentEdits(remoteRows, updates, { username, identifierKey, knownVersion });
+        if (check.hasConflicts) {
+            return {
+                updatesWithMetadata: updates,
+                deletedRows,
+                savedAt,
+                conflictReport: { conflict: true, tableId, tabName, version: check.version, rows: check.rows },
+                change
+            };
+        }
+        if (check.rows.length > 0) {
+            console.log(`[Database.setData] Merged concurrent edits by ${check.rows.flatMap(row => row.users).join(', ')} into ${tabName}`);
+            updates = EditHistoryUtils.applyConcurrentEdits(updates, check.rows);
+            updatesWithMetadata = updates;
+        }
+    }
+
+    // Add edithistory tracking if not skipped
+    if (!skipMetadata && mapping && mapping.edithistory) {
+        try {
+            // Get original data for comparison (use Database.getData to leverage cache,
+            // or the rows just read for the conflict check)
+            const transformedOriginal = remoteRows || await Database.getData(tableId, tabName, mapping);
+
+            // Add edithistory to updated rows
+            updatesWithMetadata = await _addMetadataToRows(
+                transformedOriginal,
+                updates,
+                username,
+                mapping,
+                source,
+                !identifierKey,
+                savedAt
+            );
+
+            // Which rows changed, for other sessions' open views (see changeFeed.js)
+            change = describeRowChanges(transformedOriginal, updatesWithMetadata, { identifierKey, rowPaths, mapping });
+
+            // Detect deleted rows for archiving
+            if (identifierKey) {
+                deletedRows = EditHistoryUtils.detectDeletedRows(
+                    transformedOriginal,
+                    updates,
+                    identifierKey
+                );
+            } else {
+                deletedRows = _positionalDeletedRows(transformedOriginal, updates);
+            }
+        } catch (error) {
+            console.warn('Failed to add edithistory, continuing with save:', error);
+            // Continue with save even if edithistory fails
+        }
+    }
+
+    return { updatesWithMetadata, deletedRows, savedAt, conflictReport: null, change };
+}
+
+/**
+ * Users named in a conflict report, for messages
+ * @private
+ */
+function _conflictUsers(conflictReport) {
+    return [...new Set(conflictReport.rows.flatMap(row => row.users))].join(', ') || 'another session';
+}
+
+/**
+ * Convert a setData payload to a 2D array, the same way the backends' setSheetData does
+ * @private
+ */
+function _toSheetValues(updates, mapping) {
+    if (Array.isArray(updates) && updates.length > 0 && Array.isArray(updates[0])) {
+        return updates;
+    }
+    if (Array.isArray(updates) && updates.length > 0) {
+        if (mapping) return GoogleSheetsService.reverseTransformSheetData(mapping, updates);
+        const headers = Object.keys(updates[0]);
+        return [headers, ...updates.map(obj => headers.map(h => obj[h] ?? ''))];
+    }
+    if (Array.isArray(updates) && mapping) {
+        return [mapping._orderedHeaders || Object.values(mapping).filter(v => v !== mapping._orderedHeaders)];
+    }
+    throw new Error('[Database.transaction] VALIDATION_ERROR: No valid updates provided');
+}
+
+/**
+ * Last column (1-based) a queued write touches
+ * @private
+ */
+function _operationWidth(operation) {
+    if (operation.fullTab) {
+        return Math.max(0, ...operation.values.map(row => (Array.isArray(row) ? row.length : 0)));
+    }
+    const endCol = operation.range.split('!')[1].split(':')[1].replace(/\d+$/, '');
+    return [...endCol].reduce((n, ch) => n * 26 + (ch.charCodeAt(0) - 64), 0);
+}
+
+/**
+ * Snapshot, commit and (on failure) roll back a transaction's queued writes.
+ * @private
+ */
+async function _commitTransaction(tx) {
+    // Touched tabs in first-write order, grouped by spreadsheet
+    const tabs = new Map(); // "tableId!tabName" -> { tableId, tabName, width }
+    const groups = new Map(); // tableId -> operations
+    tx._operations.forEach(operation => {
+        const key = `${operation.tableId}!${operation.tabName}`;
+        const tab = tabs.get(key) || { tableId: operation.tableId, tabName: operation.tabName, width: 0, writes: 0 };
+        tab.width = Math.max(tab.width, _operationWidth(operation));
+        tab.writes++;
+        tab.change = operation.change || null;
+        tabs.set(key, tab);
+        if (!groups.has(operation.tableId)) groups.set(operation.tableId, []);
+        groups.get(operation.tableId).push(operation);
+    });
+
+    // Snapshot prior values straight from the backend (not the cache). A failure here aborts
+    // the transaction before anything is written.
+    for (const tab of tabs.values()) {
+        const rawData = await GoogleSheetsService.getSheetData(tab.tableId, tab.tabName);
+        tab.snapshot = Array.isArray(rawData) ? rawData.filter(Array.isArray) : [];
+        tab.width = Math.max(tab.width, ...tab.snapshot.map(row => row.length), 1);
+    }
+
+    const written = [];
+    let failure = null;
+    for (const [tableId, operations] of groups) {
+        written.push(tableId);
+        try {
+            await GoogleSheetsService.batchSetSheetData(tableId, operations.map(({ range, values, fullTab }) => ({ range, values, truncate: fullTab })));
+        } catch (error) {
+            failure = error;
+            break;
+        }
+    }
+
+    const unrestored = [];
+    if (failure) {
+        console.warn('[Database.transaction] Commit failed, rolling back:', failure);
+        // Restore every tab of every spreadsheet written so far (including the failing one, in case
+        // its truncation step ran after the values were applied). Rows are padded to the widest
+        // write so cells the transaction added are cleared.
+        for (const tableId of written.reverse()) {
+            const restores = Array.from(tabs.values())
+                .filter(tab => tab.tableId === tableId)
+                .map(tab => {
+                    const rows = tab.snapshot.length > 0 ? tab.snapshot : [[]];
+                    return {
+                        range: tab.tabName,
+                        values: rows.map(row => Array.from({ length: tab.width }, (_, i) => row[i] ?? '')),
+                        truncate: true
+                    };
+                });
+            try {
+                await GoogleSheetsService.batchSetSheetData(tableId, restores);
+            } catch (error) {
+                console.error(`[Database.transaction] Rollback failed for ${tableId}:`, error);
+                unrestored.push(...restores.map(restore => `${tableId}/${restore.range}`));
+            }
+        }
+    }
+
+    // One stamp and one invalidation per touched tab, whether committed or rolled back
+    // (see Database.setData for why the stamp must come first). Row changes are only
+    // described for a committed tab written by a single setData.
+    tabs.forEach(({ tableId, tabName, writes, change }) => {
+        stampDataChange(`database:getData:"${tableId}","${tabName}"`, !failure && writes === 1 ? change : null);
+    });
+    invalidateCache(
+        Array.from(tabs.values()).map(({ tableId, tabName }) => ({ namespace: 'database', methodName: 'getData', args: [tableId, tabName] })),
+        true
+    );
+
+    if (failure) {
+        if (unrestored.length > 0) {
+            const error = new Error(`[Database.transaction] ROLLBACK_FAILED: ${failure.message}; could not restore ${unrestored.join(', ')}`);
+            error.cause = failure;
+            throw error;
+        }
+        throw failure;
+    }
+
+    for (const { tableId, tabName, deletedRows, username, savedAt } of tx._archives) {
+        await _archiveDeletedRows(tableId, tabName, deletedRows, username, savedAt);
+    }
+}
+
 /**
  * Add edithistory to rows that have changed
+ * @param {boolean} [positional] - Rows have no identifierKey, so history is kept by position:
+ *   entries note the row they were made on (i). Rows the save removes are archived instead
+ *   (see _positionalDeletedRows).
+ * @param {number} [savedAt] - Time of the save in deciseconds (default now)
  * @private
  */
-async function _addMetadataToRows(originalRows, updatedRows, username, mapping, source = 'web') {
+async function _addMetadataToRows(originalRows, updatedRows, username, mapping, source = 'web', positional = false, savedAt = null) {
     if (!Array.isArray(updatedRows)) {
         return updatedRows;
     }
 
     return updatedRows.map((updatedRow, index) => {
-        const originalRow = originalRows[index];
+        // Rows past the end of the original data were blank before this save; recording that
+        // lets a row's history be undone all the way back (see utils/packlistDiff.js)
+        const originalRow = originalRows[index]
+            || Object.fromEntries(Object.keys(updatedRow).map(key => [key, '']));
 
         // Calculate changes for this row
         const changes = EditHistoryUtils.calculateRowDiff(originalRow, updatedRow);
 
         // If changes exist, append to edithistory
         if (changes.length > 0 && username) {
-            const metaEntry = EditHistoryUtils.createEditHistoryEntry(username, changes, source);
+            const metaEntry = EditHistoryUtils.createEditHistoryEntry(username, changes, source, savedAt);
+            if (positional) metaEntry.i = index;
             const existingMetadata = updatedRow.edithistory || '';
             const newMetadata = EditHistoryUtils.appendToEditHistory(existingMetadata, metaEntry);
 
@@ -534,65 +870,60 @@ async function _addMetadataToRows(originalRows, updatedRows, username, mapping,
 }
 
 /**
- * Archive deleted rows to EditHistory table
+ * Rows a save without an identifierKey removes, identified by sheet position (row_N): those cut
+ * off the end, and those whose history no updated row carries (rows keep their history when
+ * they move, so those were deleted). Archiving them with their history lets
+ * utils/packlistDiff.js put them back.
+ * @private
+ */
+function _positionalDeletedRows(originalRows, updatedRows) {
+    if (!Array.isArray(originalRows) || !Array.isArray(updatedRows)) return [];
+    const carried = new Set(updatedRows.map(row => row?.edithistory).filter(Boolean));
+    const deletedRows = [];
+    originalRows.forEach((row, index) => {
+        const { _orderedHeaders, ...rowData } = row || {};
+        const kept = index < updatedRows.length && (!rowData.edithistory || carried.has(rowData.edithistory));
+        if (kept || (!rowData.edithistory && _isBlankRow(rowData))) return;
+        deletedRows.push({ identifier: `row_${index + 1}`, rowData });
+    });
+    return deletedRows;
+}
+
+function _isBlankRow(row) {
+    return Object.entries(row || {}).every(([key, value]) =>
+        key === 'edithistory' || key === 'metadata' || String(value ?? '').trim() === '');
+}
+
+/** Deleted rows of every tab in a spreadsheet are appended to its hidden archive tab */
+const ARCHIVE_TAB = '_EditHistory';
+const ARCHIVE_HEADERS = ['SourceTable', 'SourceTab', 'RowIdentifier', 'Username', 'Timestamp', 'Operation', 'RowData'];
+
+/**
+ * Archive deleted rows to the spreadsheet's _EditHistory tab, creating it on first use
+ * @param {number} [savedAt] - Time of the deleting save in deciseconds
  * @private
  */
-async function _archiveDeletedRows(sourceTable, sourceTab, deletedRows, username) {
+async function _archiveDeletedRows(sourceTable, sourceTab, deletedRows, username, savedAt = null) {
     try {
-        // Get existing edithistory table data (use Database to leverage cache if available)
-        let edithistoryTableData = [];
-        try {
-            // Try to get with mapping first
-            const edithistoryMapping = {
-                SourceTable: 'SourceTable',
-                SourceTab: 'SourceTab',
-                RowIdentifier: 'RowIdentifier',
-                Username: 'Username',
-                Timestamp: 'Timestamp',
-                Operation: 'Operation',
-                RowData: 'RowData'
-            };
-            
-            edithistoryTableData = await Database.getData(sourceTable, 'EditHistory', edithistoryMapping);
-        } catch (error) {
-            // EditHistory tab doesn't exist yet, will be created
-            //console.log('EditHistory tab does not exist yet, will create');
-            edithistoryTableData = [];
+        const tabs = await Database.getTabs(sourceTable);
+        if (!tabs.some(tab => tab.title === ARCHIVE_TAB)) {
+            await Database.createTab(sourceTable, null, ARCHIVE_TAB);
+            await GoogleSheetsService.setSheetData(sourceTable, ARCHIVE_TAB, [ARCHIVE_HEADERS], null);
+            const created = await Database.findTabByName(sourceTable, ARCHIVE_TAB);
+            if (created) await Database.hideTabs(sourceTable, [created]);
         }
 
-        // Create archive entries for deleted rows
-        const archiveEntries = deletedRows.map(deleted => 
-            EditHistoryUtils.createArchiveEntry(
+        for (const deleted of deletedRows) {
+            const entry = EditHistoryUtils.createArchiveEntry(
                 sourceTable,
                 sourceTab,
                 deleted.identifier,
                 deleted.rowData,
-                username
-            )
-        );
-
-        // Append to existing edithistory
-        const updatedMetadata = [...edithistoryTableData, ...archiveEntries];
-
-        // Save to EditHistory table (skip edithistory for this table itself)
-        const edithistoryMapping = {
-            SourceTable: 'SourceTable',
-            SourceTab: 'SourceTab',
-            RowIdentifier: 'RowIdentifier',
-            Username: 'Username',
-            Timestamp: 'Timestamp',
-            Operation: 'Operation',
-            RowData: 'RowData'
-        };
-
-        await GoogleSheetsService.setSheetData(
-            sourceTable,
-            '_EditHistory',
-            updatedMetadata,
-            edithistoryMapping
-        );
-
-        //console.log(`Archived ${deletedRows.length} deleted rows to EditHistory table`);
+                username,
+                savedAt
+            );
+            await Database.appendSheetRow(sourceTable, ARCHIVE_TAB, ARCHIVE_HEADERS.map(header => entry[header]));
+        }
     } catch (error) {
         console.error('Failed to archive deleted rows:', error);
         // Don't throw - archival failure shouldn't block the main save
@@ -1,4 +1,4 @@
-import { Database, ProductionUtils, PackListUtils, wrapMethods, parseDate, toISODateString, searchFilter, todayISOString, ApplicationUtils, invalidateCache, EditHistoryUtils } from '../index.js';
+import { Database, ProductionUtils, PackListUtils, wrapMethods, parseDate, toISODateString, searchFilter, todayISOString, ApplicationUtils, invalidateCache, EditHistoryUtils, unitsTabName, unitKey, isUnitInService, normalizeHeaderName, expectedFromTimeline, countVariances, ITEM_NUMBER_PATTERN, findIndexRow, hasCustomItemNumbers, resolveAlias, nextItemNumber, replaceItemNumbers, KITS_TAB_PREFIX, kitsTabName, kitComponents, isKit, expandKitDemand, flattenKit, kitsBuildable } from '../index.js';
 
 /** Normalize an identifier for loose matching (strips spaces, case, non-alphanumeric) */
 function _normalizeId(v) { return String(v || '').trim().toUpperCase().replace(/[^A-Z0-9]/g, ''); }
@@ -9,6 +9,110 @@ function _parseMetadata(str) {
     try { return JSON.parse(str); } catch { return {}; }
 }
 
+/**
+ * Pending-change entries ({n, ne}) that turn baseItem into item. Numeric fields are recorded
+ * as deltas ('+2', '-1') so they still apply on top of changes made before the effective date.
+ */
+function _pendingChanges(baseItem, item) {
+    const changes = [];
+    for (const key of Object.keys(item)) {
+        if (['edithistory', 'EditHistory', 'AppData', 'MetaData'].includes(key)) continue;
+        if (String(item[key]) !== String(baseItem[key] ?? '')) {
+            const existingNum = parseFloat(baseItem[key]);
+            const newNum = parseFloat(item[key]);
+            const bothNumeric = !isNaN(existingNum) && !isNaN(newNum)
+                && String(baseItem[key]).trim() !== ''
+                && String(item[key]).trim() !== '';
+            let ne = item[key];
+            if (bothNumeric) {
+                const delta = newNum - existingNum;
+                ne = delta >= 0 ? `+${delta}` : `${delta}`;
+            }
+            changes.push({ n: key, ne });
+        }
+    }
+    return changes;
+}
+
+// Cost columns are optional: tabs that never record a cost are saved without them
+const OPTIONAL_COST_KEYS = ['unitCost', 'purchaseDate', 'usefulLife'];
+
+/**
+ * The mapping to write a tab with. Cost columns the tab does not have yet are left out unless
+ * one of the rows being written has a value for them.
+ */
+async function _writeMapping(tabName, mapping, rows) {
+    if (!mapping || !OPTIONAL_COST_KEYS.some(key => mapping[key])) return mapping;
+    const rawData = await Database.getData('INVENTORY', tabName);
+    const headers = (rawData?.[0] || []).map(header => normalizeHeaderName(header));
+    const rowList = Array.isArray(rows) ? rows : Array.from(rows || []);
+    const writeMapping = { ...mapping };
+    OPTIONAL_COST_KEYS.forEach(key => {
+        if (!mapping[key] || headers.includes(normalizeHeaderName(mapping[key]))) return;
+        if (rowList.some(row => String(row?.[key] ?? '').trim() !== '')) return;
+        delete writeMapping[key];
+    });
+    return writeMapping;
+}
+
+/**
+ * Copies of the pack lists that name any of the renamed item numbers, with every cell rewritten.
+ * A pack list that cannot be read is left alone.
+ * @param {Array<{from: string, to: string}>} renames
+ * @param {string} caller - Method name for the log
+ * @returns {Promise<Array<{title: string, crates: Array<Object>}>>}
+ */
+async function _rewritePackLists(renames, caller) {
+    const packlists = [];
+    const packlistTabs = await Database.getTabs('PACK_LISTS');
+    for (const { title } of packlistTabs) {
+        let content;
+        try {
+            content = await PackListUtils.getContent(title, 'Pack');
+        } catch (error) {
+            console.warn(`[InventoryUtils.${caller}] Skipping ${title}:`, error.message);
+            continue;
+        }
+        if (!Array.isArray(content) || content.length === 0) continue;
+        const crates = JSON.parse(JSON.stringify(content));
+        let changed = false;
+        crates.forEach(crate => (crate.Items || []).forEach(item => {
+            Object.keys(item).forEach(key => {
+                if (['EditHistory', 'MetaData', 'Check'].includes(key) || typeof item[key] !== 'string') return;
+                const text = replaceItemNumbers(item[key], renames);
+                if (text === item[key]) return;
+                item[key] = text;
+                changed = true;
+            });
+        }));
+        if (changed) packlists.push({ title, crates });
+    }
+    return packlists;
+}
+
+/**
+ * Queue a rewrite of every kit definition tab that names any of the renamed item numbers,
+ * as a kit or as a component
+ * @param {Array<{from: string, to: string}>} renames
+ * @param {Object} tx - Database.transaction handle
+ * @param {string} username
+ * @param {string} note - Source recorded on the changed rows
+ */
+async function _renameKitRows(renames, tx, username, note) {
+    const map = new Map(renames.map(rename => [rename.from, rename.to]));
+    const allTabs = await Database.getTabs('INVENTORY');
+    for (const { title } of allTabs.filter(tab => tab.title.startsWith(KITS_TAB_PREFIX))) {
+        const kitRows = await Database.getData('INVENTORY', title, inventoryUtils_uncached.KIT_MAPPING);
+        if (!kitRows.some(row => map.has(row.kit) || map.has(row.itemNumber))) continue;
+        const renamed = kitRows.map(row => ({
+            ...row,
+            kit: map.get(row.kit) ?? row.kit,
+            itemNumber: map.get(row.itemNumber) ?? row.itemNumber
+        }));
+        await tx.setData('INVENTORY', title, renamed, inventoryUtils_uncached.KIT_MAPPING, { username, source: note });
+    }
+}
+
 /**
  * Utility functions for inventory operations
  */
@@ -18,6 +122,30 @@ class inventoryUtils_uncached {
         quantity: 'QTY',
         description: 'Description',
         notes: 'NOTES',
+        // Optional cost columns (see utils/inventoryValuation.js)
+        unitCost: 'UNIT COST',
+        purchaseDate: 'PURCHASE DATE',
+        usefulLife: 'USEFUL LIFE',
+        edithistory: 'EditHistory'
+    };
+
+    /** Columns of a category's unit registry tab (see utils/inventoryUnits.js) */
+    static UNIT_MAPPING = {
+        itemNumber: 'ITEM#',
+        unit: 'UNIT',
+        serial: 'SERIAL#',
+        variant: 'VARIANT',
+        condition: 'CONDITION',
+        notes: 'NOTES',
+        edithistory: 'EditHistory'
+    };
+
+    /** Columns of a category's kit definition tab (see utils/inventoryKits.js) */
+    static KIT_MAPPING = {
+        kit: 'KIT',
+        itemNumber: 'ITEM#',
+        quantity: 'QTY',
+        notes: 'NOTES',
         edithistory: 'EditHistory'
     };
 
@@ -28,6 +156,12 @@ class inventoryUtils_uncached {
         metadata: 'MetaData'
     };
 
+    /** Columns of the CACHE/Aliases tab: prefix and item number synonyms (see utils/itemNumbers.js) */
+    static ALIAS_MAPPING = {
+        alias: 'Alias',
+        target: 'Target'
+    };
+
     /**
      * Fetch and parse the inventory INDEX with full metadata.
      * Returns an array of { prefix, tab, folder, metadata } where metadata is parsed JSON.
@@ -76,6 +210,44 @@ class inventoryUtils_uncached {
         return tab || null;
     }
 
+    /**
+     * Get the alias table: other spellings of INDEX prefixes and old item numbers
+     * @param {Object} deps - Dependency decorator for tracking calls
+     * @returns {Promise<Array<{alias: string, target: string}>>} [] when the CACHE/Aliases tab does not exist
+     */
+    static async getItemAliases(deps) {
+        const allTabs = await deps.call(Database.getTabs, 'CACHE');
+        if (!allTabs.some(tab => tab.title === 'Aliases')) return [];
+        const rows = await deps.call(Database.getData, 'CACHE', 'Aliases', inventoryUtils_uncached.ALIAS_MAPPING);
+        return rows
+            .map(row => ({ alias: String(row.alias ?? '').trim().toUpperCase(), target: String(row.target ?? '').trim().toUpperCase() }))
+            .filter(row => row.alias && row.target);
+    }
+
+    /**
+     * Issue the next free item number of a prefix. An alias prefix is issued under its target;
+     * numbers kept as item aliases are never issued again.
+     * @param {Object} deps - Dependency decorator for tracking calls
+     * @param {string} prefix - e.g. 'SHLF' or its alias 'SHELF'
+     * @returns {Promise<string>} e.g. 'SHLF-015'
+     */
+    static async getNextItemNumber(deps, prefix) {
+        const aliases = await deps.call(InventoryUtils.getItemAliases);
+        const target = resolveAlias(String(prefix ?? '').trim().toUpperCase(), aliases);
+        if (!target) throw new Error('A prefix is required');
+        const indexData = await deps.call(InventoryUtils.getInventoryIndex);
+        const indexRow = indexData.find(row => row.prefix === target);
+        const taken = aliases.map(row => row.alias);
+        if (indexRow?.tab) {
+            const allTabs = await deps.call(Database.getTabs, 'INVENTORY');
+            if (allTabs.some(tab => tab.title === indexRow.tab)) {
+                const rows = await deps.call(Database.getData, 'INVENTORY', indexRow.tab, inventoryUtils_uncached.DEFAULT_INVENTORY_MAPPING);
+                taken.push(...rows.map(row => row.itemNumber));
+            }
+        }
+        return nextItemNumber(target, taken);
+    }
+
     static async getItemInfo(deps, itemName, fields, referenceDate) {
         const itemNames = Array.isArray(itemName) ? itemName : [itemName];
         const infoFields = Array.isArray(fields) ? fields : [fields];
@@ -178,7 +350,12 @@ class inventoryUtils_uncached {
     }
 
     static async saveInventoryTabData(mappedData, tabOrItemName, mapping = inventoryUtils_uncached.DEFAULT_INVENTORY_MAPPING, filters = null, username = null, options = {}) {
-        const { source = 'web', scheduledDate = null, note = '' } = options;
+        const { source = 'web', scheduledDate = null, note = '', transaction = null, knownVersion = 0 } = options;
+        // Writes go through Database, or are queued on a Database.transaction handle
+        const writer = transaction || Database;
+        if (transaction && filters && !scheduledDate) {
+            throw new Error('[InventoryUtils.saveInventoryTabData] VALIDATION_ERROR: Filtered saves update rows one at a time and cannot join a transaction');
+        }
         
         const allTabs = await Database.getTabs('INVENTORY');
         const tabExists = allTabs.some(tab => tab.title === tabOrItemName);
@@ -235,24 +412,7 @@ class inventoryUtils_uncached {
                 // Use existing row as base, or a bare new row for new items
                 const baseItem = existingItem || buildBareRow(item);
 
-                const changes = [];
-                for (const key of Object.keys(item)) {
-                    if (['edithistory', 'EditHistory', 'AppData', 'MetaData'].includes(key)) continue;
-                    if (String(item[key]) !== String(baseItem[key] ?? '')) {
-                        const existingNum = parseFloat(baseItem[key]);
-                        const newNum = parseFloat(item[key]);
-                        const bothNumeric = !isNaN(existingNum) && !isNaN(newNum)
-                            && String(baseItem[key]).trim() !== ''
-                            && String(item[key]).trim() !== '';
-                        let ne = item[key];
-                        if (bothNumeric) {
-                            const delta = newNum - existingNum;
-                            ne = delta >= 0 ? `+${delta}` : `${delta}`;
-                        }
-                        changes.push({ n: key, ne });
-                    }
-                }
-
+                const changes = _pendingChanges(baseItem, item);
                 if (changes.length === 0) return baseItem;
 
                 const pendingEntry = EditHistoryUtils.createPendingEntry(shortUser, changes, effectiveDeciseconds, note);
@@ -260,7 +420,7 @@ class inventoryUtils_uncached {
                 return { ...baseItem, edithistory: updatedEH };
             });
 
-            return await Database.setData('INVENTORY', resolvedTabName, updatedRows, mapping, {
+            return await writer.setData('INVENTORY', resolvedTabName, updatedRows, await _writeMapping(resolvedTabName, mapping, updatedRows), {
                 username,
                 identifierKey: 'itemNumber',
                 source: note || 'scheduled',
@@ -281,8 +441,9 @@ class inventoryUtils_uncached {
                 });
 
                 // Send updates one by one with username
+                const writeMapping = await _writeMapping(resolvedTabName, mapping, updates);
                 for (const update of updates) {
-                    await Database.updateRow('INVENTORY', resolvedTabName, update, mapping, { username, source });
+                    await Database.updateRow('INVENTORY', resolvedTabName, update, writeMapping, { username, source });
                 }
 
                 saveResult = true;
@@ -293,10 +454,12 @@ class inventoryUtils_uncached {
 
                 // Save JS objects using mapping with edithistory options
                 // Use note as the source descriptor when provided
-                saveResult = await Database.setData('INVENTORY', resolvedTabName, mappedData, mapping, {
+                saveResult = await writer.setData('INVENTORY', resolvedTabName, mappedData, await _writeMapping(resolvedTabName, mapping, mappedData), {
                     username,
                     identifierKey: 'itemNumber',
-                    source: note || source
+                    source: note || source,
+                    detectConflicts: true,
+                    knownVersion
                 });
             }
         } finally {
@@ -308,11 +471,128 @@ class inventoryUtils_uncached {
     }
 
 
+    /**
+     * Get the unit registry of an inventory category
+     * @param {Object} deps - Dependency decorator for tracking calls
+     * @param {string} tab - Inventory category tab, e.g. 'LIGHTBOXES'
+     * @returns {Promise<Array<Object>>} Unit rows (UNIT_MAPPING keys); [] if the category has no registry
+     */
+    static async getUnitRegistry(deps, tab) {
+        const allTabs = await deps.call(Database.getTabs, 'INVENTORY');
+        if (!allTabs.some(t => t.title === unitsTabName(tab))) return [];
+        return await deps.call(Database.getData, 'INVENTORY', unitsTabName(tab), inventoryUtils_uncached.UNIT_MAPPING);
+    }
+
+    /**
+     * Get the registered units of one item
+     * @param {Object} deps - Dependency decorator for tracking calls
+     * @param {string} itemNumber - Item number, e.g. 'LB-001'
+     * @returns {Promise<Array<Object>>} Unit rows; [] for an item counted by quantity only
+     */
+    static async getItemUnits(deps, itemNumber) {
+        if (!itemNumber) return [];
+        const tab = await deps.call(InventoryUtils.getTabNameForItem, itemNumber);
+        if (!tab) return [];
+        const registry = await deps.call(InventoryUtils.getUnitRegistry, tab);
+        return registry.filter(unit => unitKey(unit.itemNumber) === unitKey(itemNumber));
+    }
+
+    /**
+     * Save the unit registry of an inventory category, creating its tab on first save.
+     * Shares the category's lock.
+     * @param {Array<Object>} data - Unit rows for the whole category
+     * @param {string} tab - Inventory category tab
+     * @param {string} [username]
+     * @returns {Promise<boolean>} Success status
+     */
+    static async saveUnitRegistry(data, tab, username = null) {
+        const lockInfo = await ApplicationUtils.getSheetLock('INVENTORY', tab, username);
+        if (lockInfo && lockInfo.user !== username) {
+            throw new Error(`Cannot save: inventory category is locked by ${lockInfo.user}`);
+        }
+
+        const registryTab = unitsTabName(tab);
+        const allTabs = await Database.getTabs('INVENTORY');
+        if (!allTabs.some(t => t.title === registryTab)) {
+            await Database.createTab('INVENTORY', null, registryTab);
+            await Database.setData('INVENTORY', registryTab, [Object.values(inventoryUtils_uncached.UNIT_MAPPING)], null, { skipMetadata: true });
+        }
+        return await Database.setData('INVENTORY', registryTab, Array.from(data), inventoryUtils_uncached.UNIT_MAPPING, { username, source: 'web' });
+    }
+
+    /**
+     * Get the kit definitions of an inventory category
+     * @param {Object} deps - Dependency decorator for tracking calls
+     * @param {string} tab - Inventory category tab, e.g. 'LIGHTBOXES'
+     * @returns {Promise<Array<Object>>} Component rows (KIT_MAPPING keys); [] if the category has no kits
+     */
+    static async getKitRegistry(deps, tab) {
+        const allTabs = await deps.call(Database.getTabs, 'INVENTORY');
+        if (!allTabs.some(t => t.title === kitsTabName(tab))) return [];
+        return await deps.call(Database.getData, 'INVENTORY', kitsTabName(tab), inventoryUtils_uncached.KIT_MAPPING);
+    }
+
+    /**
+     * Get the kit definitions of every category. Components may sit in other categories than
+     * their kit, so availability checks read them all.
+     * @param {Object} deps - Dependency decorator for tracking calls
+     * @returns {Promise<Array<Object>>} Component rows (KIT_MAPPING keys)
+     */
+    static async getKitDefinitions(deps) {
+        const allTabs = await deps.call(Database.getTabs, 'INVENTORY');
+        const rows = [];
+        for (const tab of allTabs.filter(t => t.title.startsWith(KITS_TAB_PREFIX))) {
+            const data = await deps.call(Database.getData, 'INVENTORY', tab.title, inventoryUtils_uncached.KIT_MAPPING);
+            rows.push(...data);
+        }
+        return rows;
+    }
+
+    /**
+     * Get the components of one kit
+     * @param {Object} deps - Dependency decorator for tracking calls
+     * @param {string} itemNumber - Item number, e.g. 'LB-001'
+     * @returns {Promise<Array<{itemNumber: string, quantity: number}>>} [] for an item that is not a kit
+     */
+    static async getItemKit(deps, itemNumber) {
+        if (!itemNumber) return [];
+        const kitRows = await deps.call(InventoryUtils.getKitDefinitions);
+        return kitComponents(itemNumber, kitRows);
+    }
+
+    /**
+     * Save the kit definitions of an inventory category, creating its tab on first save.
+     * Shares the category's lock.
+     * @param {Array<Object>} data - Component rows for the whole category
+     * @param {string} tab - Inventory category tab
+     * @param {string} [username]
+     * @returns {Promise<boolean>} Success status
+     */
+    static async saveKitRegistry(data, tab, username = null) {
+        const lockInfo = await ApplicationUtils.getSheetLock('INVENTORY', tab, username);
+        if (lockInfo && lockInfo.user !== username) {
+            throw new Error(`Cannot save: inventory category is locked by ${lockInfo.user}`);
+        }
+
+        const registryTab = kitsTabName(tab);
+        const allTabs = await Database.getTabs('INVENTORY');
+        if (!allTabs.some(t => t.title === registryTab)) {
+            await Database.createTab('INVENTORY', null, registryTab);
+            await Database.setData('INVENTORY', registryTab, [Object.values(inventoryUtils_uncached.KIT_MAPPING)], null, { skipMetadata: true });
+        }
+        return await Database.setData('INVENTORY', registryTab, Array.from(data), inventoryUtils_uncached.KIT_MAPPING, { username, source: 'web' });
+    }
+
     /**
      * Check item availability for a project
      * @param {Object} deps - Dependency decorator for tracking calls
      * @param {string} projectIdentifier - Project identifier
-     * @returns {Promise<Object>} Item availability map
+     * @returns {Promise<Object>} Item availability map { itemId: { available, allocated, onOrder } }.
+     *   Items with registered units are counted by their units in service and also carry
+     *   units: { total, inService, assigned, unavailable, conflicts }: the units this show packs, those
+     *   of them out of service or not registered, and [{ unit, shows }] for units an overlapping show packs too.
+     *   Kits packed by this show or an overlapping one count against their components, and a kit's
+     *   available is the complete sets its components make; kits carry kit: [{ itemNumber, quantity }].
      */
     static async checkItemAvailability(deps, projectIdentifier) {
         
@@ -321,8 +601,10 @@ class inventoryUtils_uncached {
             const shipDate = await deps.call(ProductionUtils.getProjectShipDate, projectIdentifier);
             const referenceDate = shipDate || todayISOString();
 
-            // 1. Get pack list items (all packlists for this show, including suffix variants)
-            const itemMap = await deps.call(PackListUtils.extractAllItemsForShow, projectIdentifier);
+            // 1. Get pack list items (all packlists for this show, including suffix variants),
+            //    with the components of the kits it packs
+            const kitRows = await deps.call(InventoryUtils.getKitDefinitions);
+            const itemMap = expandKitDemand(await deps.call(PackListUtils.extractAllItemsForShow, projectIdentifier), kitRows);
             const itemIds = Object.keys(itemMap);
 
             // If no items, return empty result
@@ -348,17 +630,43 @@ class inventoryUtils_uncached {
             }
 
             // Get inventory quantities as of ship date
-            let inventoryInfo = await deps.call(InventoryUtils.getItemInfo, analyzableIds, "QTY", referenceDate);
+            // (getItemInfo returns null when none of the items are in inventory)
+            let inventoryInfo = await deps.call(InventoryUtils.getItemInfo, analyzableIds, 'quantity', referenceDate) || [];
             
             // Filter valid items and build result
             const result = {};
             analyzableIds.forEach(itemId => {
                 const qty = inventoryInfo.find(i => i.itemName === itemId)?.quantity ?? null;
                 if (qty !== null) {
-                    result[itemId] = { available: qty, allocated: 0, onOrder: 0 };
+                    result[itemId] = { available: Number(qty) || 0, allocated: 0, onOrder: 0 };
                 }
             });
 
+            // Serialized items: count units in service instead of QTY
+            const packedUnits = await deps.call(PackListUtils.extractAllItemUnitsForShow, projectIdentifier);
+            for (const itemId of Object.keys(result)) {
+                const registry = await deps.call(InventoryUtils.getItemUnits, itemId);
+                if (!registry.length) continue;
+                const inService = new Set(registry.filter(isUnitInService).map(unit => unitKey(unit.unit)));
+                const assigned = [...new Set((packedUnits[itemId] || []).map(entry => entry.unit))];
+                result[itemId].available = inService.size;
+                result[itemId].units = {
+                    total: registry.length,
+                    inService: inService.size,
+                    assigned,
+                    unavailable: assigned.filter(unit => !inService.has(unitKey(unit))),
+                    conflicts: []
+                };
+            }
+
+            // Kits: count the complete sets their components make instead of QTY
+            for (const itemId of Object.keys(result)) {
+                if (!isKit(itemId, kitRows)) continue;
+                const buildable = kitsBuildable(itemId, kitRows, component => result[component]?.available ?? null);
+                result[itemId].kit = kitComponents(itemId, kitRows);
+                if (buildable !== null) result[itemId].available = buildable;
+            }
+
             // Get overlapping shows
             let overlappingIds = await deps.call(ProductionUtils.getOverlappingShows, {
                 dateFilters: [
@@ -381,14 +689,30 @@ class inventoryUtils_uncached {
                 
                 if (_normalizeId(overlapId) === _normalizeId(projectIdentifier)) continue;
                 
-                const overlapInfo = await deps.call(PackListUtils.extractAllItemsForShow, overlapId);
+                const overlapInfo = expandKitDemand(await deps.call(PackListUtils.extractAllItemsForShow, overlapId), kitRows);
                 
                 for (const itemId of Object.keys(overlapInfo)) {
                     if (!result[itemId]) continue;
                     
-                    const allocated = result[itemId].allocated + (overlapInfo[itemId].allocated || 0);
-                    const onOrder = result[itemId].onOrder + (overlapInfo[itemId].onOrder || 0);
-                    result[itemId] = { ...result[itemId], allocated, onOrder };
+                    // extractAllItemsForShow maps each item to its packed quantity
+                    const allocated = result[itemId].allocated + (Number(overlapInfo[itemId]) || 0);
+                    result[itemId] = { ...result[itemId], allocated };
+                }
+
+                // The same unit can't go to two overlapping shows
+                const overlapUnits = await deps.call(PackListUtils.extractAllItemUnitsForShow, overlapId);
+                for (const [itemId, entries] of Object.entries(overlapUnits)) {
+                    const units = result[itemId]?.units;
+                    if (!units) continue;
+                    const overlapKeys = new Set(entries.map(entry => unitKey(entry.unit)));
+                    units.assigned.filter(unit => overlapKeys.has(unitKey(unit))).forEach(unit => {
+                        let conflict = units.conflicts.find(c => unitKey(c.unit) === unitKey(unit));
+                        if (!conflict) {
+                            conflict = { unit, shows: [] };
+                            units.conflicts.push(conflict);
+                        }
+                        if (!conflict.shows.includes(overlapId)) conflict.shows.push(overlapId);
+                    });
                 }
             }
             
@@ -470,7 +794,7 @@ class inventoryUtils_uncached {
 
         if (!hasChanges) return { applied: false };
 
-        await Database.setData('INVENTORY', resolvedTabName, updatedItems, mapping, {
+        await Database.setData('INVENTORY', resolvedTabName, updatedItems, await _writeMapping(resolvedTabName, mapping, updatedItems), {
             username,
             identifierKey: 'itemNumber',
             skipMetadata: true
@@ -480,18 +804,21 @@ class inventoryUtils_uncached {
 
     /**
      * Update the pending change entry matching effectiveDateDeciseconds on each
-     * of the provided rows. Only the EditHistory column is written back.
+     * of the provided rows, adding one to edited rows that have none yet.
+     * Only the EditHistory column is written back.
      * Mutation — uncached.
      * @param {string} tabOrItemName
-     * @param {Array<Object>} originalRows - Original rows before edits (current field values)
+     * @param {Array<Object>} originalRows - All rows of the tab before edits (current field values);
+     *   rows left out are removed from the tab
      * @param {Array<Object>} editedRows - Rows as edited in the modal (future field values)
      * @param {number} effectiveDateDeciseconds
      * @param {string} [note] - Updated note (≤25 chars)
      * @param {string} [username]
      * @param {Object} [mapping]
+     * @param {Object} [transaction] - Database.transaction handle to queue the write on
      * @returns {Promise<boolean>}
      */
-    static async savePendingChangeEntry(tabOrItemName, originalRows, editedRows, effectiveDateDeciseconds, note = null, username = null, mapping = inventoryUtils_uncached.DEFAULT_INVENTORY_MAPPING) {
+    static async savePendingChangeEntry(tabOrItemName, originalRows, editedRows, effectiveDateDeciseconds, note = null, username = null, mapping = inventoryUtils_uncached.DEFAULT_INVENTORY_MAPPING, transaction = null) {
         //console.log(`[InventoryUtils] Saving pending change entry for "${tabOrItemName}"...`);
         
         const allTabs = await Database.getTabs('INVENTORY');
@@ -509,15 +836,33 @@ class inventoryUtils_uncached {
 
             const ehKey = Object.prototype.hasOwnProperty.call(origRow, 'edithistory') ? 'edithistory' : 'EditHistory';
             const parsed = EditHistoryUtils.parseEditHistory(origRow[ehKey]) || {};
-            if (!Array.isArray(parsed.p)) return origRow;
+            const hasEntry = Array.isArray(parsed.p) && parsed.p.some(entry => entry.t === effectiveDateDeciseconds);
+
+            if (!hasEntry) {
+                // No change scheduled for this date yet: record the edits as a new entry
+                const changes = _pendingChanges(origRow, editedRow);
+                if (changes.length === 0) return origRow;
+                const pendingEntry = EditHistoryUtils.createPendingEntry(username, changes, effectiveDateDeciseconds, note || '');
+                return { ...origRow, [ehKey]: EditHistoryUtils.appendToPendingChanges(origRow[ehKey], pendingEntry) };
+            }
 
             parsed.p = parsed.p.map(entry => {
                 if (entry.t !== effectiveDateDeciseconds) return entry;
-                // Rebuild c from diff between original and edited rows
+                // editedRow is the row as it should be once this entry applies, so each change is
+                // rebuilt from the diff against the original row: numeric fields stay deltas
+                // ('+3' then a loss of 1 becomes '+2'), other fields take the edited value
+                const diff = _pendingChanges(origRow, editedRow);
                 const newChanges = entry.c.map(ch => {
-                    const editedVal = editedRow[ch.n];
-                    return { n: ch.n, ne: editedVal !== undefined ? editedVal : ch.ne };
+                    if (editedRow[ch.n] === undefined) return ch;
+                    const change = diff.find(d => d.n === ch.n);
+                    if (change) return change;
+                    // Edited back to the current value: a delta nets out to zero
+                    return { n: ch.n, ne: typeof ch.ne === 'string' && /^[+\-]\d/.test(ch.ne) ? '+0' : editedRow[ch.n] };
                 });
+                // Fields edited that the entry did not change yet
+                diff
+                    .filter(change => !newChanges.some(ch => ch.n === change.n))
+                    .forEach(change => newChanges.push(change));
                 return {
                     ...entry,
                     c: newChanges,
@@ -528,13 +873,70 @@ class inventoryUtils_uncached {
             return { ...origRow, [ehKey]: JSON.stringify(parsed) };
         });
 
-        return await Database.setData('INVENTORY', resolvedTabName, updatedRows, mapping, {
+        return await (transaction || Database).setData('INVENTORY', resolvedTabName, updatedRows, await _writeMapping(resolvedTabName, mapping, updatedRows), {
             username,
             identifierKey: 'itemNumber',
             skipMetadata: true
         });
     }
 
+    /**
+     * Schedule quantity reductions (items lost or damaged on a show) as pending changes on
+     * their inventory rows, merged into any change already scheduled for the same date.
+     * Pass a Database.transaction handle to write them with other changes. Mutation — uncached.
+     * @param {Array<{itemNumber: string, quantity: number}>} losses - Units to take off each item's QTY
+     * @param {number} effectiveDateDeciseconds
+     * @param {string} [note] - Pending change note (≤25 chars)
+     * @param {string} [username]
+     * @param {Object} [transaction] - Database.transaction handle to queue the writes on
+     * @returns {Promise<{scheduled: Array<string>, unknown: Array<string>}>} Item numbers scheduled,
+     *   and those not found in inventory
+     */
+    static async scheduleQuantityLosses(losses, effectiveDateDeciseconds, note = null, username = null, transaction = null) {
+        const mapping = inventoryUtils_uncached.DEFAULT_INVENTORY_MAPPING;
+        const scheduled = [];
+        const unknown = [];
+
+        const byTab = new Map();
+        for (const loss of losses || []) {
+            const quantity = Number(loss?.quantity) || 0;
+            if (!loss?.itemNumber || quantity <= 0) continue;
+            const tab = await InventoryUtils.getTabNameForItem(loss.itemNumber);
+            if (!tab) {
+                unknown.push(loss.itemNumber);
+                continue;
+            }
+            if (!byTab.has(tab)) byTab.set(tab, new Map());
+            const tabLosses = byTab.get(tab);
+            tabLosses.set(loss.itemNumber, (tabLosses.get(loss.itemNumber) || 0) + quantity);
+        }
+
+        for (const [tab, tabLosses] of byTab) {
+            const rows = await Database.getData('INVENTORY', tab, mapping);
+            const editedRows = [];
+            tabLosses.forEach((quantity, itemNumber) => {
+                const row = rows.find(r => _normalizeId(r.itemNumber) === _normalizeId(itemNumber));
+                if (!row) {
+                    unknown.push(itemNumber);
+                    return;
+                }
+                // Take the loss off the quantity the row will have once this date's entry applies
+                const entry = EditHistoryUtils.getPendingEntries(row.edithistory || row.EditHistory)
+                    .find(e => e.t === effectiveDateDeciseconds);
+                const scheduledChange = entry?.c?.find(ch => ch.n === 'quantity');
+                const current = scheduledChange
+                    ? EditHistoryUtils.applyNeValue(row.quantity, scheduledChange.ne)
+                    : Number(row.quantity) || 0;
+                editedRows.push({ ...row, quantity: current - quantity });
+                scheduled.push(row.itemNumber);
+            });
+            if (editedRows.length === 0) continue;
+            await InventoryUtils.savePendingChangeEntry(tab, rows, editedRows, effectiveDateDeciseconds, note, username, mapping, transaction);
+        }
+
+        return { scheduled, unknown };
+    }
+
     /**
      * Build a full item timeline for a given item within a date window.
      * Returns an array of events sorted chronologically:
@@ -542,6 +944,7 @@ class inventoryUtils_uncached {
      *   - Scheduled pending changes (from edithistory.p) with event "Scheduled"
      *   - Show ship events (event "Ships", note = project identifier)
      *   - Show return events (event "Returns", note = project identifier)
+     * A show that packs a kit ships and returns the kit's components too.
      *
      * Quantity column reflects the inventory state after each event.
      *
@@ -699,6 +1102,7 @@ class inventoryUtils_uncached {
                 // Deduplicate to prevent double-counting items when a show has multiple booths
                 const deduplicated = await deps.call(ProductionUtils.deduplicateScheduleByShow, overlapping);
                 const packlistTabs = await deps.call(Database.getTabs, 'PACK_LISTS');
+                const kitRows = await deps.call(InventoryUtils.getKitDefinitions);
 
                 for (const showRow of deduplicated) {
                     // Use Direction-1 matching: schedule row → packlist tab(s)
@@ -709,7 +1113,8 @@ class inventoryUtils_uncached {
 
                     let packedQty = 0;
                     try {
-                        const showItems = await deps.call(PackListUtils.extractAllItemsForShow, identifier);
+                        // Kits the show packs take their components out too
+                        const showItems = expandKitDemand(await deps.call(PackListUtils.extractAllItemsForShow, identifier), kitRows);
                         //console.log('[timeline] extractItems for', identifier, '→', showItems);
                         packedQty = showItems[itemId] || 0;
                         if (!packedQty) continue;
@@ -833,7 +1238,8 @@ class inventoryUtils_uncached {
 
     /**
      * Get the minimum inventory quantity for an item over a date range.
-     * Delegates to getItemTimeline and returns the lowest quantity value seen.
+     * Delegates to getItemTimeline and returns the lowest quantity value seen; for a kit, the
+     * fewest complete sets its components' lowest quantities make.
      * @param {Object} deps
      * @param {string} itemId
      * @param {string|null} startDate - ISO date string (YYYY-MM-DD)
@@ -850,6 +1256,14 @@ class inventoryUtils_uncached {
             d.setFullYear(d.getFullYear() + 2);
             effectiveEnd = toISODateString(d);
         }
+        const kitRows = await deps.call(InventoryUtils.getKitDefinitions);
+        if (isKit(itemId, kitRows)) {
+            const lowest = {};
+            for (const component of flattenKit(itemId, kitRows)) {
+                lowest[component.itemNumber] = await deps.call(InventoryUtils.getItemMinQuantityInRange, component.itemNumber, startDate, endDate);
+            }
+            return kitsBuildable(itemId, kitRows, component => lowest[component] ?? null);
+        }
         const events = await deps.call(InventoryUtils.getItemTimeline, itemId, startDate, effectiveEnd);
         const quantities = events.map(e => e.quantity).filter(q => q !== null && q !== undefined && !isNaN(q));
         const result = quantities.length > 0 ? Math.min(...quantities) : null;
@@ -857,6 +1271,267 @@ class inventoryUtils_uncached {
         return result;
     }
 
+    /**
+     * Quantity of an item expected on the shelf at the end of a date: its timeline up to that
+     * day, including units shipped to and returned from shows (see utils/stockTake.js).
+     * @param {Object} deps
+     * @param {string} itemId
+     * @param {string} date - ISO date string (YYYY-MM-DD)
+     * @returns {Promise<number|null>} null if the item is not in inventory
+     */
+    static async getExpectedQuantity(deps, itemId, date) {
+        if (!itemId || !date) return null;
+        const events = await deps.call(InventoryUtils.getItemTimeline, itemId, date, date);
+        return expectedFromTimeline(events);
+    }
+
+    /**
+     * Post a stock-take of a category: add each counted item's variance from its expected quantity
+     * on the count date to its current QTY, with the count's note on every changed row's EditHistory.
+     * Pass a Database.transaction handle to post several categories as one batch. Mutation — uncached.
+     * @param {Array<{itemNumber: string, counted: *}>} lines - Count sheet lines; blank counts are skipped
+     * @param {string} tab - Inventory category tab
+     * @param {string} countDate - ISO date the count was taken
+     * @param {string} note - Note recorded on every change (≤25 chars)
+     * @param {string} [username]
+     * @param {Object} [transaction] - Database.transaction handle to queue the write on
+     * @returns {Promise<{items: Array<Object>, posted: Array<string>, unknown: Array<string>}>} Every
+     *   counted item with its expected, counted and variance, the item numbers whose QTY changed,
+     *   and those not found in the category
+     */
+    static async postStockTake(lines, tab, countDate, note, username = null, transaction = null) {
+        if (!parseDate(countDate)) throw new Error(`Invalid date: ${countDate}`);
+        if (countDate > todayISOString()) throw new Error('A stock-take cannot be dated in the future');
+        if (!String(note ?? '').trim()) throw new Error('A note is required to post a stock-take');
+        const mapping = inventoryUtils_uncached.DEFAULT_INVENTORY_MAPPING;
+
+        // Expected quantities are recomputed here so the sheet's values cannot be stale
+        const counted = [];
+        for (const line of countVariances(lines)) {
+            counted.push({ ...line, expected: await InventoryUtils.getExpectedQuantity(line.itemNumber, countDate) });
+        }
+        const items = countVariances(counted);
+        const posted = [];
+        const unknown = [];
+
+        const rows = await Database.getData('INVENTORY', tab, mapping);
+        const editedRows = rows.map(row => ({ ...row }));
+        items.filter(item => item.variance !== 0).forEach(item => {
+            const row = editedRows.find(r => _normalizeId(r.itemNumber) === _normalizeId(item.itemNumber));
+            if (!row) {
+                unknown.push(item.itemNumber);
+                return;
+            }
+            row.quantity = (parseInt(row.quantity, 10) || 0) + item.variance;
+            posted.push(row.itemNumber);
+        });
+        if (posted.length > 0) {
+            await InventoryUtils.saveInventoryTabData(editedRows, tab, mapping, null, username, {
+                note: String(note).trim().slice(0, 25),
+                transaction
+            });
+        }
+
+        return { items, posted, unknown };
+    }
+
+    /**
+     * Add a row to the alias table, creating the CACHE/Aliases tab on first use. Mutation — uncached.
+     * @param {string} alias - Prefix (SHELF) or old item number (CHAIR-009)
+     * @param {string} target - What it stands for (SHLF, CHAIR-002)
+     * @param {Object} [transaction] - Database.transaction handle to queue the write on
+     * @returns {Promise<boolean>} false when the alias was already recorded for that target
+     */
+    static async addItemAlias(alias, target, transaction = null) {
+        const from = String(alias ?? '').trim().toUpperCase();
+        const to = String(target ?? '').trim().toUpperCase();
+        if (!from || !to) throw new Error('An alias needs both the alias and what it stands for');
+        if (from === to) throw new Error(`${from} cannot be an alias of itself`);
+
+        const aliases = await InventoryUtils.getItemAliases();
+        const existing = aliases.find(row => row.alias === from);
+        if (existing) {
+            if (existing.target === to) return false;
+            throw new Error(`${from} is already an alias of ${existing.target}`);
+        }
+        if (resolveAlias(to, aliases) === from) throw new Error(`${to} is an alias of ${from}`);
+
+        const allTabs = await Database.getTabs('CACHE');
+        if (!allTabs.some(tab => tab.title === 'Aliases')) {
+            await Database.createTab('CACHE', null, 'Aliases');
+            await Database.setData('CACHE', 'Aliases', [Object.values(inventoryUtils_uncached.ALIAS_MAPPING)], null, { skipMetadata: true });
+        }
+        await (transaction || Database).appendSheetRow('CACHE', 'Aliases', [from, to]);
+        return true;
+    }
+
+    /**
+     * Renumber items: each item number is changed in its category (the row keeps its EditHistory,
+     * which records the old number), in the category's unit registry, in kit definitions, in every pack list cell
+     * that names it and on its thumbnail record, all in one transaction. Items stay in their
+     * category. Mutation — uncached.
+     * @param {Array<{from: string, to: string}>} renames - e.g. from utils/itemNumbers.js planRenumber
+     * @param {string} [username]
+     * @param {Object} [options]
+     * @param {string} [options.note] - Source recorded on the changed rows' EditHistory (≤25 chars)
+     * @param {{alias: string, target: string}} [options.alias] - Alias to record with the renumber,
+     *   e.g. the retired prefix (see addItemAlias)
+     * @param {boolean} [options.itemAliases] - Keep each old item number as an alias of the new one,
+     *   so pack list text still naming it resolves (see PackListUtils.extractItemFromText)
+     * @returns {Promise<{renamed: Array<{from: string, to: string}>, packlists: Array<string>}>} The
+     *   renames and the pack lists that were rewritten
+     */
+    static async renumberItems(renames, username = null, options = {}) {
+        const note = String(options.note ?? '').trim().slice(0, 25) || 'renumber';
+        const mapping = inventoryUtils_uncached.DEFAULT_INVENTORY_MAPPING;
+        const list = (renames || []).map(rename => ({ from: String(rename.from ?? '').trim(), to: String(rename.to ?? '').trim() }));
+        if (list.length === 0) throw new Error('Nothing to renumber');
+        if (list.some(rename => !rename.from || !rename.to || rename.from === rename.to)) {
+            throw new Error('Every renumber needs a different old and new item number');
+        }
+        const map = new Map(list.map(rename => [rename.from, rename.to]));
+        if (map.size !== list.length || new Set(list.map(rename => rename.to)).size !== list.length) {
+            throw new Error('An item number appears twice in the renumber');
+        }
+
+        const indexData = await InventoryUtils.getInventoryIndex();
+        const aliases = await InventoryUtils.getItemAliases();
+        const reserved = new Set(aliases.map(row => row.alias));
+        const byTab = new Map();
+        for (const rename of list) {
+            const tab = await InventoryUtils.getTabNameForItem(rename.from);
+            if (!tab) throw new Error(`${rename.from} is not in inventory`);
+            if (!hasCustomItemNumbers(tab, indexData)) {
+                const prefix = rename.to.match(ITEM_NUMBER_PATTERN)?.[1];
+                if (!prefix) throw new Error(`${rename.to} is not PREFIX-NNN`);
+                const indexRow = findIndexRow(prefix, indexData);
+                if (indexRow?.tab !== tab) throw new Error(`${rename.to} would not be in ${tab}: renumbering cannot move items between categories`);
+            }
+            if (reserved.has(rename.to.toUpperCase())) throw new Error(`${rename.to} is kept as an alias and cannot be reused`);
+            if (!byTab.has(tab)) byTab.set(tab, []);
+            byTab.get(tab).push(rename);
+        }
+
+        const tabs = [];
+        for (const [tab, tabRenames] of byTab) {
+            const lockInfo = await ApplicationUtils.getSheetLock('INVENTORY', tab, username);
+            if (lockInfo && lockInfo.user !== username) throw new Error(`Cannot renumber: inventory category is locked by ${lockInfo.user}`);
+            const rows = await Database.getData('INVENTORY', tab, mapping);
+            const missing = tabRenames.find(rename => !rows.some(row => row.itemNumber === rename.from));
+            if (missing) throw new Error(`${missing.from} is not in ${tab}`);
+            const clash = tabRenames.find(rename => rows.some(row => row.itemNumber === rename.to) && !map.has(rename.to));
+            if (clash) throw new Error(`${clash.to} already exists in ${tab}`);
+            tabs.push({ tab, rows });
+        }
+
+        // Rewrite a copy of every pack list first
+        const packlists = await _rewritePackLists(list, 'renumberItems');
+        // Old numbers stay resolvable unless another item takes them over in this renumber
+        const itemAliases = options.itemAliases ? list.filter(rename => !list.some(other => other.to === rename.from)) : [];
+
+        let thumbnails = [];
+        await Database.transaction(async (tx) => {
+            for (const { tab, rows } of tabs) {
+                const renamed = rows.map(row => map.has(row.itemNumber) ? { ...row, itemNumber: map.get(row.itemNumber) } : row);
+                // No identifierKey: a renamed row is the same row, not a deleted and an added one
+                await tx.setData('INVENTORY', tab, renamed, await _writeMapping(tab, mapping, renamed), { username, source: note });
+
+                const units = await InventoryUtils.getUnitRegistry(tab);
+                if (units.some(unit => map.has(unit.itemNumber))) {
+                    const renamedUnits = units.map(unit => map.has(unit.itemNumber) ? { ...unit, itemNumber: map.get(unit.itemNumber) } : unit);
+                    await tx.setData('INVENTORY', unitsTabName(tab), renamedUnits, inventoryUtils_uncached.UNIT_MAPPING, { username, source: note });
+                }
+            }
+            await _renameKitRows(list, tx, username, note);
+            for (const { title, crates } of packlists) {
+                await PackListUtils.savePackList(title, crates, null, username, { source: note, transaction: tx });
+            }
+            thumbnails = await ApplicationUtils.moveThumbnailRecords(list, tx);
+            if (options.alias) {
+                await InventoryUtils.addItemAlias(options.alias.alias, options.alias.target, tx);
+            }
+            for (const rename of itemAliases) {
+                await InventoryUtils.addItemAlias(rename.from, rename.to, tx);
+            }
+        });
+        ApplicationUtils.invalidateThumbnailRecords(thumbnails);
+        return { renamed: list, packlists: packlists.map(packlist => packlist.title) };
+    }
+
+    /**
+     * Merge two rows of a category that turn out to be the same item. The source row is removed;
+     * the target row gets the combined QTY, the source's values where its own are blank, and both
+     * histories (see EditHistoryUtils.mergeQuantityHistories). The source's units, kit rows, pack
+     * list lines and thumbnail move to the target, and the source number is kept as an alias of the
+     * target, all in one transaction. Mutation — uncached.
+     * @param {string} from - Item number that goes away, e.g. 'CHAIR-009'
+     * @param {string} into - Item number that remains, e.g. 'CHAIR-002'
+     * @param {string} [username]
+     * @param {Object} [options]
+     * @param {string} [options.note] - Source recorded on the merged row's EditHistory (≤25 chars)
+     * @returns {Promise<{item: Object, packlists: Array<string>}>} The merged row and the pack lists
+     *   that were rewritten
+     */
+    static async mergeItems(from, into, username = null, options = {}) {
+        const source = String(from ?? '').trim();
+        const target = String(into ?? '').trim();
+        if (!source || !target || source === target) throw new Error('A merge needs two different item numbers');
+        const note = String(options.note ?? '').trim().slice(0, 25) || `merge ${source}`.slice(0, 25);
+        const mapping = inventoryUtils_uncached.DEFAULT_INVENTORY_MAPPING;
+
+        const tab = await InventoryUtils.getTabNameForItem(source);
+        if (!tab) throw new Error(`${source} is not in inventory`);
+        if (await InventoryUtils.getTabNameForItem(target) !== tab) throw new Error(`${source} and ${target} are not in the same category`);
+        const lockInfo = await ApplicationUtils.getSheetLock('INVENTORY', tab, username);
+        if (lockInfo && lockInfo.user !== username) throw new Error(`Cannot merge: inventory category is locked by ${lockInfo.user}`);
+
+        const rows = await Database.getData('INVENTORY', tab, mapping);
+        const sourceRow = rows.find(row => row.itemNumber === source);
+        const targetRow = rows.find(row => row.itemNumber === target);
+        if (!sourceRow) throw new Error(`${source} is not in ${tab}`);
+        if (!targetRow) throw new Error(`${target} is not in ${tab}`);
+
+        const units = await InventoryUtils.getUnitRegistry(tab);
+        const targetUnits = new Set(units.filter(unit => unit.itemNumber === target).map(unit => unitKey(unit.unit)));
+        const clash = units.find(unit => unit.itemNumber === source && targetUnits.has(unitKey(unit.unit)));
+        if (clash) throw new Error(`${source} and ${target} both have a unit ${clash.unit}; rename one of them before merging`);
+
+        const merged = { ...targetRow };
+        const filled = [];
+        Object.keys(sourceRow).forEach(key => {
+            if (['itemNumber', 'quantity', 'edithistory', 'EditHistory'].includes(key)) return;
+            if (String(merged[key] ?? '').trim() !== '' || String(sourceRow[key] ?? '').trim() === '') return;
+            filled.push({ column: key, old: merged[key] ?? '' });
+            merged[key] = sourceRow[key];
+        });
+        merged.quantity = (parseInt(targetRow.quantity, 10) || 0) + (parseInt(sourceRow.quantity, 10) || 0);
+        // The merge itself is recorded like a renumber of the source row
+        const mergeEntry = EditHistoryUtils.createEditHistoryEntry(username, [{ column: 'itemNumber', old: source }, ...filled], note);
+        merged.edithistory = EditHistoryUtils.appendToEditHistory(EditHistoryUtils.mergeQuantityHistories(targetRow, sourceRow), mergeEntry);
+        const mergedRows = rows.filter(row => row !== sourceRow).map(row => row === targetRow ? merged : row);
+
+        const renames = [{ from: source, to: target }];
+        const packlists = await _rewritePackLists(renames, 'mergeItems');
+
+        let thumbnails = [];
+        await Database.transaction(async (tx) => {
+            // The merged row carries its own history entry; rows below the removed one only move up
+            await tx.setData('INVENTORY', tab, mergedRows, await _writeMapping(tab, mapping, mergedRows), { username, skipMetadata: true });
+            if (units.some(unit => unit.itemNumber === source)) {
+                const movedUnits = units.map(unit => unit.itemNumber === source ? { ...unit, itemNumber: target } : unit);
+                await tx.setData('INVENTORY', unitsTabName(tab), movedUnits, inventoryUtils_uncached.UNIT_MAPPING, { username, source: note });
+            }
+            await _renameKitRows(renames, tx, username, note);
+            for (const { title, crates } of packlists) {
+                await PackListUtils.savePackList(title, crates, null, username, { source: note, transaction: tx });
+            }
+            thumbnails = await ApplicationUtils.moveThumbnailRecords(renames, tx);
+            await InventoryUtils.addItemAlias(source, target, tx);
+        });
+        ApplicationUtils.invalidateThumbnailRecords(thumbnails);
+        return { item: merged, packlists: packlists.map(packlist => packlist.title) };
+    }
+
     /**
      * Remove a pending change entry by effectiveDateDeciseconds from matching rows
      * and save the updated EditHistory back. Mutation — uncached.
@@ -886,7 +1561,7 @@ class inventoryUtils_uncached {
             return { ...row, [ehKey]: JSON.stringify({ ...parsed, p: filtered }) };
         });
 
-        return await Database.setData('INVENTORY', resolvedTabName, updatedRows, mapping, {
+        return await Database.setData('INVENTORY', resolvedTabName, updatedRows, await _writeMapping(resolvedTabName, mapping, updatedRows), {
             username,
             identifierKey: 'itemNumber',
             skipMetadata: true
@@ -960,8 +1635,15 @@ class inventoryUtils_uncached {
 
 export const InventoryUtils = wrapMethods(inventoryUtils_uncached, 'inventory_utils', [
     'saveInventoryTabData',
+    'saveUnitRegistry',
+    'saveKitRegistry',
     'checkAndApplyPendingChanges',
     'savePendingChangeEntry',
+    'scheduleQuantityLosses',
+    'postStockTake',
+    'addItemAlias',
+    'renumberItems',
+    'mergeItems',
     'deletePendingChangeEntry',
     'getHiddenSearchDataForCategory'
 ]);
\ No newline at end of file
@@ -1,8 +1,34 @@
-import { Database, InventoryUtils, ProductionUtils, wrapMethods, GetParagraphMatchRating, todayISOString, parseDate, toISODateString, EditHistoryUtils, ApplicationUtils, invalidateCache, normalizeHeaderName, ProgressBus } from '../index.js';
+import { Database, InventoryUtils, ProductionUtils, wrapMethods, GetParagraphMatchRating, todayISOString, parseDate, toISODateString, EditHistoryUtils, ApplicationUtils, invalidateCache, normalizeHeaderName, ProgressBus, computeShipmentTotals, revertPacklistTo, diffPacklistContents, parseUnitReferences, getItemCheck, setItemCheck, reconcileReturn, resolveAlias, expandKitDemand, kitDemandSources, kitComponents, flattenKit, kitsBuildable, formatKitComponents } from '../index.js';
 
 /** Normalize an identifier for loose matching (strips spaces, case, non-alphanumeric) */
 function _normalizeId(v) { return String(v || '').trim().toUpperCase().replace(/[^A-Z0-9]/g, ''); }
 
+/**
+ * Pair each item line of a pack list with the inventory item it names
+ * @param {Array<Object>} crates - Crates from getContent
+ * @param {Function} parseText - (text) => extractItemFromText result
+ * @returns {Promise<Array<{item: Object, itemNumber: string, quantity: number, check: Object, crate: string}>>}
+ */
+async function _checkedLines(crates, parseText) {
+    const lines = [];
+    for (const crate of crates) {
+        const crateLabel = String(crate['Piece #'] ?? '').trim();
+        for (const item of crate.Items || []) {
+            for (const [key, cell] of Object.entries(item)) {
+                if (key === 'EditHistory' || key === 'MetaData' || key === 'Check' || !cell) continue;
+                const extracted = await parseText(cell);
+                if (!extracted.itemNumber) continue;
+                lines.push({ item, itemNumber: extracted.itemNumber, quantity: extracted.quantity, check: getItemCheck(item), crate: crateLabel });
+                break;
+            }
+        }
+    }
+    return lines;
+}
+
+/** Named pack list templates are hidden PACK_LISTS tabs titled `_TEMPLATE_<name>` */
+export const PACKLIST_TEMPLATE_PREFIX = '_TEMPLATE_';
+
 /**
  * Utility functions for pack list operations
  */
@@ -11,7 +37,8 @@ class packListUtils_uncached {
      * Extract item information from text using regex pattern
      * @param {Object} deps - Dependency decorator for tracking calls
      * @param {string} text - Text to search for item information
-     * @returns {Promise<Object>} Object with {quantity: number, itemNumber: string|null, description: string}
+     * @returns {Promise<Object>} Object with {quantity: number, itemNumber: string|null, description: string},
+     *   plus units: Array<string> for an inventory item (the "[units: A, B]" tag, see utils/inventoryUnits.js)
      */
     static async extractItemFromText(deps, text, ctgFilter = undefined) {
         if (!text || typeof text !== 'string') {
@@ -24,11 +51,15 @@ class packListUtils_uncached {
         
         const itemRegex = /(?:\(([0-9]+)\))?\s*([A-Z]+-[0-9A-Za-z_○°]+)/;
 
-        const match = text.match(itemRegex);
+        // Units named on the line are not part of the item code or description
+        const { units, text: itemText } = parseUnitReferences(text);
+        const match = itemText.match(itemRegex);
         
         if (match) {
+            // An old number kept as an alias (a merged or renamed item) stands for the item that replaced it
+            const aliases = await deps.call(InventoryUtils.getItemAliases);
+            const itemNumber = resolveAlias(match[2], aliases);
             // If a match is found, check if that item number prefix exists in the inventory index
-            const itemNumber = match[2];
             const tabName = await deps.call(InventoryUtils.getTabNameForItem, itemNumber);
             
             // Only return the item if its prefix exists in the inventory index
@@ -38,15 +69,17 @@ class packListUtils_uncached {
                     return await deps.call(PackListUtils.extractHardwareFromText, text);
                 } else {
                     // Extract clean description by removing the matched item code and quantity
-                    const description = text
+                    const description = itemText
                         .replace(match[0], '') // Remove the entire match (quantity + item number)
                         .replace(/\s+/g, ' ')  // Normalize whitespace
                         .trim();               // Remove leading/trailing spaces
                     
                     return {
-                        quantity: match[1] ? parseInt(match[1], 10) : 1,
+                        // Without a (n) quantity, a line naming its units holds that many
+                        quantity: match[1] ? parseInt(match[1], 10) : (units.length || 1),
                         itemNumber: itemNumber,
-                        description: description
+                        description: description,
+                        units
                     };
                 }
             }
@@ -152,7 +185,9 @@ class packListUtils_uncached {
         // First verify the tab exists
         const tabs = await Database.getTabs('PACK_LISTS'); // Uncached so we don't invalidate on every tabs invalidation
 
-        const matchedTab = await deps.call(ProductionUtils.findPackListTab, projectIdentifier, tabs);
+        // Exact titles first so hidden tabs (templates) never go through fuzzy identifier matching
+        const matchedTab = tabs.find(tab => tab.title === projectIdentifier)
+            || await deps.call(ProductionUtils.findPackListTab, projectIdentifier, tabs);
         //console.log('[getContent]', projectIdentifier, '| tabs:', tabs?.map(t => t.title), '| found:', !!matchedTab);
         if (!matchedTab) {
             await deps.call(Database.getTabs, 'PACK_LISTS'); // Creates tabs cache dependency for nonexistant packlists
@@ -270,22 +305,24 @@ class packListUtils_uncached {
     }
 
     /**
-     * Extracts item quantities from a project's pack list
+     * Lists the inventory items on a project's pack list, one entry per item found in a cell
      * @param {Object} deps - Dependency decorator for tracking calls
      * @param {string} projectIdentifier - The project identifier
-     * @returns {Promise<object>} Map of itemId to quantity
+     * @returns {Promise<Array<{itemNumber: string, quantity: number, units: Array<string>, crate: string}>>}
+     *   crate is the Piece # of the crate holding the item; units are the units named on the line
      */
-    static async extractItems(deps, projectIdentifier, ctgFilter = undefined) {
+    static async extractPackedItems(deps, projectIdentifier, ctgFilter = undefined) {
         // Get pack list content (array of crate objects with Items arrays)
         const crates = await deps.call(PackListUtils.getContent, projectIdentifier, "Pack");
 
-        // Return empty object if pack list not found
-        if (!crates) return {};
+        // Return empty list if pack list not found
+        if (!crates) return [];
 
-        const itemMap = {};
+        const packed = [];
 
         for (const crate of crates) {
             if (Array.isArray(crate.Items)) {
+                const crateLabel = String(crate['Piece #'] ?? '').trim();
                 for (const itemObj of crate.Items) {
                     // For each property in the item object, check for item codes
                     // Skip metadata fields — EditHistory contains old description values that
@@ -295,16 +332,55 @@ class packListUtils_uncached {
                         if (!cell) continue;
                         const extracted = await deps.call(PackListUtils.extractItemFromText, cell, ctgFilter);
                         if (extracted.itemNumber) {
-                            itemMap[extracted.itemNumber] = (itemMap[extracted.itemNumber] || 0) + extracted.quantity;
+                            packed.push({
+                                itemNumber: extracted.itemNumber,
+                                quantity: extracted.quantity,
+                                units: extracted.units || [],
+                                crate: crateLabel
+                            });
                         }
                     }
                 }
             }
         }
 
+        return packed;
+    }
+
+    /**
+     * Extracts item quantities from a project's pack list
+     * @param {Object} deps - Dependency decorator for tracking calls
+     * @param {string} projectIdentifier - The project identifier
+     * @returns {Promise<object>} Map of itemId to quantity
+     */
+    static async extractItems(deps, projectIdentifier, ctgFilter = undefined) {
+        const packed = await deps.call(PackListUtils.extractPackedItems, projectIdentifier, ctgFilter);
+
+        const itemMap = {};
+        for (const entry of packed) {
+            itemMap[entry.itemNumber] = (itemMap[entry.itemNumber] || 0) + entry.quantity;
+        }
         return itemMap;
     }
 
+    /**
+     * Records which units of serialized items went in which crate of a project's pack list
+     * @param {Object} deps - Dependency decorator for tracking calls
+     * @param {string} projectIdentifier - The project identifier
+     * @returns {Promise<Object>} Map of itemId to [{ unit, crate }], for items whose lines name units
+     */
+    static async extractItemUnits(deps, projectIdentifier) {
+        const packed = await deps.call(PackListUtils.extractPackedItems, projectIdentifier);
+
+        const unitMap = {};
+        for (const entry of packed) {
+            if (!entry.units.length) continue;
+            if (!unitMap[entry.itemNumber]) unitMap[entry.itemNumber] = [];
+            entry.units.forEach(unit => unitMap[entry.itemNumber].push({ unit, crate: entry.crate }));
+        }
+        return unitMap;
+    }
+
     /**
      * Extract and aggregate items from all packlists for a show, including suffix variants
      * (e.g., "LOCKHEED 2026 SNA MEETING ROOM" alongside "LOCKHEED 2026 SNA").
@@ -331,6 +407,28 @@ class packListUtils_uncached {
         return itemMap;
     }
 
+    /**
+     * Units of serialized items packed for a show, across all its packlists (see extractAllItemsForShow)
+     * @param {Object} deps
+     * @param {string} projectIdentifier - Project identifier
+     * @returns {Promise<Object>} Map of itemId to [{ unit, crate, packlist }]
+     */
+    static async extractAllItemUnitsForShow(deps, projectIdentifier) {
+        const allTabs = await deps.call(Database.getTabs, 'PACK_LISTS');
+        const validTabs = allTabs.filter(tab => tab.title !== '_TEMPLATE' && !tab.title.startsWith('_'));
+        const matchingTabs = await deps.call(ProductionUtils.findAllPackListTabsForShow, projectIdentifier, validTabs);
+
+        const unitMap = {};
+        for (const tab of matchingTabs) {
+            const tabUnits = await deps.call(PackListUtils.extractItemUnits, tab.title);
+            for (const [itemId, units] of Object.entries(tabUnits)) {
+                if (!unitMap[itemId]) unitMap[itemId] = [];
+                units.forEach(entry => unitMap[itemId].push({ ...entry, packlist: tab.title }));
+            }
+        }
+        return unitMap;
+    }
+
     /**
      * Save pack list data to the PACK_LISTS sheet.
      * @param {Object} deps - Dependency decorator for tracking calls
@@ -338,10 +436,16 @@ class packListUtils_uncached {
      * @param {Array<Object>} crates - Array of crate objects, each with info and items arrays.
      * @param {Object} [headers] - { main: [...], items: [...] } (optional)
      * @param {string} [username] - Username making the change (for edithistory)
-     * @returns {Promise<boolean>} Success status
+     * @param {Object} [options]
+     * @param {string} [options.source] - Source system for history entries ('web' | 'cad')
+     * @param {Object} [options.transaction] - Database.transaction handle; the write is queued on it instead of committed
+     * @param {number} [options.knownVersion] - version of a conflict report the user has resolved
+     * @returns {Promise<boolean|Object>} Success status, or the Database.setData conflict report with
+     *   each row's `path` into crates ([crateIndex] or [crateIndex, 'Items', itemIndex]); rows the
+     *   save deletes have a null path and `restore: { crate, row }`, their row as a crate or item
      */
     static async savePackList(tabName, mappedData, headers = null, username = null, options = {}) {
-        const { source = 'web' } = options;
+        const { source = 'web', transaction = null, knownVersion = 0 } = options;
         console.log('[PackListUtils.savePackList] crates input:', mappedData, 'options:', options);
         
         // CRITICAL: Check lock status before saving to prevent conflicts
@@ -450,7 +554,8 @@ class packListUtils_uncached {
         // Flatten crates into row objects with ALL column properties
         // IMPORTANT: Use lowercase property names for metadata to match Database layer expectations
         const rowObjects = [];
-        cleanCrates.forEach(crate => {
+        const rowPaths = []; // Where each row came from in mappedData, for conflict reports and the change feed
+        cleanCrates.forEach((crate, crateIndex) => {
             // Crate row: main columns filled, item columns empty, metadata at end
             const crateRow = {};
             headers.main.forEach(h => {
@@ -468,10 +573,11 @@ class packListUtils_uncached {
                 }
             });
             rowObjects.push(crateRow);
+            rowPaths.push([crateIndex]);
             
             // Item rows: main columns empty, item columns filled, metadata at end
             if (Array.isArray(crate.Items)) {
-                crate.Items.forEach(itemObj => {
+                crate.Items.forEach((itemObj, itemIndex) => {
                     const itemRow = {};
                     headers.main.forEach(h => {
                         itemRow[h] = ''; // Main columns empty for item rows
@@ -488,17 +594,35 @@ class packListUtils_uncached {
                         }
                     });
                     rowObjects.push(itemRow);
+                    rowPaths.push([crateIndex, 'Items', itemIndex]);
                 });
             }
         });
         
         // Save using object array with mapping - enables automatic edithistory tracking!
         // Database layer will handle diff calculation and history appending
-        saveResult = await Database.setData('PACK_LISTS', tabName, rowObjects, packlistMapping, {
+        saveResult = await (transaction || Database).setData('PACK_LISTS', tabName, rowObjects, packlistMapping, {
             username,
             skipMetadata: false, // Enable automatic history tracking
-            source
+            source,
+            detectConflicts: true,
+            knownVersion,
+            rowPaths
         });
+        if (saveResult?.conflict) {
+            // Point report rows back at crates/items; columns use the crate/item keys
+            saveResult.rows.forEach(row => {
+                row.path = rowPaths[row.index] || null;
+                if (row.missing) {
+                    // A row this save deletes, as the crate or item to put back if the user keeps it
+                    const isCrate = headers.main.some(h => String(row.theirs?.[h] ?? '').trim() !== '');
+                    const restore = { EditHistory: row.theirs?.edithistory ?? '', MetaData: row.theirs?.metadata ?? '' };
+                    (isCrate ? headers.main : headers.items).forEach(h => { restore[h] = row.theirs?.[h] ?? ''; });
+                    if (isCrate) restore.Items = [];
+                    row.restore = { crate: isCrate, row: restore };
+                }
+            });
+        }
         } finally {
             // Lock management is handled by components
             // No lock release needed here
@@ -513,14 +637,19 @@ class packListUtils_uncached {
      * Check item quantities for a project
      * @param {Object} deps - Dependency decorator for tracking calls
      * @param {string} projectIdentifier - The project identifier
-     * @returns {Promise<object>} Inventory status for all items
+     * @param {string|null} [itemSourceTab=null] - Take the items from this pack list tab instead of the
+     *   show's own pack lists (checks a template against a show's dates before the tab is created)
+     * @returns {Promise<object>} Inventory status for all items, the components of packed kits included
      */
-    static async checkItemQuantities(deps, projectIdentifier) {
+    static async checkItemQuantities(deps, projectIdentifier, itemSourceTab = null) {
         //console.group(`Checking quantities for project: ${projectIdentifier}`);
         try {
             // 1. Get pack list items (all packlists for this show, including suffix variants)
             //console.log('1. Getting pack list items...');
-            const itemMap = await deps.call(PackListUtils.extractAllItemsForShow, projectIdentifier);
+            const kitRows = await deps.call(InventoryUtils.getKitDefinitions);
+            const itemMap = expandKitDemand(itemSourceTab
+                ? await deps.call(PackListUtils.extractItems, itemSourceTab)
+                : await deps.call(PackListUtils.extractAllItemsForShow, projectIdentifier), kitRows);
             const itemIds = Object.keys(itemMap);
 
             // If there are no items in the pack list, return
@@ -564,6 +693,14 @@ class packListUtils_uncached {
                 };
             });
 
+            // A kit has as many as its components make complete sets of
+            validItemIds.forEach(id => {
+                const kitQty = kitsBuildable(id, kitRows, component => result[component]?.inventory ?? null);
+                if (kitQty === null) return;
+                result[id].inventory = kitQty;
+                result[id].remaining = kitQty - result[id].requested;
+            });
+
             // 4. Get overlapping shows
             //console.log('4. Checking for overlapping shows...');
             let overlappingIds;
@@ -592,7 +729,7 @@ class packListUtils_uncached {
                 if (_normalizeId(otherId) === _normalizeId(projectIdentifier)) continue;
                 
                 try {
-                    const otherItemMap = await deps.call(PackListUtils.extractAllItemsForShow, otherId);
+                    const otherItemMap = expandKitDemand(await deps.call(PackListUtils.extractAllItemsForShow, otherId), kitRows);
                     Object.entries(otherItemMap).forEach(([id, qty]) => {
                         if (result[id]) {
                             result[id].remaining -= qty;
@@ -672,19 +809,28 @@ class packListUtils_uncached {
     }
 
     /**
-     * Get item quantities summary for a project (transformed to table format)
+     * Get item quantities summary for a project (transformed to table format).
+     * The components of packed kits get rows too, their quantity including what the kits hold.
      * THIS WILL NOT RETURN INVENTORY FOR ITEMS IN SUB-PACKLISTS WITH SUFFIXES
      * @param {Object} deps - Dependency decorator for tracking calls
      * @param {string} projectIdentifier - The project identifier
      * @returns {Promise<Array<Object>>} Array of item objects for table display
      */
     static async getItemQuantitiesSummary(deps, projectIdentifier) {
-        const quantitiesMap = await deps.call(PackListUtils.extractItems, projectIdentifier);
-        
+        const packedMap = await deps.call(PackListUtils.extractItems, projectIdentifier);
+        const kitRows = await deps.call(InventoryUtils.getKitDefinitions);
+        const quantitiesMap = expandKitDemand(packedMap, kitRows);
+        const sources = kitDemandSources(packedMap, kitRows);
+
         // Transform to array format for table display
         return Object.entries(quantitiesMap).map(([itemId, quantity]) => ({
             itemId,
             quantity,
+            // What a kit holds, or which kits put a component on the list
+            kit: [
+                formatKitComponents(kitComponents(itemId, kitRows)),
+                (sources[itemId] || []).map(source => `in ${source.kit} (${source.quantity})`).join(', ')
+            ].filter(Boolean).join('; '),
             tabName: null,        // Will be filled by first analysis
             available: null,      // Will be filled by second analysis
             remaining: null,      // Will be filled by fourth analysis  
@@ -696,9 +842,20 @@ class packListUtils_uncached {
      * Get inventory quantity for a specific item
      * @param {Object} deps - Dependency decorator for tracking calls
      * @param {string} itemId - The item ID to look up
-     * @returns {Promise<number|null>} Available inventory quantity, or null if item not found in inventory
+     * @returns {Promise<number|null>} Available inventory quantity, or null if item not found in inventory;
+     *   for a kit, the complete sets its components make
      */
     static async getItemInventoryQuantity(deps, itemId, referenceDate) {
+        const kitRows = await deps.call(InventoryUtils.getKitDefinitions);
+        const leaves = flattenKit(itemId, kitRows);
+        if (leaves.length > 0) {
+            const quantities = {};
+            for (const leaf of leaves) {
+                quantities[leaf.itemNumber] = await deps.call(PackListUtils.getItemInventoryQuantity, leaf.itemNumber, referenceDate);
+            }
+            return kitsBuildable(itemId, kitRows, component => quantities[component] ?? null);
+        }
+
         const inventoryInfo = await deps.call(InventoryUtils.getItemInfo, itemId, ['quantity'], referenceDate);
         if (!inventoryInfo) return null;
         const item = inventoryInfo.find(i => i.itemName === itemId);
@@ -716,7 +873,8 @@ class packListUtils_uncached {
      * @param {Object} deps - Dependency decorator for tracking calls
      * @param {string} currentProjectId - Current project identifier
      * @param {string} itemId - Item ID to check for conflicts
-     * @returns {Promise<Array<string>>} Array of overlapping project identifiers that use this item
+     * @returns {Promise<Array<string>>} Array of overlapping project identifiers that use this item,
+     *   directly or inside a kit
      */
     static async getItemOverlappingPacklists(deps, currentProjectId, itemId) {
         // Get all overlapping projects for this project
@@ -732,6 +890,7 @@ class packListUtils_uncached {
         
         const conflictingShows = [];
         const packlistTabs = await deps.call(Database.getTabs, 'PACK_LISTS');
+        const kitRows = await deps.call(InventoryUtils.getKitDefinitions);
         
         // Check each overlapping project to see if it uses this item
         for (const projectRow of overlappingProjects) {
@@ -743,7 +902,7 @@ class packListUtils_uncached {
             if (_normalizeId(projectId) === _normalizeId(currentProjectId)) continue;
             
             try {
-                const projectItems = await deps.call(PackListUtils.extractAllItemsForShow, projectId);
+                const projectItems = expandKitDemand(await deps.call(PackListUtils.extractAllItemsForShow, projectId), kitRows);
                 if (projectItems[itemId] && projectItems[itemId] > 0) {
                     conflictingShows.push(projectId);
                 }
@@ -901,6 +1060,133 @@ class packListUtils_uncached {
         }
     }
 
+    /**
+     * Shipment totals for a packlist: crate count, weight, cubic feet and truck linear feet,
+     * overall and per crate type (see utils/shipmentTotals.js)
+     * @param {Object} deps - Dependency decorator for tracking calls
+     * @param {string} projectIdentifier - The project identifier (tab name)
+     * @returns {Promise<Object>} Result of computeShipmentTotals
+     */
+    static async getShipmentSummary(deps, projectIdentifier) {
+        const crates = await deps.call(PackListUtils.getContent, projectIdentifier, "Pack");
+        return computeShipmentTotals(crates || []);
+    }
+
+    /**
+     * Reconstruct a packlist as it was at the end of a past day, from its rows' EditHistory and
+     * the rows archived when saves removed them (see utils/packlistDiff.js for what can and cannot be recovered)
+     * @param {Object} deps - Dependency decorator for tracking calls
+     * @param {string} projectIdentifier - The project identifier (tab name)
+     * @param {string} date - Date to rebuild the packlist at
+     * @returns {Promise<Array<Object>|null>} Crates as getContent returns them, or null if the packlist is missing
+     */
+    static async getContentAtDate(deps, projectIdentifier, date) {
+        const crates = await deps.call(PackListUtils.getContent, projectIdentifier, "Pack");
+        if (!crates) return null;
+        const day = parseDate(date);
+        if (!day) throw new Error(`Invalid date: ${date}`);
+        day.setHours(23, 59, 59, 999);
+        const deletedRows = await deps.call(Database.getDeletedRows, 'PACK_LISTS', projectIdentifier);
+        return revertPacklistTo(crates, Math.floor(day.getTime() / 100), deletedRows);
+    }
+
+    /**
+     * Compare two packlists, or one packlist with itself at a past date, by crate and item
+     * @param {Object} deps - Dependency decorator for tracking calls
+     * @param {string} fromIdentifier - Packlist to compare from (the older version or other show)
+     * @param {string} toIdentifier - Packlist to compare to
+     * @param {string|null} [fromDate=null] - Take fromIdentifier as it was on this date
+     * @returns {Promise<Object>} Result of diffPacklistContents
+     */
+    static async diffPacklists(deps, fromIdentifier, toIdentifier, fromDate = null) {
+        const fromCrates = fromDate
+            ? await deps.call(PackListUtils.getContentAtDate, fromIdentifier, fromDate)
+            : await deps.call(PackListUtils.getContent, fromIdentifier, "Pack");
+        const toCrates = await deps.call(PackListUtils.getContent, toIdentifier, "Pack");
+        if (!fromCrates) throw new Error(`Packlist not found: ${fromIdentifier}`);
+        if (!toCrates) throw new Error(`Packlist not found: ${toIdentifier}`);
+
+        // Item numbers are validated against the inventory, so parse every description up front
+        const parsed = new Map();
+        for (const crate of [...fromCrates, ...toCrates]) {
+            for (const item of crate.Items || []) {
+                const text = String(item.Description ?? '').trim();
+                if (text && !parsed.has(text)) {
+                    parsed.set(text, await deps.call(PackListUtils.extractItemFromText, text));
+                }
+            }
+        }
+        return diffPacklistContents(fromCrates, toCrates, text => parsed.get(text));
+    }
+
+    /**
+     * Compare what a show's pack list sent out with what the crew checked back in
+     * (see utils/packlistChecks.js)
+     * @param {Object} deps - Dependency decorator for tracking calls
+     * @param {string} projectIdentifier - The project identifier (tab name)
+     * @returns {Promise<Array<Object>>} Result of reconcileReturn, with each item's description
+     */
+    static async getReturnReconciliation(deps, projectIdentifier) {
+        const crates = await deps.call(PackListUtils.getContent, projectIdentifier, "Pack");
+        if (!crates) throw new Error(`Packlist not found: ${projectIdentifier}`);
+        const lines = await _checkedLines(crates, text => deps.call(PackListUtils.extractItemFromText, text));
+        return reconcileReturn(lines).map(entry => ({
+            ...entry,
+            description: String(lines.find(line => line.itemNumber === entry.itemNumber)?.item.Description ?? '')
+        }));
+    }
+
+    /**
+     * Post a show's return: missing and damaged quantities are scheduled off inventory
+     * (InventoryUtils.scheduleQuantityLosses) and the lines are marked reconciled so they
+     * are not posted again, both in one transaction.
+     * @param {string} projectIdentifier - The project identifier (tab name)
+     * @param {string} effectiveDate - Date the inventory change takes effect
+     * @param {string} [note] - Pending change note (≤25 chars)
+     * @param {string} [username]
+     * @returns {Promise<{items: Array<Object>, scheduled: Array<string>, unknown: Array<string>}>}
+     */
+    static async postReturnReconciliation(projectIdentifier, effectiveDate, note = null, username = null) {
+        const day = parseDate(effectiveDate);
+        if (!day) throw new Error(`Invalid date: ${effectiveDate}`);
+        const content = await PackListUtils.getContent(projectIdentifier, "Pack");
+        if (!content) throw new Error(`Packlist not found: ${projectIdentifier}`);
+
+        // Work on a copy; the cached content must not change until the save goes through
+        const crates = JSON.parse(JSON.stringify(content));
+        const lines = await _checkedLines(crates, text => PackListUtils.extractItemFromText(text));
+        const items = reconcileReturn(lines);
+        if (items.length === 0) return { items, scheduled: [], unknown: [] };
+
+        lines.filter(line => !line.check.reconciled).forEach(line => setItemCheck(line.item, 'reconciled', username));
+        const losses = items
+            .map(entry => ({ itemNumber: entry.itemNumber, quantity: entry.missing + entry.damaged }))
+            .filter(loss => loss.quantity > 0);
+
+        // One transaction: lines are only marked reconciled if their losses are posted, so a
+        // failed post can be retried (and a pack list locked by someone else stops both)
+        const { scheduled, unknown } = await Database.transaction(async (tx) => {
+            await PackListUtils.savePackList(projectIdentifier, crates, null, username, { transaction: tx });
+            return await InventoryUtils.scheduleQuantityLosses(
+                losses, Math.floor(day.getTime() / 100), note || `Return ${projectIdentifier}`, username, tx
+            );
+        });
+        return { items, scheduled, unknown };
+    }
+
+    /**
+     * Get the named pack list templates (hidden `_TEMPLATE_<name>` tabs)
+     * @param {Object} deps - Dependency decorator for tracking calls
+     * @returns {Promise<Array<{title: string, name: string}>>} Templates sorted by name
+     */
+    static async getPacklistTemplates(deps) {
+        const allTabs = await deps.call(Database.getTabs, 'PACK_LISTS');
+        return allTabs
+            .filter(tab => tab.title.startsWith(PACKLIST_TEMPLATE_PREFIX))
+            .map(tab => ({ title: tab.title, name: tab.title.slice(PACKLIST_TEMPLATE_PREFIX.length).trim() }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
     /**
      * Get filtered packlists based on schedule parameters
      * Returns all packlist tabs (excluding _TEMPLATE) optionally filtered by schedule overlap
@@ -947,4 +1233,4 @@ class packListUtils_uncached {
     }
 }
 
-export const PackListUtils = wrapMethods(packListUtils_uncached, 'packlist_utils', ['savePackList']);
\ No newline at end of file
+export const PackListUtils = wrapMethods(packListUtils_uncached, 'packlist_utils', ['savePackList', 'postReturnReconciliation']);
\ No newline at end of file
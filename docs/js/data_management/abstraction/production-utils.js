@@ -532,33 +532,36 @@ class productionUtils_uncached {
             };
         }
 
-        const rowResult = await _findOrCreateReferenceRow(tabName, normalizedName);
-        const rawData = await Database.getData('CACHE', tabName);
-        const headers = Array.isArray(rawData) && Array.isArray(rawData[0]) 
-            ? rawData[0].map(h => normalizeHeaderName(h)) 
-            : [];
-        const abbrColIndex = headers.findIndex((header) => header === 'Abbreviations');
-
-        if (abbrColIndex === -1 || !rowResult.rowNumber) {
-            throw new Error(`[production-utils] Missing Abbreviations column in CACHE/${tabName}`);
-        }
+        // Appending the row and writing its abbreviation commit together
+        return await Database.transaction(async (tx) => {
+            const rowResult = await _findOrCreateReferenceRow(tabName, normalizedName, tx);
+            const rawData = await Database.getData('CACHE', tabName);
+            const headers = Array.isArray(rawData) && Array.isArray(rawData[0]) 
+                ? rawData[0].map(h => normalizeHeaderName(h)) 
+                : [];
+            const abbrColIndex = headers.findIndex((header) => header === 'Abbreviations');
+
+            if (abbrColIndex === -1 || !rowResult.rowNumber) {
+                throw new Error(`[production-utils] Missing Abbreviations column in CACHE/${tabName}`);
+            }
 
-        const targetRow = Array.isArray(rawData[rowResult.rowNumber - 1]) ? rawData[rowResult.rowNumber - 1] : [];
-        const existingAbbrText = String(targetRow[abbrColIndex] || '').trim();
-        const mergedAbbr = _mergeAbbreviations(existingAbbrText, normalizedAbbreviation);
+            const targetRow = Array.isArray(rawData[rowResult.rowNumber - 1]) ? rawData[rowResult.rowNumber - 1] : [];
+            const existingAbbrText = String(targetRow[abbrColIndex] || '').trim();
+            const mergedAbbr = _mergeAbbreviations(existingAbbrText, normalizedAbbreviation);
 
-        if (mergedAbbr !== existingAbbrText) {
-            await Database.setCellValue('CACHE', tabName, rowResult.rowNumber, abbrColIndex + 1, mergedAbbr);
-        }
+            if (mergedAbbr !== existingAbbrText) {
+                await tx.setCellValue('CACHE', tabName, rowResult.rowNumber, abbrColIndex + 1, mergedAbbr);
+            }
 
-        return {
-            applied: true,
-            addedRow: rowResult.added,
-            rowNumber: rowResult.rowNumber,
-            canonicalName: normalizedName,
-            abbreviation: mergedAbbr,
-            conflict: null
-        };
+            return {
+                applied: true,
+                addedRow: rowResult.added,
+                rowNumber: rowResult.rowNumber,
+                canonicalName: normalizedName,
+                abbreviation: mergedAbbr,
+                conflict: null
+            };
+        });
     }
 
     /**
@@ -600,28 +603,30 @@ class productionUtils_uncached {
             return { updated: false, addedRow: false, rowNumber: null };
         }
 
-        const rowResult = await _findOrCreateReferenceRow(tabName, normalizedName);
-        const rawData = await Database.getData('CACHE', tabName);
-        const headers = Array.isArray(rawData) && Array.isArray(rawData[0]) 
-            ? rawData[0].map(h => normalizeHeaderName(h)) 
-            : [];
-        const abbrColIndex = headers.findIndex((header) => header === 'Abbreviations');
+        return await Database.transaction(async (tx) => {
+            const rowResult = await _findOrCreateReferenceRow(tabName, normalizedName, tx);
+            const rawData = await Database.getData('CACHE', tabName);
+            const headers = Array.isArray(rawData) && Array.isArray(rawData[0]) 
+                ? rawData[0].map(h => normalizeHeaderName(h)) 
+                : [];
+            const abbrColIndex = headers.findIndex((header) => header === 'Abbreviations');
 
-        if (abbrColIndex === -1 || !rowResult.rowNumber) {
-            throw new Error(`[production-utils] Missing Abbreviations column in CACHE/${tabName}`);
-        }
+            if (abbrColIndex === -1 || !rowResult.rowNumber) {
+                throw new Error(`[production-utils] Missing Abbreviations column in CACHE/${tabName}`);
+            }
 
-        const targetRow = Array.isArray(rawData[rowResult.rowNumber - 1]) ? rawData[rowResult.rowNumber - 1] : [];
-        const existingAbbr = String(targetRow[abbrColIndex] || '').trim();
-        const nextAbbr = String(abbreviation || '').trim();
+            const targetRow = Array.isArray(rawData[rowResult.rowNumber - 1]) ? rawData[rowResult.rowNumber - 1] : [];
+            const existingAbbr = String(targetRow[abbrColIndex] || '').trim();
+            const nextAbbr = String(abbreviation || '').trim();
 
-        if (existingAbbr === nextAbbr) {
-            return { updated: false, addedRow: rowResult.added, rowNumber: rowResult.rowNumber };
-        }
+            if (existingAbbr === nextAbbr) {
+                return { updated: false, addedRow: rowResult.added, rowNumber: rowResult.rowNumber };
+            }
 
-        await Database.setCellValue('CACHE', tabName, rowResult.rowNumber, abbrColIndex + 1, nextAbbr);
+            await tx.setCellValue('CACHE', tabName, rowResult.rowNumber, abbrColIndex + 1, nextAbbr);
 
-        return { updated: true, addedRow: rowResult.added, rowNumber: rowResult.rowNumber };
+            return { updated: true, addedRow: rowResult.added, rowNumber: rowResult.rowNumber };
+        });
     }
 
     /**
@@ -658,38 +663,40 @@ class productionUtils_uncached {
             return { updated: false, addedRow: false, rowNumber: null, abbreviations: '' };
         }
 
-        const rowResult = await _findOrCreateReferenceRow(tabName, normalizedName);
-        const rawData = await Database.getData('CACHE', tabName);
-        const headers = Array.isArray(rawData) && Array.isArray(rawData[0]) 
-            ? rawData[0].map(h => normalizeHeaderName(h)) 
-            : [];
-        const abbrColIndex = headers.findIndex((header) => header === 'Abbreviations');
+        return await Database.transaction(async (tx) => {
+            const rowResult = await _findOrCreateReferenceRow(tabName, normalizedName, tx);
+            const rawData = await Database.getData('CACHE', tabName);
+            const headers = Array.isArray(rawData) && Array.isArray(rawData[0]) 
+                ? rawData[0].map(h => normalizeHeaderName(h)) 
+                : [];
+            const abbrColIndex = headers.findIndex((header) => header === 'Abbreviations');
 
-        if (abbrColIndex === -1 || !rowResult.rowNumber) {
-            throw new Error(`[production-utils] Missing Abbreviations column in CACHE/${tabName}`);
-        }
+            if (abbrColIndex === -1 || !rowResult.rowNumber) {
+                throw new Error(`[production-utils] Missing Abbreviations column in CACHE/${tabName}`);
+            }
+
+            const targetRow = Array.isArray(rawData[rowResult.rowNumber - 1]) ? rawData[rowResult.rowNumber - 1] : [];
+            const existingAbbrText = String(targetRow[abbrColIndex] || '').trim();
+            const mergedAbbr = _mergeAbbreviations(existingAbbrText, nextAbbr);
+
+            if (mergedAbbr === existingAbbrText) {
+                return {
+                    updated: false,
+                    addedRow: rowResult.added,
+                    rowNumber: rowResult.rowNumber,
+                    abbreviations: mergedAbbr
+                };
+            }
 
-        const targetRow = Array.isArray(rawData[rowResult.rowNumber - 1]) ? rawData[rowResult.rowNumber - 1] : [];
-        const existingAbbrText = String(targetRow[abbrColIndex] || '').trim();
-        const mergedAbbr = _mergeAbbreviations(existingAbbrText, nextAbbr);
+            await tx.setCellValue('CACHE', tabName, rowResult.rowNumber, abbrColIndex + 1, mergedAbbr);
 
-        if (mergedAbbr === existingAbbrText) {
             return {
-                updated: false,
+                updated: true,
                 addedRow: rowResult.added,
                 rowNumber: rowResult.rowNumber,
                 abbreviations: mergedAbbr
             };
-        }
-
-        await Database.setCellValue('CACHE', tabName, rowResult.rowNumber, abbrColIndex + 1, mergedAbbr);
-
-        return {
-            updated: true,
-            addedRow: rowResult.added,
-            rowNumber: rowResult.rowNumber,
-            abbreviations: mergedAbbr
-        };
+        });
     }
 
     /**
@@ -1634,7 +1641,14 @@ async function _appendMissingReferenceRows(tabName, names) {
     return addedCount;
 }
 
-async function _findOrCreateReferenceRow(tabName, name) {
+/**
+ * Find a client/show row in a CACHE reference tab, appending it when missing.
+ * @param {'Clients'|'Shows'} tabName
+ * @param {string} name - Normalized reference name
+ * @param {Object} [writer] - Database, or a Database.transaction handle to queue the append
+ * @returns {Promise<{rowNumber:number, added:boolean}>}
+ */
+async function _findOrCreateReferenceRow(tabName, name, writer = Database) {
     const rawData = await Database.getData('CACHE', tabName);
     const headers = Array.isArray(rawData) && Array.isArray(rawData[0]) 
         ? rawData[0].map(h => normalizeHeaderName(h)) 
@@ -1656,6 +1670,6 @@ async function _findOrCreateReferenceRow(tabName, name) {
 
     const rowValues = new Array(Math.max(headers.length, nameColIndex + 1)).fill('');
     rowValues[nameColIndex] = name;
-    const rowNumber = await Database.appendSheetRow('CACHE', tabName, rowValues);
+    const rowNumber = await writer.appendSheetRow('CACHE', tabName, rowValues);
     return { rowNumber, added: true };
 }
\ No newline at end of file
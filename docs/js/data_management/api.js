@@ -1,5 +1,6 @@
-import { wrapMethods, Database, InventoryUtils, PackListUtils, ProductionUtils, ApplicationUtils, EditHistoryUtils, todayISOString, offsetToISO, normalizeHeaderName, sanitizeTabName, mapWithConcurrency, ProgressBus } from './index.js';
-import { authState } from '../application/utils/auth.js';
+import { wrapMethods, Database, InventoryUtils, PackListUtils, ProductionUtils, ApplicationUtils, EditHistoryUtils, todayISOString, offsetToISO, normalizeHeaderName, sanitizeTabName, mapWithConcurrency, PACKLIST_TEMPLATE_PREFIX, ProgressBus, invalidateCache, computeShipmentTotals, buildBuyList, valueItem, valueShipment } from './index.js';
+import { sessionState } from './utils/sessionState.js';
+import { OfflineQueue } from './utils/offlineQueue.js';
 
 /**
  * CACHING ARCHITECTURE NOTES:
@@ -10,10 +11,18 @@ import { authState } from '../application/utils/auth.js';
  * MUTATION METHODS (excluded from caching):
  * - saveData
  * - createNewTab
+ * - createPacklistTemplate
  * - showTabs
  * - hideTabs
  * - saveInventoryTabData
+ * - saveUnitRegistry
+ * - saveKitRegistry
  * - savePackList
+ * - postReturnReconciliation
+ * - postStockTake
+ * - addItemAlias
+ * - renumberItems
+ * - mergeItems
  * - storeUserData
  * - uploadItemImage
  * 
@@ -34,6 +43,28 @@ import { authState } from '../application/utils/auth.js';
  * 5. ReactiveStores receive events and reload data
  */
 
+const PAGE_NOTES_MAPPING = { Path: 'Path', Note: 'Note', Color: 'Color', Size: 'Size', EditHistory: 'EditHistory' };
+const PACKLIST_RULES_MAPPING = { Name: 'Name', Kind: 'Kind', Match: 'Match', CrateType: 'CrateType', Items: 'Items', Enabled: 'Enabled', EditHistory: 'EditHistory' };
+const CRATE_TYPES_MAPPING = { Type: 'Type', L: 'L', W: 'W', H: 'H', Weight: 'Weight', Items: 'Items', Notes: 'Notes', EditHistory: 'EditHistory' };
+
+const COST_FIELDS = ['unitCost', 'purchaseDate', 'usefulLife'];
+
+/**
+ * Replacement and book value of packed item quantities (see utils/inventoryValuation.js)
+ * @param {Object} deps - Dependency decorator of the calling method
+ * @param {Object} quantities - Map of itemId to quantity
+ * @param {string} asOf - ISO date to depreciate to
+ */
+async function _valueShipped(deps, quantities, asOf) {
+    const itemIds = Object.keys(quantities || {});
+    const info = itemIds.length > 0
+        ? await deps.call(InventoryUtils.getItemInfo, itemIds, COST_FIELDS, asOf)
+        : null;
+    const itemsById = {};
+    (info || []).forEach(row => { itemsById[row.itemName] = row; });
+    return valueShipment(quantities, itemsById, asOf);
+}
+
 // Define all API methods in a single class
 class Requests_uncached {
     /**
@@ -99,6 +130,33 @@ class Requests_uncached {
         return true;
     }
     
+    /**
+     * Save a pack list as a named template: copies the tab to a hidden `_TEMPLATE_<name>` tab
+     * without the source show's warehouse checks, rule tags and edit history
+     * 
+     * MUTATION METHOD - Excluded from caching
+     * Does NOT accept deps parameter or use deps.call()
+     * 
+     * @param {string} templateName - Template name (without the _TEMPLATE_ prefix)
+     * @param {string} [sourceTab='_TEMPLATE'] - Pack list tab to copy
+     * @returns {Promise<string>} Title of the new template tab
+     */
+    static async createPacklistTemplate(templateName, sourceTab = '_TEMPLATE') {
+        const name = sanitizeTabName(templateName);
+        if (!name) throw new Error('Template name cannot be empty after sanitization');
+        const title = `${PACKLIST_TEMPLATE_PREFIX}${name}`;
+        if (await Database.findTabByName('PACK_LISTS', title)) throw new Error(`Template "${name}" already exists`);
+
+        await Requests_uncached.createNewTab('PACK_LISTS', sourceTab, title);
+        const copied = await Database.getData('PACK_LISTS', title);
+        if (Array.isArray(copied) && copied.length > 1) {
+            await Database.setData('PACK_LISTS', title, _cleanTemplateRows(copied));
+        }
+        const templateTab = await Database.findTabByName('PACK_LISTS', title);
+        if (templateTab) await Database.hideTabs('PACK_LISTS', [templateTab]);
+        return title;
+    }
+    
     /**
      * Show specified tabs
      * 
@@ -182,7 +240,7 @@ class Requests_uncached {
     }
     
     /**
-     * Executes a SQL-like query against sheet data
+     * Executes a SQL-like query against sheet data (JOINs across tables supported, see Database.queryData)
      * @param {Object} deps - Dependency decorator for tracking calls
      * @param {string} tableId - The table identifier
      * @param {string} query - SQL-like query string
@@ -245,6 +303,27 @@ class Requests_uncached {
         return await deps.call(PackListUtils.getContent, projectIdentifier, itemColumnsStart);
     }
     
+    /**
+     * Get the named pack list templates (hidden `_TEMPLATE_<name>` tabs)
+     * @param {Object} deps - Dependency decorator for tracking calls
+     * @returns {Promise<Array<{title: string, name: string}>>} Templates sorted by name
+     */
+    static async getPacklistTemplates(deps) {
+        return await deps.call(PackListUtils.getPacklistTemplates);
+    }
+    
+    /**
+     * Check a template's item quantities against a show's dates (inventory at ship date, less
+     * overlapping shows), before a pack list is created from it
+     * @param {Object} deps - Dependency decorator for tracking calls
+     * @param {string} templateTab - Template tab title
+     * @param {string} projectIdentifier - Identifier of the show the pack list is for
+     * @returns {Promise<object>} Map of itemId to { inventory, requested, overlapping, remaining }
+     */
+    static async checkTemplateQuantities(deps, templateTab, projectIdentifier) {
+        return await deps.call(PackListUtils.checkItemQuantities, projectIdentifier, templateTab);
+    }
+    
     /**
      * Get filtered packlists based on schedule parameters
      * @param {Object} deps - Dependency decorator for tracking calls
@@ -278,9 +357,12 @@ class Requests_uncached {
      * @param {Array} data - Array of data to store
      * @param {string} username - The username to store data for
      * @param {string} id - The ID to associate with the data
-     * @returns {Promise<boolean>} Success status
+     * @returns {Promise<boolean|Object>} Success status, or { queued: true, id } while offline (see OfflineQueue)
      */
     static async storeUserData(data, username, id) {
+        if (OfflineQueue.shouldQueue()) {
+            return await OfflineQueue.enqueue('storeUserData', [data, username, id], { user: username });
+        }
         return await ApplicationUtils.storeUserData(username, id, data);
     }
     
@@ -505,6 +587,68 @@ class Requests_uncached {
         return await deps.call(InventoryUtils.getInventoryTabData, tabOrItemName, mapping, filters, referenceDate);
     }
     
+    /**
+     * Get the unit registry of an inventory category (serial numbers, variants, condition per unit)
+     * @param {Object} deps - Dependency decorator for tracking calls
+     * @param {string} tab - Inventory category tab
+     * @returns {Promise<Array<Object>>} Unit rows; [] if the category has no registry yet
+     */
+    static async getUnitRegistry(deps, tab) {
+        return await deps.call(InventoryUtils.getUnitRegistry, tab);
+    }
+
+    /**
+     * Get the registered units of one item
+     * @param {Object} deps - Dependency decorator for tracking calls
+     * @param {string} itemNumber - Item number
+     * @returns {Promise<Array<Object>>} Unit rows; [] for an item counted by quantity only
+     */
+    static async getItemUnits(deps, itemNumber) {
+        return await deps.call(InventoryUtils.getItemUnits, itemNumber);
+    }
+
+    /**
+     * Save the unit registry of an inventory category
+     * @param {Array<Object>} data - Unit rows for the whole category
+     * @param {string} tab - Inventory category tab
+     * @returns {Promise<boolean>} Success status
+     */
+    static async saveUnitRegistry(data, tab) {
+        const username = sessionState.userEmail || null;
+        return await InventoryUtils.saveUnitRegistry(data, tab, username);
+    }
+
+    /**
+     * Get the kit definitions of an inventory category (components and quantities per kit)
+     * @param {Object} deps - Dependency decorator for tracking calls
+     * @param {string} tab - Inventory category tab
+     * @returns {Promise<Array<Object>>} Component rows; [] if the category has no kits yet
+     */
+    static async getKitRegistry(deps, tab) {
+        return await deps.call(InventoryUtils.getKitRegistry, tab);
+    }
+
+    /**
+     * Get the components of one kit
+     * @param {Object} deps - Dependency decorator for tracking calls
+     * @param {string} itemNumber - Item number
+     * @returns {Promise<Array<{itemNumber: string, quantity: number}>>} [] for an item that is not a kit
+     */
+    static async getItemKit(deps, itemNumber) {
+        return await deps.call(InventoryUtils.getItemKit, itemNumber);
+    }
+
+    /**
+     * Save the kit definitions of an inventory category
+     * @param {Array<Object>} data - Component rows for the whole category
+     * @param {string} tab - Inventory category tab
+     * @returns {Promise<boolean>} Success status
+     */
+    static async saveKitRegistry(data, tab) {
+        const username = sessionState.userEmail || null;
+        return await InventoryUtils.saveKitRegistry(data, tab, username);
+    }
+    
     /**
      * Get all inventory data from all tabs
      * Each item is tagged with its category tab
@@ -565,10 +709,17 @@ class Requests_uncached {
      * @param {string} tabOrItemName - Tab name or item name to resolve tab
      * @param {Object} [mapping] - Optional mapping object
      * @param {Object} [filters] - Optional filter parameters
-     * @returns {Promise<boolean>}
+     * @param {Object} [options] - scheduledDate, note, transaction (handle from runTransaction)
+     *   and knownVersion (version of a conflict report the user has resolved)
+     * @returns {Promise<boolean|Object>} Success status, a conflict report (see Database.setData),
+     *   or { queued: true, id } while offline (see OfflineQueue)
      */
     static async saveInventoryTabData(mappedData, tabOrItemName, mapping, filters, referenceDate, options = {}) {
-        const username = authState.user?.email || null;
+        const username = sessionState.userEmail || null;
+        if (OfflineQueue.shouldQueue(options)) {
+            const { transaction, ...queuedOptions } = options;
+            return await OfflineQueue.enqueue('saveInventoryTabData', [mappedData, tabOrItemName, mapping, filters, referenceDate, queuedOptions], { user: username });
+        }
         const { scheduledDate, note, ...rest } = options;
         return await InventoryUtils.saveInventoryTabData(mappedData, tabOrItemName, mapping, filters, username, {
             source: 'web',
@@ -587,17 +738,45 @@ class Requests_uncached {
      * 
      * @param {Array<Object>} crates - Array of crate objects (with keys/values, Items array)
      * @param {string} projectIdentifier - The project identifier (tab name)
-     * @returns {Promise<boolean>} Success status
+     * @param {Object} [options]
+     * @param {Object} [options.transaction] - Handle from Requests.runTransaction to queue the save on
+     * @param {number} [options.knownVersion] - version of a conflict report the user has resolved
+     * @returns {Promise<boolean|Object>} Success status, a conflict report (see PackListUtils.savePackList),
+     *   or { queued: true, id } while offline (see OfflineQueue)
      */
-    static async savePackList(crates, projectIdentifier) {
+    static async savePackList(crates, projectIdentifier, options = {}) {
         console.log("API.savePackList called for project:", projectIdentifier);
-        const username = authState.user?.email || null;
+        const username = sessionState.userEmail || null;
+        if (OfflineQueue.shouldQueue(options)) {
+            return await OfflineQueue.enqueue('savePackList', [crates, projectIdentifier, { knownVersion: options.knownVersion || 0 }], { user: username });
+        }
         // Pass data directly to PackListUtils.savePackList; transformation is handled there
         return await PackListUtils.savePackList(projectIdentifier, crates, null, username, {
-            source: 'web'
+            source: 'web',
+            transaction: options.transaction || null,
+            knownVersion: options.knownVersion || 0
         });
     }
 
+    /**
+     * Run several saves as one unit: they commit together or are rolled back together.
+     * Pass the handle to savePackList / saveInventoryTabData via options.transaction, e.g.
+     *   await Requests.runTransaction(async (tx) => {
+     *       await Requests.savePackList(crates, projectIdentifier, { transaction: tx });
+     *       await Requests.saveInventoryTabData(items, tabName, undefined, null, null, { transaction: tx });
+     *   });
+     *
+     * MUTATION METHOD - Excluded from caching
+     * Does NOT accept deps parameter or use deps.call()
+     * Triggers cache invalidation once, through Database.transaction()
+     *
+     * @param {Function} work - async (tx) => result
+     * @returns {Promise<*>} Whatever `work` returned
+     */
+    static async runTransaction(work) {
+        return await Database.transaction(work);
+    }
+
     /**
      * Get production schedule data for the table (all, or filtered by overlap params and optional filters).
      * @param {Object} deps - Dependency decorator for tracking calls
@@ -787,6 +966,52 @@ class Requests_uncached {
         return await deps.call(InventoryUtils.getItemMinQuantityInRange, itemId, startDate, endDate);
     }
 
+    /**
+     * Count sheet for a stock-take of an inventory category: one line per item with its current
+     * quantity and a blank counted quantity. Expected quantities come from getExpectedQuantity.
+     * @param {Object} deps
+     * @param {string} tab - Inventory category tab
+     * @returns {Promise<Array<{itemNumber: string, description: string, quantity: number, counted: string}>>}
+     */
+    static async getStockTakeSheet(deps, tab) {
+        const rows = await deps.call(InventoryUtils.getInventoryTabData, tab);
+        return (rows || [])
+            .filter(row => String(row.itemNumber ?? '').trim() !== '')
+            .map(row => ({
+                itemNumber: row.itemNumber,
+                description: row.description,
+                quantity: row.quantity,
+                counted: ''
+            }));
+    }
+
+    /**
+     * Quantity of an item expected on the shelf at the end of a date (for stock-take variances)
+     * @param {Object} deps
+     * @param {string} itemId
+     * @param {string} date - ISO date string (YYYY-MM-DD)
+     * @returns {Promise<number|null>}
+     */
+    static async getExpectedQuantity(deps, itemId, date) {
+        return await deps.call(InventoryUtils.getExpectedQuantity, itemId, date);
+    }
+
+    /**
+     * Post a category's stock-take variances to inventory with the count's note.
+     * Used as the save call of a count sheet store; several categories are posted as one batch
+     * by passing the same handle from runTransaction.
+     * Mutation — uncached.
+     * @param {Array<{itemNumber: string, counted: *}>} lines - Count sheet lines; blank counts are skipped
+     * @param {string} tab - Inventory category tab
+     * @param {Object} options - countDate (ISO date the count was taken), note, and transaction
+     *   (handle from runTransaction)
+     * @returns {Promise<{items: Array<Object>, posted: Array<string>, unknown: Array<string>}>}
+     */
+    static async postStockTake(lines, tab, options = {}) {
+        const username = sessionState.userEmail || null;
+        return await InventoryUtils.postStockTake(lines, tab, options.countDate, options.note, username, options.transaction || null);
+    }
+
     /**
      * Check if a packlist exists for a schedule row
      * Used by reactive store analysis to enrich schedule data with packlist information
@@ -805,6 +1030,52 @@ class Requests_uncached {
         };
     }
 
+    /**
+     * Shipment totals for every packlist attached to a schedule row
+     * Used by reactive store analysis to fill the schedule's Shipment column
+     * @param {Object} deps - Dependency decorator for tracking calls
+     * @param {Object} rowData - Schedule row object with Show, Client, Year properties
+     * @returns {Promise<Object|null>} computeShipmentTotals result plus { packlists: string[] }, or null without a packlist
+     */
+    static async getScheduleShipmentSummary(deps, rowData) {
+        const availableTabs = await deps.call(Database.getTabs, 'PACK_LISTS');
+        const matchingTabs = await deps.call(ProductionUtils.findPacklistTabsForScheduleRow, rowData, availableTabs);
+        if (matchingTabs.length === 0) return null;
+        const crates = [];
+        for (const tab of matchingTabs) {
+            const tabCrates = await deps.call(PackListUtils.getContent, tab.title, 'Pack');
+            crates.push(...(tabCrates || []));
+        }
+        return {
+            ...computeShipmentTotals(crates),
+            packlists: matchingTabs.map(tab => tab.title)
+        };
+    }
+
+    /**
+     * Value of everything packed on the packlists attached to a schedule row, for the COI
+     * Used by reactive store analysis to fill the schedule's Value Shipped column
+     * @param {Object} deps - Dependency decorator for tracking calls
+     * @param {Object} rowData - Schedule row object with Show, Client, Year properties
+     * @returns {Promise<Object|null>} valueShipment result plus { packlists: string[] }, or null without a packlist
+     */
+    static async getScheduleValueShipped(deps, rowData) {
+        const availableTabs = await deps.call(Database.getTabs, 'PACK_LISTS');
+        const matchingTabs = await deps.call(ProductionUtils.findPacklistTabsForScheduleRow, rowData, availableTabs);
+        if (matchingTabs.length === 0) return null;
+        const quantities = {};
+        for (const tab of matchingTabs) {
+            const tabItems = await deps.call(PackListUtils.extractItems, tab.title);
+            Object.entries(tabItems || {}).forEach(([itemId, quantity]) => {
+                quantities[itemId] = (quantities[itemId] || 0) + quantity;
+            });
+        }
+        return {
+            ...await _valueShipped(deps, quantities, todayISOString()),
+            packlists: matchingTabs.map(tab => tab.title)
+        };
+    }
+
     /**
      * Normalize ship date to include year, guessing if missing
      * Used by reactive store analysis to ensure all ship dates display with years
@@ -910,6 +1181,62 @@ class Requests_uncached {
         return await deps.call(InventoryUtils.getInventoryIndex);
     }
 
+    /**
+     * Get the item number alias table (prefix synonyms such as SHELF → SHLF, and old item numbers)
+     * @param {Object} deps - Dependency decorator for tracking calls
+     * @returns {Promise<Array<{alias: string, target: string}>>}
+     */
+    static async getItemAliases(deps) {
+        return await deps.call(InventoryUtils.getItemAliases);
+    }
+
+    /**
+     * Get the next free item number of a prefix (an alias prefix is issued under its target)
+     * @param {Object} deps - Dependency decorator for tracking calls
+     * @param {string} prefix - e.g. 'SHLF'
+     * @returns {Promise<string>} e.g. 'SHLF-015'
+     */
+    static async getNextItemNumber(deps, prefix) {
+        return await deps.call(InventoryUtils.getNextItemNumber, prefix);
+    }
+
+    /**
+     * Record an alias of a prefix or item number. Mutation — uncached.
+     * @param {string} alias - e.g. 'SHELF'
+     * @param {string} target - e.g. 'SHLF'
+     * @returns {Promise<boolean>} false when it was already recorded
+     */
+    static async addItemAlias(alias, target) {
+        return await InventoryUtils.addItemAlias(alias, target);
+    }
+
+    /**
+     * Renumber items in inventory, their unit registries, thumbnails and every pack list that
+     * names them. Mutation — uncached.
+     * @param {Array<{from: string, to: string}>} renames
+     * @param {Object} [options] - note recorded on the changed rows' EditHistory, alias
+     *   ({ alias, target }) to record in the same transaction, e.g. the retired prefix, and
+     *   itemAliases to keep each old item number as an alias of its new one
+     * @returns {Promise<{renamed: Array<Object>, packlists: Array<string>}>}
+     */
+    static async renumberItems(renames, options = {}) {
+        const username = sessionState.userEmail || null;
+        return await InventoryUtils.renumberItems(renames, username, options);
+    }
+
+    /**
+     * Merge one item into another of the same category: quantities, histories, units, pack list
+     * lines and thumbnail, keeping the old number as an alias. Mutation — uncached.
+     * @param {string} from - Item number that goes away
+     * @param {string} into - Item number that remains
+     * @param {Object} [options] - note recorded on the merged row's EditHistory
+     * @returns {Promise<{item: Object, packlists: Array<string>}>}
+     */
+    static async mergeItems(from, into, options = {}) {
+        const username = sessionState.userEmail || null;
+        return await InventoryUtils.mergeItems(from, into, username, options);
+    }
+
     /**
      * Extract item number from text using regex
      * @param {Object} deps - Dependency decorator for tracking calls
@@ -1335,6 +1662,28 @@ class Requests_uncached {
         });
     }
 
+    /**
+     * Buy list for the shows matching a schedule filter: every item that runs below zero in the
+     * horizon, with its worst deficit, need date, shows and a suggested order (see utils/purchasePlanning.js)
+     * @param {Object} deps - Dependency decorator for tracking calls
+     * @param {Object} filter - Schedule filter parameters (e.g., { dateFilters: [...] })
+     * @param {Object} searchParams - Search parameters for text filters
+     * @param {string|undefined} ctgFilter - Optional category filter
+     * @returns {Promise<Array<Object>>} buildBuyList rows
+     */
+    static async getPurchasingPlan(deps, filter = null, searchParams = null, ctgFilter = undefined) {
+        const _onSummaryProgress = (data) => ProgressBus.emit('api:getPurchasingPlan', data);
+        ProgressBus.on('api:getMultipleShowsItemsSummary', _onSummaryProgress);
+        let shortageRows;
+        try {
+            shortageRows = await deps.call(Requests.getMultipleShowsItemsSummary, filter, searchParams, ctgFilter, false);
+        } finally {
+            ProgressBus.off('api:getMultipleShowsItemsSummary', _onSummaryProgress);
+        }
+        const indexData = await deps.call(InventoryUtils.getInventoryIndex);
+        return buildBuyList(shortageRows, indexData, todayISOString());
+    }
+
     /**
      * Resolve a packlist identifier to its actual tab name
      * Handles abbreviations, case variations, and fuzzy matching
@@ -1344,7 +1693,9 @@ class Requests_uncached {
      */
     static async resolvePacklistIdentifier(deps, identifier) {
         const tabs = await deps.call(Database.getTabs, 'PACK_LISTS');
-        const resolvedTab = await deps.call(ProductionUtils.findPackListTab, identifier, tabs);
+        // Exact titles first so hidden tabs (templates) can be opened by name
+        const resolvedTab = tabs.find(tab => tab.title === identifier)
+            || await deps.call(ProductionUtils.findPackListTab, identifier, tabs);
         return resolvedTab ? resolvedTab.title : null;
     }
 
@@ -1378,6 +1729,84 @@ class Requests_uncached {
         return parts.join('<br>');
     }
 
+    /**
+     * Compare two packlists, or a packlist with its own state at a past date (rebuilt from EditHistory)
+     * @param {Object} deps - Dependency decorator for tracking calls
+     * @param {string} fromIdentifier - Packlist to compare from (the older version or other show)
+     * @param {string} toIdentifier - Packlist to compare to
+     * @param {string|null} [fromDate=null] - Take fromIdentifier as it was at the end of this date
+     * @returns {Promise<Object>} { crates, items } changes, see utils/packlistDiff.js
+     */
+    static async diffPacklists(deps, fromIdentifier, toIdentifier, fromDate = null) {
+        return await deps.call(PackListUtils.diffPacklists, fromIdentifier, toIdentifier, fromDate);
+    }
+
+    /**
+     * Compare what a packlist sent out with what the warehouse checked back in
+     * @param {Object} deps - Dependency decorator for tracking calls
+     * @param {string} projectIdentifier - The project identifier (tab name)
+     * @returns {Promise<Array<Object>>} Per item: quantity, returned, damaged, missing, crates, unchecked lines
+     */
+    static async getReturnReconciliation(deps, projectIdentifier) {
+        return await deps.call(PackListUtils.getReturnReconciliation, projectIdentifier);
+    }
+
+    /**
+     * Schedule a packlist's missing and damaged items off inventory and mark its lines reconciled.
+     * Mutation — uncached.
+     * @param {string} projectIdentifier - The project identifier (tab name)
+     * @param {string} effectiveDate - Date the inventory change takes effect
+     * @param {string} [note] - Pending change note
+     * @returns {Promise<{items: Array<Object>, scheduled: Array<string>, unknown: Array<string>}>}
+     */
+    static async postReturnReconciliation(projectIdentifier, effectiveDate, note = null) {
+        const username = sessionState.userEmail || null;
+        return await PackListUtils.postReturnReconciliation(projectIdentifier, effectiveDate, note, username);
+    }
+
+    /**
+     * Get shipment totals for a packlist (crate count, weight, cubic feet, truck linear feet, per crate type)
+     * @param {Object} deps - Dependency decorator for tracking calls
+     * @param {string} projectIdentifier - The project identifier (tab name)
+     * @returns {Promise<Object>} See computeShipmentTotals
+     */
+    static async getShipmentSummary(deps, projectIdentifier) {
+        return await deps.call(PackListUtils.getShipmentSummary, projectIdentifier);
+    }
+
+    /**
+     * Replacement and book value of the items on a packlist, for insurance certificates
+     * @param {Object} deps - Dependency decorator for tracking calls
+     * @param {string} projectIdentifier - The project identifier (tab name)
+     * @returns {Promise<Object>} See valueShipment
+     */
+    static async getPacklistValueShipped(deps, projectIdentifier) {
+        const quantities = await deps.call(PackListUtils.extractItems, projectIdentifier);
+        return await _valueShipped(deps, quantities, todayISOString());
+    }
+
+    /**
+     * Inventory valuation: every item's replacement value and depreciated book value
+     * @param {Object} deps - Dependency decorator for tracking calls
+     * @param {string} [asOfDate] - ISO date; quantities include changes scheduled up to it (default today)
+     * @returns {Promise<Array<Object>>} One row per item: { itemId, description, category, purchaseDate,
+     *   usefulLife, ...valueItem result }
+     */
+    static async getInventoryValuation(deps, asOfDate = null) {
+        const asOf = asOfDate || todayISOString();
+        const allData = await deps.call(Requests.getAllInventoryData, asOf);
+        return allData
+            .filter(item => String(item.itemNumber ?? '').trim() !== '')
+            .map(item => ({
+                itemId: item.itemNumber,
+                description: item.description,
+                category: item.tab,
+                purchaseDate: item.purchaseDate,
+                usefulLife: item.usefulLife,
+                ...valueItem(item, asOf)
+            }));
+    }
+
     /**
      * Get inventory quantity for a specific item
      * @param {Object} deps - Dependency decorator for tracking calls
@@ -1529,7 +1958,7 @@ class Requests_uncached {
      * @returns {Promise<{ applied: boolean }>}
      */
     static async checkAndApplyPendingChanges(tabOrItemName) {
-        const username = authState.user?.email || null;
+        const username = sessionState.userEmail || null;
         return await InventoryUtils.checkAndApplyPendingChanges(tabOrItemName, username);
     }
 
@@ -1544,7 +1973,7 @@ class Requests_uncached {
      * @returns {Promise<boolean>}
      */
     static async savePendingChangeEntry(tabOrItemName, originalRows, editedRows, effectiveDateDeciseconds, note) {
-        const username = authState.user?.email || null;
+        const username = sessionState.userEmail || null;
         return await InventoryUtils.savePendingChangeEntry(tabOrItemName, originalRows, editedRows, effectiveDateDeciseconds, note, username);
     }
 
@@ -1556,7 +1985,7 @@ class Requests_uncached {
      * @returns {Promise<boolean>}
      */
     static async deletePendingChangeEntry(tabOrItemName, effectiveDateDeciseconds) {
-        const username = authState.user?.email || null;
+        const username = sessionState.userEmail || null;
         return await InventoryUtils.deletePendingChangeEntry(tabOrItemName, effectiveDateDeciseconds, username);
     }
 
@@ -1566,7 +1995,7 @@ class Requests_uncached {
      * @returns {Promise<Array<{Path: string, Note: string, Color: string, Size: string, EditHistory: string}>>}
      */
     static async getPageNotes(deps) {
-        return await deps.call(Database.getData, 'CACHE', 'Notes', { Path: 'Path', Note: 'Note', Color: 'Color', Size: 'Size', EditHistory: 'EditHistory' });
+        return await deps.call(Database.getData, 'CACHE', 'Notes', PAGE_NOTES_MAPPING);
     }
 
     /**
@@ -1576,10 +2005,70 @@ class Requests_uncached {
      * Does NOT accept deps parameter or use deps.call()
      *
      * @param {Array<{Path: string, Note: string, Color: string, Size: string, EditHistory: string}>} data
-     * @returns {Promise<boolean>}
+     * @returns {Promise<boolean|Object>} Success status, or { queued: true, id } while offline (see OfflineQueue)
      */
     static async savePageNotes(data) {
-        return await Database.setData('CACHE', 'Notes', data, { Path: 'Path', Note: 'Note', Color: 'Color', Size: 'Size', EditHistory: 'EditHistory' });
+        if (OfflineQueue.shouldQueue()) {
+            // Keep the notes this edit started from, so the replay writes only the notes changed here
+            const base = await Requests.getPageNotes().catch(() => null);
+            return await OfflineQueue.enqueue('savePageNotes', [data], { user: sessionState.userEmail || null, meta: { base } });
+        }
+        return await Database.setData('CACHE', 'Notes', data, PAGE_NOTES_MAPPING);
+    }
+
+    /**
+     * Get the pack list generation rules from the CACHE PacklistRules tab (see utils/packlistRules.js).
+     * @param {Object} deps - Dependency decorator for tracking calls
+     * @returns {Promise<Array<{Name: string, Kind: string, Match: string, CrateType: string, Items: string, Enabled: string, EditHistory: string}>>}
+     *   Empty until the first save creates the tab
+     */
+    static async getPacklistRules(deps) {
+        const tabs = await deps.call(Database.getTabs, 'CACHE');
+        if (!tabs.some(tab => tab.title === 'PacklistRules')) return [];
+        return await deps.call(Database.getData, 'CACHE', 'PacklistRules', PACKLIST_RULES_MAPPING);
+    }
+
+    /**
+     * Save the pack list generation rules, creating the CACHE PacklistRules tab if needed.
+     *
+     * MUTATION METHOD - Excluded from caching
+     * Does NOT accept deps parameter or use deps.call()
+     *
+     * @param {Array<Object>} data - Rule rows (see getPacklistRules)
+     * @returns {Promise<boolean>} Success status
+     */
+    static async savePacklistRules(data) {
+        const tabs = await Database.getTabs('CACHE');
+        if (!tabs.some(tab => tab.title === 'PacklistRules')) {
+            await Database.createTab('CACHE', null, 'PacklistRules');
+            await Database.setData('CACHE', 'PacklistRules', [Object.values(PACKLIST_RULES_MAPPING)], null, { skipMetadata: true });
+        }
+        return await Database.setData('CACHE', 'PacklistRules', data, PACKLIST_RULES_MAPPING);
+    }
+
+    /**
+     * Get the crate type catalog (CACHE/CrateTypes): default dimensions and weight per crate type
+     * @param {Object} deps - Dependency decorator for tracking calls
+     * @returns {Promise<Array<Object>>} Rows { Type, L, W, H, Weight, Items, Notes, EditHistory }; [] if the tab doesn't exist yet
+     */
+    static async getCrateTypes(deps) {
+        const tabs = await deps.call(Database.getTabs, 'CACHE');
+        if (!tabs.some(tab => tab.title === 'CrateTypes')) return [];
+        return await deps.call(Database.getData, 'CACHE', 'CrateTypes', CRATE_TYPES_MAPPING);
+    }
+
+    /**
+     * Save the crate type catalog, creating the CrateTypes tab on first save
+     * @param {Array<Object>} data - Catalog rows
+     * @returns {Promise<boolean>} Success status
+     */
+    static async saveCrateTypes(data) {
+        const tabs = await Database.getTabs('CACHE');
+        if (!tabs.some(tab => tab.title === 'CrateTypes')) {
+            await Database.createTab('CACHE', null, 'CrateTypes');
+            await Database.setData('CACHE', 'CrateTypes', [Object.values(CRATE_TYPES_MAPPING)], null, { skipMetadata: true });
+        }
+        return await Database.setData('CACHE', 'CrateTypes', data, CRATE_TYPES_MAPPING);
     }
 
 }
@@ -1594,6 +2083,7 @@ class Requests_uncached {
  * - hideTabs: Modifies sheet visibility via Database.hideTabs()
  * - saveInventoryTabData: Triggers cache invalidation via InventoryUtils.saveInventoryTabData()
  * - savePackList: Triggers cache invalidation via PackListUtils.savePackList()
+ * - runTransaction: Triggers cache invalidation once via Database.transaction()
  * - storeUserData: Triggers cache invalidation via ApplicationUtils.storeUserData()
  * - lockSheet: Triggers cache invalidation via ApplicationUtils.lockSheet()
  * - unlockSheet: Triggers cache invalidation via ApplicationUtils.unlockSheet()
@@ -1606,15 +2096,126 @@ export const Requests = wrapMethods(
     Requests_uncached, 
     'api', 
     [
-        'saveData', 'createNewTab', 'showTabs', 'hideTabs',
-        'saveInventoryTabData', 'savePackList', 'storeUserData', 'uploadItemImage', 'storeThumbnailRecord',
+        'saveData', 'createNewTab', 'createPacklistTemplate', 'showTabs', 'hideTabs',
+        'saveInventoryTabData', 'saveUnitRegistry', 'saveKitRegistry', 'savePackList', 'postReturnReconciliation', 'postStockTake', 'addItemAlias', 'renumberItems', 'mergeItems', 'runTransaction', 'storeUserData', 'uploadItemImage', 'storeThumbnailRecord',
         'lockSheet', 'unlockSheet', 'forceUnlockSheet',
         'checkAndApplyPendingChanges', 'savePendingChangeEntry', 'deletePendingChangeEntry',
         'ensureScheduleReferenceRows', 'updateScheduleReferenceAbbreviation',
         'addScheduleReferenceName', 'appendScheduleReferenceAbbreviation',
         'addCustomScheduleReferenceEntry',
-        'savePageNotes'
+        'savePageNotes', 'savePacklistRules', 'saveCrateTypes'
     ], // Mutation methods
     ['computeIdentifier'], // Infinite cache methods
     {} // No custom cache durations needed - lock methods delegate to ApplicationUtils caching
-);
\ No newline at end of file
+);
+/**
+ * Merge queued page notes into the notes stored now, by Path. Only notes the queued save changed
+ * (compared with base, the notes it started from) are applied; a note someone else changed too is a conflict.
+ * @param {Array<Object>|null} base - Notes the queued edit started from (null: apply every queued note)
+ * @param {Array<Object>} mine - Notes as queued
+ * @param {Array<Object>} current - Notes stored now
+ * @param {Array<string>} [resolvedPaths] - Paths whose conflict the user already resolved into mine
+ * @returns {{notes: Array<Object>, conflicts: Array<{path: string, cells: Array<Object>}>}}
+ */
+function _mergeQueuedPageNotes(base, mine, current, resolvedPaths = []) {
+    const columns = ['Note', 'Color', 'Size'];
+    const byPath = (notes) => new Map((notes || []).filter(note => note?.Path).map(note => [note.Path, note]));
+    const same = (a, b) => columns.every(column => String(a?.[column] ?? '') === String(b?.[column] ?? ''));
+    const baseNotes = byPath(base);
+    const mineNotes = byPath(mine);
+    const merged = byPath(current);
+
+    const conflicts = [];
+    const paths = new Set([...mineNotes.keys(), ...(base ? baseNotes.keys() : [])]);
+    for (const path of paths) {
+        const mineNote = mineNotes.get(path);
+        if (base && same(baseNotes.get(path), mineNote)) continue; // Not changed here
+        const theirNote = merged.get(path);
+        if (base && !resolvedPaths.includes(path) && !same(baseNotes.get(path), theirNote) && !same(theirNote, mineNote)) {
+            conflicts.push({
+                path,
+                edithistory: theirNote?.EditHistory || '',
+                cells: columns
+                    .filter(column => String(mineNote?.[column] ?? '') !== String(theirNote?.[column] ?? ''))
+                    .map(column => ({ column, base: baseNotes.get(path)?.[column] ?? '', mine: mineNote?.[column] ?? '', theirs: theirNote?.[column] ?? '' }))
+            });
+            continue;
+        }
+        if (mineNote) merged.set(path, mineNote);
+        else merged.delete(path);
+    }
+    return { notes: Array.from(merged.values()), conflicts };
+}
+
+/**
+ * Sheet rows for a new pack list template: Check and EditHistory cells are cleared and the
+ * check and rule keys dropped from MetaData, so shows made from it start unchecked
+ * @param {Array<Array>} rows - Raw tab values, header row first
+ * @returns {Array<Array>}
+ */
+function _cleanTemplateRows(rows) {
+    const headers = rows[0].map(header => normalizeHeaderName(header));
+    const checkColumn = headers.indexOf('Check');
+    const historyColumn = headers.indexOf('EditHistory');
+    const metaColumn = headers.indexOf('MetaData');
+    return [rows[0], ...rows.slice(1).map(row => {
+        const cleaned = [...row];
+        if (checkColumn !== -1 && checkColumn < cleaned.length) cleaned[checkColumn] = '';
+        if (historyColumn !== -1 && historyColumn < cleaned.length) cleaned[historyColumn] = '';
+        if (metaColumn !== -1 && cleaned[metaColumn]) {
+            let meta;
+            try {
+                meta = JSON.parse(cleaned[metaColumn]);
+            } catch (error) {
+                meta = null;
+            }
+            if (meta && typeof meta === 'object') {
+                delete meta.check;
+                delete meta.rule;
+                cleaned[metaColumn] = Object.keys(meta).length > 0 ? JSON.stringify(meta) : '';
+            }
+        }
+        return cleaned;
+    })];
+}
+
+// Replays for saves queued while offline (see OfflineQueue). Each runs as the user who queued it;
+// pack list and inventory saves detect concurrent edits the same way a live save does.
+OfflineQueue.register('savePackList', {
+    target: ([, projectIdentifier]) => `PACK_LISTS:${projectIdentifier}`,
+    replay: ([crates, projectIdentifier, options], user) => PackListUtils.savePackList(projectIdentifier, crates, null, user, {
+        source: 'web',
+        knownVersion: options?.knownVersion || 0
+    })
+});
+OfflineQueue.register('saveInventoryTabData', {
+    target: ([, tabOrItemName]) => `INVENTORY:${tabOrItemName}`,
+    // Queued arguments went through JSON: an omitted mapping comes back as null
+    replay: ([mappedData, tabOrItemName, mapping, filters, , options], user) => InventoryUtils.saveInventoryTabData(
+        mappedData, tabOrItemName, mapping || undefined, filters, user, { source: 'web', ...options }
+    )
+});
+OfflineQueue.register('storeUserData', {
+    target: ([, username, id]) => `CACHE:UserData:${username}:${id}`,
+    // User data is per-user: the latest write wins
+    replay: ([data, username, id]) => ApplicationUtils.storeUserData(username, id, data)
+});
+OfflineQueue.register('savePageNotes', {
+    target: () => 'CACHE:Notes',
+    replay: async ([data], user, entry) => {
+        invalidateCache([{ namespace: 'database', methodName: 'getData', args: ['CACHE', 'Notes'] }], true);
+        const current = await Database.getData('CACHE', 'Notes', PAGE_NOTES_MAPPING);
+        const { notes, conflicts } = _mergeQueuedPageNotes(entry.meta?.base || null, data, current, entry.meta?.resolvedPaths || []);
+        if (conflicts.length > 0) {
+            return {
+                conflict: true,
+                tableId: 'CACHE',
+                tabName: 'Notes',
+                rows: conflicts.map(({ path, edithistory, cells }, index) => ({
+                    index, key: path, users: [EditHistoryUtils.getMostRecentChange(edithistory)?.u || 'another user'], edithistory, cells, merged: []
+                }))
+            };
+        }
+        return await Database.setData('CACHE', 'Notes', notes, PAGE_NOTES_MAPPING);
+    }
+});
@@ -1,12 +1,27 @@
 // caching
 export { invalidateCache, wrapMethods, clearCache, stampDataChange, ProgressBus } from './utils/caching.js';
 export { networkState } from './utils/networkState.js';
+export { sessionState } from './utils/sessionState.js';
+export { ChangeFeed, describeRowChanges } from './utils/changeFeed.js';
+export { OfflineQueue } from './utils/offlineQueue.js';
+export { planPacklistRules, parsePacklistRules } from './utils/packlistRules.js';
+export { findCrateType, suggestCrateTypes, checkCrateDimensions } from './utils/crateCatalog.js';
+export { computeShipmentTotals, formatShipmentTotals } from './utils/shipmentTotals.js';
+export { revertPacklistTo, diffPacklistContents } from './utils/packlistDiff.js';
+export { unitsTabName, unitKey, parseUnitReferences, isUnitInService } from './utils/inventoryUnits.js';
+export { CHECK_STAGES, getItemCheck, setItemCheck, clearItemCheck, formatCheckCell, getCrateCheckProgress, reconcileReturn } from './utils/packlistChecks.js';
+export { getLeadTimeSettings, buildBuyList, buyListToCsv } from './utils/purchasePlanning.js';
+export { parseMoney, valueItem, summarizeValuation, valueShipment, formatMoney } from './utils/inventoryValuation.js';
+export { expectedFromTimeline, parseCount, countVariances, summarizeCount } from './utils/stockTake.js';
+export { IMPORT_FIELDS, parseCsv, guessColumnMapping, checkItemPrefix, planInventoryImport, applyInventoryImport } from './utils/inventoryImport.js';
+export { ITEM_NUMBER_PATTERN, parseItemNumber, findIndexRow, hasCustomItemNumbers, resolveAlias, nextItemNumber, validateItemNumber, planRenumber, replaceItemNumbers } from './utils/itemNumbers.js';
+export { KITS_TAB_PREFIX, kitsTabName, kitComponents, isKit, expandKitDemand, kitDemandSources, flattenKit, kitsBuildable, formatKitComponents } from './utils/inventoryKits.js';
 
 // Data management components
 export { Database } from './abstraction/database.js';
 export { InventoryUtils } from './abstraction/inventory-utils.js';
 export { ApplicationUtils } from './abstraction/application-utils.js';
-export { PackListUtils } from './abstraction/packlist-utils.js';
+export { PackListUtils, PACKLIST_TEMPLATE_PREFIX } from './abstraction/packlist-utils.js';
 export { ProductionUtils } from './abstraction/production-utils.js';
 
 // Utility classes
@@ -1,4 +1,5 @@
 import { networkState } from './networkState.js';
+import { PersistentCacheStore } from './persistentCache.js';
 
 /**
  * Cache Management System with CPU-Aware Operations
@@ -11,6 +12,9 @@ import { networkState } from './networkState.js';
  * - Large invalidation cascades (>20 keys) process in batches with yields
  * - Batches of 50 deletions at a time to prevent long synchronous operations
  * - Respects network state (preserves cache while offline)
+ * - Optional IndexedDB persistence (enableCachePersistence): entries and the dependency
+ *   graph survive page reloads, are served immediately on startup, and are revalidated
+ *   against the Caching tab timestamps (stale-while-revalidate)
  * 
  * Priority Levels:
  * - Explicit invalidations (saves): Immediate, synchronous (correctness required)
@@ -27,22 +31,41 @@ import { networkState } from './networkState.js';
  */
 const DEFAULT_CACHE_EXPIRATION_MS = 4 * 60 * 1000;
 
+/**
+ * Entries with a shorter TTL than this (e.g. lock state) are never persisted,
+ * and neither is anything that depends on them.
+ */
+const MIN_PERSISTED_TTL_MS = 60 * 1000;
+
+/**
+ * Persisted entries filled longer ago than this are discarded on startup.
+ */
+const DEFAULT_PERSISTED_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Delay before dirty keys are written to IndexedDB, so bursts of sets share one transaction.
+ */
+const PERSIST_FLUSH_DELAY_MS = 1000;
+
 /**
  * Lightweight event bus for cache invalidation notifications
  */
 class CacheInvalidationBus {
     static listeners = new Map();
+    static _labels = new WeakMap(); // callback → label describing the subscriber (for the cache inspector)
     
     /**
      * Subscribe to cache invalidation events for specific patterns
      * @param {string} pattern - Pattern to match (e.g., 'api:getPackList' or 'api:extractItemNumber')
      * @param {Function} callback - Function to call with {key, namespace, methodName, args}
+     * @param {string} [label] - Who is listening, shown in the cache inspector (e.g. the store's cache key)
      */
-    static on(pattern, callback) {
+    static on(pattern, callback, label = null) {
         if (!CacheInvalidationBus.listeners.has(pattern)) {
             CacheInvalidationBus.listeners.set(pattern, []);
         }
         CacheInvalidationBus.listeners.get(pattern).push(callback);
+        if (label) CacheInvalidationBus._labels.set(callback, label);
     }
 
     static off(pattern, callback) {
@@ -51,6 +74,20 @@ class CacheInvalidationBus {
         const idx = callbacks.indexOf(callback);
         if (idx !== -1) callbacks.splice(idx, 1);
     }
+
+    /**
+     * Current subscribers, for debugging
+     * @returns {Array<{pattern: string, label: string|null}>}
+     */
+    static subscribers() {
+        const result = [];
+        for (const [pattern, callbacks] of CacheInvalidationBus.listeners.entries()) {
+            callbacks.forEach(callback => {
+                result.push({ pattern, label: CacheInvalidationBus._labels.get(callback) || null });
+            });
+        }
+        return result;
+    }
     
     /**
      * Emit cache invalidation event
@@ -75,6 +112,8 @@ class CacheInvalidationBus {
         if (wildcardCallbacks.length > 0) {
             wildcardCallbacks.forEach(cb => cb(eventData));
         }
+
+        return callbacks.length + wildcardCallbacks.length;
     }
 }
 
@@ -95,6 +134,14 @@ class CacheManager {
     // to a real backend API — server-side execution has no event loop to protect.
     static _yieldCallCount = 0;
     static _lastYieldTime = 0;
+    // ── Optional IndexedDB persistence (see enableCachePersistence) ───────────
+    static _persistence = null;                // { store, version, maxAgeMs, excludePrefixes }
+    static _hydration = null;                  // Promise while persisted entries are loading
+    static _awaitingRevalidation = new Set();  // Hydrated keys not yet checked against the Caching tab
+    static _dirtyKeys = new Set();             // Keys whose entry or dependencies changed since the last flush
+    static _flushTimer = null;
+    // ── Cache inspector (see traceCacheInvalidation) ──────────────────────────
+    static _trace = null;                      // Array collecting invalidation steps while a trace runs
     
     /**
      * Gets a value from cache with expiration check
@@ -114,6 +161,12 @@ class CacheManager {
             return entry.value;
         }
 
+        // Entries restored from IndexedDB are served regardless of age until the first
+        // poll cycle has checked them against the Caching tab (stale-while-revalidate).
+        if (CacheManager._awaitingRevalidation.has(key)) {
+            return entry.value;
+        }
+
         // Check expiration
         if (entry.expire && entry.expire < Date.now()) {
             // Silently remove the expired entry without firing the CacheInvalidationBus.
@@ -151,9 +204,12 @@ class CacheManager {
         CacheManager.cache.set(key, {
             value,
             expire: expirationMs ? now + expirationMs : null,
-            filled: now
+            filled: now,
+            ttl: expirationMs || null
         });
         CacheManager.filledAt.set(key, now);
+        CacheManager._awaitingRevalidation.delete(key);
+        CacheManager._markDirty(key);
     }
 
     /**
@@ -223,7 +279,159 @@ class CacheManager {
         if (!CacheManager.dependencies.has(dependentKey)) {
             CacheManager.dependencies.set(dependentKey, new Set());
         }
-        CacheManager.dependencies.get(dependentKey).add(dependencyKey);
+        const deps = CacheManager.dependencies.get(dependentKey);
+        if (!deps.has(dependencyKey)) {
+            deps.add(dependencyKey);
+            CacheManager._markDirty(dependentKey);
+        }
+    }
+
+    /**
+     * Queue a key for the next IndexedDB flush (no-op unless persistence is enabled)
+     * @param {string} key - Cache key whose entry or dependency record changed
+     */
+    static _markDirty(key) {
+        if (!CacheManager._persistence) return;
+        CacheManager._dirtyKeys.add(key);
+        if (!CacheManager._flushTimer) {
+            CacheManager._flushTimer = setTimeout(() => CacheManager._flushPersistence(), PERSIST_FLUSH_DELAY_MS);
+        }
+    }
+
+    /**
+     * Whether a cache entry may be written to IndexedDB: not excluded by prefix, not short-lived,
+     * and every dependency is persistable too (so e.g. blob URLs never leak into a reload)
+     * @param {string} key - Cache key
+     * @param {Map<string, boolean>} memo - Results for this flush
+     * @returns {boolean}
+     */
+    static _isPersistable(key, memo) {
+        if (memo.has(key)) return memo.get(key);
+        memo.set(key, false); // Guards against dependency cycles
+
+        let persistable = !CacheManager._persistence.excludePrefixes.some(prefix => key.startsWith(prefix));
+        const entry = CacheManager.cache.get(key);
+        if (persistable && entry?.ttl && entry.ttl < MIN_PERSISTED_TTL_MS) {
+            persistable = false;
+        }
+        if (persistable) {
+            for (const depKey of CacheManager.dependencies.get(key) || []) {
+                if (!CacheManager._isPersistable(depKey, memo)) {
+                    persistable = false;
+                    break;
+                }
+            }
+        }
+
+        memo.set(key, persistable);
+        return persistable;
+    }
+
+    /**
+     * Write dirty entries and dependency records to IndexedDB in one transaction.
+     * An entry that only dropped out of memory through TTL expiry keeps its persisted copy
+     * (filledAt still has it); explicitly invalidated entries are deleted.
+     */
+    static async _flushPersistence() {
+        CacheManager._flushTimer = null;
+        const persistence = CacheManager._persistence;
+        if (!persistence || CacheManager._dirtyKeys.size === 0) return;
+
+        const keys = Array.from(CacheManager._dirtyKeys);
+        CacheManager._dirtyKeys.clear();
+
+        const batch = { entries: [], deleteEntries: [], dependencies: [], deleteDependencies: [] };
+        const memo = new Map();
+        for (const key of keys) {
+            const entry = CacheManager.cache.get(key);
+            if (entry && CacheManager._isPersistable(key, memo)) {
+                batch.entries.push({ key, value: entry.value, filled: entry.filled, ttl: entry.ttl, version: persistence.version });
+            } else if (entry || !CacheManager.filledAt.has(key)) {
+                batch.deleteEntries.push(key);
+            }
+
+            const deps = CacheManager.dependencies.get(key);
+            if (deps && deps.size > 0) {
+                batch.dependencies.push({ key, deps: Array.from(deps) });
+            } else {
+                batch.deleteDependencies.push(key);
+            }
+        }
+
+        try {
+            await persistence.store.write(batch);
+        } catch (error) {
+            console.warn('[CachePersistence] Failed to write cache entries:', error);
+        }
+    }
+
+    /**
+     * Load persisted entries and dependency records into memory.
+     * Entries from another app version or older than maxAgeMs are discarded. Restored entries
+     * keep their original fill time, so the Caching tab poller still detects remote changes
+     * made while the page was closed.
+     */
+    static async _hydrate() {
+        const persistence = CacheManager._persistence;
+        persistence.version = (await persistence.version) ?? null;
+        const { entries, dependencies } = await persistence.store.loadAll();
+
+        for (const { key, deps } of dependencies) {
+            if (!Array.isArray(deps)) continue;
+            if (!CacheManager.dependencies.has(key)) {
+                CacheManager.dependencies.set(key, new Set());
+            }
+            const existing = CacheManager.dependencies.get(key);
+            deps.forEach(depKey => existing.add(depKey));
+        }
+
+        const now = Date.now();
+        const discarded = [];
+        let restored = 0;
+        for (const record of entries) {
+            if (record.version !== persistence.version || !record.filled || now - record.filled > persistence.maxAgeMs) {
+                discarded.push(record.key);
+                continue;
+            }
+            // A live fill that finished while we were loading wins
+            if (CacheManager.cache.has(record.key)) continue;
+
+            CacheManager.cache.set(record.key, {
+                value: record.value,
+                expire: record.ttl ? record.filled + record.ttl : null,
+                filled: record.filled,
+                ttl: record.ttl || null
+            });
+            CacheManager.filledAt.set(record.key, record.filled);
+            CacheManager._awaitingRevalidation.add(record.key);
+            restored++;
+        }
+
+        if (discarded.length > 0) {
+            await persistence.store.write({ deleteEntries: discarded });
+        }
+        if (restored > 0) {
+            console.log(`[CachePersistence] Restored ${restored} cached entries (${discarded.length} discarded)`);
+        }
+    }
+
+    /**
+     * End the stale-while-revalidate window after a poll cycle has invalidated every hydrated
+     * entry with a newer Caching tab timestamp. Survivors that are still within their TTL are kept;
+     * those past it are invalidated now so listening stores reload them in the background.
+     */
+    static _finishRevalidation() {
+        if (CacheManager._awaitingRevalidation.size === 0) return;
+        const now = Date.now();
+        const expiredKeys = [];
+        for (const key of CacheManager._awaitingRevalidation) {
+            const entry = CacheManager.cache.get(key);
+            if (entry?.expire && entry.expire < now) {
+                expiredKeys.push(key);
+            }
+        }
+        CacheManager._awaitingRevalidation.clear();
+        expiredKeys.forEach(key => CacheManager.invalidate(key));
     }
     
     /**
@@ -268,12 +476,23 @@ class CacheManager {
             return;
         }
         
+        // Record the step before the stack grows: its last key is the one whose invalidation led here
+        const traceStep = CacheManager._trace ? {
+            key,
+            parent: invalidationStack.size > 0 ? Array.from(invalidationStack).pop() : null,
+            depth: invalidationStack.size,
+            wasCached: CacheManager.cache.has(key),
+            listeners: 0
+        } : null;
+        if (traceStep) CacheManager._trace.push(traceStep);
+
         // Add this key to the invalidation stack
         invalidationStack.add(key);
         
         // Remove the cache entry and its fill-time record
         CacheManager.cache.delete(key);
         CacheManager.filledAt.delete(key);
+        CacheManager._awaitingRevalidation.delete(key);
         
         // Also clean up any pending calls for this key DO NOT CLEAR PENDING CALLS HERE
         //if (CacheManager.pendingCalls.has(key)) {
@@ -296,7 +515,7 @@ class CacheManager {
         // Clean up dependency registration — MUST come after recursive invalidation above
         // so that the full chain is walked before any records are removed.
         CacheManager.dependencies.delete(key);
-        
+        CacheManager._markDirty(key);
         
         // Emit invalidation event for reactive stores (only for 'api' namespace)
         // THIS MUST HAPPEN LAST — all cache entries and dependency records for the entire
@@ -312,7 +531,8 @@ class CacheManager {
         const argsString = key.substring(secondColonIndex + 1);
         
         if (namespace === 'api') {
-            CacheInvalidationBus.emit(key, namespace, methodName, argsString);
+            const notified = CacheInvalidationBus.emit(key, namespace, methodName, argsString);
+            if (traceStep) traceStep.listeners = notified;
         }
 
         // Remove from invalidation stack when done
@@ -453,6 +673,11 @@ class CacheManager {
             
             wrappedClass[methodName] = async function(...args) {
                 const cacheKey = CacheManager.generateCacheKey(namespace, methodName, args);
+
+                // Let persisted entries load before deciding this is a miss
+                if (CacheManager._hydration) {
+                    await CacheManager._hydration;
+                }
                 
                 // Check cache first
                 const cached = CacheManager.get(cacheKey);
@@ -555,18 +780,187 @@ export const invalidateCache = CacheManager.invalidateCache;
  * DO NOT move stampDataChange after invalidateCache or after the cache
  * repopulation — doing so would break detection in the local session.
  * ═══════════════════════════════════════════════════════════════
+ *
+ * @param {string} prefix - Cache key prefix that changed
+ * @param {Object} [change] - Which rows changed, for the change feed (see changeFeed.js);
+ *   omit when unknown and other sessions fall back to reloading the prefix
  */
-export function stampDataChange(prefix) {
+export function stampDataChange(prefix, change = null) {
     if (CacheManager._timestampWriter) {
-        CacheManager._timestampWriter(prefix);
+        CacheManager._timestampWriter(prefix, change);
+    }
+}
+
+/**
+ * Every cache key under a prefix plus everything that (transitively) depends on one,
+ * i.e. the keys invalidating the prefix would clear. Nothing is invalidated.
+ * @param {string} prefix - Cache key prefix
+ * @returns {Set<string>}
+ */
+export function getDependentCacheKeys(prefix) {
+    const found = new Set();
+    const pending = [...CacheManager.cache.keys(), ...CacheManager.filledAt.keys()].filter(key => key.startsWith(prefix));
+    while (pending.length > 0) {
+        const key = pending.pop();
+        if (found.has(key)) continue;
+        found.add(key);
+        for (const [dependentKey, deps] of CacheManager.dependencies.entries()) {
+            if (deps.has && deps.has(key) && !found.has(dependentKey)) pending.push(dependentKey);
+        }
     }
+    return found;
+}
+
+/**
+ * Invalidate every cache entry under a prefix (and its dependents), as the poller does for remote changes
+ * @param {string} prefix - Cache key prefix
+ */
+export function invalidateCachePrefix(prefix) {
+    CacheManager.invalidateByPrefix(prefix);
 }
+
+/**
+ * Describe every cache key for the cache inspector: live entries plus keys that only survive
+ * in filledAt (expired by TTL) or in the dependency graph. Nothing is modified.
+ * @returns {Array<Object>} { key, namespace, methodName, argsString, cached, size, filled, expire, ttl,
+ *   awaitingRevalidation, pending, dependencies, dependents } sorted by key; size is the JSON length of
+ *   the value (null when it can't be serialized)
+ */
+export function getCacheSnapshot() {
+    const keys = new Set([...CacheManager.cache.keys(), ...CacheManager.filledAt.keys(), ...CacheManager.dependencies.keys()]);
+    const dependents = new Map();
+    for (const [dependentKey, deps] of CacheManager.dependencies.entries()) {
+        deps.forEach(depKey => {
+            keys.add(depKey);
+            if (!dependents.has(depKey)) dependents.set(depKey, []);
+            dependents.get(depKey).push(dependentKey);
+        });
+    }
+
+    return Array.from(keys).sort().map(key => {
+        const entry = CacheManager.cache.get(key);
+        const firstColonIndex = key.indexOf(':');
+        const secondColonIndex = key.indexOf(':', firstColonIndex + 1);
+        let size = null;
+        if (entry) {
+            try {
+                size = JSON.stringify(entry.value)?.length ?? null;
+            } catch (error) {
+                size = null;
+            }
+        }
+        return {
+            key,
+            namespace: key.substring(0, firstColonIndex),
+            methodName: key.substring(firstColonIndex + 1, secondColonIndex),
+            argsString: key.substring(secondColonIndex + 1),
+            cached: !!entry,
+            size,
+            filled: entry?.filled ?? CacheManager.filledAt.get(key) ?? null,
+            expire: entry?.expire ?? null,
+            ttl: entry?.ttl ?? null,
+            awaitingRevalidation: CacheManager._awaitingRevalidation.has(key),
+            pending: CacheManager.pendingCalls.has(key),
+            dependencies: Array.from(CacheManager.dependencies.get(key) || []),
+            dependents: dependents.get(key) || []
+        };
+    });
+}
+
+/**
+ * Invalidate a key (or every key under a prefix) and report the cascade, for the cache inspector.
+ * Unlike invalidateCachePrefix, large prefixes are invalidated in one synchronous pass so the
+ * whole cascade is captured.
+ * @param {string} target - Full cache key, or a prefix when options.prefix is set
+ * @param {Object} [options]
+ * @param {boolean} [options.prefix=false] - Treat target as a key prefix
+ * @returns {Array<Object>} Steps in invalidation order: { key, parent, depth, wasCached, listeners };
+ *   parent is the key whose invalidation reached this one (null for the starting keys) and
+ *   listeners is how many CacheInvalidationBus callbacks were notified. Empty while offline,
+ *   when invalidation is suspended.
+ */
+export function traceCacheInvalidation(target, { prefix = false } = {}) {
+    if (CacheManager._trace) {
+        throw new Error('[traceCacheInvalidation] BUSY: A trace is already running');
+    }
+    const keys = prefix ? Array.from(getDependentCacheKeys(target)).filter(key => key.startsWith(target)) : [target];
+    CacheManager._trace = [];
+    try {
+        keys.forEach(key => CacheManager.invalidate(key));
+        return CacheManager._trace;
+    } finally {
+        CacheManager._trace = null;
+    }
+}
+/**
+ * Empty the in-memory cache and, when persistence is enabled, the IndexedDB copy.
+ * @returns {Promise<void>} Resolves once the persisted copy is gone (await before a page reload)
+ */
 export function clearCache() {
     // While offline, the cache is the only copy of the data — don't wipe it.
-    if (networkState.isOffline) return;
+    if (networkState.isOffline) return Promise.resolve();
     CacheManager.cache.clear();
     CacheManager.pendingCalls.clear();
     CacheManager.filledAt.clear();
+    CacheManager._awaitingRevalidation.clear();
+    CacheManager._dirtyKeys.clear();
+    if (!CacheManager._persistence) return Promise.resolve();
+    return CacheManager._persistence.store.clear()
+        .catch(error => console.warn('[CachePersistence] Failed to clear persisted cache:', error));
+}
+
+/**
+ * Persist cache entries and their dependency graph to IndexedDB so a page reload can serve
+ * them immediately instead of re-fetching every sheet.
+ *
+ * Restored entries are served regardless of TTL until the next poll cycle (see
+ * revalidatePersistedCache) compares them with the Caching tab: entries with a newer remote
+ * timestamp are invalidated and reloaded, the rest are kept. Entries under excludePrefixes,
+ * entries with a TTL under a minute, and anything depending on either are never persisted.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.name='default'] - Store name (one IndexedDB database per name)
+ * @param {string|Promise<string|null>|null} [options.version] - Deployed app version; entries written by another version are discarded
+ * @param {number} [options.maxAgeMs] - Discard persisted entries filled longer ago than this
+ * @param {Array<string>} [options.excludePrefixes] - Cache key prefixes that must never be persisted
+ * @returns {Promise<boolean>} Resolves when hydration finishes; false if persistence is unavailable
+ */
+export async function enableCachePersistence({ name = 'default', version = null, maxAgeMs = DEFAULT_PERSISTED_MAX_AGE_MS, excludePrefixes = [] } = {}) {
+    if (CacheManager._persistence) return CacheManager._hydration ? CacheManager._hydration.then(() => true) : true;
+    if (!PersistentCacheStore.isSupported()) return false;
+
+    CacheManager._persistence = { store: new PersistentCacheStore(name), version, maxAgeMs, excludePrefixes };
+    CacheManager._hydration = CacheManager._hydrate()
+        .catch(error => {
+            console.warn('[CachePersistence] Failed to restore persisted cache, continuing without it:', error);
+            CacheManager._persistence = null;
+        })
+        .finally(() => {
+            CacheManager._hydration = null;
+        });
+    await CacheManager._hydration;
+    return CacheManager._persistence !== null;
+}
+
+/**
+ * Check entries restored from IndexedDB against the Caching tab right away instead of waiting
+ * for the next poller tick. Call once auth is available; a no-op when nothing awaits revalidation.
+ * @returns {Promise<boolean>} True if a revalidation pass ran
+ */
+export async function revalidatePersistedCache() {
+    if (CacheManager._hydration) await CacheManager._hydration;
+    if (CacheManager._awaitingRevalidation.size === 0 || !_pollerReadFn) return false;
+    try {
+        const entries = await _pollerReadFn();
+        // Auth unavailable — keep serving the restored entries until a later poll succeeds
+        if (entries === null) return false;
+        _invalidateStaleEntries(Array.isArray(entries) ? entries : []);
+        CacheManager._finishRevalidation();
+        return true;
+    } catch (err) {
+        console.warn('[CachePersistence] Revalidation failed, keeping restored entries:', err);
+        return false;
+    }
 }
 export { CacheInvalidationBus };
 
@@ -641,9 +1035,10 @@ async function performCacheCleanup() {
         const now = Date.now();
         const expiredKeys = [];
         
-        // Collect expired keys (fast scan, no deletions yet)
+        // Collect expired keys (fast scan, no deletions yet).
+        // Restored entries awaiting revalidation are served past their TTL on purpose.
         for (const [key, entry] of CacheManager.cache.entries()) {
-            if (entry.expire && entry.expire < now) {
+            if (entry.expire && entry.expire < now && !CacheManager._awaitingRevalidation.has(key)) {
                 expiredKeys.push(key);
             }
         }
@@ -763,6 +1158,45 @@ async function checkAppVersion() {
     }
 }
 
+/**
+ * Invalidate every cache entry (live, or TTL-expired but still in filledAt) under a Caching tab
+ * key whose remote timestamp is newer than the local fill time.
+ * @param {Array<{key: string, timestamp: string}>} entries - Rows from the Caching tab
+ */
+function _invalidateStaleEntries(entries) {
+    for (const { key, timestamp } of entries) {
+        if (!key || !timestamp) continue;
+        const remoteTs = new Date(timestamp).getTime();
+        if (isNaN(remoteTs)) continue;
+        // CRITICAL: Poller can only invalidate cache entries that exist in CacheManager.cache.
+        // If data hasn't been loaded yet (user never navigated to that page), the cache entry
+        // won't exist and invalidation is silently skipped. This is by design - no point
+        // invalidating data that hasn't been loaded.
+        let shouldInvalidate = false;
+        for (const [cacheKey, entry] of CacheManager.cache.entries()) {
+            if (cacheKey.startsWith(key) && entry.filled && remoteTs > entry.filled) {
+                shouldInvalidate = true;
+                break;
+            }
+        }
+        // Fallback: if no live cache entry exists (TTL expired and entry was silently
+        // removed), check filledAt which persists beyond TTL expiry. This prevents the
+        // poller from going blind to external changes after the 4-minute cache TTL.
+        if (!shouldInvalidate) {
+            for (const [filledKey, filledTs] of CacheManager.filledAt.entries()) {
+                if (filledKey.startsWith(key) && remoteTs > filledTs) {
+                    shouldInvalidate = true;
+                    break;
+                }
+            }
+        }
+        if (shouldInvalidate) {
+            //console.log('[CacheTimestampPoller] Remote change detected for', key, '- invalidating');
+            CacheManager.invalidateByPrefix(key);
+        }
+    }
+}
+
 export function startCacheTimestampPoller(readFn, intervalMs = 60 * 1000) {
     if (_cacheTimestampPollerInterval) return;
     _pollerReadFn = readFn;
@@ -772,6 +1206,7 @@ export function startCacheTimestampPoller(readFn, intervalMs = 60 * 1000) {
         checkAppVersion();
         
         try {
+            if (CacheManager._hydration) await CacheManager._hydration;
             const entries = await readFn();
             if (entries === null) {
                 // readFn signaled auth is unavailable — pause the poller until re-auth
@@ -779,38 +1214,8 @@ export function startCacheTimestampPoller(readFn, intervalMs = 60 * 1000) {
                 stopCacheCleanup();
                 return;
             }
-            if (!Array.isArray(entries) || entries.length === 0) return;
-            for (const { key, timestamp } of entries) {
-                if (!key || !timestamp) continue;
-                const remoteTs = new Date(timestamp).getTime();
-                if (isNaN(remoteTs)) continue;
-                // CRITICAL: Poller can only invalidate cache entries that exist in CacheManager.cache.
-                // If data hasn't been loaded yet (user never navigated to that page), the cache entry
-                // won't exist and invalidation is silently skipped. This is by design - no point
-                // invalidating data that hasn't been loaded.
-                let shouldInvalidate = false;
-                for (const [cacheKey, entry] of CacheManager.cache.entries()) {
-                    if (cacheKey.startsWith(key) && entry.filled && remoteTs > entry.filled) {
-                        shouldInvalidate = true;
-                        break;
-                    }
-                }
-                // Fallback: if no live cache entry exists (TTL expired and entry was silently
-                // removed), check filledAt which persists beyond TTL expiry. This prevents the
-                // poller from going blind to external changes after the 4-minute cache TTL.
-                if (!shouldInvalidate) {
-                    for (const [filledKey, filledTs] of CacheManager.filledAt.entries()) {
-                        if (filledKey.startsWith(key) && remoteTs > filledTs) {
-                            shouldInvalidate = true;
-                            break;
-                        }
-                    }
-                }
-                if (shouldInvalidate) {
-                    //console.log('[CacheTimestampPoller] Remote change detected for', key, '- invalidating');
-                    CacheManager.invalidateByPrefix(key);
-                }
-            }
+            _invalidateStaleEntries(Array.isArray(entries) ? entries : []);
+            CacheManager._finishRevalidation();
         } catch (err) {
             // Handle authentication errors by stopping the poller
             // The poller will restart after successful re-authentication
@@ -863,6 +1268,7 @@ export async function triggerCachePoll() {
         return;
     }
     try {
+        if (CacheManager._hydration) await CacheManager._hydration;
         const entries = await _pollerReadFn();
         if (entries === null) {
             console.warn('[CachePoll] Auth unavailable, poll aborted.');
@@ -870,6 +1276,7 @@ export async function triggerCachePoll() {
         }
         if (!Array.isArray(entries) || entries.length === 0) {
             console.log('[CachePoll] Caching tab is empty — no entries to check.');
+            CacheManager._finishRevalidation();
             return;
         }
         console.log(`[CachePoll] Found ${entries.length} entries in Caching tab:`, entries.map(e => e.key));
@@ -909,7 +1316,8 @@ export async function triggerCachePoll() {
                 }
             }
         }
+        CacheManager._finishRevalidation();
     } catch (err) {
         console.warn('[CachePoll] Poll failed:', err);
     }
-}
\ No newline at end of file
+}
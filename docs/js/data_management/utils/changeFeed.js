@@ -0,0 +1,154 @@
+import { getDependentCacheKeys, invalidateCachePrefix } from './caching.js';
+import { networkState } from './networkState.js';
+import { EditHistoryUtils } from './metadata-utils.js';
+
+/**
+ * Change feed: row-level patches from other sessions.
+ *
+ * The Caching-tab poller only learns *that* a tab changed and reloads everything depending on it.
+ * The change feed also carries *which rows* changed, so open reactive stores can patch those rows
+ * in place (and say who changed them) instead of reloading:
+ *
+ *   writer  Database.setData → stampDataChange(prefix, change) → ApplicationUtils.appendChangeLogEntry
+ *           appends { Timestamp, Key, User, Session, Rows } to the CACHE/ChangeLog tab
+ *   reader  ChangeFeed polls ApplicationUtils.readChangeLog every few seconds; for each new entry from
+ *           another session it hands the entry to listeners (reactive stores patch themselves),
+ *           then invalidates the entry's prefix so the cache refetches
+ *
+ * Change format (the Rows column, JSON):
+ *   { id: identifierKey|null, h: { key: header } for mapping keys that differ from their header,
+ *     r: [{ k: identifierValue, v: { key: value } } | { p: path, v: { key: value } }] }
+ * Rows is left empty when a save adds, removes or reorders rows, or changes too many to describe;
+ * readers then reload as they would for the Caching tab.
+ *
+ * The Caching-tab poller keeps running underneath as the fallback for lost or skipped entries.
+ */
+
+/** Saves changing more rows than this are logged without patches */
+export const MAX_PATCH_ROWS = 50;
+
+/** Rows cells longer than this are logged without patches (Sheets cells hold 50,000 characters) */
+export const MAX_PATCH_CHARS = 40000;
+
+/**
+ * Describe the rows a save changes, for the change feed
+ * @param {Array<Object>} originalRows - Rows before the save (mapped objects)
+ * @param {Array<Object>} updatedRows - Rows being written (mapped objects)
+ * @param {Object} [options]
+ * @param {string} [options.identifierKey] - Key identifying rows (patches are located by its value)
+ * @param {Array<Array>} [options.rowPaths] - Location of each updated row in the caller's data (patches are located by path)
+ * @param {Object} [options.mapping] - Mapping used for the save
+ * @returns {Object|null} { identifierKey, headers, rows } or null when the rows cannot be patched in place
+ */
+export function describeRowChanges(originalRows, updatedRows, { identifierKey = null, rowPaths = null, mapping = null } = {}) {
+    if (!Array.isArray(originalRows) || !Array.isArray(updatedRows)) return null;
+    if (originalRows.length !== updatedRows.length) return null;
+    if (!identifierKey && !Array.isArray(rowPaths)) return null;
+
+    const rows = [];
+    for (let i = 0; i < updatedRows.length; i++) {
+        const before = originalRows[i];
+        const after = updatedRows[i];
+        if (identifierKey && String(before?.[identifierKey] ?? '') !== String(after?.[identifierKey] ?? '')) {
+            return null;
+        }
+        const changes = EditHistoryUtils.calculateRowDiff(before, after, ['AppData']);
+        if (changes.length === 0) continue;
+        const values = Object.fromEntries(changes.map(change => [change.column, change.new ?? '']));
+        rows.push(identifierKey ? { k: after[identifierKey], v: values } : { p: rowPaths[i], v: values });
+        if (rows.length > MAX_PATCH_ROWS) return null;
+    }
+
+    const headers = {};
+    Object.entries(mapping || {}).forEach(([key, header]) => {
+        if (key !== '_orderedHeaders' && key !== header) headers[key] = header;
+    });
+    return { identifierKey, headers, rows };
+}
+
+/**
+ * Polls the change log and delivers other sessions' changes
+ */
+export class ChangeFeed {
+    /** Identifies this page load; entries it wrote are not delivered back to it */
+    static sessionId = Math.random().toString(36).slice(2, 10);
+    static listeners = [];
+    static _readFn = null;
+    static _interval = null;
+    static _seen = null; // Entry ids in the last read; null until the first read
+    static _polling = false;
+
+    /**
+     * Subscribe to changes from other sessions
+     * @param {Function} callback - (entry, affectedKeys) => void. entry is { id, at, key, user, session, change };
+     *   affectedKeys is the Set of cache keys the change invalidates (captured before invalidation)
+     */
+    static on(callback) {
+        ChangeFeed.listeners.push(callback);
+    }
+
+    static off(callback) {
+        const idx = ChangeFeed.listeners.indexOf(callback);
+        if (idx !== -1) ChangeFeed.listeners.splice(idx, 1);
+    }
+
+    /**
+     * Start polling
+     * @param {Function} readFn - async () => Array<entry> | null (null when auth is unavailable)
+     * @param {number} [intervalMs]
+     */
+    static start(readFn, intervalMs = 10 * 1000) {
+        ChangeFeed._readFn = readFn;
+        if (ChangeFeed._interval) return;
+        ChangeFeed._interval = setInterval(() => ChangeFeed.poll(), intervalMs);
+    }
+
+    static stop() {
+        if (ChangeFeed._interval) {
+            clearInterval(ChangeFeed._interval);
+            ChangeFeed._interval = null;
+        }
+    }
+
+    /**
+     * Read the log once and deliver entries not seen before. The first read only records
+     * what is already there: older changes are in the data this session loaded.
+     * @returns {Promise<number>} Number of entries delivered
+     */
+    static async poll() {
+        if (!ChangeFeed._readFn || ChangeFeed._polling || networkState.isOffline) return 0;
+        ChangeFeed._polling = true;
+        try {
+            const entries = await ChangeFeed._readFn();
+            if (!Array.isArray(entries)) return 0;
+            const fresh = ChangeFeed._seen ? entries.filter(entry => !ChangeFeed._seen.has(entry.id)) : [];
+            ChangeFeed._seen = new Set(entries.map(entry => entry.id));
+
+            let delivered = 0;
+            for (const entry of fresh) {
+                if (entry.session === ChangeFeed.sessionId) continue;
+                ChangeFeed._deliver(entry);
+                delivered++;
+            }
+            return delivered;
+        } catch (err) {
+            console.warn('[ChangeFeed] Poll failed:', err);
+            return 0;
+        } finally {
+            ChangeFeed._polling = false;
+        }
+    }
+
+    static _deliver(entry) {
+        const affectedKeys = getDependentCacheKeys(entry.key);
+        if (affectedKeys.size === 0) return; // Nothing loaded here depends on it
+        ChangeFeed.listeners.forEach(callback => {
+            try {
+                callback(entry, affectedKeys);
+            } catch (err) {
+                console.warn('[ChangeFeed] Listener failed:', err);
+            }
+        });
+        invalidateCachePrefix(entry.key);
+    }
+}
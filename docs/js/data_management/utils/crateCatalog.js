@@ -0,0 +1,93 @@
+/**
+ * Crate type catalog.
+ *
+ * Entries live in the CACHE/CrateTypes tab (see Requests.getCrateTypes) and are edited on the
+ * packlist/templates ("Automation") route. Each row is one crate type:
+ *
+ *   Type    Name used in a pack list's Type column (Skid, Coffin Crate, 10' Pile-in, ...)
+ *   L W H   Default dimensions in inches; a crate of this type that differs is flagged
+ *   Weight  Default weight, filled in with the dimensions (not checked: it depends on the contents)
+ *   Items   Item numbers this crate is designated for, comma-separated. The type is suggested
+ *           first for crates holding one of them
+ *   Notes   Shown with the suggestion
+ */
+
+export const CRATE_DIMENSION_KEYS = ['L', 'W', 'H'];
+export const CRATE_DEFAULT_KEYS = [...CRATE_DIMENSION_KEYS, 'Weight'];
+
+// Inches a dimension may differ from the catalog before it is flagged
+const DIMENSION_TOLERANCE = 1;
+
+function _normalizeType(value) {
+    return String(value ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function _toNumber(value) {
+    const number = parseFloat(String(value ?? '').replace(/[^0-9.\-]/g, ''));
+    return Number.isFinite(number) ? number : null;
+}
+
+function _designatedItems(entry) {
+    return String(entry?.Items ?? '')
+        .split(',')
+        .map(item => item.trim().toUpperCase())
+        .filter(Boolean);
+}
+
+/**
+ * Find the catalog entry for a crate type (case and spacing insensitive)
+ * @param {Array<Object>} catalog - Rows from CACHE/CrateTypes
+ * @param {string} type
+ * @returns {Object|null}
+ */
+export function findCrateType(catalog, type) {
+    const normalized = _normalizeType(type);
+    if (!normalized) return null;
+    return (catalog || []).find(entry => _normalizeType(entry?.Type) === normalized) || null;
+}
+
+/**
+ * Catalog entries to offer for a Type cell: types containing the typed text, with types designated
+ * for an item in the crate first. Nothing is offered once the text names a catalog type exactly,
+ * and a blank Type is only offered types designated for the crate's items.
+ * @param {Array<Object>} catalog - Rows from CACHE/CrateTypes
+ * @param {string} text - Current Type value
+ * @param {Array<string>} [itemNumbers] - Item numbers packed in the crate
+ * @param {number} [limit=4]
+ * @returns {Array<Object>} Catalog entries
+ */
+export function suggestCrateTypes(catalog, text, itemNumbers = [], limit = 4) {
+    if (findCrateType(catalog, text)) return [];
+    const normalized = _normalizeType(text);
+    const packed = new Set((itemNumbers || []).map(item => String(item).toUpperCase()));
+    return (catalog || [])
+        .filter(entry => entry?.Type && _normalizeType(entry.Type).includes(normalized))
+        .map(entry => ({ entry, designated: _designatedItems(entry).some(item => packed.has(item)) }))
+        // A blank Type only gets the types designated for its items
+        .filter(({ designated }) => normalized || designated)
+        .sort((a, b) => Number(b.designated) - Number(a.designated))
+        .slice(0, limit)
+        .map(({ entry }) => entry);
+}
+
+/**
+ * Compare a crate's dimensions with its catalog type
+ * @param {Object} crate - Crate row ({ Type, L, W, H, Weight })
+ * @param {Array<Object>} catalog - Rows from CACHE/CrateTypes
+ * @returns {{entry: Object, deviations: Array<{key: string, expected: number, actual: number}>, missing: Array<string>}|null}
+ *   null when the Type is not in the catalog. missing lists default keys the crate leaves blank.
+ */
+export function checkCrateDimensions(crate, catalog) {
+    const entry = findCrateType(catalog, crate?.Type);
+    if (!entry) return null;
+    const deviations = [];
+    CRATE_DIMENSION_KEYS.forEach(key => {
+        const expected = _toNumber(entry[key]);
+        const actual = _toNumber(crate[key]);
+        if (expected !== null && actual !== null && Math.abs(expected - actual) > DIMENSION_TOLERANCE) {
+            deviations.push({ key, expected, actual });
+        }
+    });
+    const missing = CRATE_DEFAULT_KEYS.filter(key => _toNumber(entry[key]) !== null && _toNumber(crate[key]) === null);
+    return { entry, deviations, missing };
+}
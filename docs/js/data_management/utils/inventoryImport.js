@@ -0,0 +1,203 @@
+/**
+ * Bulk inventory import.
+ *
+ * A spreadsheet (CSV text, or XLSX rows read client-side) is mapped column by column onto the
+ * inventory fields, checked against the category and the INDEX, and planned row by row:
+ *   create    - item number not in the category yet
+ *   update    - item exists and the import changes QTY, description or notes
+ *   unchanged - item exists and nothing would change
+ *   conflict  - row is skipped (missing or duplicate item number, prefix not for this category,
+ *               quantity not a whole number)
+ * Blank cells leave the existing value alone. Quantities either replace QTY ('set', a count) or
+ * are added to it ('add', a delivery).
+ */
+
+import { normalizeHeaderName } from './helpers.js';
+import { findIndexRow, hasCustomItemNumbers } from './itemNumbers.js';
+
+export const IMPORT_FIELDS = [
+    { key: 'itemNumber', label: 'ITEM#', aliases: ['item#', 'item', 'item number', 'item no', 'sku', 'part number'] },
+    { key: 'quantity', label: 'QTY', aliases: ['qty', 'quantity', 'count', 'qty received', 'received'] },
+    { key: 'description', label: 'Description', aliases: ['description', 'desc', 'name', 'item description'] },
+    { key: 'notes', label: 'NOTES', aliases: ['notes', 'note', 'comments', 'comment'] }
+];
+
+function _headerKey(value) {
+    return normalizeHeaderName(value).toLowerCase().replace(/[.:]/g, '');
+}
+
+function _cell(row, index) {
+    if (index === null || index === undefined || index < 0) return '';
+    return String(row?.[index] ?? '').trim();
+}
+
+/**
+ * Parse CSV text into rows of cells (quoted cells may contain commas, quotes and line breaks)
+ * @param {string} text
+ * @returns {Array<Array<string>>} Rows without the trailing blank ones
+ */
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    const source = String(text ?? '').replace(/^\uFEFF/, '');
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    while (rows.length > 0 && rows[rows.length - 1].every(value => String(value).trim() === '')) rows.pop();
+    return rows;
+}
+
+/**
+ * Guess which column holds each inventory field from the header row
+ * @param {Array<string>} headers
+ * @returns {Object} Field key to column index, or null when no header matches
+ */
+export function guessColumnMapping(headers) {
+    const keys = (headers || []).map(_headerKey);
+    const mapping = {};
+    IMPORT_FIELDS.forEach(field => {
+        const index = keys.findIndex(key => field.aliases.includes(key));
+        mapping[field.key] = index === -1 ? null : index;
+    });
+    return mapping;
+}
+
+/**
+ * Why an item number cannot go into a category, judging by its prefix in the INDEX
+ * @param {string} itemNumber
+ * @param {string} tab - Category being imported into
+ * @param {Array<{prefix: string, tab: string, metadata: Object}>} indexData - InventoryUtils.getInventoryIndex
+ * @returns {string|null} null when the prefix belongs to the category
+ */
+export function checkItemPrefix(itemNumber, tab, indexData) {
+    // Categories with custom item numbers are not organized by prefix
+    if (hasCustomItemNumbers(tab, indexData)) return null;
+    const prefix = String(itemNumber).split('-')[0];
+    const row = findIndexRow(prefix, indexData);
+    if (!row) return `Prefix "${prefix}" is not in the INDEX`;
+    if (row.tab !== tab) return `Prefix "${row.prefix}" belongs to ${row.tab}`;
+    return null;
+}
+
+/**
+ * Plan an import into one category
+ * @param {Array<Array<string>>} rows - Data rows (header row removed)
+ * @param {Object} columns - Field key to column index (see guessColumnMapping)
+ * @param {Array<Object>} existingRows - The category's current inventory rows
+ * @param {Array<Object>} indexData - InventoryUtils.getInventoryIndex
+ * @param {string} tab - Category being imported into
+ * @param {string} [quantityMode] - 'set' replaces QTY, 'add' adds to it
+ * @returns {Array<{line: number, action: string, itemNumber: string, quantity: string, description: string,
+ *   notes: string, previous: Object|null, changes: Array<string>, issues: Array<string>}>} One entry per
+ *   non-blank row; line is the spreadsheet row number (header is line 1)
+ */
+export function planInventoryImport(rows, columns, existingRows, indexData, tab, quantityMode = 'set') {
+    const existing = new Map((existingRows || []).map(row => [String(row.itemNumber ?? '').trim().toUpperCase(), row]));
+    const seen = new Set();
+    const plan = [];
+
+    (rows || []).forEach((row, index) => {
+        const values = {};
+        IMPORT_FIELDS.forEach(field => { values[field.key] = _cell(row, columns?.[field.key]); });
+        if (Object.values(values).every(value => value === '')) return;
+
+        const entry = { line: index + 2, action: 'conflict', ...values, previous: null, changes: [], issues: [] };
+        plan.push(entry);
+
+        const key = values.itemNumber.toUpperCase();
+        if (!key) {
+            entry.issues.push('No item number');
+            return;
+        }
+        if (seen.has(key)) entry.issues.push(`${values.itemNumber} appears more than once`);
+        seen.add(key);
+
+        const previous = existing.get(key) || null;
+        entry.previous = previous;
+        if (previous) {
+            entry.itemNumber = previous.itemNumber;
+        } else {
+            const prefixIssue = checkItemPrefix(values.itemNumber, tab, indexData);
+            if (prefixIssue) entry.issues.push(prefixIssue);
+        }
+
+        if (values.quantity !== '') {
+            const quantity = Number(values.quantity);
+            if (!Number.isInteger(quantity) || (quantityMode === 'set' && quantity < 0)) {
+                entry.issues.push(`Quantity "${values.quantity}" is not a whole number`);
+            } else if (quantityMode === 'add') {
+                entry.quantity = String((parseInt(previous?.quantity, 10) || 0) + quantity);
+            }
+        }
+        if (entry.issues.length > 0) return;
+
+        if (!previous) {
+            entry.action = 'create';
+            return;
+        }
+        ['quantity', 'description', 'notes'].forEach(field => {
+            if (entry[field] === '' || entry[field] === String(previous[field] ?? '').trim()) {
+                entry[field] = String(previous[field] ?? '');
+                return;
+            }
+            entry.changes.push(field);
+        });
+        entry.action = entry.changes.length > 0 ? 'update' : 'unchanged';
+    });
+
+    return plan;
+}
+
+/**
+ * The category's rows with a planned import applied, ready for saveInventoryTabData.
+ * Conflicts and unchanged rows are left out of the changes; created items are added at the end.
+ * @param {Array<Object>} plan - planInventoryImport result
+ * @param {Array<Object>} existingRows - The rows the plan was made against
+ * @returns {Array<Object>}
+ */
+export function applyInventoryImport(plan, existingRows) {
+    const rows = (existingRows || []).map(row => ({ ...row }));
+    (plan || []).forEach(entry => {
+        if (entry.action === 'update') {
+            const row = rows.find(r => r.itemNumber === entry.previous.itemNumber);
+            entry.changes.forEach(field => { row[field] = entry[field]; });
+        } else if (entry.action === 'create') {
+            rows.push({
+                itemNumber: entry.itemNumber,
+                quantity: entry.quantity === '' ? 0 : Number(entry.quantity),
+                description: entry.description,
+                notes: entry.notes
+            });
+        }
+    });
+    return rows;
+}
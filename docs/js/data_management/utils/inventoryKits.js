@@ -0,0 +1,152 @@
+/**
+ * Kits (bills of materials).
+ *
+ * A kit is an inventory item that ships as a set of other items: LB-001 Lightbox goes out with
+ * its backlight, power supply and two mounting brackets. A hidden `_KITS_<CATEGORY>` tab beside
+ * the kit's category tab lists its components, one row per component with the quantity one kit
+ * holds (see InventoryUtils.KIT_MAPPING). Components may be kits themselves.
+ *
+ * A pack list line "(1) LB-001" counts against LB-001 and against each of its components, and
+ * a kit is counted by the complete sets its components make rather than its QTY.
+ */
+
+export const KITS_TAB_PREFIX = '_KITS_';
+
+/**
+ * Name of the kit definition tab for an inventory category tab
+ * @param {string} categoryTab - e.g. 'LIGHTBOXES'
+ * @returns {string} e.g. '_KITS_LIGHTBOXES'
+ */
+export function kitsTabName(categoryTab) {
+    return `${KITS_TAB_PREFIX}${categoryTab}`;
+}
+
+function _key(itemNumber) {
+    return String(itemNumber ?? '').trim().toUpperCase();
+}
+
+/**
+ * Direct components of a kit
+ * @param {string} kitNumber - e.g. 'LB-001'
+ * @param {Array<Object>} kitRows - Kit definition rows ({ kit, itemNumber, quantity })
+ * @returns {Array<{itemNumber: string, quantity: number}>} Components in definition order, the
+ *   same component listed twice added up; [] when the item is not a kit
+ */
+export function kitComponents(kitNumber, kitRows) {
+    const key = _key(kitNumber);
+    const components = [];
+    (kitRows || []).forEach(row => {
+        const itemNumber = String(row.itemNumber ?? '').trim();
+        const quantity = parseInt(row.quantity, 10) || 0;
+        if (!key || _key(row.kit) !== key || !itemNumber || quantity <= 0 || _key(itemNumber) === key) return;
+        const existing = components.find(component => _key(component.itemNumber) === _key(itemNumber));
+        if (existing) existing.quantity += quantity;
+        else components.push({ itemNumber, quantity });
+    });
+    return components;
+}
+
+/**
+ * Whether an item is a kit
+ * @param {string} itemNumber
+ * @param {Array<Object>} kitRows
+ * @returns {boolean}
+ */
+export function isKit(itemNumber, kitRows) {
+    return kitComponents(itemNumber, kitRows).length > 0;
+}
+
+// Visit each component of a kit, nested kits included, with the quantity `count` kits need.
+// A kit that contains itself (directly or further down) is not followed again.
+function _walkKit(kitNumber, count, kitRows, visit, path = new Set()) {
+    path.add(_key(kitNumber));
+    kitComponents(kitNumber, kitRows).forEach(component => {
+        if (path.has(_key(component.itemNumber))) return;
+        const quantity = count * component.quantity;
+        visit(component.itemNumber, quantity, kitNumber);
+        _walkKit(component.itemNumber, quantity, kitRows, visit, new Set(path));
+    });
+}
+
+/**
+ * Add what packed kits hold to an item map, so each component carries the demand of the kits
+ * packed as well as its own lines
+ * @param {Object} itemMap - { itemNumber: quantity } as PackListUtils.extractItems returns
+ * @param {Array<Object>} kitRows
+ * @returns {Object} A new map; kits keep their own quantity
+ */
+export function expandKitDemand(itemMap, kitRows) {
+    const expanded = { ...(itemMap || {}) };
+    if (!Array.isArray(kitRows) || kitRows.length === 0) return expanded;
+    Object.entries(itemMap || {}).forEach(([itemNumber, quantity]) => {
+        _walkKit(itemNumber, Number(quantity) || 0, kitRows, (component, needed) => {
+            expanded[component] = (expanded[component] || 0) + needed;
+        });
+    });
+    return expanded;
+}
+
+/**
+ * Which kits put each component into an item map (see expandKitDemand)
+ * @param {Object} itemMap - { itemNumber: quantity }
+ * @param {Array<Object>} kitRows
+ * @returns {Object} { component: [{ kit, quantity }] } with the kit that holds the component
+ *   directly and the quantity it adds
+ */
+export function kitDemandSources(itemMap, kitRows) {
+    const sources = {};
+    Object.entries(itemMap || {}).forEach(([itemNumber, quantity]) => {
+        _walkKit(itemNumber, Number(quantity) || 0, kitRows, (component, needed, kit) => {
+            if (!sources[component]) sources[component] = [];
+            const existing = sources[component].find(source => source.kit === kit);
+            if (existing) existing.quantity += needed;
+            else sources[component].push({ kit, quantity: needed });
+        });
+    });
+    return sources;
+}
+
+/**
+ * The items one kit comes down to, nested kits replaced by their own components
+ * @param {string} kitNumber
+ * @param {Array<Object>} kitRows
+ * @returns {Array<{itemNumber: string, quantity: number}>} [] when the item is not a kit
+ */
+export function flattenKit(kitNumber, kitRows) {
+    const leaves = [];
+    _walkKit(kitNumber, 1, kitRows, (component, quantity) => {
+        if (isKit(component, kitRows)) return;
+        const existing = leaves.find(leaf => _key(leaf.itemNumber) === _key(component));
+        if (existing) existing.quantity += quantity;
+        else leaves.push({ itemNumber: component, quantity });
+    });
+    return leaves;
+}
+
+/**
+ * How many complete kits the components make
+ * @param {string} kitNumber
+ * @param {Array<Object>} kitRows
+ * @param {Function} quantityOf - (itemNumber) => quantity of a component, null when unknown
+ * @returns {number|null} null when the item is not a kit or a component's quantity is unknown
+ */
+export function kitsBuildable(kitNumber, kitRows, quantityOf) {
+    const leaves = flattenKit(kitNumber, kitRows);
+    if (leaves.length === 0) return null;
+    let buildable = Infinity;
+    for (const leaf of leaves) {
+        const quantity = quantityOf(leaf.itemNumber);
+        if (quantity === null || quantity === undefined || isNaN(quantity)) return null;
+        buildable = Math.min(buildable, Math.floor(Number(quantity) / leaf.quantity));
+    }
+    return buildable;
+}
+
+/**
+ * Describe a kit's components for display
+ * @param {Array<{itemNumber: string, quantity: number}>} components
+ * @returns {string} e.g. 'LB-101 ×1, LB-102 ×2'
+ */
+export function formatKitComponents(components) {
+    return (components || []).map(component => `${component.itemNumber} ×${component.quantity}`).join(', ');
+}
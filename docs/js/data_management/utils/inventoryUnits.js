@@ -0,0 +1,57 @@
+/**
+ * Serialized units.
+ *
+ * Items whose individual units matter (electronics by serial number, look-alike doubles by
+ * variant) can list them in a hidden `_UNITS_<CATEGORY>` tab beside their inventory category tab,
+ * one row per unit (see InventoryUtils.UNIT_MAPPING). Pack list lines name the units they hold
+ * after the item: "(2) LB-001 Lightbox [units: A, B]".
+ *
+ * An item with registered units is counted by its units in service rather than its QTY.
+ */
+
+export const UNITS_TAB_PREFIX = '_UNITS_';
+
+// Conditions that take a unit out of service
+const OUT_OF_SERVICE = /retired|lost|stolen|broken|repair|sold/i;
+
+const UNIT_TAG = /\[\s*units?\s*:\s*([^\]]*)\]/i;
+
+/**
+ * Name of the unit registry tab for an inventory category tab
+ * @param {string} categoryTab - e.g. 'LIGHTBOXES'
+ * @returns {string} e.g. '_UNITS_LIGHTBOXES'
+ */
+export function unitsTabName(categoryTab) {
+    return `${UNITS_TAB_PREFIX}${categoryTab}`;
+}
+
+/**
+ * Key for comparing unit identifiers ("a" and " A " are the same unit)
+ * @param {string} unit
+ * @returns {string}
+ */
+export function unitKey(unit) {
+    return String(unit ?? '').trim().toUpperCase();
+}
+
+/**
+ * Read the units named on a pack list line
+ * @param {string} text - e.g. "(2) LB-001 Lightbox [units: A, B]"
+ * @returns {{units: Array<string>, text: string}} Units in the order written, and the text without the tag
+ */
+export function parseUnitReferences(text) {
+    const source = String(text ?? '');
+    const match = source.match(UNIT_TAG);
+    if (!match) return { units: [], text: source };
+    const units = match[1].split(',').map(unit => unit.trim()).filter(Boolean);
+    return { units, text: source.replace(match[0], ' ').replace(/\s+/g, ' ').trim() };
+}
+
+/**
+ * Whether a registered unit can be packed
+ * @param {Object} unit - Registry row ({ condition })
+ * @returns {boolean}
+ */
+export function isUnitInService(unit) {
+    return !OUT_OF_SERVICE.test(String(unit?.condition ?? ''));
+}
@@ -0,0 +1,136 @@
+/**
+ * Inventory valuation.
+ *
+ * Inventory tabs may carry three optional cost columns (see InventoryUtils.DEFAULT_INVENTORY_MAPPING):
+ * UNIT COST (dollars per unit), PURCHASE DATE and USEFUL LIFE (years). Replacement value is what
+ * the units on hand would cost to buy again at their unit cost; book value depreciates that cost
+ * straight-line over the useful life from the purchase date, down to nothing.
+ *
+ * An item without a unit cost is uncosted and counts toward no total. Without a purchase date or
+ * useful life it is not depreciated.
+ */
+
+import { parseDate } from './helpers.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAYS_PER_YEAR = 365.25;
+
+/**
+ * Read a money cell ("$1,250.00", "1250", "")
+ * @param {*} value
+ * @returns {number|null} Dollars, or null when blank or not a number
+ */
+export function parseMoney(value) {
+    const text = String(value ?? '').replace(/[$,\s]/g, '');
+    if (text === '') return null;
+    const number = Number(text);
+    return Number.isFinite(number) && number >= 0 ? number : null;
+}
+
+function _round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Value of one inventory row
+ * @param {Object} item - Inventory row ({ quantity, unitCost, purchaseDate, usefulLife })
+ * @param {string} asOf - ISO date to depreciate to
+ * @returns {{quantity: number, unitCost: number|null, ageYears: number|null, replacementValue: number,
+ *   bookValue: number, depreciation: number, costed: boolean}}
+ */
+export function valueItem(item, asOf) {
+    const quantity = Math.max(0, parseInt(item?.quantity, 10) || 0);
+    const unitCost = parseMoney(item?.unitCost);
+    if (unitCost === null) {
+        return { quantity, unitCost, ageYears: null, replacementValue: 0, bookValue: 0, depreciation: 0, costed: false };
+    }
+
+    const purchased = parseDate(item.purchaseDate);
+    const asOfDate = parseDate(asOf);
+    const life = Number(item.usefulLife);
+    const ageYears = purchased && asOfDate && !Number.isNaN(purchased.getTime())
+        ? Math.max(0, (asOfDate - purchased) / DAY_MS / DAYS_PER_YEAR)
+        : null;
+    const remaining = ageYears !== null && Number.isFinite(life) && life > 0
+        ? Math.max(0, 1 - ageYears / life)
+        : 1;
+
+    const replacementValue = _round(unitCost * quantity);
+    const bookValue = _round(unitCost * remaining * quantity);
+    return {
+        quantity,
+        unitCost,
+        ageYears: ageYears === null ? null : Math.round(ageYears * 10) / 10,
+        replacementValue,
+        bookValue,
+        depreciation: _round(replacementValue - bookValue),
+        costed: true
+    };
+}
+
+function _emptyTotals() {
+    return { itemCount: 0, uncostedCount: 0, replacementValue: 0, bookValue: 0, depreciation: 0 };
+}
+
+function _addValue(totals, value) {
+    totals.itemCount++;
+    if (!value.costed) {
+        totals.uncostedCount++;
+        return;
+    }
+    totals.replacementValue = _round(totals.replacementValue + value.replacementValue);
+    totals.bookValue = _round(totals.bookValue + value.bookValue);
+    totals.depreciation = _round(totals.depreciation + value.depreciation);
+}
+
+/**
+ * Category and company-wide totals
+ * @param {Array<Object>} rows - valueItem results, each with a category
+ * @returns {{categories: Array<Object>, totals: Object}} Category totals in first-seen order,
+ *   each { category, itemCount, uncostedCount, replacementValue, bookValue, depreciation }
+ */
+export function summarizeValuation(rows) {
+    const byCategory = new Map();
+    const totals = _emptyTotals();
+    (rows || []).forEach(row => {
+        if (!byCategory.has(row.category)) byCategory.set(row.category, { category: row.category, ..._emptyTotals() });
+        _addValue(byCategory.get(row.category), row);
+        _addValue(totals, row);
+    });
+    return { categories: [...byCategory.values()], totals };
+}
+
+/**
+ * Value of the items on a pack list, for insurance
+ * @param {Object} quantities - Map of itemId to quantity packed
+ * @param {Object} itemsById - Map of itemId to inventory row (missing when not in inventory)
+ * @param {string} asOf - ISO date to depreciate to
+ * @returns {{replacementValue: number, bookValue: number, itemCount: number, uncosted: Array<string>}}
+ *   uncosted lists packed items with no unit cost
+ */
+export function valueShipment(quantities, itemsById, asOf) {
+    const result = { replacementValue: 0, bookValue: 0, itemCount: 0, uncosted: [] };
+    Object.entries(quantities || {}).forEach(([itemId, quantity]) => {
+        const count = Number(quantity) || 0;
+        if (count <= 0) return;
+        result.itemCount++;
+        const value = valueItem({ ...(itemsById?.[itemId] || {}), quantity: count }, asOf);
+        if (!value.costed) {
+            result.uncosted.push(itemId);
+            return;
+        }
+        result.replacementValue = _round(result.replacementValue + value.replacementValue);
+        result.bookValue = _round(result.bookValue + value.bookValue);
+    });
+    return result;
+}
+
+/**
+ * Dollars for display, e.g. "$12,500"
+ * @param {number} value
+ * @param {number} [cents] - Decimal places, 2 for unit costs
+ * @returns {string}
+ */
+export function formatMoney(value, cents = 0) {
+    return (Number(value) || 0).toLocaleString('en-US', { style: 'currency', currency: 'USD', minimumFractionDigits: cents, maximumFractionDigits: cents });
+}
@@ -0,0 +1,210 @@
+/**
+ * Item number governance.
+ *
+ * Item numbers are PREFIX-NNN: an upper-case prefix listed in the inventory INDEX, which names
+ * the item's category, and a zero-padded number. Pack lists only recognize that shape (see
+ * PackListUtils.extractItemFromText). The CACHE/Aliases tab maps other spellings onto what is in
+ * use: a prefix alias (SHELF → SHLF) steers new numbers to the INDEX prefix, an item alias
+ * (CHAIR-009 → CHAIR-002) keeps an old number resolving and is never issued again.
+ *
+ * Categories flagged customItemNumbers in the INDEX (HARDWARE) are exempt from prefix rules.
+ */
+
+/** An item number pack lists recognize: prefix, dash, code */
+export const ITEM_NUMBER_PATTERN = /^([A-Z]+)-([0-9A-Za-z_]+)$/;
+
+const DEFAULT_WIDTH = 3;
+
+/**
+ * Split an item number into prefix and number
+ * @param {string} itemNumber - e.g. 'SHLF-014'
+ * @returns {{prefix: string, number: number|null, width: number}|null} null when it is not
+ *   PREFIX-code; number is null for codes that are not all digits (LB-001A)
+ */
+export function parseItemNumber(itemNumber) {
+    const match = String(itemNumber ?? '').trim().match(ITEM_NUMBER_PATTERN);
+    if (!match) return null;
+    const isNumeric = /^\d+$/.test(match[2]);
+    return {
+        prefix: match[1],
+        number: isNumeric ? parseInt(match[2], 10) : null,
+        width: isNumeric ? match[2].length : 0
+    };
+}
+
+function _format(prefix, number, width) {
+    return `${prefix}-${String(number).padStart(width, '0')}`;
+}
+
+/**
+ * The INDEX row an item number prefix resolves to, the way InventoryUtils.getTabNameForItem
+ * looks it up (whole prefix, then its first letter)
+ * @param {string} prefix
+ * @param {Array<{prefix: string, tab: string}>} indexData
+ * @returns {Object|null}
+ */
+export function findIndexRow(prefix, indexData) {
+    const rows = Array.isArray(indexData) ? indexData : [];
+    const text = String(prefix ?? '');
+    return rows.find(row => row.prefix === text) || (text ? rows.find(row => row.prefix === text[0]) : null) || null;
+}
+
+/**
+ * Whether a category is exempt from prefix rules
+ * @param {string} tab
+ * @param {Array<Object>} indexData
+ * @returns {boolean}
+ */
+export function hasCustomItemNumbers(tab, indexData) {
+    return (Array.isArray(indexData) ? indexData : [])
+        .some(row => row.tab === tab && row.metadata?.customItemNumbers === 'true');
+}
+
+/**
+ * Follow the alias table to the prefix or item number in use
+ * @param {string} value - A prefix or an item number
+ * @param {Array<{alias: string, target: string}>} aliases
+ * @returns {string} The target, or the value itself when it is not an alias
+ */
+export function resolveAlias(value, aliases) {
+    const key = String(value ?? '').trim().toUpperCase();
+    const seen = new Set();
+    let current = key;
+    // Follow chains (A → B → C) but never loop
+    while (!seen.has(current)) {
+        seen.add(current);
+        const row = (aliases || []).find(entry => String(entry.alias ?? '').trim().toUpperCase() === current);
+        if (!row || !String(row.target ?? '').trim()) break;
+        current = String(row.target).trim().toUpperCase();
+    }
+    return current === key ? String(value ?? '').trim() : current;
+}
+
+/**
+ * The next free number of a prefix
+ * @param {string} prefix - e.g. 'SHLF'
+ * @param {Array<string>} takenNumbers - Item numbers in use or reserved (items and item aliases)
+ * @returns {string} One past the highest number used, padded like the existing numbers, e.g. 'SHLF-015'
+ */
+export function nextItemNumber(prefix, takenNumbers) {
+    let highest = 0;
+    let width = 0;
+    (takenNumbers || []).forEach(itemNumber => {
+        const parsed = parseItemNumber(itemNumber);
+        if (!parsed || parsed.prefix !== prefix || parsed.number === null) return;
+        highest = Math.max(highest, parsed.number);
+        width = Math.max(width, parsed.width);
+    });
+    return _format(prefix, highest + 1, width || DEFAULT_WIDTH);
+}
+
+/**
+ * Check a new item number against the prefix rules
+ * @param {string} itemNumber
+ * @param {Object} context
+ * @param {string} context.tab - Category the item is added to
+ * @param {Array<Object>} [context.indexData] - InventoryUtils.getInventoryIndex; without it only
+ *   duplicates are checked
+ * @param {Array<Object>} [context.aliases] - InventoryUtils.getItemAliases
+ * @param {Array<string>} [context.takenNumbers] - Item numbers in use or reserved
+ * @returns {Array<{level: string, message: string, suggestion: string|null}>} 'error' entries
+ *   must be fixed, 'warning' entries may be accepted; suggestion is a number that passes
+ */
+export function validateItemNumber(itemNumber, { tab, indexData, aliases = [], takenNumbers = [] }) {
+    const value = String(itemNumber ?? '').trim();
+    if (!value) return [{ level: 'error', message: 'Item number is required', suggestion: null }];
+
+    const taken = new Set((takenNumbers || []).map(number => String(number).trim().toUpperCase()));
+    if (taken.has(value.toUpperCase())) {
+        const aliasOf = resolveAlias(value, aliases);
+        return [{
+            level: 'error',
+            message: aliasOf.toUpperCase() !== value.toUpperCase() ? `${value} is an old number of ${aliasOf}` : 'Item number already exists',
+            suggestion: null
+        }];
+    }
+    if (!Array.isArray(indexData) || hasCustomItemNumbers(tab, indexData)) return [];
+
+    const parsed = parseItemNumber(value);
+    if (!parsed) {
+        return [{ level: 'error', message: 'Use PREFIX-NNN (capital letters, a dash, then the number) so pack lists recognize it', suggestion: null }];
+    }
+
+    const target = resolveAlias(parsed.prefix, aliases);
+    if (target !== parsed.prefix) {
+        return [{ level: 'warning', message: `${parsed.prefix} is an alias of ${target}`, suggestion: nextItemNumber(target, takenNumbers) }];
+    }
+
+    const indexRow = findIndexRow(parsed.prefix, indexData);
+    if (indexRow && indexRow.tab !== tab) {
+        return [{ level: 'error', message: `Prefix ${indexRow.prefix} belongs to ${indexRow.tab}`, suggestion: null }];
+    }
+    if (!indexRow || indexRow.prefix !== parsed.prefix) {
+        return [{ level: 'warning', message: `${parsed.prefix} is not in the INDEX; add it there so pack lists find the item`, suggestion: null }];
+    }
+    return [];
+}
+
+/**
+ * Plan a bulk renumber of one prefix
+ * @param {Array<string>} itemNumbers - Item numbers of the category
+ * @param {string} fromPrefix - Prefix to renumber, e.g. 'SHELF'
+ * @param {string} toPrefix - Prefix to give them, e.g. 'SHLF' (the same prefix to only renumber)
+ * @param {Object} [options]
+ * @param {Array<string>} [options.reserved] - Other item numbers that must not be issued (item aliases)
+ * @param {boolean} [options.compact] - Number from 1 in order, closing gaps; otherwise each item
+ *   keeps its number (padded like the new prefix's numbers) unless the new prefix already uses it
+ * @returns {{renames: Array<{from: string, to: string}>, skipped: Array<string>}} skipped lists
+ *   numbers with a non-numeric code, which are left alone
+ */
+export function planRenumber(itemNumbers, fromPrefix, toPrefix, { reserved = [], compact = false } = {}) {
+    const moving = [];
+    const skipped = [];
+    const taken = new Set(reserved.map(number => String(number).toUpperCase()));
+    (itemNumbers || []).forEach(itemNumber => {
+        const parsed = parseItemNumber(itemNumber);
+        if (parsed?.prefix !== fromPrefix) {
+            taken.add(String(itemNumber).toUpperCase());
+        } else if (parsed.number === null) {
+            skipped.push(itemNumber);
+            taken.add(String(itemNumber).toUpperCase());
+        } else {
+            moving.push({ itemNumber, ...parsed });
+        }
+    });
+    moving.sort((a, b) => a.number - b.number);
+
+    const targetWidths = [...taken].map(parseItemNumber).filter(parsed => parsed?.prefix === toPrefix && parsed.number !== null);
+    const width = Math.max(0, ...targetWidths.map(parsed => parsed.width)) || Math.max(...moving.map(item => item.width), DEFAULT_WIDTH);
+
+    const renames = [];
+    let counter = 1;
+    moving.forEach(item => {
+        let to = compact ? null : _format(toPrefix, item.number, width);
+        if (!to || taken.has(to)) {
+            if (!compact) to = nextItemNumber(toPrefix, [...taken]);
+            else {
+                while (taken.has(_format(toPrefix, counter, width))) counter++;
+                to = _format(toPrefix, counter, width);
+            }
+        }
+        taken.add(to);
+        if (to !== item.itemNumber) renames.push({ from: item.itemNumber, to });
+    });
+    return { renames, skipped };
+}
+
+/**
+ * Rewrite item numbers in free text (a pack list cell), whole numbers only: renaming CHAIR-1
+ * leaves CHAIR-10 alone
+ * @param {string} text
+ * @param {Array<{from: string, to: string}>} renames
+ * @returns {string}
+ */
+export function replaceItemNumbers(text, renames) {
+    if (typeof text !== 'string' || !text) return text;
+    const map = new Map((renames || []).map(rename => [rename.from, rename.to]));
+    return text.replace(/(^|[^A-Za-z0-9-])([A-Z]+-[0-9A-Za-z_]+)/g, (match, before, itemNumber) =>
+        map.has(itemNumber) ? `${before}${map.get(itemNumber)}` : match
+    );
+}
@@ -36,9 +36,10 @@ export class EditHistoryUtils {
      * @param {string} username - User email making the change
      * @param {Array<{column: string, old: any, new: any}>} changes - List of changes
      * @param {string} source - Source system for this change ('web' | 'cad')
+     * @param {number} [timestamp] - Time of the save in deciseconds (default now)
      * @returns {Object} Metadata entry object
      */
-    static createEditHistoryEntry(username, changes, source = 'web') {
+    static createEditHistoryEntry(username, changes, source = 'web', timestamp = null) {
         // Extract username before @ symbol
         const shortUser = username ? username.split('@')[0] : 'unknown';
         
@@ -50,7 +51,7 @@ export class EditHistoryUtils {
         
         return {
             u: shortUser,                           // u = user
-            t: Math.floor(new Date().getTime() / 100),  // t = timestamp in deciseconds
+            t: timestamp ?? Math.floor(new Date().getTime() / 100),  // t = timestamp in deciseconds
             s: source || 'web',                  // s = source system
             c: minimalChanges                       // c = changes
         };
@@ -245,6 +246,165 @@ export class EditHistoryUtils {
         return deletedRows;
     }
 
+    /**
+     * Newest history timestamp in a row's edithistory (pending entries are ignored)
+     * @param {string|Object} edithistory - EditHistory value
+     * @returns {number} Deciseconds, or 0 when the row has no history
+     */
+    static getLatestTimestamp(edithistory) {
+        const history = this.parseEditHistory(edithistory)?.h;
+        if (!Array.isArray(history)) return 0;
+        return history.reduce((latest, entry) => Math.max(latest, Number(entry?.t) || 0), 0);
+    }
+
+    /**
+     * Find edits another session made to the rows a save is about to overwrite.
+     *
+     * The version the client loaded is the newest history timestamp anywhere in updatedRows
+     * (or knownVersion, if later): every entry the client had seen is at or before it, so
+     * remote entries from then on by other users are concurrent edits. Timestamps are only
+     * tenths of a second, so entries stamped with that same time count too unless they are
+     * from a save the client already has; only knownVersion is taken as fully reconciled.
+     * Remote rows are matched to updated rows by identifierKey, else by their shared history,
+     * else (rows with no history from before the client loaded) by position.
+     *
+     * For each concurrently edited row, a column only they changed is merged (their value
+     * wins); a column both sides changed to different values is a conflict.
+     *
+     * @param {Array<Object>} remoteRows - Rows currently stored (freshly read, not cached)
+     * @param {Array<Object>} updatedRows - Rows about to be written
+     * @param {Object} [options]
+     * @param {string} [options.username] - User saving; their own later entries are not concurrent edits
+     * @param {string} [options.identifierKey] - Key identifying rows (e.g. 'itemNumber')
+     * @param {number} [options.knownVersion] - Version the client already reconciled with (from an earlier report)
+     * @returns {{rows: Array<Object>, hasConflicts: boolean, version: number}}
+     *   rows: { index, key, users, edithistory, cells: [{column, base, mine, theirs}], merged: [{column, value}] }
+     *   index is -1 (and missing is true) when the save would delete a row they edited; theirs
+     *   is then their row and remoteIndex its position in remoteRows.
+     *   version: newest remote timestamp, to pass back as knownVersion once resolved.
+     */
+    static detectConcurrentEdits(remoteRows, updatedRows, { username = null, identifierKey = null, knownVersion = 0 } = {}) {
+        const result = { rows: [], hasConflicts: false, version: 0 };
+        if (!Array.isArray(remoteRows) || !Array.isArray(updatedRows)) {
+            return result;
+        }
+
+        const shortUser = username ? username.split('@')[0] : null;
+        const resolvedVersion = Number(knownVersion) || 0;
+        const baseVersion = updatedRows.reduce(
+            (latest, row) => Math.max(latest, this.getLatestTimestamp(row?.edithistory)),
+            resolvedVersion
+        );
+        // Saves the client already has on any of its rows (a save stamps every row it changes
+        // with the same user and time), so a row it deleted doesn't report them back
+        const saveKey = entry => `${entry.u}|${entry.t}`;
+        const known = new Set();
+        updatedRows.forEach(row => {
+            (this.parseEditHistory(row?.edithistory)?.h || []).forEach(entry => known.add(saveKey(entry)));
+        });
+        const keyIndex = new Map();
+        if (identifierKey) {
+            updatedRows.forEach((row, index) => {
+                if (row?.[identifierKey]) keyIndex.set(String(row[identifierKey]), index);
+            });
+        }
+        const matched = new Set();
+
+        remoteRows.forEach((remoteRow, remoteIndex) => {
+            const history = this.parseEditHistory(remoteRow?.edithistory)?.h;
+            if (!Array.isArray(history)) return;
+            result.version = Math.max(result.version, this.getLatestTimestamp(remoteRow.edithistory));
+
+            const theirs = history.filter(entry => entry.t >= baseVersion && entry.t > resolvedVersion
+                && entry.u !== shortUser && !known.has(saveKey(entry)));
+            if (theirs.length === 0) return;
+
+            // Match the remote row to the row the client is sending for it
+            let index;
+            if (identifierKey) {
+                index = keyIndex.get(String(remoteRow[identifierKey] ?? '')) ?? -1;
+            } else {
+                const anchor = history.find(entry => entry.t <= baseVersion && !theirs.includes(entry));
+                index = anchor
+                    ? updatedRows.findIndex((row, i) => {
+                        if (matched.has(i)) return false;
+                        const latest = this.getMostRecentChange(row?.edithistory);
+                        // One save can stamp several rows, so compare the whole entry
+                        return latest && JSON.stringify(latest) === JSON.stringify(anchor);
+                    })
+                    : -1;
+                // A row whose history no updated row carries was deleted; only rows without
+                // history are matched by position
+                if (!anchor && remoteIndex < updatedRows.length && !matched.has(remoteIndex)) {
+                    index = remoteIndex;
+                }
+            }
+
+            const report = {
+                index,
+                key: identifierKey ? remoteRow[identifierKey] : null,
+                users: [...new Set(theirs.map(entry => entry.u))],
+                edithistory: remoteRow.edithistory,
+                cells: [],
+                merged: []
+            };
+
+            if (index === -1) {
+                // The save drops a row they have since edited
+                report.missing = true;
+                report.theirs = remoteRow;
+                report.remoteIndex = remoteIndex;
+                result.rows.push(report);
+                result.hasConflicts = true;
+                return;
+            }
+            matched.add(index);
+
+            // Value each column had before their edits: the old value in their oldest entry
+            const base = {};
+            [...theirs].reverse().forEach(entry => {
+                (entry.c || []).forEach(change => {
+                    if (!(change.n in base)) base[change.n] = change.o;
+                });
+            });
+
+            const mine = updatedRows[index];
+            Object.entries(base).forEach(([column, baseValue]) => {
+                if (!(column in mine)) return;
+                const theirValue = remoteRow[column];
+                if (this._valuesEqual(mine[column], theirValue)) return;
+                if (this._valuesEqual(mine[column], baseValue)) {
+                    report.merged.push({ column, value: theirValue });
+                } else {
+                    report.cells.push({ column, base: baseValue, mine: mine[column], theirs: theirValue });
+                }
+            });
+
+            if (report.cells.length > 0) result.hasConflicts = true;
+            result.rows.push(report);
+        });
+
+        return result;
+    }
+
+    /**
+     * Copy updatedRows with the non-conflicting edits from detectConcurrentEdits applied:
+     * their values for merged columns and their edithistory, so both sides' history is kept
+     * @param {Array<Object>} updatedRows - Rows about to be written
+     * @param {Array<Object>} reportRows - rows from detectConcurrentEdits
+     * @returns {Array<Object>} Merged rows
+     */
+    static applyConcurrentEdits(updatedRows, reportRows) {
+        const merged = updatedRows.slice();
+        reportRows.forEach(report => {
+            if (report.index === -1) return;
+            const row = { ...merged[report.index], edithistory: report.edithistory };
+            report.merged.forEach(({ column, value }) => { row[column] = value; });
+            merged[report.index] = row;
+        });
+        return merged;
+    }
+
     /**
      * Create a edithistory object for archiving a deleted row
      * @param {string} sourceTable - Table identifier (e.g., 'INVENTORY', 'PACK_LISTS')
@@ -252,15 +412,16 @@ export class EditHistoryUtils {
      * @param {string} rowIdentifier - Row identifier
      * @param {Object} rowData - Full row data
      * @param {string} username - User who deleted the row
+     * @param {number} [timestamp] - Time of the deleting save in deciseconds (default now)
      * @returns {Object} Archive entry object
      */
-    static createArchiveEntry(sourceTable, sourceTab, rowIdentifier, rowData, username) {
+    static createArchiveEntry(sourceTable, sourceTab, rowIdentifier, rowData, username, timestamp = null) {
         return {
             SourceTable: sourceTable,
             SourceTab: sourceTab,
             RowIdentifier: rowIdentifier,
             Username: username || 'unknown',
-            Timestamp: Math.floor(new Date().getTime() / 100),
+            Timestamp: timestamp ?? Math.floor(new Date().getTime() / 100),
             Operation: 'delete',
             RowData: JSON.stringify(rowData)
         };
@@ -468,4 +629,59 @@ export class EditHistoryUtils {
 
         return { updatedItems, hasChanges };
     }
+
+    // -------------------------------------------------------------------------
+    // Merge Helpers
+    // -------------------------------------------------------------------------
+
+    /**
+     * Combine the EditHistory of two inventory rows that turn out to be the same item.
+     * The merged history describes the combined quantity: every quantity change of either row
+     * is kept in time order with its old value restated as the combined quantity before it, so
+     * replaying it from the combined QTY (see InventoryUtils.getItemTimeline) gives the sum of
+     * both rows at any date. Other changes of the source row are dropped, they described a row
+     * that no longer exists. Pending quantity deltas of the source row carry over.
+     * @param {Object} target - Row that remains ({ quantity, edithistory })
+     * @param {Object} source - Row merged into it
+     * @param {number} [maxHistory] - Maximum history entries to keep (default: 100)
+     * @returns {{h: Array<Object>, p: Array<Object>}} Parsed EditHistory for the merged row
+     */
+    static mergeQuantityHistories(target, source, maxHistory = 100) {
+        const isQuantity = change => change.n === 'quantity' || change.n === 'QTY';
+        const sides = [target, source].map((row, side) => {
+            const parsed = this.parseEditHistory(row?.edithistory || row?.EditHistory) || {};
+            return {
+                side,
+                running: parseInt(row?.quantity, 10) || 0,
+                history: Array.isArray(parsed.h) ? parsed.h : [],
+                pending: Array.isArray(parsed.p) ? parsed.p : []
+            };
+        });
+
+        // Newest first; on equal timestamps the target's entries come first
+        const entries = sides
+            .flatMap(({ side, history }) => history.map((entry, index) => ({ entry, side, index })))
+            .sort((a, b) => (b.entry.t - a.entry.t) || (a.side - b.side) || (a.index - b.index));
+
+        const h = [];
+        for (const { entry, side } of entries) {
+            const changes = [];
+            for (const change of entry.c || []) {
+                if (isQuantity(change)) {
+                    const other = sides[1 - side].running;
+                    sides[side].running = parseInt(change.o, 10) || 0;
+                    changes.push({ n: change.n, o: String(sides[side].running + other) });
+                } else if (side === 0) {
+                    changes.push(change);
+                }
+            }
+            if (changes.length > 0) h.push({ ...entry, c: changes });
+        }
+
+        const carried = sides[1].pending
+            .map(entry => ({ ...entry, c: (entry.c || []).filter(change => isQuantity(change) && /^[+\-]\d/.test(String(change.ne))) }))
+            .filter(entry => entry.c.length > 0);
+
+        return { h: h.slice(0, maxHistory), p: [...sides[0].pending, ...carried] };
+    }
 }
@@ -0,0 +1,296 @@
+import { networkState } from './networkState.js';
+
+/**
+ * Write-behind queue for saves made while the network is down.
+ *
+ * While networkState.isOffline is set, the queueable Requests mutations (savePackList,
+ * saveInventoryTabData, savePageNotes, storeUserData) call OfflineQueue.enqueue instead of writing,
+ * and return { queued: true, id }. Entries are kept in IndexedDB (in memory where IndexedDB is
+ * unavailable, e.g. under Node) and replayed oldest first once connectivity returns.
+ *
+ * Entry record: { id, method, args, user, target, queuedAt, status, error, conflictReport, meta }
+ *   status   'pending' (waiting to replay) | 'conflict' (replay returned a conflict report) | 'failed'
+ *   target   what the save writes (e.g. 'PACK_LISTS:<tab>'); a conflicted or failed entry holds back
+ *            later entries for the same target, since they were made on top of it
+ *
+ * Replay functions are registered per method by the API layer (see api.js) and run as the user
+ * who queued the save. Network and auth errors leave the entry pending for the next replay.
+ */
+
+const QUEUE_SCHEMA_VERSION = 1;
+const QUEUE_DB_NAME = 'devmanage-offline-queue';
+const ENTRY_STORE = 'mutations';
+
+function _promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * IndexedDB-backed entry storage, or a Map when IndexedDB is unavailable
+ * @private
+ */
+class _QueueStore {
+    constructor() {
+        this._dbPromise = null;
+        this._memory = typeof indexedDB === 'undefined' || indexedDB === null ? new Map() : null;
+        this._nextMemoryId = 1;
+    }
+
+    open() {
+        if (!this._dbPromise) {
+            this._dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(QUEUE_DB_NAME, QUEUE_SCHEMA_VERSION);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(ENTRY_STORE, { keyPath: 'id', autoIncrement: true });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            this._dbPromise.catch(() => { this._dbPromise = null; });
+        }
+        return this._dbPromise;
+    }
+
+    async _run(mode, fn) {
+        const db = await this.open();
+        const transaction = db.transaction(ENTRY_STORE, mode);
+        return await _promisifyRequest(fn(transaction.objectStore(ENTRY_STORE)));
+    }
+
+    async add(entry) {
+        if (this._memory) {
+            const id = this._nextMemoryId++;
+            this._memory.set(id, { ...entry, id });
+            return id;
+        }
+        return await this._run('readwrite', store => store.add(entry));
+    }
+
+    async put(entry) {
+        if (this._memory) {
+            this._memory.set(entry.id, entry);
+            return;
+        }
+        await this._run('readwrite', store => store.put(entry));
+    }
+
+    async get(id) {
+        if (this._memory) return this._memory.get(id) || null;
+        return (await this._run('readonly', store => store.get(id))) || null;
+    }
+
+    async getAll() {
+        if (this._memory) return Array.from(this._memory.values());
+        return (await this._run('readonly', store => store.getAll())) || [];
+    }
+
+    async delete(id) {
+        if (this._memory) {
+            this._memory.delete(id);
+            return;
+        }
+        await this._run('readwrite', store => store.delete(id));
+    }
+}
+
+/**
+ * Errors that mean "try again later" rather than "this save is wrong"
+ * @private
+ */
+function _isRetryableError(error) {
+    if (networkState.isOffline) return true;
+    const status = error?.status ?? error?.result?.error?.code;
+    if (status === 0 || status === 401 || status === 403 || status === 429 || status >= 500) return true;
+    return /network|failed to fetch|timed? ?out/i.test(error?.message || '');
+}
+
+export class OfflineQueue {
+    static _store = new _QueueStore();
+    static _handlers = {};
+    static _listeners = [];
+    static _replaying = null;
+
+    /**
+     * Register how a queued method is replayed
+     * @param {string} method - Requests method name
+     * @param {Object} handler
+     * @param {Function} handler.target - (args) => string naming what the save writes
+     * @param {Function} handler.replay - async (args, user, entry) => result of the real save
+     */
+    static register(method, { target, replay }) {
+        OfflineQueue._handlers[method] = { target, replay };
+    }
+
+    /**
+     * Subscribe to queue changes (enqueue, replay progress, discard)
+     * @param {Function} callback - () => void
+     */
+    static on(callback) {
+        OfflineQueue._listeners.push(callback);
+    }
+
+    static off(callback) {
+        const idx = OfflineQueue._listeners.indexOf(callback);
+        if (idx !== -1) OfflineQueue._listeners.splice(idx, 1);
+    }
+
+    static _emit() {
+        OfflineQueue._listeners.forEach(callback => {
+            try {
+                callback();
+            } catch (err) {
+                console.warn('[OfflineQueue] Listener failed:', err);
+            }
+        });
+    }
+
+    /**
+     * Whether a save should be queued instead of written now.
+     * Saves inside a transaction are never queued: the transaction can't outlive the page.
+     * @param {Object} [options] - The save's options
+     * @returns {boolean}
+     */
+    static shouldQueue(options = {}) {
+        return networkState.isOffline && !options?.transaction;
+    }
+
+    /**
+     * Queue a save for replay
+     * @param {string} method - Requests method name (must be registered)
+     * @param {Array} args - Arguments for the replay; copied as plain data
+     * @param {Object} [options]
+     * @param {string} [options.user] - User the save is attributed to on replay
+     * @param {Object} [options.meta] - Extra data the replay needs (e.g. the data the edit started from)
+     * @returns {Promise<{queued: true, id: number}>}
+     */
+    static async enqueue(method, args, { user = null, meta = null } = {}) {
+        const handler = OfflineQueue._handlers[method];
+        if (!handler) {
+            throw new Error(`[OfflineQueue.enqueue] UNKNOWN_METHOD: ${method} is not registered for offline replay`);
+        }
+        // Plain copies: reactive proxies can't be stored in IndexedDB
+        const plainArgs = JSON.parse(JSON.stringify(args));
+        const id = await OfflineQueue._store.add({
+            method,
+            args: plainArgs,
+            user,
+            target: handler.target(plainArgs),
+            queuedAt: new Date().toISOString(),
+            status: 'pending',
+            error: null,
+            conflictReport: null,
+            meta: meta ? JSON.parse(JSON.stringify(meta)) : null
+        });
+        OfflineQueue._emit();
+        return { queued: true, id };
+    }
+
+    /**
+     * All queued entries, oldest first
+     * @returns {Promise<Array<Object>>}
+     */
+    static async list() {
+        const entries = await OfflineQueue._store.getAll();
+        return entries.sort((a, b) => a.id - b.id);
+    }
+
+    /**
+     * Drop a queued entry without writing it
+     * @param {number} id
+     */
+    static async discard(id) {
+        await OfflineQueue._store.delete(id);
+        OfflineQueue._emit();
+    }
+
+    /**
+     * Put a conflicted or failed entry back in line, optionally with resolved arguments, and replay
+     * @param {number} id
+     * @param {Object} [changes]
+     * @param {Array} [changes.args] - Replacement arguments (e.g. merged data with knownVersion set)
+     * @param {Object} [changes.meta] - Replacement meta
+     * @returns {Promise<Object>} Replay summary (see replay)
+     */
+    static async retry(id, { args = undefined, meta = undefined } = {}) {
+        const entry = await OfflineQueue._store.get(id);
+        if (!entry) {
+            throw new Error(`[OfflineQueue.retry] NOT_FOUND: No queued entry ${id}`);
+        }
+        await OfflineQueue._store.put({
+            ...entry,
+            args: args !== undefined ? JSON.parse(JSON.stringify(args)) : entry.args,
+            meta: meta !== undefined ? JSON.parse(JSON.stringify(meta)) : entry.meta,
+            status: 'pending',
+            error: null,
+            conflictReport: null
+        });
+        OfflineQueue._emit();
+        return await OfflineQueue.replay();
+    }
+
+    /**
+     * Replay pending entries in order. Concurrent calls share one run.
+     * @returns {Promise<{synced: number, conflicts: number, failed: number, remaining: number}>}
+     */
+    static replay() {
+        if (!OfflineQueue._replaying) {
+            OfflineQueue._replaying = OfflineQueue._replayPending().finally(() => {
+                OfflineQueue._replaying = null;
+                OfflineQueue._emit();
+            });
+        }
+        return OfflineQueue._replaying;
+    }
+
+    static async _replayPending() {
+        const summary = { synced: 0, conflicts: 0, failed: 0, remaining: 0 };
+        const entries = await OfflineQueue.list();
+        if (entries.length === 0 || networkState.isOffline) {
+            summary.remaining = entries.length;
+            return summary;
+        }
+
+        const heldTargets = new Set(entries.filter(entry => entry.status !== 'pending').map(entry => entry.target));
+        let stopped = false;
+        for (const entry of entries) {
+            if (stopped || entry.status !== 'pending' || heldTargets.has(entry.target)) {
+                summary.remaining++;
+                continue;
+            }
+            const handler = OfflineQueue._handlers[entry.method];
+            if (!handler) {
+                // Registered by api.js on import; missing only if replay starts before it loads
+                summary.remaining++;
+                continue;
+            }
+            try {
+                const result = await handler.replay(entry.args, entry.user, entry);
+                if (result && result.conflict) {
+                    await OfflineQueue._store.put({ ...entry, status: 'conflict', conflictReport: result });
+                    heldTargets.add(entry.target);
+                    summary.conflicts++;
+                } else {
+                    await OfflineQueue._store.delete(entry.id);
+                    summary.synced++;
+                }
+            } catch (error) {
+                if (_isRetryableError(error)) {
+                    console.warn(`[OfflineQueue] Replay of ${entry.method} interrupted, will retry:`, error);
+                    stopped = true;
+                    summary.remaining++;
+                    continue;
+                }
+                console.error(`[OfflineQueue] Replay of ${entry.method} failed:`, error);
+                await OfflineQueue._store.put({ ...entry, status: 'failed', error: error?.message || String(error) });
+                heldTargets.add(entry.target);
+                summary.failed++;
+            }
+            OfflineQueue._emit();
+        }
+        summary.remaining += summary.conflicts + summary.failed;
+        return summary;
+    }
+}
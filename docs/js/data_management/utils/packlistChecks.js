@@ -0,0 +1,150 @@
+/**
+ * Warehouse checks on pack list lines.
+ *
+ * Crew mark each item line packed, loaded onto the truck and returned after the show. Each
+ * mark is kept in the line's MetaData as check.<stage> = { u: user, t: deciseconds }; a return
+ * may carry how many came back (qty), and damage how many came back damaged and why.
+ * The template's Check column shows the latest mark so it reads in the sheet and in print.
+ *
+ * Once a return has been reconciled into inventory, check.reconciled keeps the line from
+ * being counted again.
+ */
+
+export const CHECK_STAGES = ['packed', 'loaded', 'returned'];
+
+const STAGE_LABELS = { packed: 'Packed', loaded: 'Loaded', returned: 'Returned' };
+
+function _parseMetaData(value) {
+    if (!value) return {};
+    if (typeof value === 'object') return { ...value };
+    try {
+        const parsed = JSON.parse(value);
+        return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch (error) {
+        return {};
+    }
+}
+
+function _isBlank(value) {
+    return value === undefined || value === null || String(value).trim() === '';
+}
+
+/**
+ * Checks recorded on a pack list line
+ * @param {Object} item - Item row ({ MetaData })
+ * @returns {Object} { packed?, loaded?, returned?, damaged?, reconciled? }, each { u, t, ... }
+ */
+export function getItemCheck(item) {
+    const check = _parseMetaData(item?.MetaData).check;
+    return check && typeof check === 'object' ? check : {};
+}
+
+/**
+ * Text for the Check column, e.g. "Returned 3 · 1 damaged"
+ * @param {Object} check - Result of getItemCheck
+ * @returns {string} Empty when nothing is checked
+ */
+export function formatCheckCell(check) {
+    const stage = [...CHECK_STAGES].reverse().find(name => check?.[name]);
+    if (!stage && !check?.damaged) return '';
+    const parts = [];
+    if (stage) {
+        const qty = stage === 'returned' && check.returned.qty !== undefined ? ` ${check.returned.qty}` : '';
+        parts.push(`${STAGE_LABELS[stage]}${qty}`);
+    }
+    if (check?.damaged) parts.push(`${check.damaged.qty} damaged`);
+    return parts.join(' · ');
+}
+
+function _writeCheck(item, check) {
+    const meta = _parseMetaData(item.MetaData);
+    if (Object.keys(check).length > 0) {
+        meta.check = check;
+    } else {
+        delete meta.check;
+    }
+    item.MetaData = Object.keys(meta).length > 0 ? JSON.stringify(meta) : '';
+    item.Check = formatCheckCell(check);
+}
+
+/**
+ * Record a check on a pack list line (updates its MetaData and Check cell in place)
+ * @param {Object} item - Item row
+ * @param {string} stage - One of CHECK_STAGES, 'damaged' or 'reconciled'
+ * @param {string} [username]
+ * @param {Object} [details] - Extra fields, e.g. { qty } for returned/damaged, { note } for damaged
+ * @returns {Object} The item's checks
+ */
+export function setItemCheck(item, stage, username = null, details = {}) {
+    const check = getItemCheck(item);
+    check[stage] = {
+        u: username ? username.split('@')[0] : 'unknown',
+        t: Math.floor(Date.now() / 100),
+        ...details
+    };
+    _writeCheck(item, check);
+    return check;
+}
+
+/**
+ * Remove a check from a pack list line
+ * @param {Object} item - Item row
+ * @param {string} stage
+ * @returns {Object} The item's remaining checks
+ */
+export function clearItemCheck(item, stage) {
+    const check = getItemCheck(item);
+    delete check[stage];
+    _writeCheck(item, check);
+    return check;
+}
+
+/**
+ * Item lines in a crate and how many of them have reached a stage
+ * @param {Object} crate - Crate from PackListUtils.getContent
+ * @param {string} stage - One of CHECK_STAGES
+ * @returns {{done: number, total: number}}
+ */
+export function getCrateCheckProgress(crate, stage) {
+    const lines = (crate?.Items || []).filter(item => !_isBlank(item.Description));
+    return {
+        done: lines.filter(item => getItemCheck(item)[stage]).length,
+        total: lines.length
+    };
+}
+
+/**
+ * Compare what went out with what came back
+ * @param {Array<{itemNumber: string, quantity: number, check: Object, crate: string}>} lines -
+ *   Pack list lines that name an inventory item
+ * @returns {Array<{itemNumber: string, quantity: number, returned: number, damaged: number,
+ *   missing: number, crates: Array<string>, unchecked: number}>} One entry per item, in pack list
+ *   order; unchecked counts lines not marked returned yet. Reconciled lines are left out.
+ */
+export function reconcileReturn(lines) {
+    const byItem = new Map();
+    (lines || []).forEach(line => {
+        const check = line.check || {};
+        if (!line.itemNumber || check.reconciled) return;
+        if (!byItem.has(line.itemNumber)) {
+            byItem.set(line.itemNumber, {
+                itemNumber: line.itemNumber, quantity: 0, returned: 0, damaged: 0, missing: 0, crates: [], unchecked: 0
+            });
+        }
+        const entry = byItem.get(line.itemNumber);
+        const quantity = Number(line.quantity) || 0;
+        entry.quantity += quantity;
+        if (check.returned) {
+            const qty = Number(check.returned.qty);
+            entry.returned += Number.isFinite(qty) && check.returned.qty !== '' ? Math.min(qty, quantity) : quantity;
+        } else {
+            entry.unchecked++;
+        }
+        if (check.damaged) entry.damaged += Number(check.damaged.qty) || 0;
+        if (line.crate && !entry.crates.includes(line.crate)) entry.crates.push(line.crate);
+    });
+    return [...byItem.values()].map(entry => ({
+        ...entry,
+        missing: Math.max(0, entry.quantity - entry.returned)
+    }));
+}
@@ -0,0 +1,242 @@
+/**
+ * Pack list comparison.
+ *
+ * revertPacklistTo rebuilds a pack list as it stood at a past time from its rows' EditHistory.
+ * Sheet saves record history by row position: each entry holds the values its save replaced in
+ * the row it notes (i), so undoing every later entry, newest first, gives back the rows that sat
+ * in each position then. Rows a save removed are archived with their history and sheet position
+ * (Database.getDeletedRows) and are put back there when that save is undone.
+ * Rows that grew the sheet are recorded as changed from blank; ones appended before that was
+ * recorded have nothing to undo and are kept as they are. Entries from before positions were
+ * noted apply to the row that carries them now.
+ *
+ * diffPacklistContents compares two pack lists by crate (matched on Piece #) and by item
+ * (matched on item number, or on the description text for rows without one).
+ */
+import { normalizeHeaderName } from './helpers.js';
+
+const META_KEYS = ['MetaData', 'EditHistory'];
+
+function _isBlank(value) {
+    return value === undefined || value === null || String(value).trim() === '';
+}
+
+function _parseHistory(edithistory) {
+    if (!edithistory) return [];
+    try {
+        const parsed = typeof edithistory === 'string' ? JSON.parse(edithistory) : edithistory;
+        return Array.isArray(parsed?.h) ? parsed.h : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+function _crateKeys(crates) {
+    const main = [];
+    const items = [];
+    crates.forEach(crate => {
+        Object.keys(crate).forEach(key => {
+            if (key !== 'Items' && !META_KEYS.includes(key) && !main.includes(key)) main.push(key);
+        });
+        (crate.Items || []).forEach(item => {
+            Object.keys(item).forEach(key => {
+                if (!META_KEYS.includes(key) && !items.includes(key)) items.push(key);
+            });
+        });
+    });
+    return { main, items };
+}
+
+/**
+ * Rebuild a pack list as it was at a past time
+ * @param {Array<Object>} crates - Current content from PackListUtils.getContent
+ * @param {number} cutoff - Time in deciseconds (EditHistory units); history after it is undone
+ * @param {Array<Object>} [deletedRows] - Archive entries for the tab from Database.getDeletedRows
+ * @returns {Array<Object>} Crates in the same shape, without MetaData/EditHistory
+ */
+export function revertPacklistTo(crates, cutoff, deletedRows = []) {
+    const { main, items } = _crateKeys(crates || []);
+    const keys = [...main, ...items];
+    const blankRow = () => Object.fromEntries(keys.map(key => [key, '']));
+
+    // Flatten to sheet rows, undo later history by position, then regroup into crates
+    const rows = [];
+    (crates || []).forEach(crate => {
+        const crateRow = blankRow();
+        main.forEach(key => { crateRow[key] = crate[key] ?? ''; });
+        rows.push(crateRow);
+        (crate.Items || []).forEach(item => {
+            const itemRow = blankRow();
+            items.forEach(key => { itemRow[key] = item[key] ?? ''; });
+            rows.push(itemRow);
+        });
+    });
+
+    // Later entries with the position each applies to. A row keeps its history when it moves,
+    // so the same entry can turn up on a current row and in a removed row's history.
+    const later = [];
+    const seen = new Set();
+    const collect = (edithistory, position) => {
+        _parseHistory(edithistory).forEach(entry => {
+            if (!(Number(entry?.t) > cutoff)) return;
+            const key = JSON.stringify(entry);
+            if (seen.has(key)) return;
+            seen.add(key);
+            later.push({ t: Number(entry.t), at: Number.isInteger(entry.i) ? entry.i : position, changes: entry.c || [] });
+        });
+    };
+    let position = 0;
+    (crates || []).forEach(crate => {
+        collect(crate.EditHistory, position++);
+        (crate.Items || []).forEach(item => collect(item.EditHistory, position++));
+    });
+
+    // Rows removed after the cutoff go back where they sat before the save that removed them
+    (deletedRows || []).forEach(deleted => {
+        const t = Number(deleted?.Timestamp);
+        const sheetRow = String(deleted?.RowIdentifier ?? '').match(/^row_(\d+)$/);
+        if (!(t > cutoff) || !sheetRow) return;
+        let rowData;
+        try {
+            rowData = JSON.parse(deleted.RowData);
+        } catch (error) {
+            return;
+        }
+        const { edithistory, ...values } = rowData || {};
+        collect(edithistory, null);
+        later.push({ t, at: Number(sheetRow[1]) - 1, values });
+    });
+
+    later.sort((a, b) => b.t - a.t);
+    later.forEach(({ at, changes, values }) => {
+        if (at === null) return;
+        while (rows.length <= at) rows.push(blankRow());
+        if (values) {
+            rows[at] = blankRow();
+            Object.entries(values).forEach(([name, value]) => {
+                const column = normalizeHeaderName(name);
+                if (column in rows[at]) rows[at][column] = value ?? '';
+            });
+            return;
+        }
+        changes.forEach(change => {
+            // History names columns as the sheet header spells them (may contain line breaks)
+            const column = normalizeHeaderName(change.n);
+            if (column in rows[at]) rows[at][column] = change.o ?? '';
+        });
+    });
+
+    const reverted = [];
+    let currentCrate = null;
+    rows.forEach(values => {
+        if (main.some(key => !_isBlank(values[key]))) {
+            currentCrate = { Items: [] };
+            main.forEach(key => { currentCrate[key] = values[key]; });
+            reverted.push(currentCrate);
+        } else if (currentCrate && items.some(key => !_isBlank(values[key]))) {
+            const item = {};
+            items.forEach(key => { item[key] = values[key]; });
+            currentCrate.Items.push(item);
+        }
+    });
+    return reverted;
+}
+
+function _crateLabel(crate, index) {
+    return String(crate['Piece #'] ?? '').trim() || `#${index + 1}`;
+}
+
+function _itemText(item) {
+    return String(item.Description ?? '').trim();
+}
+
+/**
+ * Group the items of a pack list by identity
+ * @returns {Map<string, {itemNumber: string|null, description: string, quantity: number, crates: Map<string, number>}>}
+ */
+function _collectItems(crates, parseItem) {
+    const collected = new Map();
+    crates.forEach((crate, crateIndex) => {
+        const crateLabel = _crateLabel(crate, crateIndex);
+        (crate.Items || []).forEach(item => {
+            const text = _itemText(item);
+            if (!text) return;
+            const parsed = parseItem(text) || {};
+            const key = parsed.itemNumber || text.toLowerCase().replace(/^\(\d+\)\s*/, '').replace(/\s+/g, ' ');
+            const quantity = parsed.itemNumber ? (parsed.quantity || 1) : 1;
+            if (!collected.has(key)) {
+                collected.set(key, { itemNumber: parsed.itemNumber || null, description: text, quantity: 0, crates: new Map() });
+            }
+            const entry = collected.get(key);
+            entry.quantity += quantity;
+            entry.crates.set(crateLabel, (entry.crates.get(crateLabel) || 0) + quantity);
+        });
+    });
+    return collected;
+}
+
+function _sameCrates(a, b) {
+    return a.size === b.size && [...a.keys()].every(label => b.has(label));
+}
+
+/**
+ * Compare two pack lists
+ * @param {Array<Object>} fromCrates - Earlier (or other show's) pack list content
+ * @param {Array<Object>} toCrates - Pack list content to compare with it
+ * @param {Function} [parseItem] - (description) => { itemNumber, quantity }, e.g. from extractItemFromText
+ * @returns {{crates: Array<Object>, items: Array<Object>}}
+ *   crates: { piece, status: 'added'|'removed'|'changed', changes: [{column, from, to}] }
+ *   items: { itemNumber, description, status: 'added'|'removed'|'changed', fromQuantity, toQuantity,
+ *     fromCrates, toCrates, quantityChanged, moved }; crates are the Piece # labels holding the item
+ */
+export function diffPacklistContents(fromCrates, toCrates, parseItem = () => null) {
+    fromCrates = fromCrates || [];
+    toCrates = toCrates || [];
+    const { main } = _crateKeys([...fromCrates, ...toCrates]);
+    const crateColumns = main.filter(key => key !== 'Piece #');
+
+    const crates = [];
+    const fromByLabel = new Map(fromCrates.map((crate, index) => [_crateLabel(crate, index), crate]));
+    const toByLabel = new Map(toCrates.map((crate, index) => [_crateLabel(crate, index), crate]));
+    fromByLabel.forEach((crate, piece) => {
+        if (!toByLabel.has(piece)) crates.push({ piece, status: 'removed', changes: [] });
+    });
+    toByLabel.forEach((crate, piece) => {
+        const before = fromByLabel.get(piece);
+        if (!before) {
+            crates.push({ piece, status: 'added', changes: [] });
+            return;
+        }
+        const changes = crateColumns
+            .filter(column => String(before[column] ?? '').trim() !== String(crate[column] ?? '').trim())
+            .map(column => ({ column, from: before[column] ?? '', to: crate[column] ?? '' }));
+        if (changes.length > 0) crates.push({ piece, status: 'changed', changes });
+    });
+
+    const items = [];
+    const fromItems = _collectItems(fromCrates, parseItem);
+    const toItems = _collectItems(toCrates, parseItem);
+    const describe = (from, to) => ({
+        itemNumber: (to || from).itemNumber,
+        description: (to || from).description,
+        fromQuantity: from ? from.quantity : 0,
+        toQuantity: to ? to.quantity : 0,
+        fromCrates: from ? [...from.crates.keys()] : [],
+        toCrates: to ? [...to.crates.keys()] : []
+    });
+    fromItems.forEach((from, key) => {
+        if (!toItems.has(key)) items.push({ ...describe(from, null), status: 'removed', quantityChanged: true, moved: false });
+    });
+    toItems.forEach((to, key) => {
+        const from = fromItems.get(key);
+        if (!from) {
+            items.push({ ...describe(null, to), status: 'added', quantityChanged: true, moved: false });
+            return;
+        }
+        const quantityChanged = from.quantity !== to.quantity;
+        const moved = !_sameCrates(from.crates, to.crates);
+        if (quantityChanged || moved) items.push({ ...describe(from, to), status: 'changed', quantityChanged, moved });
+    });
+
+    return { crates, items };
+}
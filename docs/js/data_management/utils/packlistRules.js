@@ -0,0 +1,153 @@
+/**
+ * Pack list generation rules.
+ *
+ * Rules live in the CACHE/PacklistRules tab (see Requests.getPacklistRules) and are edited on the
+ * packlist/templates ("Automation") route. Each row is one rule:
+ *
+ *   Name       Label shown in the preview; generated rows are tagged with it (MetaData.rule)
+ *   Kind       'crate'  — append a crate at the end of the pack list (client items, tools and supplies, ...)
+ *              'follow' — insert rows right after every item matching Match (carpet → pad, monitor → cabling)
+ *   Match      Text matched against item descriptions: comma-separated words/phrases (case-insensitive)
+ *              or a /regular expression/. Required for 'follow'; for 'crate' it limits the rule to
+ *              pack lists containing a matching item (blank = every pack list)
+ *   CrateType  Type of the appended crate ('crate' rules only)
+ *   Items      Rows to add, one per line: "Description" or "Description | Packing/shop notes"
+ *   Enabled    FALSE turns a rule off (blank counts as enabled)
+ *
+ * planPacklistRules only describes what would be added; the table inserts the rows itself so the
+ * change goes through its normal undo-able edit path. Applying the rules again adds nothing new:
+ * a crate rule is skipped when a crate tagged with it exists, and a follow rule only adds the
+ * rows its matching item doesn't already have among the rule-tagged rows after it.
+ */
+
+export const PACKLIST_RULE_KINDS = ['crate', 'follow'];
+
+function _parseMetaData(row) {
+    if (!row?.MetaData) return {};
+    try {
+        return typeof row.MetaData === 'string' ? JSON.parse(row.MetaData) : row.MetaData;
+    } catch (e) {
+        return {};
+    }
+}
+
+function _isMarkedForDeletion(row) {
+    return _parseMetaData(row)?.deletion?.marked === true;
+}
+
+function _normalizeText(value) {
+    return String(value ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Build a predicate from a rule's Match text
+ * @param {string} match
+ * @returns {Function|null} (text) => boolean, or null when Match is blank
+ */
+function _createMatcher(match) {
+    const source = String(match ?? '').trim();
+    if (!source) return null;
+    const regexForm = source.match(/^\/(.+)\/([a-z]*)$/i);
+    if (regexForm) {
+        const pattern = new RegExp(regexForm[1], regexForm[2].includes('i') ? regexForm[2] : `${regexForm[2]}i`);
+        return (text) => pattern.test(String(text ?? ''));
+    }
+    const terms = source.split(',').map(_normalizeText).filter(Boolean);
+    return (text) => {
+        const normalized = _normalizeText(text);
+        return terms.some(term => normalized.includes(term));
+    };
+}
+
+/**
+ * Parse the rule rows stored in CACHE/PacklistRules
+ * @param {Array<Object>} rows - { Name, Kind, Match, CrateType, Items, Enabled }
+ * @returns {{rules: Array<Object>, errors: Array<string>}} Enabled, valid rules and a message per invalid row
+ */
+export function parsePacklistRules(rows) {
+    const rules = [];
+    const errors = [];
+    (rows || []).forEach((row, index) => {
+        if (!row || _isMarkedForDeletion(row)) return;
+        const name = String(row.Name ?? '').trim() || `Rule ${index + 1}`;
+        if (String(row.Enabled ?? '').trim().toUpperCase() === 'FALSE') return;
+
+        const kind = _normalizeText(row.Kind);
+        if (!PACKLIST_RULE_KINDS.includes(kind)) {
+            errors.push(`${name}: Kind must be ${PACKLIST_RULE_KINDS.join(' or ')}`);
+            return;
+        }
+        let matcher;
+        try {
+            matcher = _createMatcher(row.Match);
+        } catch (e) {
+            errors.push(`${name}: Match is not a valid regular expression`);
+            return;
+        }
+        if (kind === 'follow' && !matcher) {
+            errors.push(`${name}: follow rules need a Match`);
+            return;
+        }
+        const items = String(row.Items ?? '')
+            .split('\n')
+            .map(line => {
+                const [description, ...notes] = line.split('|');
+                return { description: description.trim(), notes: notes.join('|').trim() };
+            })
+            .filter(item => item.description);
+        if (items.length === 0) {
+            errors.push(`${name}: no Items to add`);
+            return;
+        }
+        rules.push({ name, kind, matcher, crateType: String(row.CrateType ?? '').trim(), items });
+    });
+    return { rules, errors };
+}
+
+/**
+ * Work out which crates and rows the rules would add to a pack list
+ * @param {Array<Object>} crates - Pack list data (crates with Items), as held by the table's store
+ * @param {Array<Object>} ruleRows - Rows from CACHE/PacklistRules
+ * @returns {{actions: Array<Object>, errors: Array<string>}} actions in application order:
+ *   { rule, kind: 'follow', crateIndex, itemIndex, anchor, items } — insert items after crates[crateIndex].Items[itemIndex]
+ *   { rule, kind: 'crate', crateType, items } — append a crate holding items
+ *   items are { description, notes }
+ */
+export function planPacklistRules(crates, ruleRows) {
+    const { rules, errors } = parsePacklistRules(ruleRows);
+    const actions = [];
+    const liveCrates = (crates || [])
+        .map((crate, crateIndex) => ({ crate, crateIndex }))
+        .filter(({ crate }) => crate && !_isMarkedForDeletion(crate));
+    // Rows a rule generated never trigger rules themselves
+    const sourceItems = liveCrates.flatMap(({ crate, crateIndex }) => (crate.Items || [])
+        .map((item, itemIndex) => ({ item, crateIndex, itemIndex }))
+        .filter(({ item }) => item && !_isMarkedForDeletion(item) && !_parseMetaData(item).rule));
+
+    rules.filter(rule => rule.kind === 'follow').forEach(rule => {
+        sourceItems.forEach(({ item, crateIndex, itemIndex }) => {
+            if (!rule.matcher(item.Description)) return;
+            // Rows this rule already added after the item. Each rule inserts right below the item,
+            // so rows of several rules are interleaved in the run of rule-tagged rows after it.
+            const crateItems = crates[crateIndex].Items;
+            const existing = new Set();
+            for (let i = itemIndex + 1; i < crateItems.length; i++) {
+                const tag = _parseMetaData(crateItems[i]).rule;
+                if (!tag) break;
+                if (tag === rule.name) existing.add(_normalizeText(crateItems[i].Description));
+            }
+            const items = rule.items.filter(entry => !existing.has(_normalizeText(entry.description)));
+            if (items.length > 0) {
+                actions.push({ rule: rule.name, kind: 'follow', crateIndex, itemIndex, anchor: item.Description, items });
+            }
+        });
+    });
+
+    rules.filter(rule => rule.kind === 'crate').forEach(rule => {
+        if (liveCrates.some(({ crate }) => _parseMetaData(crate).rule === rule.name)) return;
+        if (rule.matcher && !sourceItems.some(({ item }) => rule.matcher(item.Description))) return;
+        actions.push({ rule: rule.name, kind: 'crate', crateType: rule.crateType, items: rule.items });
+    });
+
+    return { actions, errors };
+}
@@ -0,0 +1,131 @@
+/**
+ * IndexedDB store behind CacheManager's optional persistence.
+ *
+ * Two object stores, both keyed by cache key:
+ *   entries       { key, value, filled, ttl, version }   cached values (structured-cloned)
+ *   dependencies  { key, deps: [cacheKey, ...] }         the dependency graph
+ *
+ * Bumping CACHE_SCHEMA_VERSION wipes every persisted record on the next open.
+ * CacheManager owns all policy (what to persist, when to flush, how to revalidate);
+ * this module only reads and writes records.
+ */
+
+const CACHE_SCHEMA_VERSION = 1;
+const ENTRY_STORE = 'entries';
+const DEPENDENCY_STORE = 'dependencies';
+
+function _promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function _promisifyTransaction(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
+
+export class PersistentCacheStore {
+    /**
+     * @param {string} name - Store name; separate names keep separate caches (e.g. one per backend)
+     */
+    constructor(name) {
+        this.dbName = `devmanage-cache-${name}`;
+        this._dbPromise = null;
+    }
+
+    /**
+     * Whether IndexedDB is available in this environment
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    }
+
+    /**
+     * Open (and create or upgrade) the database
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (!this._dbPromise) {
+            this._dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, CACHE_SCHEMA_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    // Records from an older schema are not migrated — drop them and refetch
+                    for (const storeName of Array.from(db.objectStoreNames)) {
+                        db.deleteObjectStore(storeName);
+                    }
+                    db.createObjectStore(ENTRY_STORE, { keyPath: 'key' });
+                    db.createObjectStore(DEPENDENCY_STORE, { keyPath: 'key' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error(`[PersistentCacheStore.open] BLOCKED: ${this.dbName} is open in another tab`));
+            });
+            this._dbPromise.catch(() => { this._dbPromise = null; });
+        }
+        return this._dbPromise;
+    }
+
+    /**
+     * Read every persisted entry and dependency record
+     * @returns {Promise<{entries: Array<Object>, dependencies: Array<Object>}>}
+     */
+    async loadAll() {
+        const db = await this.open();
+        const transaction = db.transaction([ENTRY_STORE, DEPENDENCY_STORE], 'readonly');
+        const [entries, dependencies] = await Promise.all([
+            _promisifyRequest(transaction.objectStore(ENTRY_STORE).getAll()),
+            _promisifyRequest(transaction.objectStore(DEPENDENCY_STORE).getAll())
+        ]);
+        return { entries: entries || [], dependencies: dependencies || [] };
+    }
+
+    /**
+     * Apply a batch of writes in one transaction.
+     * Entries whose values cannot be structured-cloned are skipped (and any older copy removed).
+     * @param {Object} batch
+     * @param {Array<Object>} [batch.entries] - Entry records to put
+     * @param {Array<string>} [batch.deleteEntries] - Entry keys to delete
+     * @param {Array<Object>} [batch.dependencies] - Dependency records to put
+     * @param {Array<string>} [batch.deleteDependencies] - Dependency keys to delete
+     * @returns {Promise<void>}
+     */
+    async write({ entries = [], deleteEntries = [], dependencies = [], deleteDependencies = [] }) {
+        const db = await this.open();
+        const transaction = db.transaction([ENTRY_STORE, DEPENDENCY_STORE], 'readwrite');
+        const entryStore = transaction.objectStore(ENTRY_STORE);
+        const dependencyStore = transaction.objectStore(DEPENDENCY_STORE);
+
+        deleteEntries.forEach(key => entryStore.delete(key));
+        entries.forEach(record => {
+            try {
+                entryStore.put(record);
+            } catch (error) {
+                // DataCloneError: value holds something IndexedDB cannot store
+                entryStore.delete(record.key);
+            }
+        });
+        deleteDependencies.forEach(key => dependencyStore.delete(key));
+        dependencies.forEach(record => dependencyStore.put(record));
+
+        await _promisifyTransaction(transaction);
+    }
+
+    /**
+     * Remove every persisted record
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        const db = await this.open();
+        const transaction = db.transaction([ENTRY_STORE, DEPENDENCY_STORE], 'readwrite');
+        transaction.objectStore(ENTRY_STORE).clear();
+        transaction.objectStore(DEPENDENCY_STORE).clear();
+        await _promisifyTransaction(transaction);
+    }
+}
@@ -0,0 +1,128 @@
+/**
+ * Purchase planning from inventory shortage windows.
+ *
+ * Each shortage window from Requests.getMultipleShowsItemsSummary (includeEmptyShows = false)
+ * says how far below zero an item runs between two dates. A buy list keeps, per item, the worst
+ * deficit across the windows, the first date it is short, and every show involved.
+ *
+ * Lead times come from the inventory INDEX MetaData, per prefix row or for the whole category:
+ *   {"leadTimeDays":"21","orderMultiple":"4"}
+ * leadTimeDays moves the order-by date back from the need date; orderMultiple rounds the
+ * suggested quantity up to whole packs or cases.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CSV_COLUMNS = [
+    { key: 'itemId', label: 'Item' },
+    { key: 'description', label: 'Description' },
+    { key: 'category', label: 'Category' },
+    { key: 'deficit', label: 'Worst Deficit' },
+    { key: 'suggestedQty', label: 'Suggested Qty' },
+    { key: 'neededBy', label: 'Needed By' },
+    { key: 'orderBy', label: 'Order By' },
+    { key: 'leadTimeDays', label: 'Lead Time (days)' },
+    { key: 'shows', label: 'Shows' }
+];
+
+function _positiveNumber(value) {
+    const number = Number(value);
+    return Number.isFinite(number) && number > 0 ? number : null;
+}
+
+function _addDays(isoDate, days) {
+    const [year, month, day] = isoDate.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Lead time settings for an item from the inventory INDEX. The item's own prefix row wins;
+ * otherwise the first row of the same category that sets a value.
+ * @param {string} itemId - e.g. 'CAB-004'
+ * @param {Array<{prefix: string, tab: string, metadata: Object}>} indexData - InventoryUtils.getInventoryIndex
+ * @returns {{category: string|null, leadTimeDays: number, orderMultiple: number}}
+ */
+export function getLeadTimeSettings(itemId, indexData) {
+    const prefix = String(itemId ?? '').split('-')[0];
+    const rows = Array.isArray(indexData) ? indexData : [];
+    const own = rows.find(row => row.prefix === prefix);
+    const category = own?.tab || null;
+    const sameCategory = category ? rows.filter(row => row.tab === category) : [];
+    const setting = (key) => {
+        const ownValue = _positiveNumber(own?.metadata?.[key]);
+        if (ownValue !== null) return ownValue;
+        const shared = sameCategory.find(row => _positiveNumber(row.metadata?.[key]) !== null);
+        return shared ? _positiveNumber(shared.metadata[key]) : null;
+    };
+    return {
+        category,
+        leadTimeDays: Math.round(setting('leadTimeDays') || 0),
+        orderMultiple: Math.round(setting('orderMultiple') || 1)
+    };
+}
+
+/**
+ * Turn shortage windows into a buy list
+ * @param {Array<{itemId: string, startDate: string|null, endDate: string|null, minQty: number|null, shows: Object}>} shortageRows
+ * @param {Array<Object>} indexData - InventoryUtils.getInventoryIndex
+ * @param {string} today - ISO date the order-by dates are checked against
+ * @returns {Array<{itemId: string, category: string|null, deficit: number, suggestedQty: number,
+ *   neededBy: string|null, orderBy: string|null, leadTimeDays: number, late: boolean,
+ *   windows: number, shows: Array<string>}>} One row per item that runs below zero, the most
+ *   urgent order first
+ */
+export function buildBuyList(shortageRows, indexData, today) {
+    const byItem = new Map();
+    (shortageRows || []).forEach(row => {
+        const minQty = Number(row?.minQty);
+        if (!row?.itemId || row.minQty === null || row.minQty === undefined || !Number.isFinite(minQty) || minQty >= 0) return;
+        if (!byItem.has(row.itemId)) {
+            byItem.set(row.itemId, { itemId: row.itemId, deficit: 0, neededBy: null, windows: 0, shows: [] });
+        }
+        const entry = byItem.get(row.itemId);
+        entry.deficit = Math.max(entry.deficit, -minQty);
+        entry.windows++;
+        if (row.startDate && (!entry.neededBy || row.startDate < entry.neededBy)) entry.neededBy = row.startDate;
+        Object.entries(row.shows || {}).forEach(([showId, quantity]) => {
+            if (quantity && !entry.shows.includes(showId)) entry.shows.push(showId);
+        });
+    });
+
+    return [...byItem.values()]
+        .map(entry => {
+            const { category, leadTimeDays, orderMultiple } = getLeadTimeSettings(entry.itemId, indexData);
+            const orderBy = entry.neededBy ? _addDays(entry.neededBy, -leadTimeDays) : null;
+            return {
+                ...entry,
+                category,
+                leadTimeDays,
+                suggestedQty: Math.ceil(entry.deficit / orderMultiple) * orderMultiple,
+                orderBy,
+                late: Boolean(orderBy && today && orderBy < today)
+            };
+        })
+        .sort((left, right) => {
+            if ((left.orderBy || '9999') !== (right.orderBy || '9999')) {
+                return (left.orderBy || '9999') < (right.orderBy || '9999') ? -1 : 1;
+            }
+            return left.itemId < right.itemId ? -1 : 1;
+        });
+}
+
+function _csvCell(value) {
+    const text = Array.isArray(value) ? value.join('; ') : String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV text for a buy list (with descriptions, if the caller has added them)
+ * @param {Array<Object>} rows - buildBuyList rows
+ * @returns {string}
+ */
+export function buyListToCsv(rows) {
+    const lines = [CSV_COLUMNS.map(column => _csvCell(column.label)).join(',')];
+    (rows || []).forEach(row => {
+        lines.push(CSV_COLUMNS.map(column => _csvCell(row[column.key])).join(','));
+    });
+    return lines.join('\r\n');
+}
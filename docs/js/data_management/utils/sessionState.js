@@ -0,0 +1,11 @@
+/**
+ * Plain mutable singleton for the signed-in user.
+ * Has zero imports so the data layer can read the current user without importing the
+ * application layer (which pulls in Vue and the UI), mirroring networkState.js.
+ *
+ * The application layer (auth.js) writes to this object on login/logout.
+ * The data layer (api.js) reads it to attribute edits; headless scripts set it directly.
+ */
+export const sessionState = {
+    userEmail: null
+};
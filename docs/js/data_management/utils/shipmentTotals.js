@@ -0,0 +1,109 @@
+/**
+ * Shipment totals for a pack list, from the crate L/W/H (inches) and Weight (lb) columns.
+ *
+ * Linear feet is the trailer floor length the crates need, assuming nothing is stacked and each
+ * crate is turned whichever way fits the most of it across a 92" wide trailer. It is meant for
+ * freight quotes, not as a load plan.
+ */
+
+// Usable inside width of a standard dry van
+const TRAILER_WIDTH = 92;
+const CUBIC_INCHES_PER_FOOT = 1728;
+
+function _toNumber(value) {
+    const number = parseFloat(String(value ?? '').replace(/[^0-9.\-]/g, ''));
+    return Number.isFinite(number) && number > 0 ? number : null;
+}
+
+function _round(value, places = 1) {
+    const factor = 10 ** places;
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Floor length in inches one crate takes, sharing the trailer width with crates like it
+ * @param {number} length
+ * @param {number} width
+ * @returns {number}
+ */
+function _floorInches(length, width) {
+    const long = Math.max(length, width);
+    const short = Math.min(length, width);
+    // Long side along the trailer: as many across as fit side by side
+    const options = [long / Math.max(1, Math.floor(TRAILER_WIDTH / short))];
+    // Long side across the trailer, if it fits
+    if (long <= TRAILER_WIDTH) {
+        options.push(short / Math.floor(TRAILER_WIDTH / long));
+    }
+    return Math.min(...options);
+}
+
+function _emptyTotals() {
+    return { crateCount: 0, totalWeight: 0, cubicFeet: 0, linearFeet: 0, missingDimensions: 0, missingWeight: 0 };
+}
+
+function _addCrate(totals, crate) {
+    const [length, width, height] = ['L', 'W', 'H'].map(key => _toNumber(crate[key]));
+    const weight = _toNumber(crate.Weight);
+    totals.crateCount++;
+    if (weight === null) {
+        totals.missingWeight++;
+    } else {
+        totals.totalWeight += weight;
+    }
+    if (length === null || width === null) {
+        totals.missingDimensions++;
+        return;
+    }
+    totals.linearFeet += _floorInches(length, width) / 12;
+    if (height === null) {
+        totals.missingDimensions++;
+    } else {
+        totals.cubicFeet += (length * width * height) / CUBIC_INCHES_PER_FOOT;
+    }
+}
+
+function _finish(totals) {
+    totals.totalWeight = _round(totals.totalWeight);
+    totals.cubicFeet = _round(totals.cubicFeet);
+    totals.linearFeet = _round(totals.linearFeet);
+    return totals;
+}
+
+/**
+ * Total the crates of a pack list
+ * @param {Array<Object>} crates - Crate rows from PackListUtils.getContent
+ * @returns {{crateCount: number, totalWeight: number, cubicFeet: number, linearFeet: number,
+ *   missingDimensions: number, missingWeight: number, byType: Array<Object>}}
+ *   byType holds the same totals per crate Type (blank types as 'Untyped'), most crates first.
+ *   missingDimensions/missingWeight count crates left out of the volume/floor or weight totals.
+ */
+export function computeShipmentTotals(crates) {
+    const totals = _emptyTotals();
+    const types = new Map();
+    (crates || []).forEach(crate => {
+        if (!crate) return;
+        const type = String(crate.Type ?? '').trim() || 'Untyped';
+        if (!types.has(type)) types.set(type, { type, ..._emptyTotals() });
+        _addCrate(totals, crate);
+        _addCrate(types.get(type), crate);
+    });
+    return {
+        ..._finish(totals),
+        byType: [...types.values()].map(_finish).sort((a, b) => b.crateCount - a.crateCount || a.type.localeCompare(b.type))
+    };
+}
+
+/**
+ * One-line description of shipment totals, e.g. "3 crates · 2,600 lb · 240 ft³ · 12.5 linear ft"
+ * @param {Object} totals - Result of computeShipmentTotals
+ * @returns {string} Empty when there are no crates
+ */
+export function formatShipmentTotals(totals) {
+    if (!totals || !totals.crateCount) return '';
+    const parts = [`${totals.crateCount} crate${totals.crateCount !== 1 ? 's' : ''}`];
+    if (totals.totalWeight > 0) parts.push(`${totals.totalWeight.toLocaleString('en-US')} lb`);
+    if (totals.cubicFeet > 0) parts.push(`${totals.cubicFeet.toLocaleString('en-US')} ft³`);
+    if (totals.linearFeet > 0) parts.push(`${totals.linearFeet} linear ft`);
+    return parts.join(' · ');
+}
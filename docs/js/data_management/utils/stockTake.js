@@ -0,0 +1,68 @@
+/**
+ * Stock-take (cycle count).
+ *
+ * A count sheet lists each item of the counted categories with the quantity expected on the
+ * shelf on the count date: the item's timeline (InventoryUtils.getItemTimeline) run up to the
+ * end of that day, so units out on shows are not expected back yet. Variance is counted minus
+ * expected; posting adds each variance to the item's current QTY.
+ *
+ * Items left blank on the sheet were not counted and are not posted.
+ */
+
+/**
+ * Quantity on hand at the end of a timeline
+ * @param {Array<{quantity: number|null}>} events - getItemTimeline result, oldest first
+ * @returns {number|null} null when the timeline is empty
+ */
+export function expectedFromTimeline(events) {
+    const quantities = (events || [])
+        .map(event => event.quantity)
+        .filter(quantity => quantity !== null && quantity !== undefined && !Number.isNaN(Number(quantity)));
+    return quantities.length > 0 ? Number(quantities[quantities.length - 1]) : null;
+}
+
+/**
+ * Read a counted quantity cell
+ * @param {*} value
+ * @returns {number|null} Whole units, or null when not counted
+ */
+export function parseCount(value) {
+    const text = String(value ?? '').trim();
+    if (text === '') return null;
+    const number = Number(text);
+    return Number.isInteger(number) && number >= 0 ? number : null;
+}
+
+/**
+ * Variances of the counted lines of a count sheet
+ * @param {Array<{itemNumber: string, expected: number|null, counted: *}>} lines
+ * @returns {Array<{itemNumber: string, expected: number, counted: number, variance: number}>}
+ *   One entry per counted line, including lines that match
+ */
+export function countVariances(lines) {
+    const result = [];
+    (lines || []).forEach(line => {
+        const counted = parseCount(line?.counted);
+        if (!line?.itemNumber || counted === null) return;
+        const expected = Number(line.expected) || 0;
+        result.push({ itemNumber: line.itemNumber, expected, counted, variance: counted - expected });
+    });
+    return result;
+}
+
+/**
+ * Progress and totals of a count
+ * @param {Array<Object>} lines - Count sheet lines (see countVariances)
+ * @returns {{lines: number, counted: number, matched: number, over: number, short: number, netVariance: number}}
+ */
+export function summarizeCount(lines) {
+    const variances = countVariances(lines);
+    return {
+        lines: (lines || []).filter(line => line?.itemNumber).length,
+        counted: variances.length,
+        matched: variances.filter(entry => entry.variance === 0).length,
+        over: variances.filter(entry => entry.variance > 0).length,
+        short: variances.filter(entry => entry.variance < 0).length,
+        netVariance: variances.reduce((sum, entry) => sum + entry.variance, 0)
+    };
+}
@@ -7,14 +7,21 @@ import { SheetSql } from './sheetSql.js';
 import { BaseTokenManager } from './GoogleSheetsAuth.js';
 import { normalizeHeaderName } from '../data_management/utils/helpers.js';
 
+// Simulated network latency; headless scripts turn it off with setSimulatedLatency(false)
+let simulateLatency = true;
+
+export function setSimulatedLatency(enabled) {
+    simulateLatency = !!enabled;
+}
+
 // Environment detection utility
 export function isLocalhost() {
     return (
         typeof window !== 'undefined' &&
         (
-            window.location.hostname === 'localhost' ||
-            window.location.hostname === '127.0.0.1' ||
-            window.location.protocol === 'file:'
+            window.location?.hostname === 'localhost' ||
+            window.location?.hostname === '127.0.0.1' ||
+            window.location?.protocol === 'file:'
         )
     );
 }
@@ -109,6 +116,7 @@ export class FakeGoogleSheetsAuth {
 
     // Utility method to simulate async delays
     static delay(ms) {
+        if (!simulateLatency) return Promise.resolve();
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 }
@@ -158,6 +166,28 @@ export class FakeGoogleSheetsService {
         }));
         return [headers, ...rows];
     }
+
+    /**
+     * Converts a 2D array to array of objects (first row = headers)
+     */
+    static sheetArrayToObjects(sheetArray) {
+        if (!sheetArray || sheetArray.length < 2) return [];
+        const headers = sheetArray[0];
+        return sheetArray.slice(1).map(row => {
+            const obj = {};
+            headers.forEach((h, i) => obj[h] = row[i] ?? '');
+            return obj;
+        });
+    }
+
+    /**
+     * Converts array of objects to 2D array (first row = headers)
+     */
+    static objectsToSheetArray(data) {
+        if (!Array.isArray(data) || data.length === 0) return [[]];
+        const headers = Array.from(new Set(data.flatMap(obj => Object.keys(obj))));
+        return [headers].concat(data.map(obj => headers.map(h => obj[h] ?? '')));
+    }
     static ENDPOINT_IDS = {
         'INVENTORY': 'fake_inventory_sheet_id',
         'PACK_LISTS': 'fake_pack_lists_sheet_id',
@@ -198,11 +228,26 @@ export class FakeGoogleSheetsService {
                 ['TTOP-001', '', '15', '', '', '', '30" white cocktail table tops-round', ''],
                 ['TBASE-001', '', '8', '', '', '', 'cocktail table bases', '']
             ],
-            'CABINETS': [['ITEM#', 'THUMBNAIL', 'QTY', 'EditHistory', 'MetaData', 'NOTES', 'Description', 'Packing/shop notes'],['CAB-004', '', '10', '', '', '', 'Curved-bottom white demo counter with 30" wide top and LED lighting. (4) standoffs on front and top. Test LED lights', '']],
+            'CABINETS': [['ITEM#', 'THUMBNAIL', 'QTY', 'EditHistory', 'MetaData', 'NOTES', 'Description', 'Packing/shop notes', 'UNIT COST', 'PURCHASE DATE', 'USEFUL LIFE'],['CAB-004', '', '10', '', '', '', 'Curved-bottom white demo counter with 30" wide top and LED lighting. (4) standoffs on front and top. Test LED lights', '', '1850', '3/15/2022', '7']],
             'HANGING SIGNS': [['ITEM#', 'THUMBNAIL', 'QTY', 'EditHistory', 'MetaData', 'Description', 'Packing/shop notes'],['HS-001', '', '0', '', '', 'This is a sign', '']],
             'CEILING TILES': [['ITEM#', 'THUMBNAIL', 'QTY', 'EditHistory', 'MetaData', 'NOTES', 'Description', 'Packing/shop notes'],['C1', '', '0', '', '', '', 'Blah blah blah', '']],
             'CEILING TRIM': [['ITEM#', 'THUMBNAIL', 'QTY', 'EditHistory', 'MetaData', 'NOTES', 'Description', 'Packing/shop notes'],['S1', '', '0', '', '', '', 'Blah blah blah', '']],
-            'LIGHTBOXES': [['ITEM#', 'THUMBNAIL', 'QTY', 'EditHistory', 'MetaData', 'NOTES', 'Description', 'Packing/shop notes'],['LB-001', '', '0', '', '', '', 'Blah blah blah', '']],
+            'LIGHTBOXES': [['ITEM#', 'THUMBNAIL', 'QTY', 'EditHistory', 'MetaData', 'NOTES', 'Description', 'Packing/shop notes'],['LB-001', '', '0', '', '', '', 'Blah blah blah', ''],['LB-002', '', '6', '', '', '', 'Lightbox fabric graphic', ''],['LB-003', '', '8', '', '', '', 'Lightbox power supply', ''],['LB-010', '', '0', '', '', '', 'Lightbox refresh kit: graphic and two power supplies', '']],
+            // Unit registry for serialized lightboxes (hidden tab beside LIGHTBOXES)
+            '_UNITS_LIGHTBOXES': [
+                ['ITEM#', 'UNIT', 'SERIAL#', 'VARIANT', 'CONDITION', 'NOTES', 'EditHistory'],
+                ['LB-001', '1', 'LBX-20417', 'A', 'Good', 'Driver replaced 2025', ''],
+                ['LB-001', '2', 'LBX-20418', 'B', 'Good', '', ''],
+                ['LB-001', '3', 'LBX-20533', 'A', 'Good', 'Controller password: 4410', ''],
+                ['LB-001', '4', 'LBX-20534', 'B', 'Good', '', ''],
+                ['LB-001', '5', 'LBX-19870', 'A', 'In repair', 'Flickering LED strip', '']
+            ],
+            // Kit definitions for lightboxes (hidden tab beside LIGHTBOXES)
+            '_KITS_LIGHTBOXES': [
+                ['KIT', 'ITEM#', 'QTY', 'NOTES', 'EditHistory'],
+                ['LB-010', 'LB-002', '1', '', ''],
+                ['LB-010', 'LB-003', '2', '', '']
+            ],
             'COUNTERTOPS': [['ITEM#', 'THUMBNAIL', 'QTY', 'EditHistory', 'MetaData', 'NOTES', 'Description', 'Packing/shop notes'],['CNTR-001', '', '0', '', '', '', 'Blah blah blah', '']],
             'SHELVES': [['ITEM#', 'THUMBNAIL', 'QTY', 'EditHistory', 'MetaData', 'NOTES', 'Description', 'Packing/shop notes'],['SHLF-001', '', '0', '', '', '', 'Blah blah blah', '']],
             // New inventory tabs for enhanced item types
@@ -265,6 +310,28 @@ export class FakeGoogleSheetsService {
                 ['Piece #', 'Type', 'L', 'W', 'H', 'Weight', 'Pack', 'Check', 'Description', 'Packing/shop notes', 'EditHistory', 'MetaData'],
                 ['1', '', '', '', '', '', '', '', '', '', '', '']
             ],
+            '_TEMPLATE_10x10 Inline': [
+                ['Piece #', 'Type', 'L', 'W', 'H', 'Weight', 'Pack', 'Check', 'Description', 'Packing/shop notes', 'EditHistory', 'MetaData'],
+                ['1', 'Crate', '72', '48', '48', '600', '', '', '', '', '', ''],
+                ['', '', '', '', '', '', '', '', '(1) CAB-004 Curved-bottom white demo counter', '', '', ''],
+                ['', '', '', '', '', '', '', '', '(2) STOOL-002 Square Stool, stacking bar-height (White Leather)', '', '', ''],
+                ['2', 'Tote', '', '', '', '', '', '', '', '', '', ''],
+                ['', '', '', '', '', '', '', '', '10x10 carpet', 'Confirm color with client', '', ''],
+                ['', '', '', '', '', '', '', '', 'Padding for 10x10', '', '', '']
+            ],
+            '_TEMPLATE_20x20 Island with Lightboxes': [
+                ['Piece #', 'Type', 'L', 'W', 'H', 'Weight', 'Pack', 'Check', 'Description', 'Packing/shop notes', 'EditHistory', 'MetaData'],
+                ['1', 'Skid', '120', '48', '48', '1200', '', '', '', '', '', ''],
+                ['', '', '', '', '', '', '', '', '(4) LB-001 Lightbox', 'Test lights before packing', '', ''],
+                ['2', 'Crate', '72', '48', '48', '800', '', '', '', '', '', ''],
+                ['', '', '', '', '', '', '', '', '(1) TABLE-001 Conference room table black 30 x 76 x 30', '', '', ''],
+                ['', '', '', '', '', '', '', '', '(8) CHAIR-001 Stack Chair ( Black & Black ) w/ Arms', '', '', ''],
+                ['', '', '', '', '', '', '', '', '(4) TTOP-001 30" white cocktail table tops-round', '', '', ''],
+                ['', '', '', '', '', '', '', '', '(4) TBASE-001 cocktail table bases', '', '', ''],
+                ['3', 'Skid', '120', '48', '48', '600', '', '', '', '', '', ''],
+                ['', '', '', '', '', '', '', '', '20x20 carpet', '', '', ''],
+                ['', '', '', '', '', '', '', '', 'Padding for 20x20', '', '', '']
+            ],
             'ATSC 2025 NAB': [
                 ['Piece #', 'Type', 'L', 'W', 'H', 'Weight', 'Pack', 'Check', 'Description', 'Packing/shop\nnotes', 'EditHistory', 'MetaData'],
                 ['1', 'Skid', '72', '32', '48', '800', '', '', '', '', '', ''],
@@ -597,6 +664,9 @@ export class FakeGoogleSheetsService {
             'Caching': [
                 ['Key', 'Timestamp']
             ],
+            'ChangeLog': [
+                ['Timestamp', 'Key', 'User', 'Session', 'Rows']
+            ],
             'Locks': [
                 ['Lock Key', 'locked.user@example.com', 'another.user@example.com'], // Row 0: Headers with users
                 ['PACK_LISTS:ATSC 2025 NAB', '2026-01-19T10:30:00.000Z', '0'], // Row 1+: Lock key rows with timestamps
@@ -605,15 +675,32 @@ export class FakeGoogleSheetsService {
             'Notes': [
                 ['Path', 'Note', 'Color', 'Size', 'EditHistory']
             ],
+            'PacklistRules': [
+                ['Name', 'Kind', 'Match', 'CrateType', 'Items', 'Enabled', 'EditHistory'],
+                ['Client Items', 'crate', '', 'Tote', 'Client Packages\nFront office items and other inbound client items', 'TRUE', ''],
+                ['Tools and Supplies', 'crate', '', 'Tote', 'Tool bag | Check batteries\nTape, zip ties, velcro\nCleaning supplies', 'TRUE', ''],
+                ['Tech Accessories', 'crate', 'monitor, tv', 'Tote', 'Power strips\nHDMI cables\nRemotes', 'TRUE', ''],
+                ['Carpet Pad', 'follow', 'carpet', '', 'Carpet padding', 'TRUE', ''],
+                ['Monitor Cabling', 'follow', 'monitor', '', 'Monitor power and HDMI cables', 'TRUE', '']
+            ],
+            'CrateTypes': [
+                ['Type', 'L', 'W', 'H', 'Weight', 'Items', 'Notes', 'EditHistory'],
+                ['Skid', '120', '48', '48', '600', '', 'Open skid, strap and shrink wrap', ''],
+                ['Crate', '72', '48', '48', '800', '', '', ''],
+                ['Coffin Crate', '120', '30', '24', '450', 'HS-001', 'Hanging sign frame and fabric', ''],
+                ['10\' Pile-in', '120', '48', '60', '700', '', 'Loose freight, padded', ''],
+                ['Counter Crate', '72', '48', '48', '800', 'CAB-004', 'Designated for demo counters', ''],
+                ['Tote', '24', '16', '14', '40', '', '', '']
+            ],
             'Links': [
                 ['Path', 'ShortCode', 'Created'],
                 ['schedule?{"dateFilters":[{"column":"Date","value":0,"type":"after"}]}', '1', '2026-01-19T10:30:00.000Z']
             ],
             'Inventory': [
                 ['PREFIX', 'INVENTORY', 'FOLDER', 'MetaData'],
-                ['CAB', 'CABINETS', '', ''],
+                ['CAB', 'CABINETS', '', '{"leadTimeDays":"21","trackCost":"true"}'],
                 ['HS', 'HANGING SIGNS', '', ''],
-                ['LB', 'LIGHTBOXES', '', ''],
+                ['LB', 'LIGHTBOXES', '', '{"serialized":"true","leadTimeDays":"30","orderMultiple":"2"}'],
                 ['CNTR', 'COUNTERTOPS', '', ''],
                 ['SHLF', 'SHELVES', '', ''],
                 ['STOOL', 'FURNITURE', '', '{"suppressAnalysis":"true"}'],
@@ -627,6 +714,12 @@ export class FakeGoogleSheetsService {
                 ['ADD', 'ADDITIONS', '', '{"suppressAnalysis":"true","descriptionOnly":"true"}'],
                 ['HARDWARE', 'HARDWARE', 'HARDWARE', '{"customItemNumbers":"true"}']
             ],
+            'Aliases': [
+                ['Alias', 'Target'],
+                ['SHELF', 'SHLF'],
+                ['COUNTER', 'CNTR'],
+                ['CABINET', 'CAB']
+            ],
             'Thumbnails': [
                 ['ItemNumber', 'File', 'Blob'],
                 ['BX', 'file_id_bx_prefix'],
@@ -913,7 +1006,9 @@ export class FakeGoogleSheetsService {
             { title: 'SHELVES', sheetId: 8 },
             { title: 'PANELS', sheetId: 9 },
             { title: 'HARDWARE', sheetId: 10 },
-            { title: 'ADDITIONS', sheetId: 11 }
+            { title: 'ADDITIONS', sheetId: 11 },
+            { title: '_UNITS_LIGHTBOXES', sheetId: 12 },
+            { title: '_KITS_LIGHTBOXES', sheetId: 13 }
         ],
         'PACK_LISTS': [
             { title: '_TEMPLATE', sheetId: 0 },
@@ -926,7 +1021,9 @@ export class FakeGoogleSheetsService {
             { title: 'TEST CLIENT 2025 HIMSS', sheetId: 7 },
             { title: 'AUSTAL 2026 SNA', sheetId: 8 },
             { title: 'GEARFIRE 2025 SHOT', sheetId: 9 },
-            { title: 'TEST 2025 ENHANCED', sheetId: 10 }
+            { title: 'TEST 2025 ENHANCED', sheetId: 10 },
+            { title: '_TEMPLATE_10x10 Inline', sheetId: 11 },
+            { title: '_TEMPLATE_20x20 Island with Lightboxes', sheetId: 12 }
         ],
         'PROD_SCHED': [
             { title: 'Production Schedule', sheetId: 0 }
@@ -939,7 +1036,11 @@ export class FakeGoogleSheetsService {
             { title: 'Clients', sheetId: 4 },
             { title: 'Shows', sheetId: 5 },
             { title: 'Thumbnails', sheetId: 6 },
-            { title: 'Inventory', sheetId: 7 }
+            { title: 'Inventory', sheetId: 7 },
+            { title: 'PacklistRules', sheetId: 8 },
+            { title: 'CrateTypes', sheetId: 9 },
+            { title: 'Caching', sheetId: 10 },
+            { title: 'ChangeLog', sheetId: 11 }
         ]
     };
 
@@ -1023,6 +1124,61 @@ export class FakeGoogleSheetsService {
         //console.log(`FakeGoogleSheetsService: Setting data for ${tableId}/${tabName}`);
         await this.delay(150);
 
+        return this._applySheetWrite(tableId, tabName, updates, removeRowsBelow);
+    }
+
+    /**
+     * Append a row below the last row of a tab (mirrors GoogleSheetsService.appendSheetRow)
+     * @returns {Promise<number>} 1-based row number the row was written to
+     */
+    static async appendSheetRow(tableId, tabName, values) {
+        await this.delay(500 + Math.random() * 500); // Add random delay > 1s
+        await FakeGoogleSheetsAuth.checkAuth();
+
+        const spreadsheetId = this.ENDPOINT_IDS[tableId];
+        if (!spreadsheetId) throw new Error(`[appendSheetRow] Spreadsheet ID not found for table: ${tableId}`);
+        const sheetData = this.mockData[tableId] && this.mockData[tableId][tabName];
+        if (!sheetData) throw new Error(`[appendSheetRow] Unable to parse range: ${tabName}!A1`);
+
+        // Like values.append, skip trailing empty rows
+        let lastRow = sheetData.length;
+        while (lastRow > 0 && !(sheetData[lastRow - 1] || []).some(value => value !== '' && value !== null && value !== undefined)) lastRow--;
+        sheetData.splice(lastRow, 0, JSON.parse(JSON.stringify(values)));
+        return lastRow + 1;
+    }
+
+    /**
+     * Write several ranges of one table at once (mirrors GoogleSheetsService.batchSetSheetData).
+     * All-or-nothing like values.batchUpdate: the table is restored if any write fails.
+     * @param {string} tableId
+     * @param {Array<{range: string, values: Array<Array>, truncate?: boolean}>} writes
+     * @returns {Promise<boolean>}
+     */
+    static async batchSetSheetData(tableId, writes) {
+        await this.delay(500 + Math.random() * 500);
+        await FakeGoogleSheetsAuth.checkAuth();
+
+        const spreadsheetId = this.ENDPOINT_IDS[tableId];
+        if (!spreadsheetId) throw new Error(`[batchSetSheetData] Spreadsheet ID not found for table: ${tableId}`);
+
+        const before = JSON.parse(JSON.stringify(this.mockData[tableId] || {}));
+        try {
+            for (const { range, values } of writes || []) {
+                // Whole-tab 2D writes replace the tab, which truncates rows below as truncate asks
+                this._applySheetWrite(tableId, range, values, null);
+            }
+            return true;
+        } catch (error) {
+            this.mockData[tableId] = before;
+            throw error;
+        }
+    }
+
+    /**
+     * Apply one setSheetData write to the mock data (no delay or auth check)
+     * @private
+     */
+    static _applySheetWrite(tableId, tabName, updates, removeRowsBelow) {
         try {
             // Handle range-specific updates (e.g., "Locks!B2" for single cell, "Caching!A2:B2" for row updates)
             // CRITICAL: Must support multi-column writes. writeCacheTimestamp uses A#:B# ranges to write
@@ -1082,9 +1238,9 @@ export class FakeGoogleSheetsService {
 
             // If updates is an array of JS objects and mapping is provided, convert to sheet format
             if (Array.isArray(updates) && updates.length > 0 && typeof updates[0] === 'object' && !Array.isArray(updates[0])) {
-                if (arguments.length >= 4 && typeof arguments[3] === 'object' && arguments[3] !== null) {
+                if (typeof removeRowsBelow === 'object' && removeRowsBelow !== null) {
                     // mapping is passed as 4th argument
-                    const mapping = arguments[3];
+                    const mapping = removeRowsBelow;
                     const sheetData = FakeGoogleSheetsService.reverseTransformSheetData(mapping, updates);
                     this.mockData[tableId][tabName] = sheetData;
                     return true;
@@ -1092,8 +1248,8 @@ export class FakeGoogleSheetsService {
             }
             
             // Handle empty array with mapping - create headers-only sheet
-            if (Array.isArray(updates) && updates.length === 0 && arguments.length >= 4 && typeof arguments[3] === 'object' && arguments[3] !== null) {
-                const mapping = arguments[3];
+            if (Array.isArray(updates) && updates.length === 0 && typeof removeRowsBelow === 'object' && removeRowsBelow !== null) {
+                const mapping = removeRowsBelow;
                 const headers = mapping._orderedHeaders || Object.values(mapping).filter(v => v !== mapping._orderedHeaders);
                 if (!this.mockData[tableId]) this.mockData[tableId] = {};
                 this.mockData[tableId][tabName] = [headers];
@@ -1298,25 +1454,8 @@ export class FakeGoogleSheetsService {
         await this.delay(100);
 
         try {
-            // Parse the query using SheetSql like the real implementation
-            const parsedQuery = SheetSql.parseQuery(query);
-            
-            if (!parsedQuery.from) {
-                throw new Error('Invalid query: FROM clause is required');
-            }
-            
-            // Get the data from the sheet
-            const data = await this.getSheetData(tableId, parsedQuery.from);
-            
-            if (!data || data.length === 0) {
-                return [];
-            }
-            
-            // Execute the query against the data using SheetSql
-            const results = SheetSql.executeQuery(parsedQuery, data);
-            
-            //console.log(`FakeGoogleSheetsService: Query returned ${results.length} results`);
-            return results;
+            // Parse and execute with the shared SheetSql engine, same as the real implementation
+            return await SheetSql.run(query, (tabName) => this.getSheetData(tableId, tabName));
         } catch (error) {
             console.error('FakeGoogleSheetsService: Error executing sheet query:', error);
             throw new Error(`Failed to execute query: ${error.message}`);
@@ -1325,21 +1464,43 @@ export class FakeGoogleSheetsService {
 
     // Utility method to simulate async delays
     static delay(ms) {
+        if (!simulateLatency) return Promise.resolve();
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
     // Method to reset mock data to original state (useful for testing)
     static resetMockData() {
         //console.log('FakeGoogleSheetsService: Resetting mock data to original state');
-        // This would restore the original mockData structure
-        // Implementation left as exercise since it depends on specific testing needs
+        const initial = JSON.parse(JSON.stringify(INITIAL_MOCK_STATE));
+        this.mockData = initial.mockData;
+        this.mockTabs = initial.mockTabs;
     }
 
-    // Method to add custom mock data for testing
+    // Method to add custom mock data for testing (new tabs are added to the tab list)
     static setMockData(tableId, sheetName, data) {
         //console.log(`FakeGoogleSheetsService: Setting custom mock data for ${tableId}/${sheetName}`);
         if (!this.mockData[tableId]) this.mockData[tableId] = {};
         this.mockData[tableId][sheetName] = JSON.parse(JSON.stringify(data));
+
+        if (!this.mockTabs[tableId]) this.mockTabs[tableId] = [];
+        const tabs = this.mockTabs[tableId];
+        if (!tabs.some(tab => tab.title === sheetName)) {
+            const sheetId = tabs.length ? Math.max(...tabs.map(tab => tab.sheetId)) + 1 : 0;
+            tabs.push({ title: sheetName, sheetId });
+        }
+    }
+
+    // Method to remove mock tabs for testing (all tabs of the table when sheetName is omitted)
+    static clearMockData(tableId, sheetName = null) {
+        if (sheetName === null) {
+            this.mockData[tableId] = {};
+            this.mockTabs[tableId] = [];
+            return;
+        }
+        if (this.mockData[tableId]) delete this.mockData[tableId][sheetName];
+        if (this.mockTabs[tableId]) {
+            this.mockTabs[tableId] = this.mockTabs[tableId].filter(tab => tab.title !== sheetName);
+        }
     }
 
     // Method to get current mock data (useful for debugging tests)
@@ -1461,5 +1622,11 @@ export class FakeGoogleSheetsService {
     }
 }
 
+// Pristine copy of the mock data for resetMockData()
+const INITIAL_MOCK_STATE = JSON.parse(JSON.stringify({
+    mockData: FakeGoogleSheetsService.mockData,
+    mockTabs: FakeGoogleSheetsService.mockTabs
+}));
+
 // Export both classes for easy swapping with real implementations
 export { FakeGoogleSheetsAuth as GoogleSheetsAuth, FakeGoogleSheetsService as GoogleSheetsService };
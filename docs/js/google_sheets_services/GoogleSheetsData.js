@@ -274,6 +274,117 @@ export class GoogleSheetsService {
         }
         return true;
     }
+    /**
+     * Write several ranges of one spreadsheet in a single values.batchUpdate call, which Google
+     * applies all-or-nothing. Writes flagged `truncate` replace a whole tab, so rows below the new
+     * data are deleted afterwards (as setSheetData does).
+     * @param {string} tableId
+     * @param {Array<{range: string, values: Array<Array>, truncate?: boolean}>} writes - Ranges in A1 notation ("Tab" or "Tab!A5:C5")
+     * @returns {Promise<boolean>}
+     */
+    static async batchSetSheetData(tableId, writes) {
+        await GoogleSheetsAuth.checkAuth();
+        const spreadsheetId = window.ENDPOINT_IDS[tableId];
+        if (!spreadsheetId) throw new Error(`[GoogleSheetsData.batchSetSheetData] SPREADSHEET_NOT_FOUND: Spreadsheet ID not found for table: ${tableId}`);
+        if (!Array.isArray(writes) || writes.length === 0) return true;
+
+        const sendBatch = () => GoogleSheetsService.withExponentialBackoff(() =>
+            gapi.client.sheets.spreadsheets.values.batchUpdate({
+                spreadsheetId,
+                resource: {
+                    valueInputOption: 'USER_ENTERED',
+                    data: writes.map(({ range, values }) => ({ range, values }))
+                }
+            })
+        );
+
+        try {
+            await sendBatch();
+        } catch (error) {
+            if (error.status === 400 && error.result?.error?.message?.includes('exceeds grid limits')) {
+                // Whole-tab writes need explicit sizes; A1 ranges are parsed by _ensureSheetSize
+                for (const { range, values } of writes) {
+                    if (range.includes('!')) {
+                        await this._ensureSheetSize(spreadsheetId, range, null, null);
+                    } else {
+                        const columnCount = Math.max(1, ...values.map(row => row.length));
+                        await this._ensureSheetSize(spreadsheetId, range, values.length, columnCount);
+                    }
+                }
+                await sendBatch();
+            } else {
+                throw error;
+            }
+        }
+
+        // Truncate rows below whole-tab writes
+        const truncated = writes.filter(write => write.truncate);
+        if (truncated.length > 0) {
+            const sheetInfo = await GoogleSheetsService.withExponentialBackoff(() =>
+                gapi.client.sheets.spreadsheets.get({
+                    spreadsheetId,
+                    ranges: truncated.map(write => write.range),
+                    includeGridData: false
+                })
+            );
+            const requests = [];
+            truncated.forEach(({ range, values }) => {
+                const sheet = sheetInfo.result.sheets.find(s => s.properties.title === range);
+                if (!sheet) return;
+                const sheetRowCount = sheet.properties.gridProperties.rowCount;
+                const newRowCount = Math.max(values.length, 1);
+                if (sheetRowCount > newRowCount) {
+                    requests.push({
+                        deleteDimension: {
+                            range: {
+                                sheetId: sheet.properties.sheetId,
+                                dimension: 'ROWS',
+                                startIndex: newRowCount,
+                                endIndex: sheetRowCount
+                            }
+                        }
+                    });
+                }
+            });
+            if (requests.length > 0) {
+                await GoogleSheetsService.withExponentialBackoff(() =>
+                    gapi.client.sheets.spreadsheets.batchUpdate({
+                        spreadsheetId,
+                        resource: { requests }
+                    })
+                );
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Append a row below the last row of a tab with values.append, so rows appended by several
+     * sessions at once each land on their own row.
+     * @param {string} tableId
+     * @param {string} tabName
+     * @param {Array} values - Row values in column order
+     * @returns {Promise<number|null>} 1-based row number the row was written to
+     */
+    static async appendSheetRow(tableId, tabName, values) {
+        await GoogleSheetsAuth.checkAuth();
+        const spreadsheetId = window.ENDPOINT_IDS[tableId];
+        if (!spreadsheetId) throw new Error(`[GoogleSheetsData.appendSheetRow] SPREADSHEET_NOT_FOUND: Spreadsheet ID not found for table: ${tableId}`);
+
+        const response = await GoogleSheetsService.withExponentialBackoff(() =>
+            gapi.client.sheets.spreadsheets.values.append({
+                spreadsheetId,
+                range: `${tabName}!A1`,
+                valueInputOption: 'USER_ENTERED',
+                insertDataOption: 'INSERT_ROWS',
+                resource: { values: [values] }
+            })
+        );
+        // e.g. "ChangeLog!A57:E57"
+        const match = String(response?.result?.updates?.updatedRange || '').match(/![A-Z]+(\d+)/);
+        return match ? Number(match[1]) : null;
+    }
+
     /**
      * Transform raw sheet data to JS objects using mapping
      */
@@ -554,20 +665,8 @@ export class GoogleSheetsService {
         await GoogleSheetsAuth.checkAuth();
         
         try {
-            // Parse the query
-            const parsedQuery = SheetSql.parseQuery(query);
-            
-            if (!parsedQuery.from) {
-                throw new Error('[GoogleSheetsData.querySheetData] VALIDATION_ERROR: Invalid query - FROM clause is required');
-            }
-            
-            // Get the data from the sheet
-            const data = await this.getSheetData(tableId, parsedQuery.from);
-            
-            // Execute the query against the data
-            const results = SheetSql.executeQuery(parsedQuery, data);
-            
-            return results;
+            // Parse and execute with the shared SheetSql engine (FakeGoogle uses the same path)
+            return await SheetSql.run(query, (tabName) => this.getSheetData(tableId, tabName));
         } catch (error) {
             console.error('Error executing sheet query:', error);
             throw new Error(`Failed to execute query: ${error.message}`);
@@ -0,0 +1,421 @@
+/**
+ * Local storage backend
+ * Runs the app fully offline without Google: sheet tabs and uploaded files are persisted in
+ * IndexedDB in the browser, or in a JSON file under Node (path from APP_CONFIG.LOCAL_FILE).
+ *
+ * Sheet semantics (ranges, cell updates, mappings, tab copies) are inherited from
+ * FakeGoogleSheetsService so the local and fake backends behave identically; this class drops the
+ * simulated latency, keeps its own data, persists every write and tracks hidden tabs and Drive files.
+ *
+ * An empty store is seeded from the FakeGoogle mock data unless APP_CONFIG.LOCAL_SEED is 'empty'.
+ */
+
+import { FakeGoogleSheetsService } from './FakeGoogle.js';
+
+const DB_NAME = 'devmanage-local-backend';
+const DEFAULT_FILE = 'devmanage-local-data.json';
+
+export class LocalSheetsAuth {
+    static isInitialized = false;
+    static isAuthenticatedState = false;
+    static userEmail = null;
+
+    static async initialize() {
+        this.isInitialized = true;
+        return true;
+    }
+
+    static async authenticate() {
+        await this.initialize();
+        this.isAuthenticatedState = true;
+        this.userEmail = globalThis.APP_CONFIG?.LOCAL_USER || 'local@localhost';
+        return true;
+    }
+
+    static async checkAuth() {
+        if (!this.isInitialized) {
+            await this.initialize();
+        }
+        return this.isAuthenticatedState;
+    }
+
+    static async silentRefresh() {
+        return this.isAuthenticatedState;
+    }
+
+    static getTokenSecondsRemaining() {
+        // Local sessions never expire
+        return this.isAuthenticatedState ? Infinity : 0;
+    }
+
+    static isAuthenticated() {
+        return this.isAuthenticatedState;
+    }
+
+    static async getUserEmail() {
+        return this.userEmail;
+    }
+
+    static async logout() {
+        this.userEmail = null;
+        this.isAuthenticatedState = false;
+    }
+
+    static getMissingScopes() {
+        return [];
+    }
+}
+
+export class LocalSheetsService extends FakeGoogleSheetsService {
+    static mockData = {};
+    static mockTabs = {};
+    static files = {};
+    static store = null;
+    static _readyPromise = null;
+    static _objectUrls = {};
+
+    /**
+     * Load persisted data once (seeding an empty store)
+     * @returns {Promise<void>}
+     */
+    static async ready() {
+        if (!this._readyPromise) {
+            this._readyPromise = this._load();
+        }
+        return this._readyPromise;
+    }
+
+    static async _load() {
+        this.store = this.store || await _createStore();
+        const snapshot = await this.store.load();
+
+        if (Object.keys(snapshot.data).length === 0 && globalThis.APP_CONFIG?.LOCAL_SEED !== 'empty') {
+            await this.importSnapshot({
+                data: FakeGoogleSheetsService.mockData,
+                tabs: FakeGoogleSheetsService.mockTabs
+            });
+            return;
+        }
+
+        this.mockData = snapshot.data;
+        this.mockTabs = snapshot.tabs;
+        this.files = snapshot.files;
+    }
+
+    /**
+     * Replace all local sheet data (e.g. with an export taken from the live spreadsheets)
+     * @param {{data: Object, tabs: Object}} snapshot - data[tableId][tabName] = 2D array; tabs[tableId] = [{title, sheetId}]
+     * @returns {Promise<void>}
+     */
+    static async importSnapshot(snapshot) {
+        this.store = this.store || await _createStore();
+        this.mockData = JSON.parse(JSON.stringify(snapshot.data || {}));
+        this.mockTabs = JSON.parse(JSON.stringify(snapshot.tabs || {}));
+
+        // Every stored tab must be listed so getSheetTabs reflects it
+        Object.entries(this.mockData).forEach(([tableId, tabs]) => {
+            Object.keys(tabs).forEach(tabName => this._ensureTabListed(tableId, tabName));
+        });
+
+        await this.store.clear('tabs');
+        for (const [tableId, tabs] of Object.entries(this.mockData)) {
+            for (const [tabName, data] of Object.entries(tabs)) {
+                await this.store.put('tabs', _tabKey(tableId, tabName), { tableId, tabName, data });
+            }
+        }
+        await this.store.clear('tabLists');
+        for (const [tableId, tabs] of Object.entries(this.mockTabs)) {
+            await this.store.put('tabLists', tableId, tabs);
+        }
+        this._readyPromise = Promise.resolve();
+    }
+
+    /**
+     * Export all local sheet data in the importSnapshot format
+     * @returns {Promise<{data: Object, tabs: Object}>}
+     */
+    static async exportSnapshot() {
+        await this.ready();
+        return JSON.parse(JSON.stringify({ data: this.mockData, tabs: this.mockTabs }));
+    }
+
+    static delay() {
+        return Promise.resolve();
+    }
+
+    static async withExponentialBackoff(fn) {
+        return await fn();
+    }
+
+    static async getSheetData(tableId, range) {
+        await this.ready();
+        return await super.getSheetData(tableId, range);
+    }
+
+    static async setSheetData(tableId, tabName, updates, mapping = null) {
+        await this.ready();
+        const result = await super.setSheetData(tableId, tabName, updates, mapping);
+        const sheetName = tabName.split('!')[0];
+        this._ensureTabListed(tableId, sheetName);
+        await this._persistTab(tableId, sheetName);
+        return result;
+    }
+
+    static async batchSetSheetData(tableId, writes) {
+        await this.ready();
+        const result = await super.batchSetSheetData(tableId, writes);
+        const sheetNames = new Set((writes || []).map(({ range }) => range.split('!')[0]));
+        for (const sheetName of sheetNames) {
+            this._ensureTabListed(tableId, sheetName);
+            await this._persistTab(tableId, sheetName);
+        }
+        return result;
+    }
+
+    static async appendSheetRow(tableId, tabName, values) {
+        await this.ready();
+        const rowNumber = await super.appendSheetRow(tableId, tabName, values);
+        await this._persistTab(tableId, tabName);
+        return rowNumber;
+    }
+
+    static async getSheetTabs(tableId) {
+        await this.ready();
+        const tabs = await super.getSheetTabs(tableId);
+        return tabs.map(({ title, sheetId }) => ({ title, sheetId }));
+    }
+
+    static async hideTabs(tableId, tabs) {
+        await this._setTabsHidden(tableId, tabs, true);
+    }
+
+    static async showTabs(tableId, tabs) {
+        await this._setTabsHidden(tableId, tabs, false);
+    }
+
+    static async copySheetTab(tableId, sourceTab, newTabName) {
+        await this.ready();
+        await super.copySheetTab(tableId, sourceTab, newTabName);
+        await this._persistTab(tableId, newTabName);
+    }
+
+    static async createBlankTab(tableId, newTabName) {
+        await this.ready();
+        await super.createBlankTab(tableId, newTabName);
+        await this._persistTab(tableId, newTabName);
+    }
+
+    /**
+     * Find a stored file by name within a folder
+     * @param {string} fileName - Name of the file to search for
+     * @param {string} folderId - ID of the folder to search in
+     * @returns {Promise<Object|string>} File object, or "" if not found (matches the Drive backend)
+     */
+    static async searchDriveFileInFolder(fileName, folderId) {
+        await this.ready();
+        const file = Object.values(this.files).find(f => f.name === fileName && f.folderId === folderId);
+        if (!file) return "";
+        return { id: file.id, name: file.name, webViewLink: null, thumbnailLink: null };
+    }
+
+    static async getDriveFileThumbnailLink(fileId) {
+        return await this.getAuthenticatedImageUrl(fileId);
+    }
+
+    static async getAuthenticatedImageUrl(fileId) {
+        await this.ready();
+        const file = this.files[fileId];
+        if (!file?.blob || typeof URL?.createObjectURL !== 'function') return null;
+        if (!this._objectUrls[fileId]) {
+            this._objectUrls[fileId] = URL.createObjectURL(file.blob);
+        }
+        return this._objectUrls[fileId];
+    }
+
+    static async uploadDriveFile(file, fileName, folderId) {
+        await this.ready();
+        const id = `local_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+        const record = { id, name: fileName, folderId, mimeType: file?.type || '', blob: file };
+        this.files[id] = record;
+        await this.store.put('files', id, record);
+        return { id, name: fileName };
+    }
+
+    static async deleteDriveFile(fileId) {
+        await this.ready();
+        if (!this.files[fileId]) return false;
+        delete this.files[fileId];
+        if (this._objectUrls[fileId]) {
+            URL.revokeObjectURL(this._objectUrls[fileId]);
+            delete this._objectUrls[fileId];
+        }
+        await this.store.remove('files', fileId);
+        return true;
+    }
+
+    static getDriveImageUrl(fileId) {
+        return this._objectUrls[fileId] || 'assets/placeholder.png';
+    }
+
+    static _ensureTabListed(tableId, tabName) {
+        if (!this.mockTabs[tableId]) this.mockTabs[tableId] = [];
+        const tabs = this.mockTabs[tableId];
+        if (tabs.some(tab => tab.title === tabName)) return false;
+        const sheetId = tabs.length ? Math.max(...tabs.map(tab => tab.sheetId)) + 1 : 0;
+        tabs.push({ title: tabName, sheetId });
+        return true;
+    }
+
+    static async _setTabsHidden(tableId, tabs, hidden) {
+        await this.ready();
+        const ids = new Set(tabs.map(tab => tab.sheetId));
+        (this.mockTabs[tableId] || []).forEach(tab => {
+            if (ids.has(tab.sheetId)) tab.hidden = hidden;
+        });
+        await this.store.put('tabLists', tableId, this.mockTabs[tableId] || []);
+    }
+
+    static async _persistTab(tableId, tabName) {
+        const data = this.mockData[tableId]?.[tabName];
+        if (data) {
+            await this.store.put('tabs', _tabKey(tableId, tabName), { tableId, tabName, data });
+        }
+        await this.store.put('tabLists', tableId, this.mockTabs[tableId] || []);
+    }
+}
+
+function _tabKey(tableId, tabName) {
+    return `${tableId}/${tabName}`;
+}
+
+/**
+ * Pick the persistence store for this environment.
+ * Stores expose load(), put(kind, key, value), remove(kind, key) and clear(kind),
+ * where kind is 'tabs', 'tabLists' or 'files'.
+ */
+async function _createStore() {
+    if (typeof indexedDB !== 'undefined') {
+        return _createIndexedDbStore();
+    }
+    if (typeof process !== 'undefined' && process.versions?.node) {
+        return _createJsonFileStore(globalThis.APP_CONFIG?.LOCAL_FILE || DEFAULT_FILE);
+    }
+    console.warn('[LocalSheets] No IndexedDB or filesystem available; data will not persist.');
+    return _createMemoryStore();
+}
+
+function _snapshotFromRecords(tabRecords, tabLists, files) {
+    const snapshot = { data: {}, tabs: {}, files: {} };
+    tabRecords.forEach(({ tableId, tabName, data }) => {
+        if (!snapshot.data[tableId]) snapshot.data[tableId] = {};
+        snapshot.data[tableId][tabName] = data;
+    });
+    Object.entries(tabLists).forEach(([tableId, tabs]) => {
+        snapshot.tabs[tableId] = tabs;
+    });
+    files.forEach(file => {
+        snapshot.files[file.id] = file;
+    });
+    return snapshot;
+}
+
+function _createMemoryStore() {
+    const kinds = { tabs: new Map(), tabLists: new Map(), files: new Map() };
+    return {
+        async load() {
+            return _snapshotFromRecords([...kinds.tabs.values()], Object.fromEntries(kinds.tabLists), [...kinds.files.values()]);
+        },
+        async put(kind, key, value) { kinds[kind].set(key, value); },
+        async remove(kind, key) { kinds[kind].delete(key); },
+        async clear(kind) { kinds[kind].clear(); }
+    };
+}
+
+async function _createIndexedDbStore() {
+    const db = await new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            ['tabs', 'tabLists', 'files'].forEach(kind => {
+                if (!request.result.objectStoreNames.contains(kind)) {
+                    request.result.createObjectStore(kind);
+                }
+            });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    const run = (kind, mode, action) => new Promise((resolve, reject) => {
+        const tx = db.transaction(kind, mode);
+        const request = action(tx.objectStore(kind));
+        tx.oncomplete = () => resolve(request?.result);
+        tx.onerror = () => reject(tx.error);
+    });
+
+    return {
+        async load() {
+            const [tabRecords, listKeys, lists, files] = await Promise.all([
+                run('tabs', 'readonly', store => store.getAll()),
+                run('tabLists', 'readonly', store => store.getAllKeys()),
+                run('tabLists', 'readonly', store => store.getAll()),
+                run('files', 'readonly', store => store.getAll())
+            ]);
+            const tabLists = {};
+            listKeys.forEach((key, i) => { tabLists[key] = lists[i]; });
+            return _snapshotFromRecords(tabRecords, tabLists, files);
+        },
+        put: (kind, key, value) => run(kind, 'readwrite', store => store.put(value, key)),
+        remove: (kind, key) => run(kind, 'readwrite', store => store.delete(key)),
+        clear: (kind) => run(kind, 'readwrite', store => store.clear())
+    };
+}
+
+async function _createJsonFileStore(filePath) {
+    const fs = await import('node:fs/promises');
+    let state = { tabs: {}, tabLists: {}, files: {} };
+    try {
+        state = { ...state, ...JSON.parse(await fs.readFile(filePath, 'utf8')) };
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+
+    // Writes are chained so the file is never written concurrently. A failed write is reported to
+    // its caller only; the chain carries on so later saves still reach the file.
+    let writeChain = Promise.resolve();
+    const save = () => {
+        const write = writeChain.catch(() => {}).then(() => fs.writeFile(filePath, JSON.stringify(state)));
+        writeChain = write;
+        return write;
+    };
+
+    return {
+        async load() {
+            // File contents are kept as base64 so the JSON stays portable
+            const files = Object.values(state.files).map(file => ({
+                ...file,
+                blob: file.base64 ? new Blob([Buffer.from(file.base64, 'base64')], { type: file.mimeType }) : null
+            }));
+            return _snapshotFromRecords(Object.values(state.tabs), state.tabLists, files);
+        },
+        async put(kind, key, value) {
+            if (kind === 'files') {
+                const { blob, ...rest } = value;
+                const base64 = blob ? Buffer.from(await blob.arrayBuffer()).toString('base64') : null;
+                value = { ...rest, base64 };
+            }
+            state[kind][key] = value;
+            await save();
+        },
+        async remove(kind, key) {
+            delete state[kind][key];
+            await save();
+        },
+        async clear(kind) {
+            state[kind] = {};
+            await save();
+        }
+    };
+}
+
+// Export both classes for easy swapping with real implementations
+export { LocalSheetsAuth as GoogleSheetsAuth, LocalSheetsService as GoogleSheetsService };
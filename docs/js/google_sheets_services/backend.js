@@ -0,0 +1,104 @@
+/**
+ * Storage Backend Selection
+ *
+ * Every storage backend exports a `GoogleSheetsAuth` / `GoogleSheetsService` pair of static classes
+ * with the same API (see BACKEND_CONTRACT). The data_management layer only talks to the pair
+ * exported from this module, so the backend can be chosen at runtime from config instead of by
+ * editing imports:
+ *
+ *   window.APP_CONFIG.BACKEND = 'google'  live Google Sheets + Drive (GoogleSheetsData.js)
+ *   window.APP_CONFIG.BACKEND = 'fake'    in-memory mock data (FakeGoogle.js)
+ *   window.APP_CONFIG.BACKEND = 'local'   IndexedDB in the browser, JSON file under Node (LocalSheets.js)
+ *
+ * When BACKEND is unset: 'fake' on localhost, 'local' when there is no window (Node), else 'google'.
+ */
+import { isLocalhost } from './FakeGoogle.js';
+
+/**
+ * Static methods every backend must provide
+ */
+export const BACKEND_CONTRACT = {
+    auth: [
+        'initialize', 'authenticate', 'checkAuth', 'silentRefresh', 'isAuthenticated',
+        'getTokenSecondsRemaining', 'getUserEmail', 'logout', 'getMissingScopes'
+    ],
+    service: [
+        'withExponentialBackoff',
+        // Sheets
+        'getSheetData', 'setSheetData', 'batchSetSheetData', 'appendSheetRow', 'getSheetTabs', 'hideTabs', 'showTabs',
+        'copySheetTab', 'createBlankTab', 'querySheetData',
+        'transformSheetData', 'reverseTransformSheetData', 'sheetArrayToObjects', 'objectsToSheetArray',
+        // Drive
+        'searchDriveFileInFolder', 'getDriveFileThumbnailLink', 'getAuthenticatedImageUrl',
+        'uploadDriveFile', 'deleteDriveFile', 'getDriveImageUrl'
+    ]
+};
+
+const BACKEND_LOADERS = {
+    google: async () => {
+        const { GoogleSheetsAuth } = await import('./GoogleSheetsAuth.js');
+        const { GoogleSheetsService } = await import('./GoogleSheetsData.js');
+        return { GoogleSheetsAuth, GoogleSheetsService };
+    },
+    fake: async () => {
+        const { GoogleSheetsAuth, GoogleSheetsService } = await import('./FakeGoogle.js');
+        return { GoogleSheetsAuth, GoogleSheetsService };
+    },
+    local: async () => {
+        const { GoogleSheetsAuth, GoogleSheetsService } = await import('./LocalSheets.js');
+        return { GoogleSheetsAuth, GoogleSheetsService };
+    }
+};
+
+/**
+ * Name of the backend selected by config (or the environment default)
+ * @returns {string} 'google' | 'fake' | 'local'
+ */
+export function getBackendName() {
+    const configured = String(globalThis.APP_CONFIG?.BACKEND || '').trim().toLowerCase();
+    if (configured) return configured;
+    if (typeof window === 'undefined') return 'local';
+    return isLocalhost() ? 'fake' : 'google';
+}
+
+/**
+ * Verify a backend implements the full contract
+ * @param {string} name - Backend name (for error messages)
+ * @param {{GoogleSheetsAuth: Function, GoogleSheetsService: Function}} backend
+ * @throws {Error} When any contract method is missing
+ */
+export function assertBackendContract(name, backend) {
+    const missing = [
+        ...BACKEND_CONTRACT.auth
+            .filter(method => typeof backend.GoogleSheetsAuth?.[method] !== 'function')
+            .map(method => `GoogleSheetsAuth.${method}`),
+        ...BACKEND_CONTRACT.service
+            .filter(method => typeof backend.GoogleSheetsService?.[method] !== 'function')
+            .map(method => `GoogleSheetsService.${method}`)
+    ];
+    if (missing.length > 0) {
+        throw new Error(`[backend] CONTRACT_ERROR: Backend "${name}" is missing ${missing.join(', ')}`);
+    }
+}
+
+/**
+ * Load and validate a backend by name
+ * @param {string} [name] - Backend name; defaults to getBackendName()
+ * @returns {Promise<{GoogleSheetsAuth: Function, GoogleSheetsService: Function}>}
+ */
+export async function loadBackend(name = getBackendName()) {
+    const loader = BACKEND_LOADERS[name];
+    if (!loader) {
+        throw new Error(`[backend] CONFIG_ERROR: Unknown backend "${name}" (expected ${Object.keys(BACKEND_LOADERS).join(', ')})`);
+    }
+    const backend = await loader();
+    assertBackendContract(name, backend);
+    return backend;
+}
+
+export const backendName = getBackendName();
+if (backendName !== 'google') {
+    console.warn(`Using "${backendName}" storage backend.`);
+}
+
+export const { GoogleSheetsAuth, GoogleSheetsService } = await loadBackend(backendName);
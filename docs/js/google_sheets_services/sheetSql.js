@@ -1,90 +1,111 @@
+import { normalizeHeaderName, parseDate } from '../data_management/utils/helpers.js';
+
 /**
- * Simple SQL-like query parser and executor for Google Sheets data
+ * SQL-like query parser and executor for Google Sheets data.
+ *
+ * Supported dialect:
+ *   SELECT * | col [AS alias], COUNT(*|col), SUM(col), MIN(col), MAX(col), AVG(col)
+ *   FROM [TABLE.]tab [AS alias]
+ *   [[INNER|LEFT] JOIN [TABLE.]tab|TABLE.* [AS alias] ON expr ...]
+ *   [WHERE expr]             expr: AND / OR / NOT / ( ... ),
+ *                            =, ==, !=, <>, <, <=, >, >=,
+ *                            [NOT] LIKE / ILIKE 'pat%_', [NOT] CONTAINS x, [NOT] IN (...),
+ *                            [NOT] BETWEEN a AND b, IS [NOT] NULL
+ *   [GROUP BY col, ...]
+ *   [ORDER BY col [ASC|DESC], ...]
+ *   [LIMIT n]
+ *
+ * Column names with spaces or line breaks can be written as "Expected Return Date"
+ * or `Expected Return Date`; they are matched against sheet headers via normalizeHeaderName.
+ * Empty cells are treated as NULL.
+ *
+ * JOIN queries are executed by executeJoinQuery once the caller has loaded every source tab
+ * (see Database.queryData). Joined columns are addressed as alias.column; unqualified names
+ * resolve to the first source that has the column. Every joined source also exposes a virtual
+ * alias._tab column holding the tab the row came from (useful with TABLE.* sources).
  */
 export class SheetSql {
     /**
-     * Parse a simplified SQL-like query for sheet data
+     * Parse a SQL-like query for sheet data
      * @param {string} query - SQL-like query string
-     * @returns {Object} Parsed query components
+     * @returns {Object} Parsed query components: { select, from, source, joins, where, groupBy, orderBy, limit }
      */
     static parseQuery(query) {
-        // Normalize the query
-        query = query.trim().replace(/\s+/g, ' ');
-        
-        const result = {
-            select: [],
-            from: null,
-            where: [],
-            orderBy: [],
-            limit: null
-        };
-        
-        // Extract SELECT clause
-        const selectMatch = query.match(/SELECT\s+(.*?)\s+FROM/i);
-        if (selectMatch) {
-            const selectClause = selectMatch[1].trim();
-            if (selectClause === '*') {
-                result.select = ['*'];
+        const parser = new SqlParser(SheetSql.tokenize(query));
+        return parser.parseQuery();
+    }
+
+    /**
+     * Split a query string into tokens
+     * @param {string} query - SQL-like query string
+     * @returns {Array<Object>} Tokens of shape { type, value }
+     */
+    static tokenize(query) {
+        const tokens = [];
+        const text = String(query ?? '');
+        let i = 0;
+
+        while (i < text.length) {
+            const ch = text[i];
+
+            if (/\s/.test(ch)) {
+                i++;
+                continue;
+            }
+
+            // String literal: '...' with '' as an escaped quote
+            if (ch === "'") {
+                const { value, end } = _readQuoted(text, i, "'");
+                tokens.push({ type: 'string', value });
+                i = end;
+                continue;
+            }
+
+            // Quoted identifier: "..." or `...` (may contain spaces and newlines)
+            if (ch === '"' || ch === '`') {
+                const { value, end } = _readQuoted(text, i, ch);
+                tokens.push({ type: 'identifier', value, quoted: true });
+                i = end;
+                continue;
+            }
+
+            const twoChar = text.slice(i, i + 2);
+            if (['<=', '>=', '!=', '<>', '=='].includes(twoChar)) {
+                tokens.push({ type: 'operator', value: twoChar === '<>' ? '!=' : twoChar });
+                i += 2;
+                continue;
+            }
+            if (ch === '=' || ch === '<' || ch === '>') {
+                tokens.push({ type: 'operator', value: ch });
+                i++;
+                continue;
+            }
+            if (ch === '(' || ch === ')' || ch === ',' || ch === '*') {
+                tokens.push({ type: 'punct', value: ch });
+                i++;
+                continue;
+            }
+
+            // Bare word: keyword, number or identifier
+            let end = i;
+            while (end < text.length && !/[\s,()'"`=<>!*]/.test(text[end])) end++;
+            if (end === i) {
+                throw new Error(`[SheetSql.tokenize] SYNTAX_ERROR: Unexpected character "${ch}" at position ${i}`);
+            }
+            const word = text.slice(i, end);
+            if (/^-?\d+(\.\d+)?$/.test(word)) {
+                tokens.push({ type: 'number', value: Number(word) });
+            } else if (KEYWORDS.has(word.toUpperCase())) {
+                tokens.push({ type: 'keyword', value: word.toUpperCase() });
             } else {
-                result.select = selectClause.split(',').map(col => col.trim());
-            }
-        }
-        
-        // Extract FROM clause
-        const fromMatch = query.match(/FROM\s+(.*?)(?:\s+WHERE|\s+ORDER BY|\s+LIMIT|\s*$)/i);
-        if (fromMatch) {
-            result.from = fromMatch[1].trim();
-        }
-        
-        // Extract WHERE clause
-        const whereMatch = query.match(/WHERE\s+(.*?)(?:\s+ORDER BY|\s+LIMIT|\s*$)/i);
-        if (whereMatch) {
-            const whereClause = whereMatch[1].trim();
-            // Split by AND (simple implementation)
-            const conditions = whereClause.split(/\s+AND\s+/i);
-            result.where = conditions.map(condition => {
-                // Parse each condition (column operator value)
-                const match = condition.match(/([^\s<>=!]+)\s*([<>=!]{1,2})\s*(.+)/);
-                if (match) {
-                    let [_, column, operator, value] = match;
-                    
-                    // Handle quoted strings
-                    if (value.startsWith("'") && value.endsWith("'")) {
-                        value = value.slice(1, -1);
-                    } else if (value.startsWith('"') && value.endsWith('"')) {
-                        value = value.slice(1, -1);
-                    } else if (!isNaN(Number(value))) {
-                        value = Number(value);
-                    }
-                    
-                    return { column, operator, value };
-                }
-                return null;
-            }).filter(Boolean);
-        }
-        
-        // Extract ORDER BY clause
-        const orderByMatch = query.match(/ORDER BY\s+(.*?)(?:\s+LIMIT|\s*$)/i);
-        if (orderByMatch) {
-            const orderByClause = orderByMatch[1].trim();
-            result.orderBy = orderByClause.split(',').map(item => {
-                const parts = item.trim().split(/\s+/);
-                return {
-                    column: parts[0],
-                    direction: parts[1]?.toUpperCase() === 'DESC' ? 'DESC' : 'ASC'
-                };
-            });
-        }
-        
-        // Extract LIMIT clause
-        const limitMatch = query.match(/LIMIT\s+(\d+)/i);
-        if (limitMatch) {
-            result.limit = parseInt(limitMatch[1], 10);
+                tokens.push({ type: 'identifier', value: word, quoted: false });
+            }
+            i = end;
         }
-        
-        return result;
+
+        return tokens;
     }
-    
+
     /**
      * Execute a parsed query against sheet data
      * @param {Object} parsedQuery - Parsed query object
@@ -95,95 +116,860 @@ export class SheetSql {
         if (!data || data.length < 1) {
             return [];
         }
-        
+
         // Extract headers from first row
         const headers = data[0];
-        
+
         // Convert 2D array to array of objects with column names
-        let rows = data.slice(1).map(row => {
-            const obj = {};
+        const rows = _rowsToObjects(data);
+
+        return _executeRows(parsedQuery, headers, rows);
+    }
+
+    /**
+     * Execute a parsed JOIN query against already-loaded sources
+     * @param {Object} parsedQuery - Parsed query object (with joins)
+     * @param {Array<Array<{tab: string, data: Array<Array>}>>} sources - One entry per source in query
+     *   order (FROM first, then each JOIN); each lists the tabs it expanded to (several for TABLE.*)
+     * @returns {Array<Object>} Query results as array of objects
+     */
+    static executeJoinQuery(parsedQuery, sources) {
+        const refs = [parsedQuery.source, ...(parsedQuery.joins || []).map(join => join.source)];
+        if (sources.length !== refs.length) {
+            throw new Error(`[SheetSql.executeJoinQuery] VALIDATION_ERROR: Expected ${refs.length} sources, got ${sources.length}`);
+        }
+
+        // Qualify every source's columns with its alias
+        const qualified = refs.map((ref, i) => _qualifySource(ref, sources[i] || []));
+
+        let headers = qualified[0].headers;
+        let rows = qualified[0].rows;
+
+        (parsedQuery.joins || []).forEach((join, j) => {
+            const right = qualified[j + 1];
+            const combinedHeaders = [...new Set([...headers, ...right.headers])];
+            rows = _joinRows(rows, headers, right, combinedHeaders, join);
+            headers = combinedHeaders;
+        });
+
+        const starColumns = qualified.flatMap(source => source.qualifiedHeaders);
+        return _executeRows(parsedQuery, headers, rows, starColumns);
+    }
+
+    /**
+     * Parse and run a query, fetching the FROM tab through the supplied reader.
+     * Shared by the real and fake sheet services so both return identical results.
+     * @param {string} query - SQL-like query string
+     * @param {Function} fetchTab - async (tabName) => 2D array with headers in the first row
+     * @returns {Promise<Array<Object>>} Query results as array of objects
+     */
+    static async run(query, fetchTab) {
+        const parsedQuery = SheetSql.parseQuery(query);
+
+        if (!parsedQuery.from) {
+            throw new Error('[SheetSql.run] VALIDATION_ERROR: Invalid query - FROM clause is required');
+        }
+
+        if (parsedQuery.joins.length > 0 || parsedQuery.source.table) {
+            throw new Error('[SheetSql.run] VALIDATION_ERROR: JOIN and TABLE.tab queries must be run through Database.queryData');
+        }
+
+        const data = await fetchTab(parsedQuery.from);
+        return SheetSql.executeQuery(parsedQuery, data);
+    }
+}
+
+const KEYWORDS = new Set([
+    'SELECT', 'FROM', 'WHERE', 'AND', 'OR', 'NOT', 'LIKE', 'ILIKE', 'CONTAINS', 'IN', 'BETWEEN',
+    'IS', 'NULL', 'GROUP', 'ORDER', 'BY', 'ASC', 'DESC', 'LIMIT', 'AS', 'TRUE', 'FALSE',
+    'JOIN', 'INNER', 'LEFT', 'OUTER', 'ON'
+]);
+
+const AGGREGATES = new Set(['COUNT', 'SUM', 'MIN', 'MAX', 'AVG']);
+
+const DATE_PATTERN = /^(\d{4}-\d{2}-\d{2}|\d{1,2}\/\d{1,2}\/\d{2,4})$/;
+
+/**
+ * Recursive-descent parser over SheetSql tokens
+ */
+class SqlParser {
+    constructor(tokens) {
+        this.tokens = tokens;
+        this.pos = 0;
+    }
+
+    parseQuery() {
+        const result = {
+            select: [],
+            from: null,
+            source: null,
+            joins: [],
+            where: null,
+            groupBy: [],
+            orderBy: [],
+            limit: null
+        };
+
+        this.expectKeyword('SELECT');
+        result.select = this.parseSelectList();
+
+        if (this.matchKeyword('FROM')) {
+            result.source = this.parseTableRef();
+            if (result.source.tab === '*' && !result.source.table) {
+                this.fail('FROM * needs a table, e.g. PACK_LISTS.*', this.peek());
+            }
+            // Legacy shape: `from` is the tab name (or TABLE.tab when qualified)
+            result.from = result.source.table ? `${result.source.table}.${result.source.tab}` : result.source.tab;
+            result.joins = this.parseJoins();
+        }
+
+        if (this.matchKeyword('WHERE')) {
+            result.where = this.parseOr();
+        }
+
+        if (this.matchKeyword('GROUP')) {
+            this.expectKeyword('BY');
+            do {
+                result.groupBy.push(this.parseName());
+            } while (this.matchPunct(','));
+        }
+
+        if (this.matchKeyword('ORDER')) {
+            this.expectKeyword('BY');
+            do {
+                const column = this.parseSelectItem().key;
+                let direction = 'ASC';
+                if (this.matchKeyword('DESC')) direction = 'DESC';
+                else this.matchKeyword('ASC');
+                result.orderBy.push({ column, direction });
+            } while (this.matchPunct(','));
+        }
+
+        if (this.matchKeyword('LIMIT')) {
+            const token = this.next();
+            if (!token || token.type !== 'number') this.fail('Expected a number after LIMIT', token);
+            result.limit = Math.max(0, Math.floor(token.value));
+        }
+
+        if (this.peek()) {
+            this.fail('Unexpected token', this.peek());
+        }
+
+        return result;
+    }
+
+    parseSelectList() {
+        if (this.matchPunct('*')) return ['*'];
+
+        const items = [];
+        do {
+            const item = this.parseSelectItem();
+            if (this.matchKeyword('AS')) {
+                item.alias = this.parseName();
+            }
+            // Plain columns stay as strings so existing consumers of parseQuery keep working
+            items.push(item.aggregate || item.alias ? item : item.column);
+        } while (this.matchPunct(','));
+        return items;
+    }
+
+    parseSelectItem() {
+        const token = this.peek();
+        const next = this.tokens[this.pos + 1];
+        if (token?.type === 'identifier' && !token.quoted && AGGREGATES.has(token.value.toUpperCase())
+            && next?.type === 'punct' && next.value === '(') {
+            this.pos += 2;
+            const aggregate = token.value.toUpperCase();
+            let column = '*';
+            if (!this.matchPunct('*')) {
+                column = this.parseName();
+            } else if (aggregate !== 'COUNT') {
+                this.fail(`${aggregate}(*) is not supported`, token);
+            }
+            this.expectPunct(')');
+            return { aggregate, column, key: `${aggregate}(${column})` };
+        }
+
+        const column = this.parseName();
+        return { column, key: column };
+    }
+
+    parseJoins() {
+        const joins = [];
+        for (;;) {
+            let type = 'INNER';
+            if (this.matchKeyword('LEFT')) {
+                this.matchKeyword('OUTER');
+                this.expectKeyword('JOIN');
+                type = 'LEFT';
+            } else if (this.matchKeyword('INNER')) {
+                this.expectKeyword('JOIN');
+            } else if (!this.matchKeyword('JOIN')) {
+                break;
+            }
+
+            const source = this.parseTableRef();
+            if (source.tab === '*' && !source.table) {
+                this.fail('JOIN * needs a table, e.g. PACK_LISTS.*', this.peek());
+            }
+            this.expectKeyword('ON');
+            joins.push({ type, source, on: this.parseOr() });
+        }
+        return joins;
+    }
+
+    /**
+     * A source reference: tab, TABLE.tab, TABLE."Tab Name" or TABLE.*, with an optional AS alias.
+     * Unquoted dots separate the table from the tab; the caller decides whether the prefix is
+     * really a table (tab names may contain dots too).
+     * @returns {{table: string|null, tab: string, alias: string}}
+     */
+    parseTableRef() {
+        const first = this.peek();
+        if (!first || first.type !== 'identifier') {
+            this.fail('Expected a tab name', first);
+        }
+
+        const segments = [''];
+        let prev = null;
+        while (this.peek()?.type === 'identifier') {
+            const token = this.peek();
+            if (prev && !_isAdjacentQualifier(prev, token) && (prev.quoted || token.quoted)) break;
+            this.pos++;
+
+            const last = segments.length - 1;
+            if (token.quoted) {
+                segments[last] += token.value;
+            } else {
+                const parts = token.value.split('.');
+                segments[last] += (segments[last] && parts[0] ? ' ' : '') + parts[0];
+                segments.push(...parts.slice(1));
+            }
+            prev = token;
+        }
+
+        if (segments.length > 1 && segments[segments.length - 1] === '' && this.matchPunct('*')) {
+            segments[segments.length - 1] = '*';
+        }
+
+        const table = segments.length > 1 ? segments[0] : null;
+        const tab = segments.length > 1 ? segments.slice(1).join('.') : segments[0];
+        const alias = this.matchKeyword('AS') ? this.parseName() : (tab === '*' ? table : tab);
+        return { table, tab, alias };
+    }
+
+    /**
+     * A column or tab name: a quoted identifier, or consecutive bare words joined by spaces.
+     * Qualified names keep their dot: p.Description, p."Expected Return Date".
+     */
+    parseName() {
+        const token = this.next();
+        if (!token || token.type !== 'identifier') {
+            this.fail('Expected a column or tab name', token);
+        }
+
+        let name = token.value;
+        let prev = token;
+        while (this.peek()?.type === 'identifier') {
+            const next = this.peek();
+            if (_isAdjacentQualifier(prev, next)) {
+                name += next.value;
+            } else if (!prev.quoted && !next.quoted) {
+                name += ' ' + next.value;
+            } else {
+                break;
+            }
+            this.pos++;
+            prev = next;
+        }
+        return name;
+    }
+
+    parseOr() {
+        const conditions = [this.parseAnd()];
+        while (this.matchKeyword('OR')) {
+            conditions.push(this.parseAnd());
+        }
+        return conditions.length === 1 ? conditions[0] : { type: 'or', conditions };
+    }
+
+    parseAnd() {
+        const conditions = [this.parseNot()];
+        while (this.matchKeyword('AND')) {
+            conditions.push(this.parseNot());
+        }
+        return conditions.length === 1 ? conditions[0] : { type: 'and', conditions };
+    }
+
+    parseNot() {
+        if (this.matchKeyword('NOT')) {
+            return { type: 'not', condition: this.parseNot() };
+        }
+        return this.parsePredicate();
+    }
+
+    parsePredicate() {
+        if (this.matchPunct('(')) {
+            const expr = this.parseOr();
+            this.expectPunct(')');
+            return expr;
+        }
+
+        const left = this.parseOperand(false);
+
+        const token = this.peek();
+        if (token?.type === 'operator') {
+            this.pos++;
+            return { type: 'compare', operator: token.value, left, right: this.parseOperand(true) };
+        }
+
+        if (this.matchKeyword('IS')) {
+            const negated = this.matchKeyword('NOT');
+            this.expectKeyword('NULL');
+            return { type: 'isNull', left, negated };
+        }
+
+        const negated = this.matchKeyword('NOT');
+
+        if (this.matchKeyword('LIKE')) {
+            return { type: 'like', left, pattern: this.parseOperand(true), caseInsensitive: false, negated };
+        }
+        if (this.matchKeyword('CONTAINS')) {
+            return { type: 'contains', left, value: this.parseOperand(true), negated };
+        }
+        if (this.matchKeyword('ILIKE')) {
+            return { type: 'like', left, pattern: this.parseOperand(true), caseInsensitive: true, negated };
+        }
+        if (this.matchKeyword('IN')) {
+            this.expectPunct('(');
+            const values = [];
+            if (!this.matchPunct(')')) {
+                do {
+                    values.push(this.parseOperand(true));
+                } while (this.matchPunct(','));
+                this.expectPunct(')');
+            }
+            return { type: 'in', left, values, negated };
+        }
+        if (this.matchKeyword('BETWEEN')) {
+            const low = this.parseOperand(true);
+            this.expectKeyword('AND');
+            const high = this.parseOperand(true);
+            return { type: 'between', left, low, high, negated };
+        }
+
+        if (negated) this.fail('Expected LIKE, ILIKE, CONTAINS, IN or BETWEEN after NOT', this.peek());
+
+        // Bare operand: truthy test (e.g. WHERE TRUE)
+        return { type: 'truthy', left };
+    }
+
+    /**
+     * @param {boolean} valuePosition - Operands on the right-hand side fall back to a literal
+     *   string when they don't name a header (keeps `WHERE Client = ACME` working)
+     */
+    parseOperand(valuePosition) {
+        const token = this.peek();
+        if (!token) this.fail('Unexpected end of query');
+
+        if (token.type === 'string' || token.type === 'number') {
+            this.pos++;
+            return { type: 'literal', value: token.value };
+        }
+        if (token.type === 'keyword' && (token.value === 'NULL' || token.value === 'TRUE' || token.value === 'FALSE')) {
+            this.pos++;
+            return { type: 'literal', value: token.value === 'NULL' ? null : token.value === 'TRUE' };
+        }
+        if (token.type === 'identifier') {
+            return { type: 'column', name: this.parseName(), valuePosition };
+        }
+
+        this.fail('Expected a column or value', token);
+    }
+
+    peek() {
+        return this.tokens[this.pos];
+    }
+
+    next() {
+        return this.tokens[this.pos++];
+    }
+
+    matchKeyword(keyword) {
+        const token = this.peek();
+        if (token?.type === 'keyword' && token.value === keyword) {
+            this.pos++;
+            return true;
+        }
+        return false;
+    }
+
+    matchPunct(value) {
+        const token = this.peek();
+        if (token?.type === 'punct' && token.value === value) {
+            this.pos++;
+            return true;
+        }
+        return false;
+    }
+
+    expectKeyword(keyword) {
+        if (!this.matchKeyword(keyword)) this.fail(`Expected ${keyword}`, this.peek());
+    }
+
+    expectPunct(value) {
+        if (!this.matchPunct(value)) this.fail(`Expected "${value}"`, this.peek());
+    }
+
+    fail(message, token = null) {
+        const near = token ? ` near "${token.value}"` : ' at end of query';
+        throw new Error(`[SheetSql.parseQuery] SYNTAX_ERROR: ${message}${near}`);
+    }
+}
+
+/**
+ * True when two identifier tokens are halves of one dotted name (`p.` + `"Ship Date"`)
+ */
+function _isAdjacentQualifier(prev, next) {
+    return (!prev.quoted && prev.value.endsWith('.')) || (!next.quoted && next.value.startsWith('.'));
+}
+
+/**
+ * Read a quoted token starting at `start`; a doubled quote character is an escaped quote
+ * @returns {{value: string, end: number}}
+ */
+function _readQuoted(text, start, quote) {
+    let value = '';
+    let i = start + 1;
+    while (i < text.length) {
+        if (text[i] === quote) {
+            if (text[i + 1] === quote) {
+                value += quote;
+                i += 2;
+                continue;
+            }
+            return { value, end: i + 1 };
+        }
+        value += text[i];
+        i++;
+    }
+    throw new Error(`[SheetSql.tokenize] SYNTAX_ERROR: Unterminated ${quote} quote starting at position ${start}`);
+}
+
+/**
+ * Build a lookup from query column names to actual sheet headers.
+ * Exact matches win; otherwise headers are compared after normalizeHeaderName, case-insensitively.
+ */
+function _createColumnResolver(headers) {
+    const exact = new Set(headers);
+    const normalized = new Map();
+    headers.forEach(header => {
+        const key = normalizeHeaderName(header).toLowerCase();
+        if (!normalized.has(key)) normalized.set(key, header);
+    });
+    return (name) => {
+        if (exact.has(name)) return name;
+        return normalized.get(normalizeHeaderName(name).toLowerCase());
+    };
+}
+
+function _rowsToObjects(data) {
+    const headers = data[0];
+    return data.slice(1).map(row => {
+        const obj = {};
+        headers.forEach((header, i) => {
+            obj[header] = row[i];
+        });
+        return obj;
+    });
+}
+
+/**
+ * Turn one JOIN source (possibly several tabs for TABLE.*) into row objects keyed both by
+ * alias.header and by bare header, plus the virtual _tab column. Headers are normalized so
+ * tabs whose headers differ only by line breaks line up.
+ */
+function _qualifySource(ref, tables) {
+    const alias = ref.alias;
+    const bareHeaders = ['_tab'];
+    const seen = new Set(bareHeaders);
+    const rows = [];
+
+    tables.forEach(({ tab, data }) => {
+        if (!data || data.length < 1) return;
+        const headers = data[0].map(header => normalizeHeaderName(header));
+        headers.forEach(header => {
+            if (header && !seen.has(header)) {
+                seen.add(header);
+                bareHeaders.push(header);
+            }
+        });
+        data.slice(1).forEach(cells => {
+            const obj = { _tab: tab, [`${alias}._tab`]: tab };
             headers.forEach((header, i) => {
-                obj[header] = row[i];
+                if (!header) return;
+                obj[header] = cells[i];
+                obj[`${alias}.${header}`] = cells[i];
             });
-            return obj;
+            rows.push(obj);
         });
-        
-        // Apply WHERE conditions
-        if (parsedQuery.where.length > 0) {
-            rows = rows.filter(row => {
-                return parsedQuery.where.every(condition => {
-                    const { column, operator, value } = condition;
-                    const cellValue = row[column];
-                    
-                    switch (operator) {
-                        case '=': 
-                            return cellValue == value;
-                        case '==': 
-                            return cellValue == value;
-                        case '!=': 
-                            return cellValue != value;
-                        case '<': 
-                            return cellValue < value;
-                        case '<=': 
-                            return cellValue <= value;
-                        case '>': 
-                            return cellValue > value;
-                        case '>=': 
-                            return cellValue >= value;
-                        case 'LIKE':
-                        case 'like':
-                            if (typeof cellValue !== 'string') return false;
-                            const regex = new RegExp(value.replace(/%/g, '.*'), 'i');
-                            return regex.test(cellValue);
-                        default:
-                            return false;
-                    }
-                });
-            });
+    });
+
+    const qualifiedHeaders = bareHeaders.map(header => `${alias}.${header}`);
+    return { alias, rows, qualifiedHeaders, headers: [...qualifiedHeaders, ...bareHeaders] };
+}
+
+/**
+ * Nested-loop join, with a hash index on the right side when ON is a plain column equality
+ */
+function _joinRows(leftRows, leftHeaders, right, combinedHeaders, join) {
+    const resolve = _createColumnResolver(combinedHeaders);
+    const equi = _findEquiJoinColumns(join.on, leftHeaders, right.headers);
+
+    let candidatesFor = () => right.rows;
+    if (equi) {
+        const index = new Map();
+        right.rows.forEach(row => {
+            const value = row[equi.right];
+            if (_isNull(value)) return;
+            const key = _joinKey(value);
+            if (!index.has(key)) index.set(key, []);
+            index.get(key).push(row);
+        });
+        candidatesFor = (row) => {
+            const value = row[equi.left];
+            return _isNull(value) ? [] : (index.get(_joinKey(value)) || []);
+        };
+    }
+
+    const joined = [];
+    leftRows.forEach(leftRow => {
+        let matched = false;
+        candidatesFor(leftRow).forEach(rightRow => {
+            // Left keys win for unqualified names
+            const combined = { ...rightRow, ...leftRow };
+            if (_evaluate(join.on, combined, resolve)) {
+                joined.push(combined);
+                matched = true;
+            }
+        });
+        if (!matched && join.type === 'LEFT') {
+            joined.push({ ...leftRow });
         }
-        
-        // Apply ORDER BY
-        if (parsedQuery.orderBy.length > 0) {
-            rows.sort((a, b) => {
-                for (const sort of parsedQuery.orderBy) {
-                    const { column, direction } = sort;
-                    const valueA = a[column];
-                    const valueB = b[column];
-                    
-                    // Handle different value types
-                    let comparison;
-                    if (typeof valueA === 'number' && typeof valueB === 'number') {
-                        comparison = valueA - valueB;
-                    } else {
-                        const strA = String(valueA || '');
-                        const strB = String(valueB || '');
-                        comparison = strA.localeCompare(strB);
-                    }
-                    
-                    if (comparison !== 0) {
-                        return direction === 'DESC' ? -comparison : comparison;
-                    }
-                }
-                return 0;
-            });
+    });
+    return joined;
+}
+
+function _findEquiJoinColumns(on, leftHeaders, rightHeaders) {
+    if (on?.type !== 'compare' || (on.operator !== '=' && on.operator !== '==')) return null;
+    if (on.left.type !== 'column' || on.right.type !== 'column') return null;
+
+    const resolveLeft = _createColumnResolver(leftHeaders);
+    const resolveRight = _createColumnResolver(rightHeaders);
+    const a = on.left.name;
+    const b = on.right.name;
+
+    if (resolveLeft(a) && resolveRight(b) && !resolveRight(a) && !resolveLeft(b)) {
+        return { left: resolveLeft(a), right: resolveRight(b) };
+    }
+    if (resolveLeft(b) && resolveRight(a) && !resolveRight(b) && !resolveLeft(a)) {
+        return { left: resolveLeft(b), right: resolveRight(a) };
+    }
+    return null;
+}
+
+/**
+ * Hash key with the same equality rules as _compareValues (numbers, then dates, then text)
+ */
+function _joinKey(value) {
+    const str = String(value).trim();
+    if (str !== '' && !isNaN(Number(str))) return `n:${Number(str)}`;
+    if (DATE_PATTERN.test(str)) {
+        const date = parseDate(str);
+        if (date) return `d:${date.getTime()}`;
+    }
+    return `s:${str}`;
+}
+
+function _getValue(row, column, resolve) {
+    const header = resolve(column);
+    return header === undefined ? undefined : row[header];
+}
+
+function _evalOperand(operand, row, resolve) {
+    if (operand.type === 'literal') return operand.value;
+    const header = resolve(operand.name);
+    if (header === undefined) {
+        return operand.valuePosition ? operand.name : undefined;
+    }
+    return row[header];
+}
+
+function _isNull(value) {
+    return value === null || value === undefined || value === '';
+}
+
+/**
+ * Compare two cell/literal values: numerically when both are numeric, by date when both
+ * look like dates, otherwise as strings. Returns null when either side is NULL.
+ */
+function _compareValues(a, b) {
+    if (_isNull(a) || _isNull(b)) return null;
+
+    const numA = typeof a === 'number' ? a : (typeof a === 'string' && a.trim() !== '' ? Number(a) : NaN);
+    const numB = typeof b === 'number' ? b : (typeof b === 'string' && b.trim() !== '' ? Number(b) : NaN);
+    if (!isNaN(numA) && !isNaN(numB)) return numA - numB;
+
+    if (typeof a === 'boolean' || typeof b === 'boolean') {
+        return String(a).toLowerCase() === String(b).toLowerCase() ? 0 : String(a).localeCompare(String(b));
+    }
+
+    const strA = String(a).trim();
+    const strB = String(b).trim();
+    if (DATE_PATTERN.test(strA) && DATE_PATTERN.test(strB)) {
+        const dateA = parseDate(strA);
+        const dateB = parseDate(strB);
+        if (dateA && dateB) return dateA.getTime() - dateB.getTime();
+    }
+
+    return strA < strB ? -1 : strA > strB ? 1 : 0;
+}
+
+function _likeToRegex(pattern, caseInsensitive) {
+    const source = String(pattern ?? '')
+        .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+        .replace(/%/g, '.*')
+        .replace(/_/g, '.');
+    return new RegExp(`^${source}$`, caseInsensitive ? 'is' : 's');
+}
+
+function _evaluate(node, row, resolve) {
+    switch (node.type) {
+        case 'and':
+            return node.conditions.every(condition => _evaluate(condition, row, resolve));
+        case 'or':
+            return node.conditions.some(condition => _evaluate(condition, row, resolve));
+        case 'not':
+            return !_evaluate(node.condition, row, resolve);
+        case 'truthy': {
+            const value = _evalOperand(node.left, row, resolve);
+            return !_isNull(value) && value !== false && String(value).toUpperCase() !== 'FALSE';
+        }
+        case 'isNull': {
+            const isNull = _isNull(_evalOperand(node.left, row, resolve));
+            return node.negated ? !isNull : isNull;
+        }
+        case 'compare': {
+            const left = _evalOperand(node.left, row, resolve);
+            const right = _evalOperand(node.right, row, resolve);
+            // NULL only equals NULL (keeps `WHERE A != ''` style filters meaningful on empty cells)
+            if (_isNull(left) || _isNull(right)) {
+                const bothNull = _isNull(left) && _isNull(right);
+                if (node.operator === '=' || node.operator === '==') return bothNull;
+                if (node.operator === '!=') return !bothNull;
+                return false;
+            }
+            const cmp = _compareValues(left, right);
+            switch (node.operator) {
+                case '=':
+                case '==': return cmp === 0;
+                case '!=': return cmp !== 0;
+                case '<': return cmp < 0;
+                case '<=': return cmp <= 0;
+                case '>': return cmp > 0;
+                case '>=': return cmp >= 0;
+                default: return false;
+            }
+        }
+        case 'like': {
+            const value = _evalOperand(node.left, row, resolve);
+            if (_isNull(value)) return false;
+            const pattern = _evalOperand(node.pattern, row, resolve);
+            const matches = _likeToRegex(pattern, node.caseInsensitive).test(String(value));
+            return node.negated ? !matches : matches;
+        }
+        case 'contains': {
+            const value = _evalOperand(node.left, row, resolve);
+            const needle = _evalOperand(node.value, row, resolve);
+            if (_isNull(value) || _isNull(needle)) return false;
+            const found = String(value).toLowerCase().includes(String(needle).toLowerCase());
+            return node.negated ? !found : found;
+        }
+        case 'in': {
+            const value = _evalOperand(node.left, row, resolve);
+            if (_isNull(value)) return false;
+            const found = node.values.some(operand => _compareValues(value, _evalOperand(operand, row, resolve)) === 0);
+            return node.negated ? !found : found;
+        }
+        case 'between': {
+            const value = _evalOperand(node.left, row, resolve);
+            const low = _compareValues(value, _evalOperand(node.low, row, resolve));
+            const high = _compareValues(value, _evalOperand(node.high, row, resolve));
+            if (low === null || high === null) return false;
+            const within = low >= 0 && high <= 0;
+            return node.negated ? !within : within;
         }
-        
-        // Apply LIMIT
-        if (parsedQuery.limit !== null) {
+        default:
+            return false;
+    }
+}
+
+/**
+ * Convert the pre-parser `where` shape ([{column, operator, value}], AND-ed) to an expression tree
+ */
+function _legacyWhereToAst(conditions) {
+    if (!conditions.length) return null;
+    return {
+        type: 'and',
+        conditions: conditions.map(({ column, operator, value }) => {
+            const left = { type: 'column', name: column, valuePosition: false };
+            const right = { type: 'literal', value };
+            if (String(operator).toUpperCase() === 'LIKE') {
+                return { type: 'like', left, pattern: right, caseInsensitive: true, negated: false };
+            }
+            return { type: 'compare', operator, left, right };
+        })
+    };
+}
+
+/**
+ * WHERE / GROUP BY / ORDER BY / LIMIT / projection over row objects keyed by header
+ */
+function _executeRows(parsedQuery, headers, rows, starColumns = null) {
+    const resolve = _createColumnResolver(headers);
+
+    // Apply WHERE conditions (legacy parsed queries carry an array of AND-ed conditions)
+    const where = Array.isArray(parsedQuery.where) ? _legacyWhereToAst(parsedQuery.where) : parsedQuery.where;
+    if (where) {
+        rows = rows.filter(row => _evaluate(where, row, resolve));
+    }
+
+    const select = parsedQuery.select || ['*'];
+    const groupBy = parsedQuery.groupBy || [];
+    const isAggregate = groupBy.length > 0 || select.some(item => typeof item === 'object' && item.aggregate);
+
+    if (isAggregate) {
+        rows = _aggregate(rows, select, groupBy, resolve);
+        rows = _sortRows(rows, parsedQuery.orderBy || [], _createColumnResolver(rows.length ? Object.keys(rows[0]) : []));
+        if (parsedQuery.limit !== null && parsedQuery.limit !== undefined) {
             rows = rows.slice(0, parsedQuery.limit);
         }
-        
-        // Project selected columns
-        if (parsedQuery.select[0] !== '*') {
-            rows = rows.map(row => {
-                const result = {};
-                parsedQuery.select.forEach(column => {
-                    result[column] = row[column];
-                });
-                return result;
+        return rows;
+    }
+
+    // Apply ORDER BY (before projection so unselected columns can be sorted on)
+    rows = _sortRows(rows, parsedQuery.orderBy || [], resolve);
+
+    // Apply LIMIT
+    if (parsedQuery.limit !== null && parsedQuery.limit !== undefined) {
+        rows = rows.slice(0, parsedQuery.limit);
+    }
+
+    // Project selected columns (SELECT * on a join returns only the alias-qualified columns)
+    if (select[0] === '*' && starColumns) {
+        rows = rows.map(row => {
+            const result = {};
+            starColumns.forEach(column => {
+                result[column] = row[column];
             });
+            return result;
+        });
+    } else if (select[0] !== '*') {
+        rows = rows.map(row => {
+            const result = {};
+            select.forEach(item => {
+                const column = typeof item === 'object' ? item.column : item;
+                const key = typeof item === 'object' ? (item.alias || item.column) : item;
+                result[key] = _getValue(row, column, resolve);
+            });
+            return result;
+        });
+    }
+
+    return rows;
+}
+
+function _sortRows(rows, orderBy, resolve) {
+    if (!orderBy.length) return rows;
+    return [...rows].sort((a, b) => {
+        for (const { column, direction } of orderBy) {
+            const valueA = _getValue(a, column, resolve);
+            const valueB = _getValue(b, column, resolve);
+            let comparison = _compareValues(valueA, valueB);
+            if (comparison === null) {
+                // NULLs sort first ascending
+                comparison = _isNull(valueA) === _isNull(valueB) ? 0 : (_isNull(valueA) ? -1 : 1);
+            }
+            if (comparison !== 0) {
+                return direction === 'DESC' ? -comparison : comparison;
+            }
         }
-        
-        return rows;
+        return 0;
+    });
+}
+
+/**
+ * Group rows and compute aggregate select items. Without GROUP BY the whole result is one group.
+ */
+function _aggregate(rows, select, groupBy, resolve) {
+    const groups = new Map();
+    if (groupBy.length === 0) {
+        groups.set('', rows);
+    } else {
+        rows.forEach(row => {
+            const key = JSON.stringify(groupBy.map(column => {
+                const value = _getValue(row, column, resolve);
+                return _isNull(value) ? null : value;
+            }));
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(row);
+        });
+    }
+
+    const items = select[0] === '*'
+        ? groupBy.map(column => ({ column, key: column }))
+        : select.map(item => typeof item === 'object'
+            ? { ...item, key: item.alias || item.key || item.column }
+            : { column: item, key: item });
+
+    const result = [];
+    for (const groupRows of groups.values()) {
+        const out = {};
+        items.forEach(item => {
+            if (!item.aggregate) {
+                out[item.key] = groupRows.length ? _getValue(groupRows[0], item.column, resolve) : undefined;
+                return;
+            }
+
+            const values = item.column === '*'
+                ? groupRows
+                : groupRows.map(row => _getValue(row, item.column, resolve)).filter(value => !_isNull(value));
+
+            switch (item.aggregate) {
+                case 'COUNT':
+                    out[item.key] = values.length;
+                    break;
+                case 'SUM':
+                case 'AVG': {
+                    const numbers = values.map(Number).filter(n => !isNaN(n));
+                    const sum = numbers.reduce((total, n) => total + n, 0);
+                    out[item.key] = item.aggregate === 'SUM' ? sum : (numbers.length ? sum / numbers.length : null);
+                    break;
+                }
+                case 'MIN':
+                case 'MAX': {
+                    let best = null;
+                    values.forEach(value => {
+                        if (best === null) { best = value; return; }
+                        const cmp = _compareValues(value, best);
+                        if ((item.aggregate === 'MIN' && cmp < 0) || (item.aggregate === 'MAX' && cmp > 0)) best = value;
+                    });
+                    out[item.key] = best;
+                    break;
+                }
+            }
+        });
+        result.push(out);
     }
+    return result;
 }
@@ -0,0 +1,70 @@
+/**
+ * Browser stand-ins for running the data_management layer under Node.
+ *
+ * Installs just enough of `window` for the data layer and the fake backend to import:
+ * APP_CONFIG / ENDPOINT_IDS (normally written by config.js), location (for isLocalhost),
+ * localStorage (fake auth token storage), navigator.onLine and window events (version check).
+ * Nothing from the application layer (Vue, components) is needed or provided.
+ */
+
+export const DEFAULT_ENDPOINT_IDS = {
+    INVENTORY: 'fake_inventory_sheet_id',
+    PACK_LISTS: 'fake_pack_lists_sheet_id',
+    PROD_SCHED: 'fake_prod_sched_sheet_id',
+    CACHE: 'fake_cache_sheet_id',
+    THUMBNAILS: 'fake_thumbnails_folder_id'
+};
+
+let installed = false;
+
+/**
+ * Install the browser globals (idempotent; later calls only update config values)
+ * @param {Object} [options]
+ * @param {Object} [options.appConfig] - Extra APP_CONFIG values (BACKEND defaults to 'fake')
+ * @param {Object} [options.endpointIds] - ENDPOINT_IDS overrides
+ */
+export function installBrowserStandIns({ appConfig = {}, endpointIds = {} } = {}) {
+    globalThis.APP_CONFIG = { API_KEY: '', CLIENT_ID: '', SCOPES: '', BACKEND: 'fake', ...globalThis.APP_CONFIG, ...appConfig };
+    globalThis.ENDPOINT_IDS = { ...DEFAULT_ENDPOINT_IDS, ...globalThis.ENDPOINT_IDS, ...endpointIds };
+
+    if (installed) return;
+    installed = true;
+
+    globalThis.window = globalThis;
+
+    if (!globalThis.location) {
+        globalThis.location = {
+            hostname: 'localhost',
+            protocol: 'http:',
+            origin: 'http://localhost',
+            href: 'http://localhost/',
+            pathname: '/',
+            search: '',
+            hash: '',
+            reload() {}
+        };
+    }
+
+    if (!globalThis.localStorage) {
+        const store = new Map();
+        globalThis.localStorage = {
+            getItem: (key) => (store.has(key) ? store.get(key) : null),
+            setItem: (key, value) => { store.set(key, String(value)); },
+            removeItem: (key) => { store.delete(key); },
+            clear: () => { store.clear(); },
+            key: (index) => [...store.keys()][index] ?? null,
+            get length() { return store.size; }
+        };
+    }
+
+    if (!globalThis.navigator) {
+        globalThis.navigator = { onLine: true, userAgent: 'node' };
+    }
+
+    if (typeof globalThis.addEventListener !== 'function') {
+        const events = new EventTarget();
+        globalThis.addEventListener = events.addEventListener.bind(events);
+        globalThis.removeEventListener = events.removeEventListener.bind(events);
+        globalThis.dispatchEvent = events.dispatchEvent.bind(events);
+    }
+}
@@ -0,0 +1,281 @@
+/**
+ * Fixture builders for the headless harness.
+ *
+ * A fixture is a plain object:
+ *   {
+ *     name: 'shortage',
+ *     clear: ['PACK_LISTS'],                       // tables emptied before loading (optional)
+ *     tables: { PACK_LISTS: { 'SHOW A': [[...headers], [...row]] }, ... }
+ *   }
+ * applied on top of FakeGoogleSheetsService via setMockData. Builders below produce sheet
+ * arrays in the same layouts as the live spreadsheets, and dates are relative to today so
+ * scenarios stay valid as time passes.
+ */
+
+import { EditHistoryUtils } from '../../docs/js/data_management/utils/metadata-utils.js';
+
+export const INVENTORY_HEADERS = ['ITEM#', 'THUMBNAIL', 'QTY', 'EditHistory', 'MetaData', 'NOTES', 'Description', 'Packing/shop notes'];
+export const PACKLIST_HEADERS = ['Piece #', 'Type', 'L', 'W', 'H', 'Weight', 'Pack', 'Check', 'Description', 'Packing/shop notes', 'EditHistory', 'MetaData'];
+export const SCHEDULE_HEADERS = ['Show', 'Client', 'Year', 'Identifier', 'City', 'Size', 'Booth#', 'S. Start', 'S. End', 'Ship', 'Expected\nReturn Date'];
+export const INVENTORY_INDEX_HEADERS = ['PREFIX', 'INVENTORY', 'FOLDER', 'MetaData'];
+export const UNIT_HEADERS = ['ITEM#', 'UNIT', 'SERIAL#', 'VARIANT', 'CONDITION', 'NOTES', 'EditHistory'];
+export const KIT_HEADERS = ['KIT', 'ITEM#', 'QTY', 'NOTES', 'EditHistory'];
+
+/**
+ * Create a fixture object
+ * @param {string} name - Fixture name
+ * @param {Object} tables - { tableId: { tabName: 2D array } }
+ * @param {Object} [options]
+ * @param {Array<string>} [options.clear] - Tables to empty before applying
+ * @returns {Object} Fixture
+ */
+export function defineFixture(name, tables, { clear = [] } = {}) {
+    return { name, tables, clear };
+}
+
+/**
+ * Apply a fixture to the fake sheet service
+ * @param {Function} sheets - FakeGoogleSheetsService
+ * @param {Object} fixture - Fixture from defineFixture
+ */
+export function applyFixture(sheets, fixture) {
+    (fixture.clear || []).forEach(tableId => sheets.clearMockData(tableId));
+    Object.entries(fixture.tables || {}).forEach(([tableId, tabs]) => {
+        Object.entries(tabs).forEach(([tabName, data]) => {
+            sheets.setMockData(tableId, tabName, data);
+        });
+    });
+}
+
+/**
+ * Date `days` from today as M/D/YYYY (the schedule's date format)
+ * @param {number} days - Offset in days (negative for the past)
+ * @returns {string}
+ */
+export function dateFromToday(days) {
+    const date = new Date();
+    date.setHours(12, 0, 0, 0);
+    date.setDate(date.getDate() + days);
+    return `${date.getMonth() + 1}/${date.getDate()}/${date.getFullYear()}`;
+}
+
+/**
+ * Date `days` from today as YYYY-MM-DD (what the data layer's date-window APIs take)
+ * @param {number} days - Offset in days (negative for the past)
+ * @returns {string}
+ */
+export function isoFromToday(days) {
+    const date = new Date();
+    date.setHours(12, 0, 0, 0);
+    date.setDate(date.getDate() + days);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Inventory tab rows
+ * @param {Array<{itemNumber: string, quantity?: number, description?: string, notes?: string, editHistory?: string}>} items
+ * @returns {Array<Array>}
+ */
+export function inventoryTab(items) {
+    return [
+        INVENTORY_HEADERS,
+        ...items.map(item => [
+            item.itemNumber, '', String(item.quantity ?? ''), item.editHistory || '', item.metadata || '',
+            item.notes || '', item.description || '', item.packingNotes || ''
+        ])
+    ];
+}
+
+/**
+ * Unit registry tab rows (the hidden _UNITS_<CATEGORY> tab)
+ * @param {Array<{itemNumber: string, unit: string, serial?: string, variant?: string, condition?: string, notes?: string}>} units
+ * @returns {Array<Array>}
+ */
+export function unitsTab(units) {
+    return [
+        UNIT_HEADERS,
+        ...units.map(unit => [
+            unit.itemNumber, String(unit.unit), unit.serial || '', unit.variant || '',
+            unit.condition || '', unit.notes || '', ''
+        ])
+    ];
+}
+
+/**
+ * Kit definition tab rows (the hidden _KITS_<CATEGORY> tab)
+ * @param {Array<{kit: string, itemNumber: string, quantity: number, notes?: string}>} components
+ * @returns {Array<Array>}
+ */
+export function kitsTab(components) {
+    return [
+        KIT_HEADERS,
+        ...components.map(component => [component.kit, component.itemNumber, String(component.quantity), component.notes || '', ''])
+    ];
+}
+
+/**
+ * Packlist tab rows: one row per crate followed by one row per item
+ * @param {Array<{type?: string, l?: number, w?: number, h?: number, weight?: number, items: Array<string|{description: string, notes?: string}>}>} crates
+ * @returns {Array<Array>}
+ */
+export function packlistTab(crates) {
+    const rows = [PACKLIST_HEADERS];
+    crates.forEach((crate, index) => {
+        rows.push([
+            String(index + 1), crate.type || 'Crate', String(crate.l ?? ''), String(crate.w ?? ''),
+            String(crate.h ?? ''), String(crate.weight ?? ''), '', '', '', '', '', ''
+        ]);
+        (crate.items || []).forEach(item => {
+            const { description, notes = '' } = typeof item === 'string' ? { description: item } : item;
+            rows.push(['', '', '', '', '', '', '', '', description, notes, '', '']);
+        });
+    });
+    return rows;
+}
+
+/**
+ * Production schedule rows. Dates are day offsets from today.
+ * @param {Array<{show: string, client: string, identifier?: string, city?: string, startIn: number, endIn?: number, shipIn?: number, returnIn?: number}>} shows
+ * @returns {Array<Array>}
+ */
+export function scheduleTab(shows) {
+    return [
+        SCHEDULE_HEADERS,
+        ...shows.map(show => {
+            const endIn = show.endIn ?? show.startIn + 3;
+            const start = dateFromToday(show.startIn);
+            const year = start.split('/')[2];
+            return [
+                show.show, show.client, year,
+                show.identifier || `${show.client.toUpperCase()} ${year} ${show.show.toUpperCase()}`,
+                show.city || '', '', '',
+                start, dateFromToday(endIn),
+                show.shipIn === undefined ? '' : dateFromToday(show.shipIn),
+                show.returnIn === undefined ? '' : dateFromToday(show.returnIn)
+            ];
+        })
+    ];
+}
+
+/**
+ * CACHE/Inventory index rows
+ * @param {Array<{prefix: string, tab: string, folder?: string, metadata?: Object}>} entries
+ * @returns {Array<Array>}
+ */
+export function inventoryIndexTab(entries) {
+    return [
+        INVENTORY_INDEX_HEADERS,
+        ...entries.map(entry => [entry.prefix, entry.tab, entry.folder || '', entry.metadata ? JSON.stringify(entry.metadata) : ''])
+    ];
+}
+
+/**
+ * EditHistory value holding scheduled (pending) changes
+ * @param {Array<{inDays: number, changes: Object, user?: string, note?: string}>} entries - changes is keyed
+ *   like the inventory rows (mapping keys, not sheet headers), e.g. { quantity: '+2' }
+ * @returns {string} EditHistory JSON
+ */
+export function pendingChanges(entries) {
+    return entries.reduce((editHistory, entry) => {
+        const effective = new Date();
+        effective.setHours(0, 0, 0, 0);
+        effective.setDate(effective.getDate() + entry.inDays);
+        const pending = EditHistoryUtils.createPendingEntry(
+            entry.user || 'test@example.com',
+            Object.entries(entry.changes).map(([n, ne]) => ({ n, ne })),
+            Math.floor(effective.getTime() / 100),
+            entry.note || ''
+        );
+        return EditHistoryUtils.appendToPendingChanges(editHistory, pending);
+    }, '');
+}
+
+// ── Built-in scenarios ───────────────────────────────────────────────────────
+
+/**
+ * Two shows whose ship→return windows overlap, both packing HARN-001. Pack lists are titled
+ * like the schedule's identifiers ("HARNESS <year> SPRING EXPO") so each show finds the other.
+ */
+export function overlappingShows() {
+    const year = dateFromToday(20).split('/')[2];
+    return defineFixture('overlappingShows', {
+        PROD_SCHED: {
+            'Production Schedule': scheduleTab([
+                { show: 'Spring Expo', client: 'Harness', startIn: 20, shipIn: 10, returnIn: 35 },
+                { show: 'Summer Expo', client: 'Harness', startIn: 30, shipIn: 25, returnIn: 45 }
+            ])
+        },
+        PACK_LISTS: {
+            [`HARNESS ${year} SPRING EXPO`]: packlistTab([{ items: ['(2) HARN-001 counter'] }]),
+            [`HARNESS ${year} SUMMER EXPO`]: packlistTab([{ items: ['(1) HARN-001 counter'] }])
+        },
+        INVENTORY: {
+            HARNESS: inventoryTab([{ itemNumber: 'HARN-001', quantity: 4, description: 'Harness counter' }])
+        },
+        CACHE: {
+            Inventory: inventoryIndexTab([{ prefix: 'HARN', tab: 'HARNESS' }])
+        }
+    }, { clear: ['PACK_LISTS'] });
+}
+
+/**
+ * Overlapping shows that together need more HARN-001 than is on hand (needs 3, owns 2)
+ */
+export function shortage() {
+    const fixture = overlappingShows();
+    fixture.name = 'shortage';
+    fixture.tables.INVENTORY.HARNESS = inventoryTab([{ itemNumber: 'HARN-001', quantity: 2, description: 'Harness counter' }]);
+    return fixture;
+}
+
+/**
+ * Overlapping shows packing HARN-001 by unit: four units registered (one in repair), and unit 2
+ * packed for both shows. Pack lists are titled like the schedule's identifiers ("HARNESS <year> SPRING EXPO").
+ */
+export function serializedUnits() {
+    const year = dateFromToday(20).split('/')[2];
+    return defineFixture('serializedUnits', {
+        PROD_SCHED: {
+            'Production Schedule': scheduleTab([
+                { show: 'Spring Expo', client: 'Harness', startIn: 20, shipIn: 10, returnIn: 35 },
+                { show: 'Summer Expo', client: 'Harness', startIn: 30, shipIn: 25, returnIn: 45 }
+            ])
+        },
+        PACK_LISTS: {
+            [`HARNESS ${year} SPRING EXPO`]: packlistTab([{ items: ['(2) HARN-001 counter [units: 1, 2]'] }]),
+            [`HARNESS ${year} SUMMER EXPO`]: packlistTab([{ items: ['HARN-001 counter [unit: 2]'] }])
+        },
+        INVENTORY: {
+            HARNESS: inventoryTab([{ itemNumber: 'HARN-001', quantity: 4, description: 'Harness counter' }]),
+            _UNITS_HARNESS: unitsTab([
+                { itemNumber: 'HARN-001', unit: 1, serial: 'SN-100', variant: 'A' },
+                { itemNumber: 'HARN-001', unit: 2, serial: 'SN-101', variant: 'B' },
+                { itemNumber: 'HARN-001', unit: 3, serial: 'SN-102', variant: 'A' },
+                { itemNumber: 'HARN-001', unit: 4, serial: 'SN-103', variant: 'B', condition: 'In repair' }
+            ])
+        },
+        CACHE: {
+            Inventory: inventoryIndexTab([{ prefix: 'HARN', tab: 'HARNESS', metadata: { serialized: 'true' } }])
+        }
+    }, { clear: ['PACK_LISTS'] });
+}
+
+/**
+ * HARN-002 with 5 on hand and a scheduled +3 change taking effect in 7 days
+ */
+export function scheduledInventoryChange() {
+    return defineFixture('scheduledInventoryChange', {
+        INVENTORY: {
+            HARNESS: inventoryTab([
+                {
+                    itemNumber: 'HARN-002', quantity: 5, description: 'Harness light box',
+                    editHistory: pendingChanges([{ inDays: 7, changes: { quantity: '+3' }, note: 'new build' }])
+                }
+            ])
+        },
+        CACHE: {
+            Inventory: inventoryIndexTab([{ prefix: 'HARN', tab: 'HARNESS' }])
+        }
+    });
+}
@@ -0,0 +1,143 @@
+/**
+ * Headless harness: drives the data_management layer under Node against FakeGoogle.
+ *
+ * Usage (Node 22+, or Node 20 with --experimental-detect-module since docs/js has no package.json):
+ *
+ *   import assert from 'node:assert/strict';
+ *   import { createHarness, fixtures } from './tools/harness/index.mjs';
+ *
+ *   const h = await createHarness({ fixtures: [fixtures.shortage()] });
+ *   const timeline = await h.Requests.getItemTimeline('HARN-001', h.isoFromToday(0), h.isoFromToday(60));
+ *   assert.ok(timeline.some(entry => entry.quantity < 0));
+ *   await h.teardown();
+ *
+ * The harness installs browser stand-ins, imports the real data layer (Requests, Database, the
+ * *Utils classes and CacheManager), switches off FakeGoogle's simulated latency and stops the
+ * background cache timers so scripts exit on their own.
+ *
+ * scenarios/ holds scripts like the one above for logic that has broken before; each asserts
+ * and exits non-zero on failure:
+ *
+ *   node --experimental-detect-module tools/harness/scenarios/scheduled-losses.mjs
+ */
+
+import { installBrowserStandIns } from './environment.mjs';
+import * as fixtures from './fixtures.mjs';
+
+export { fixtures };
+export { installBrowserStandIns };
+
+/**
+ * Create a harness around the fake backend
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.fixtures] - Fixtures to load on top of the default mock data
+ * @param {string} [options.user] - Email the data layer attributes edits to
+ * @param {boolean} [options.latency] - Keep FakeGoogle's simulated network delays
+ * @param {Object} [options.appConfig] - Extra APP_CONFIG values
+ * @param {Object} [options.endpointIds] - ENDPOINT_IDS overrides
+ * @returns {Promise<Object>} Harness
+ */
+export async function createHarness({ fixtures: initialFixtures = [], user = 'test@example.com', latency = false, appConfig = {}, endpointIds = {} } = {}) {
+    installBrowserStandIns({ appConfig, endpointIds });
+
+    const dataManagement = await import('../../docs/js/data_management/index.js');
+    const { Requests } = await import('../../docs/js/data_management/api.js');
+    const caching = await import('../../docs/js/data_management/utils/caching.js');
+    const fake = await import('../../docs/js/google_sheets_services/FakeGoogle.js');
+    const sheets = fake.FakeGoogleSheetsService;
+
+    // application-utils starts these on import; scripts poll explicitly instead
+    caching.stopCacheTimestampPoller();
+    caching.stopCacheCleanup();
+    dataManagement.ChangeFeed.stop();
+
+    fake.setSimulatedLatency(latency);
+    await fake.FakeGoogleSheetsAuth.authenticate();
+    dataManagement.sessionState.userEmail = user;
+
+    const harness = {
+        Requests,
+        Database: dataManagement.Database,
+        InventoryUtils: dataManagement.InventoryUtils,
+        PackListUtils: dataManagement.PackListUtils,
+        ProductionUtils: dataManagement.ProductionUtils,
+        ApplicationUtils: dataManagement.ApplicationUtils,
+        EditHistoryUtils: dataManagement.EditHistoryUtils,
+        CacheInvalidationBus: caching.CacheInvalidationBus,
+        ChangeFeed: dataManagement.ChangeFeed,
+        OfflineQueue: dataManagement.OfflineQueue,
+        sheets,
+        dateFromToday: fixtures.dateFromToday,
+        isoFromToday: fixtures.isoFromToday,
+
+        /**
+         * Apply fixtures and drop cached reads so the next call sees them
+         * @param {...Object} fixtureList
+         */
+        load(...fixtureList) {
+            fixtureList.forEach(fixture => fixtures.applyFixture(sheets, fixture));
+            caching.clearCache();
+        },
+
+        /**
+         * Restore the default mock data and empty the cache
+         */
+        reset() {
+            sheets.resetMockData();
+            caching.clearCache();
+        },
+
+        /**
+         * Change the user edits are attributed to
+         * @param {string|null} email
+         */
+        setUser(email) {
+            dataManagement.sessionState.userEmail = email;
+        },
+
+        /**
+         * Switch the data layer's offline flag (saves are queued while set; see OfflineQueue)
+         * @param {boolean} isOffline
+         */
+        setOffline(isOffline) {
+            dataManagement.networkState.isOffline = isOffline;
+        },
+
+        /**
+         * Current sheet contents as stored by the fake backend
+         * @param {string} tableId
+         * @param {string} tabName
+         * @returns {Array<Array>|null}
+         */
+        getSheet(tableId, tabName) {
+            return sheets.getMockData(tableId, tabName);
+        },
+
+        /**
+         * Simulate another client editing a tab: write it directly and stamp the Caching tab,
+         * then run one poll cycle so cached reads are invalidated the way they are in the app
+         * @param {string} tableId
+         * @param {string} tabName
+         * @param {Array<Array>} data
+         */
+        async externalEdit(tableId, tabName, data) {
+            sheets.setMockData(tableId, tabName, data);
+            await dataManagement.ApplicationUtils.writeCacheTimestamp(`database:getData:"${tableId}","${tabName}"`);
+            await caching.triggerCachePoll();
+        },
+
+        /**
+         * Stop background timers and empty the cache
+         */
+        async teardown() {
+            caching.stopCacheTimestampPoller();
+            caching.stopCacheCleanup();
+            dataManagement.ChangeFeed.stop();
+            caching.clearCache();
+        }
+    };
+
+    harness.reset();
+    harness.load(...initialFixtures);
+    return harness;
+}
@@ -0,0 +1,77 @@
+/**
+ * Saves check the rows they overwrite for edits other users made since the rows were loaded
+ * (EditHistoryUtils.detectConcurrentEdits): edits to other cells are merged in, edits to the same
+ * cell come back as a conflict report and nothing is written, and resaving with the report's
+ * version after resolving it goes through.
+ *
+ *   node --experimental-detect-module tools/harness/scenarios/concurrent-edits.mjs
+ */
+
+import assert from 'node:assert/strict';
+import { createHarness, fixtures } from '../index.mjs';
+
+const h = await createHarness({ user: 'alice@x.com', fixtures: [fixtures.shortage()] });
+const tab = 'HARNESS';
+const clone = value => JSON.parse(JSON.stringify(value));
+const cell = (header) => {
+    const sheet = h.getSheet('INVENTORY', tab);
+    return sheet[1][sheet[0].indexOf(header)];
+};
+// History times are in tenths of a second
+const tick = () => new Promise(resolve => setTimeout(resolve, 150));
+
+// Bob changes the description while Alice changes the quantity: both are kept
+const alice = clone(await h.Requests.getInventoryTabData(tab));
+h.setUser('bob@x.com');
+const bob = clone(await h.Requests.getInventoryTabData(tab));
+bob[0].description = 'Bob desc';
+assert.equal(await h.Requests.saveInventoryTabData(bob, tab), true);
+await tick();
+h.setUser('alice@x.com');
+alice[0].quantity = '7';
+assert.equal(await h.Requests.saveInventoryTabData(alice, tab), true);
+assert.equal(cell('Description'), 'Bob desc');
+assert.equal(cell('QTY'), '7');
+
+// Both change the description: Alice gets a conflict and Bob's value stays
+const alice2 = clone(await h.Requests.getInventoryTabData(tab));
+h.setUser('bob@x.com');
+const bob2 = clone(await h.Requests.getInventoryTabData(tab));
+bob2[0].description = 'Bob 2';
+await tick();
+assert.equal(await h.Requests.saveInventoryTabData(bob2, tab), true);
+h.setUser('alice@x.com');
+alice2[0].description = 'Alice 2';
+const report = await h.Requests.saveInventoryTabData(alice2, tab);
+assert.equal(report.conflict, true);
+assert.deepEqual(report.rows[0].users, ['bob']);
+assert.deepEqual(report.rows[0].cells.map(c => [c.column, c.mine, c.theirs]), [['description', 'Alice 2', 'Bob 2']]);
+assert.equal(cell('Description'), 'Bob 2');
+
+// Alice keeps her value and resaves with the report's version
+alice2[0].edithistory = report.rows[0].edithistory;
+assert.equal(await h.Requests.saveInventoryTabData(alice2, tab, undefined, null, null, { knownVersion: report.version }), true);
+assert.equal(cell('Description'), 'Alice 2');
+
+// Her next save from the same copy is not a conflict with herself
+alice2[0].notes = 'checked';
+alice2[0].edithistory = cell('EditHistory');
+assert.equal(await h.Requests.saveInventoryTabData(alice2, tab), true);
+
+// Pack lists report the row's place in the crates
+const year = fixtures.dateFromToday(20).split('/')[2];
+const packlist = `HARNESS ${year} SPRING EXPO`;
+const alicePack = clone(await h.Requests.getPackList(packlist));
+h.setUser('bob@x.com');
+const bobPack = clone(await h.Requests.getPackList(packlist));
+bobPack[0].Items[0].Description = '(2) HARN-001 counter, blue';
+await tick();
+assert.equal(await h.Requests.savePackList(bobPack, packlist), true);
+h.setUser('alice@x.com');
+alicePack[0].Items[0].Description = '(3) HARN-001 counter';
+const packReport = await h.Requests.savePackList(alicePack, packlist);
+assert.equal(packReport.conflict, true);
+assert.deepEqual(packReport.rows[0].path, [0, 'Items', 0]);
+
+await h.teardown();
+console.log('concurrent-edits: ok');
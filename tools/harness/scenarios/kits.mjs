@@ -0,0 +1,77 @@
+/**
+ * Kits are built from other inventory items (_KITS_<tab> registries): packing a kit reserves its
+ * components, and a kit is available as many times as its components make complete sets.
+ * HARN-010 is one HARN-001 counter and two HARN-011 graphics.
+ *
+ *   node --experimental-detect-module tools/harness/scenarios/kits.mjs
+ */
+
+import assert from 'node:assert/strict';
+import { createHarness, fixtures } from '../index.mjs';
+
+const { defineFixture, scheduleTab, packlistTab, inventoryTab, kitsTab, inventoryIndexTab, dateFromToday, isoFromToday } = fixtures;
+
+const year = dateFromToday(20).split('/')[2];
+const spring = `HARNESS ${year} SPRING EXPO`;
+const summer = `HARNESS ${year} SUMMER EXPO`;
+
+const h = await createHarness({
+    user: 'dan@x.com',
+    fixtures: [defineFixture('kits', {
+        PROD_SCHED: {
+            'Production Schedule': scheduleTab([
+                { show: 'Spring Expo', client: 'Harness', startIn: 20, shipIn: 10, returnIn: 35 },
+                { show: 'Summer Expo', client: 'Harness', startIn: 30, shipIn: 25, returnIn: 45 }
+            ])
+        },
+        PACK_LISTS: {
+            [spring]: packlistTab([{ items: ['(2) HARN-001 counter'] }]),
+            [summer]: packlistTab([{ items: ['(1) HARN-010 counter kit'] }])
+        },
+        INVENTORY: {
+            HARNESS: inventoryTab([
+                { itemNumber: 'HARN-001', quantity: 2, description: 'Harness counter' },
+                { itemNumber: 'HARN-010', quantity: 0, description: 'Counter kit' },
+                { itemNumber: 'HARN-011', quantity: 5, description: 'Counter graphic' }
+            ]),
+            _KITS_HARNESS: kitsTab([
+                { kit: 'HARN-010', itemNumber: 'HARN-001', quantity: 1 },
+                { kit: 'HARN-010', itemNumber: 'HARN-011', quantity: 2 }
+            ])
+        },
+        CACHE: { Inventory: inventoryIndexTab([{ prefix: 'HARN', tab: 'HARNESS' }]) }
+    }, { clear: ['PACK_LISTS'] })]
+});
+
+assert.deepEqual(await h.Requests.getItemKit('HARN-010'), [{ itemNumber: 'HARN-001', quantity: 1 }, { itemNumber: 'HARN-011', quantity: 2 }]);
+
+// Summer Expo's kit reserves a counter that Spring Expo also needs
+assert.equal((await h.Requests.checkAvailability(spring))['HARN-001'].allocated, 1);
+const summerAvailability = await h.Requests.checkAvailability(summer);
+assert.equal(summerAvailability['HARN-010'].available, 2);
+assert.equal(summerAvailability['HARN-001'].allocated, 2);
+assert.equal((await h.Requests.checkItemQuantities(summer))['HARN-011'].requested, 2);
+assert.deepEqual(await h.Requests.getItemOverlappingPacklists(spring, 'HARN-001'), [summer]);
+
+// Components ship with the kit; the counter runs short while both shows are out
+const graphics = await h.Requests.getItemTimeline('HARN-011', isoFromToday(0), isoFromToday(60));
+assert.ok(graphics.some(entry => entry.event === 'Ships' && entry.change === 'quantity: -2'));
+const counters = await h.Requests.getItemTimeline('HARN-001', isoFromToday(0), isoFromToday(60));
+assert.equal(Math.min(...counters.map(entry => entry.quantity)), -1);
+assert.equal(await h.Requests.getItemMinQuantityInRange('HARN-010', isoFromToday(0), isoFromToday(60)), -1);
+
+const summary = await h.Requests.getItemQuantitiesSummary(summer);
+assert.equal(summary.find(row => row.itemId === 'HARN-010').kit, 'HARN-001 ×1, HARN-011 ×2');
+assert.equal(summary.find(row => row.itemId === 'HARN-011').kit, 'in HARN-010 (2)');
+
+// Registry edits, and renumbering a component, carry through
+await h.Requests.saveKitRegistry([
+    ...await h.Requests.getKitRegistry('HARNESS'),
+    { kit: 'HARN-010', itemNumber: 'HARN-012', quantity: '1', notes: '' }
+], 'HARNESS');
+assert.equal((await h.Requests.getItemKit('HARN-010')).length, 3);
+await h.Requests.renumberItems([{ from: 'HARN-011', to: 'HARN-020' }]);
+assert.deepEqual((await h.Requests.getItemKit('HARN-010')).map(component => component.itemNumber), ['HARN-001', 'HARN-020', 'HARN-012']);
+
+await h.teardown();
+console.log('kits: ok');
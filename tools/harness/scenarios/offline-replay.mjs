@@ -0,0 +1,73 @@
+/**
+ * Saves made while offline are queued (OfflineQueue) and replayed when the connection is back,
+ * as the user who made them. A queued save whose rows someone else changed meanwhile stays in
+ * the queue as a conflict until it is retried with the resolution or discarded.
+ *
+ *   node --experimental-detect-module tools/harness/scenarios/offline-replay.mjs
+ */
+
+import assert from 'node:assert/strict';
+import { createHarness, fixtures } from '../index.mjs';
+
+const h = await createHarness({ user: 'alice@x.com', fixtures: [fixtures.shortage()] });
+const { OfflineQueue } = h;
+const clone = value => JSON.parse(JSON.stringify(value));
+const quantity = () => {
+    const sheet = h.getSheet('INVENTORY', 'HARNESS');
+    return sheet[1][sheet[0].indexOf('QTY')];
+};
+const note = (path, text) => ({ Path: path, Note: text, Color: '', Size: '', EditHistory: '' });
+
+// Offline, an inventory save and a page note are queued and nothing is written
+const inventory = clone(await h.Requests.getInventoryTabData('HARNESS'));
+const notes = clone(await h.Requests.getPageNotes());
+h.setOffline(true);
+inventory[0].quantity = '5';
+assert.equal((await h.Requests.saveInventoryTabData(inventory, 'HARNESS')).queued, true);
+assert.equal((await h.Requests.savePageNotes([...notes, note('inventory', 'mine')])).queued, true);
+assert.equal(quantity(), '2');
+assert.equal((await OfflineQueue.replay()).remaining, 2);
+
+// Back online, Bob has written the same note meanwhile: the inventory save goes through,
+// the note comes back as a conflict
+h.setOffline(false);
+h.setUser('bob@x.com');
+await h.Requests.savePageNotes([...notes, note('inventory', 'bob'), note('schedule', 'bob2')]);
+h.setUser('alice@x.com');
+let summary = await OfflineQueue.replay();
+assert.equal(summary.synced, 1);
+assert.equal(summary.conflicts, 1);
+assert.equal(quantity(), '5');
+
+// Alice keeps her note; Bob's other note stays
+const [conflict] = await OfflineQueue.list();
+assert.equal(conflict.status, 'conflict');
+summary = await OfflineQueue.retry(conflict.id, { args: clone(conflict.args), meta: { ...conflict.meta, resolvedPaths: ['inventory'] } });
+assert.equal(summary.synced, 1);
+const stored = h.getSheet('CACHE', 'Notes');
+assert.ok(stored.some(row => row[0] === 'inventory' && row[1] === 'mine'));
+assert.ok(stored.some(row => row[0] === 'schedule' && row[1] === 'bob2'));
+
+// A queued pack list save replays as its author, whoever is signed in, and reports the row
+const year = fixtures.dateFromToday(20).split('/')[2];
+const packlist = `HARNESS ${year} SPRING EXPO`;
+const mine = clone(await h.Requests.getPackList(packlist));
+h.setOffline(true);
+mine[0].Items[0].Description = 'offline desc';
+await h.Requests.savePackList(mine, packlist);
+h.setOffline(false);
+h.setUser('bob@x.com');
+await new Promise(resolve => setTimeout(resolve, 150));
+const theirs = clone(await h.Requests.getPackList(packlist));
+theirs[0].Items[0].Description = 'bob desc';
+assert.equal(await h.Requests.savePackList(theirs, packlist), true);
+h.setUser('carol@x.com');
+assert.equal((await OfflineQueue.replay()).conflicts, 1);
+const [queued] = await OfflineQueue.list();
+assert.equal(queued.user, 'alice@x.com');
+assert.deepEqual(queued.conflictReport.rows[0].path, [0, 'Items', 0]);
+await OfflineQueue.discard(queued.id);
+assert.deepEqual(await OfflineQueue.list(), []);
+
+await h.teardown();
+console.log('offline-replay: ok');
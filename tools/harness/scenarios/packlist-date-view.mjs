@@ -0,0 +1,56 @@
+/**
+ * A pack list viewed as of an earlier date still shows rows deleted since: removing CHAIR-001
+ * shifts every row below it up and drops the last one off the sheet, and the date view rebuilds it
+ * from the rows' history and the _EditHistory archive. Row history only notes positions, so it
+ * does not grow with what a save removes.
+ *
+ *   node --experimental-detect-module tools/harness/scenarios/packlist-date-view.mjs
+ */
+
+import assert from 'node:assert/strict';
+import { createHarness } from '../index.mjs';
+
+const h = await createHarness({ user: 'dan@x.com' });
+const tab = '_TEMPLATE_20x20 Island with Lightboxes';
+const yesterday = h.isoFromToday(-1);
+const descriptions = crates => crates.map(crate => crate.Items.map(item => item.Description));
+
+const before = await h.Requests.getPackList(tab);
+const original = descriptions(before);
+
+const crates = JSON.parse(JSON.stringify(before));
+const crate = crates.find(c => c.Items.some(item => item.Description.includes('CHAIR-001')));
+crate.Items = crate.Items.filter(item => !item.Description.includes('CHAIR-001'));
+assert.equal(await h.Requests.savePackList(crates, tab), true);
+
+const after = descriptions(await h.Requests.getPackList(tab));
+assert.notDeepEqual(after, original);
+
+const then = await h.PackListUtils.getContentAtDate(tab, yesterday);
+assert.deepEqual(descriptions(then), original);
+assert.deepEqual(descriptions(then)[2], ['20x20 carpet', 'Padding for 20x20']);
+
+// Rows shift again in a later save (history times are in tenths of a second)
+await new Promise(resolve => setTimeout(resolve, 150));
+const again = JSON.parse(JSON.stringify(await h.Requests.getPackList(tab)));
+again[0].Items.shift();
+assert.equal(await h.Requests.savePackList(again, tab), true);
+assert.deepEqual(descriptions(await h.PackListUtils.getContentAtDate(tab, yesterday)), original);
+
+// Removed rows live in the archive, not in other rows' history
+const archived = await h.Database.getDeletedRows('PACK_LISTS', tab);
+assert.ok(archived.length >= 2);
+const sheet = await h.getSheet('PACK_LISTS', tab);
+const historyColumn = sheet[0].indexOf('EditHistory');
+sheet.slice(1).forEach(row => {
+    JSON.parse(row[historyColumn] || '{"h":[]}').h.forEach(entry => {
+        assert.ok(Number.isInteger(entry.i));
+        assert.ok(!('r' in entry) && !('x' in entry));
+    });
+});
+
+const diff = await h.Requests.diffPacklists(tab, tab, yesterday);
+assert.ok(diff.items.some(item => item.itemNumber === 'CHAIR-001'));
+
+await h.teardown();
+console.log('packlist-date-view: ok');
@@ -0,0 +1,67 @@
+/**
+ * Applying pack list rules twice adds nothing the second time, even when two follow rules match
+ * the same item and their rows end up interleaved below it.
+ *
+ *   node --experimental-detect-module tools/harness/scenarios/packlist-rules.mjs
+ */
+
+import assert from 'node:assert/strict';
+import { createHarness } from '../index.mjs';
+import { planPacklistRules } from '../../../docs/js/data_management/utils/packlistRules.js';
+
+const h = await createHarness({ user: 'dan@x.com' });
+
+await h.Requests.savePacklistRules([
+    { Name: 'Pad', Kind: 'follow', Match: 'carpet', CrateType: '', Items: 'Carpet pad | roll', Enabled: 'TRUE', EditHistory: '' },
+    { Name: 'Tape', Kind: 'follow', Match: 'carpet', CrateType: '', Items: 'Carpet tape\nSeam tape', Enabled: 'TRUE', EditHistory: '' },
+    { Name: 'Tools', Kind: 'crate', Match: '', CrateType: 'Tote', Items: 'Drill', Enabled: '', EditHistory: '' }
+]);
+const ruleRows = await h.Requests.getPacklistRules();
+
+// Insert the planned rows the way PacklistTable.applyRuleActions does: each follow action's
+// rows go directly below its item, last action first within a crate
+const apply = (crates, actions) => {
+    actions
+        .filter(action => action.kind === 'follow')
+        .sort((a, b) => b.crateIndex - a.crateIndex || b.itemIndex - a.itemIndex)
+        .forEach(action => {
+            [...action.items].reverse().forEach(item => {
+                crates[action.crateIndex].Items.splice(action.itemIndex + 1, 0, {
+                    Description: item.description,
+                    'Packing/shop notes': item.notes,
+                    MetaData: JSON.stringify({ rule: action.rule })
+                });
+            });
+        });
+    actions
+        .filter(action => action.kind === 'crate')
+        .forEach(action => crates.push({
+            Type: action.crateType,
+            MetaData: JSON.stringify({ rule: action.rule }),
+            Items: action.items.map(item => ({ Description: item.description, MetaData: JSON.stringify({ rule: action.rule }) }))
+        }));
+};
+
+const crates = [
+    { 'Piece #': '1', Type: 'Crate', Items: [{ Description: '20x20 carpet' }, { Description: 'Chair' }] },
+    { 'Piece #': '2', Type: 'Crate', Items: [{ Description: 'Table' }, { Description: 'Blue carpet 10x10' }] }
+];
+
+const first = planPacklistRules(crates, ruleRows);
+assert.deepEqual(first.errors, []);
+assert.deepEqual(first.actions.map(action => action.rule), ['Pad', 'Pad', 'Tape', 'Tape', 'Tools']);
+apply(crates, first.actions);
+assert.deepEqual(crates[0].Items.map(item => item.Description),
+    ['20x20 carpet', 'Carpet tape', 'Seam tape', 'Carpet pad', 'Chair']);
+
+// Pad's row now sits below Tape's rows, and is still found
+assert.deepEqual(planPacklistRules(crates, ruleRows).actions, []);
+
+// A row removed from the run is planned again, and only that row
+crates[1].Items = crates[1].Items.filter(item => item.Description !== 'Seam tape');
+const again = planPacklistRules(crates, ruleRows).actions;
+assert.deepEqual(again.map(action => [action.rule, action.crateIndex, action.items.map(item => item.description)]),
+    [['Tape', 1, ['Seam tape']]]);
+
+await h.teardown();
+console.log('packlist-rules: ok');
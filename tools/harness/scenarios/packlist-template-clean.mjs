@@ -0,0 +1,54 @@
+/**
+ * Saving a show's pack list as a template leaves its warehouse checks, rule tags and edit history
+ * behind: a show made from the template starts unchecked, and its returns reconcile again.
+ *
+ *   node --experimental-detect-module tools/harness/scenarios/packlist-template-clean.mjs
+ */
+
+import assert from 'node:assert/strict';
+import { createHarness, fixtures } from '../index.mjs';
+import { setItemCheck, getItemCheck } from '../../../docs/js/data_management/utils/packlistChecks.js';
+
+const { defineFixture, packlistTab, inventoryTab, inventoryIndexTab } = fixtures;
+
+const h = await createHarness({
+    user: 'dan@x.com',
+    fixtures: [defineFixture('packlistTemplateClean', {
+        PACK_LISTS: { 'HARNESS SOURCE': packlistTab([{ items: ['(3) HARN-001 counter', 'Carpet pad'] }]) },
+        INVENTORY: { HARNESS: inventoryTab([{ itemNumber: 'HARN-001', quantity: 4, description: 'Harness counter' }]) },
+        CACHE: { Inventory: inventoryIndexTab([{ prefix: 'HARN', tab: 'HARNESS' }]) }
+    })]
+});
+
+// The source show went out and came back one short; the loss is posted
+const crates = JSON.parse(JSON.stringify(await h.Requests.getPackList('HARNESS SOURCE')));
+setItemCheck(crates[0].Items[0], 'packed', 'dan@x.com');
+setItemCheck(crates[0].Items[0], 'returned', 'dan@x.com', { qty: 2 });
+crates[0].Items[1].MetaData = JSON.stringify({ rule: 'Pad', note: 'keep' });
+await h.Requests.savePackList(crates, 'HARNESS SOURCE');
+await h.Requests.postReturnReconciliation('HARNESS SOURCE', h.isoFromToday(1));
+assert.deepEqual(await h.Requests.getReturnReconciliation('HARNESS SOURCE'), []);
+
+const title = await h.Requests.createPacklistTemplate('Clean', 'HARNESS SOURCE');
+await h.Requests.createNewTab('PACK_LISTS', title, 'HARNESS NEXT');
+
+const next = await h.Requests.getPackList('HARNESS NEXT');
+next[0].Items.forEach(item => {
+    assert.equal(item.Check, '');
+    assert.equal(item.EditHistory, '');
+    assert.deepEqual(getItemCheck(item), {});
+});
+// Other MetaData is kept
+assert.deepEqual(JSON.parse(next[0].Items[1].MetaData), { note: 'keep' });
+assert.equal(next[0].Items[0].MetaData, '');
+
+// Its return is reconciled on its own
+const marked = JSON.parse(JSON.stringify(next));
+setItemCheck(marked[0].Items[0], 'returned', 'dan@x.com', { qty: 2 });
+await h.Requests.savePackList(marked, 'HARNESS NEXT');
+const reconciliation = await h.Requests.getReturnReconciliation('HARNESS NEXT');
+assert.equal(reconciliation.length, 1);
+assert.equal(reconciliation[0].missing, 1);
+
+await h.teardown();
+console.log('packlist-template-clean: ok');
@@ -0,0 +1,62 @@
+/**
+ * Renumbering and merging inventory items in one transaction: the inventory row, every pack list
+ * line naming the item, its units, thumbnail and aliases follow, and old numbers keep resolving
+ * through the alias table. Merging adds the source's quantity to the target.
+ *
+ *   node --experimental-detect-module tools/harness/scenarios/renumber-merge.mjs
+ */
+
+import assert from 'node:assert/strict';
+import { createHarness, fixtures } from '../index.mjs';
+
+const { inventoryTab, unitsTab } = fixtures;
+
+const year = fixtures.dateFromToday(20).split('/')[2];
+const spring = `HARNESS ${year} SPRING EXPO`;
+
+const fixture = fixtures.shortage();
+fixture.tables.INVENTORY.HARNESS = inventoryTab([
+    { itemNumber: 'HARN-001', quantity: 2, description: 'Harness counter' },
+    { itemNumber: 'HARN-005', quantity: 1, description: 'Five' },
+    { itemNumber: 'HARN-009', quantity: 3, description: 'Duplicate counter' }
+]);
+fixture.tables.INVENTORY._UNITS_HARNESS = unitsTab([{ itemNumber: 'HARN-009', unit: '7' }]);
+fixture.tables.CACHE.Thumbnails = [['ItemNumber', 'File', 'Blob'], ['HARN-009', 'file9', ''], ['HARN-005', 'file5', '']];
+fixture.tables.PACK_LISTS[spring].push(['', '', '', '', '', '', '', '', '(1) HARN-009 spare', '', '', '']);
+
+const h = await createHarness({ user: 'dan@x.com', fixtures: [fixture] });
+const itemNumbers = async () => (await h.Requests.getInventoryTabData('HARNESS')).map(row => row.itemNumber);
+const packlistText = async () => JSON.stringify(await h.Requests.getPackList(spring));
+
+assert.equal(await h.Requests.getNextItemNumber('HARN'), 'HARN-010');
+
+// Refused before anything is written
+await assert.rejects(() => h.Requests.renumberItems([{ from: 'HARN-001', to: 'HARN-005' }]), /already exists/);
+await assert.rejects(() => h.Requests.renumberItems([{ from: 'HARN-001', to: 'CAB-001' }]), /between categories/);
+await assert.rejects(() => h.Requests.mergeItems('HARN-009', 'HARN-009'));
+await assert.rejects(() => h.Requests.mergeItems('HARN-404', 'HARN-001'), /not in/);
+assert.deepEqual(await itemNumbers(), ['HARN-001', 'HARN-005', 'HARN-009']);
+
+// Merge HARN-009 into HARN-001
+const merged = await h.Requests.mergeItems('HARN-009', 'HARN-001');
+assert.equal(merged.packlists.length, 1);
+const inventory = await h.Requests.getInventoryTabData('HARNESS');
+assert.deepEqual(inventory.map(row => row.itemNumber), ['HARN-001', 'HARN-005']);
+assert.equal(Number(inventory[0].quantity), 5);
+assert.ok((await packlistText()).includes('(1) HARN-001 spare'));
+assert.deepEqual((await h.Requests.getUnitRegistry('HARNESS')).map(unit => [unit.itemNumber, unit.unit]), [['HARN-001', '7']]);
+assert.deepEqual((await h.Requests.getAllThumbnailRecords()).map(record => [record.itemNumber, record.file]), [['HARN-001', 'file9'], ['HARN-005', 'file5']]);
+assert.equal(await h.Requests.extractItemNumber('(4) HARN-009 old line'), 'HARN-001');
+
+// Renumber HARN-001, keeping its old number as an alias
+const renumbered = await h.Requests.renumberItems([{ from: 'HARN-001', to: 'HARN-002' }], { note: 'rename HARN-001', itemAliases: true });
+assert.equal(renumbered.packlists.length, 2);
+assert.deepEqual(await itemNumbers(), ['HARN-002', 'HARN-005']);
+assert.ok((await h.Requests.getInventoryTabData('HARNESS'))[0].edithistory.includes('HARN-001'));
+assert.ok((await packlistText()).includes('(2) HARN-002 counter'));
+assert.deepEqual((await h.Requests.getItemAliases()).map(alias => [alias.alias, alias.target]), [['HARN-009', 'HARN-001'], ['HARN-001', 'HARN-002']]);
+assert.equal(await h.Requests.extractItemNumber('(1) HARN-009'), 'HARN-002');
+assert.deepEqual((await h.Requests.getAllThumbnailRecords()).map(record => record.itemNumber), ['HARN-002', 'HARN-005']);
+
+await h.teardown();
+console.log('renumber-merge: ok');
@@ -0,0 +1,42 @@
+/**
+ * Posting a return marks the pack list lines reconciled and schedules the losses in one
+ * transaction: if the inventory write fails, the lines stay unreconciled and can be posted again.
+ *
+ *   node --experimental-detect-module tools/harness/scenarios/return-reconciliation.mjs
+ */
+
+import assert from 'node:assert/strict';
+import { createHarness, fixtures } from '../index.mjs';
+import { setItemCheck } from '../../../docs/js/data_management/utils/packlistChecks.js';
+
+const { defineFixture, packlistTab, inventoryTab, inventoryIndexTab } = fixtures;
+
+const h = await createHarness({
+    user: 'dan@x.com',
+    fixtures: [defineFixture('returnReconciliation', {
+        PACK_LISTS: { 'HARNESS RETURN': packlistTab([{ items: ['(3) HARN-001 counter'] }]) },
+        INVENTORY: { HARNESS: inventoryTab([{ itemNumber: 'HARN-001', quantity: 4, description: 'Harness counter' }]) },
+        CACHE: { Inventory: inventoryIndexTab([{ prefix: 'HARN', tab: 'HARNESS' }]) }
+    })]
+});
+
+const crates = JSON.parse(JSON.stringify(await h.Requests.getPackList('HARNESS RETURN')));
+setItemCheck(crates[0].Items[0], 'returned', 'dan@x.com', { qty: 2 });
+await h.Requests.savePackList(crates, 'HARNESS RETURN');
+
+// The inventory write fails: nothing is written
+const schedule = h.InventoryUtils.scheduleQuantityLosses;
+h.InventoryUtils.scheduleQuantityLosses = async () => { throw new Error('inventory unavailable'); };
+await assert.rejects(() => h.Requests.postReturnReconciliation('HARNESS RETURN', h.isoFromToday(1)), /inventory unavailable/);
+h.InventoryUtils.scheduleQuantityLosses = schedule;
+assert.equal((await h.Requests.getReturnReconciliation('HARNESS RETURN'))[0].missing, 1);
+
+// Retried, the loss is posted and the line reconciled
+const result = await h.Requests.postReturnReconciliation('HARNESS RETURN', h.isoFromToday(1));
+assert.deepEqual(result.scheduled, ['HARN-001']);
+assert.deepEqual(await h.Requests.getReturnReconciliation('HARNESS RETURN'), []);
+const [row] = await h.Requests.getInventoryTabData('HARNESS');
+assert.deepEqual(h.EditHistoryUtils.getPendingEntries(row.edithistory)[0].c, [{ n: 'quantity', ne: '-1' }]);
+
+await h.teardown();
+console.log('return-reconciliation: ok');
@@ -0,0 +1,31 @@
+/**
+ * A quantity change scheduled for a later date leaves today's quantity alone and applies from
+ * its effective date: HARN-002 has 5 now and +3 pending in 7 days.
+ *
+ *   node --experimental-detect-module tools/harness/scenarios/scheduled-inventory-change.mjs
+ */
+
+import assert from 'node:assert/strict';
+import { createHarness, fixtures } from '../index.mjs';
+
+const h = await createHarness({ user: 'dan@x.com', fixtures: [fixtures.scheduledInventoryChange()] });
+
+const [row] = await h.Requests.getInventoryTabData('HARNESS');
+assert.equal(row.quantity, '5');
+assert.equal(h.EditHistoryUtils.getPendingEntries(row.edithistory).length, 1);
+
+const quantityOn = async (days) => {
+    const [info] = await h.Requests.getInventoryInfo('HARN-002', 'quantity', h.isoFromToday(days));
+    return Number(info.quantity);
+};
+assert.equal(await quantityOn(0), 5);
+assert.equal(await quantityOn(6), 5);
+assert.equal(await quantityOn(8), 8);
+
+const timeline = await h.Requests.getItemTimeline('HARN-002', h.isoFromToday(0), h.isoFromToday(14));
+const scheduled = timeline.find(entry => entry.event === 'Scheduled');
+assert.equal(scheduled.date, h.isoFromToday(7));
+assert.equal(scheduled.quantity, 8);
+
+await h.teardown();
+console.log('scheduled-inventory-change: ok');
@@ -0,0 +1,45 @@
+/**
+ * Losses scheduled on a date that already has a pending quantity change are merged into it as
+ * a delta: QTY 5 with +3 pending, then losses of 1 and 2 on the same date, still applies to 5.
+ *
+ *   node --experimental-detect-module tools/harness/scenarios/scheduled-losses.mjs
+ */
+
+import assert from 'node:assert/strict';
+import { createHarness, fixtures } from '../index.mjs';
+
+const { defineFixture, inventoryTab, inventoryIndexTab, pendingChanges } = fixtures;
+
+const h = await createHarness({
+    user: 'dan@x.com',
+    fixtures: [defineFixture('scheduledLosses', {
+        INVENTORY: {
+            HARNESS: inventoryTab([{
+                itemNumber: 'HARN-002', quantity: 5, description: 'Harness light box',
+                editHistory: pendingChanges([{ inDays: 7, changes: { quantity: '+3' }, note: 'new build' }])
+            }])
+        },
+        CACHE: {
+            Inventory: inventoryIndexTab([{ prefix: 'HARN', tab: 'HARNESS' }])
+        }
+    })]
+});
+
+const effective = new Date();
+effective.setHours(0, 0, 0, 0);
+effective.setDate(effective.getDate() + 7);
+const t = Math.floor(effective.getTime() / 100);
+
+await h.InventoryUtils.scheduleQuantityLosses([{ itemNumber: 'HARN-002', quantity: 1 }], t, 'lost at show', 'dan@x.com');
+await h.InventoryUtils.scheduleQuantityLosses([{ itemNumber: 'HARN-002', quantity: 2 }], t, 'lost at show', 'dan@x.com');
+
+const [row] = await h.Requests.getInventoryTabData('HARNESS');
+const pending = h.EditHistoryUtils.getPendingEntries(row.edithistory);
+assert.equal(pending.length, 1);
+assert.deepEqual(pending[0].c, [{ n: 'quantity', ne: '+0' }]);
+
+const { updatedItems } = h.EditHistoryUtils.applyPendingChangesToData([row], t);
+assert.equal(Number(updatedItems[0].quantity), 5);
+
+await h.teardown();
+console.log('scheduled-losses: ok');
@@ -0,0 +1,37 @@
+/**
+ * Serialized items are checked by unit: HARN-001 has four units, one in repair, and unit 2 is
+ * packed for two overlapping shows. Availability counts only units in service and reports the
+ * double booking.
+ *
+ *   node --experimental-detect-module tools/harness/scenarios/serialized-units.mjs
+ */
+
+import assert from 'node:assert/strict';
+import { createHarness, fixtures } from '../index.mjs';
+
+const year = fixtures.dateFromToday(20).split('/')[2];
+const spring = `HARNESS ${year} SPRING EXPO`;
+const summer = `HARNESS ${year} SUMMER EXPO`;
+
+const h = await createHarness({ user: 'dan@x.com', fixtures: [fixtures.serializedUnits()] });
+
+const units = await h.Requests.getItemUnits('HARN-001');
+assert.deepEqual(units.map(unit => unit.serial), ['SN-100', 'SN-101', 'SN-102', 'SN-103']);
+
+const availability = (await h.Requests.checkAvailability(spring))['HARN-001'];
+assert.equal(availability.available, 3);
+assert.equal(availability.allocated, 1);
+assert.deepEqual(availability.units.assigned, ['1', '2']);
+assert.deepEqual(availability.units.conflicts, [{ unit: '2', shows: [summer] }]);
+
+// Unit references don't count as extra items
+assert.deepEqual(await h.Requests.getItemQuantities(summer), { 'HARN-001': 1 });
+
+// Moving Summer Expo to unit 3 clears the conflict
+const crates = JSON.parse(JSON.stringify(await h.Requests.getPackList(summer)));
+crates[0].Items[0].Description = 'HARN-001 counter [unit: 3]';
+assert.equal(await h.Requests.savePackList(crates, summer), true);
+assert.deepEqual((await h.Requests.checkAvailability(spring))['HARN-001'].units.conflicts, []);
+
+await h.teardown();
+console.log('serialized-units: ok');
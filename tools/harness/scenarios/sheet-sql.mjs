@@ -0,0 +1,52 @@
+/**
+ * SheetSql queries: filters, grouping and aggregates over one tab, and JOINs across tabs and
+ * spreadsheets through Database.queryData, whose result follows edits to any joined tab.
+ *
+ *   node --experimental-detect-module tools/harness/scenarios/sheet-sql.mjs
+ */
+
+import assert from 'node:assert/strict';
+import { createHarness, fixtures } from '../index.mjs';
+import { SheetSql } from '../../../docs/js/google_sheets_services/sheetSql.js';
+
+const rows = [
+    ['Show', 'Client', 'Ship', 'Expected\nReturn Date', 'QTY'],
+    ['A', 'ACME', '1/5/2025', '2/1/2025', '3'],
+    ['B', 'Foo', '3/1/2025', '', '5'],
+    ['C', 'ACME', '6/1/2025', '7/1/2025', '']
+];
+const run = query => SheetSql.executeQuery(SheetSql.parseQuery(query), rows);
+const shows = result => result.map(row => row.Show);
+
+assert.deepEqual(shows(run("SELECT * FROM X WHERE Client = 'ACME' OR Ship BETWEEN '2/1/2025' AND '4/1/2025'")), ['A', 'B', 'C']);
+assert.deepEqual(run('SELECT Show FROM X WHERE "Expected Return Date" IS NULL'), [{ Show: 'B' }]);
+assert.deepEqual(shows(run("SELECT * FROM X WHERE NOT (Client IN ('ACME'))")), ['B']);
+assert.deepEqual(shows(run("SELECT * FROM X WHERE Client ILIKE 'ac%'")), ['A', 'C']);
+assert.deepEqual(shows(run('SELECT * FROM X WHERE QTY > 2 LIMIT 1')), ['A']);
+assert.deepEqual(run('SELECT Client, COUNT(*), SUM(QTY) FROM X GROUP BY Client ORDER BY Client DESC'), [
+    { Client: 'Foo', 'COUNT(*)': 1, 'SUM(QTY)': 5 },
+    { Client: 'ACME', 'COUNT(*)': 2, 'SUM(QTY)': 3 }
+]);
+
+const parsed = SheetSql.parseQuery('SELECT f.ITEM#, p._tab FROM INVENTORY.HARNESS AS f JOIN PACK_LISTS.* AS p ON p.Description CONTAINS f.ITEM#');
+assert.deepEqual(parsed.source, { table: 'INVENTORY', tab: 'HARNESS', alias: 'f' });
+assert.equal(parsed.joins.length, 1);
+
+// Every pack list line naming an inventory item, across both spreadsheets
+const h = await createHarness({ user: 'dan@x.com', fixtures: [fixtures.overlappingShows()] });
+const year = fixtures.dateFromToday(20).split('/')[2];
+const query = "SELECT f.ITEM#, p._tab, p.Description FROM INVENTORY.HARNESS AS f JOIN PACK_LISTS.* AS p ON p.Description CONTAINS f.ITEM#";
+assert.deepEqual(await h.Requests.queryData('INVENTORY', query), [
+    { 'f.ITEM#': 'HARN-001', 'p._tab': `HARNESS ${year} SPRING EXPO`, 'p.Description': '(2) HARN-001 counter' },
+    { 'f.ITEM#': 'HARN-001', 'p._tab': `HARNESS ${year} SUMMER EXPO`, 'p.Description': '(1) HARN-001 counter' }
+]);
+
+// A save to one of the joined tabs shows up in the next query
+const summer = `HARNESS ${year} SUMMER EXPO`;
+const crates = JSON.parse(JSON.stringify(await h.Requests.getPackList(summer)));
+crates[0].Items[0].Description = '(1) Spare counter';
+assert.equal(await h.Requests.savePackList(crates, summer), true);
+assert.deepEqual((await h.Requests.queryData('INVENTORY', query)).map(row => row['p._tab']), [`HARNESS ${year} SPRING EXPO`]);
+
+await h.teardown();
+console.log('sheet-sql: ok');
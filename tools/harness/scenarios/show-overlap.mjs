@@ -0,0 +1,36 @@
+/**
+ * Shows whose ship→return windows overlap count each other's demand: with four HARN-001 on hand
+ * Spring Expo (2) and Summer Expo (1) both fit; with two on hand Summer Expo ships short.
+ *
+ *   node --experimental-detect-module tools/harness/scenarios/show-overlap.mjs
+ */
+
+import assert from 'node:assert/strict';
+import { createHarness, fixtures } from '../index.mjs';
+
+const year = fixtures.dateFromToday(20).split('/')[2];
+const spring = `HARNESS ${year} SPRING EXPO`;
+const summer = `HARNESS ${year} SUMMER EXPO`;
+
+const h = await createHarness({ user: 'dan@x.com', fixtures: [fixtures.overlappingShows()] });
+
+const springQuantities = await h.Requests.checkItemQuantities(spring);
+assert.deepEqual(springQuantities['HARN-001'], { inventory: 4, requested: 2, overlapping: [summer], remaining: 1 });
+assert.deepEqual((await h.Requests.checkItemQuantities(summer))['HARN-001'].overlapping, [spring]);
+assert.equal((await h.Requests.checkAvailability(spring))['HARN-001'].allocated, 1);
+
+// Stock runs out only while both shows are out
+const timeline = await h.Requests.getItemTimeline('HARN-001', h.isoFromToday(0), h.isoFromToday(60));
+assert.deepEqual(timeline.map(entry => entry.quantity), [4, 2, 1, 3, 4]);
+
+h.reset();
+h.load(fixtures.shortage());
+
+assert.equal((await h.Requests.checkItemQuantities(spring))['HARN-001'].remaining, -1);
+const short = await h.Requests.getItemTimeline('HARN-001', h.isoFromToday(0), h.isoFromToday(60));
+const lowest = short.reduce((low, entry) => (entry.quantity < low.quantity ? entry : low));
+assert.equal(lowest.quantity, -1);
+assert.equal(lowest.note, summer);
+
+await h.teardown();
+console.log('show-overlap: ok');
@@ -0,0 +1,52 @@
+/**
+ * Database.transaction writes all of its tabs or none: an error in the callback writes nothing,
+ * and a failed commit restores the tabs already written, across spreadsheets.
+ *
+ *   node --experimental-detect-module tools/harness/scenarios/transaction-rollback.mjs
+ */
+
+import assert from 'node:assert/strict';
+import { createHarness, fixtures } from '../index.mjs';
+
+const h = await createHarness({ user: 'dan@x.com', fixtures: [fixtures.shortage()] });
+
+const inventoryBefore = h.getSheet('INVENTORY', 'HARNESS');
+const indexBefore = h.getSheet('CACHE', 'Inventory');
+const work = async (tx) => {
+    await tx.setData('INVENTORY', 'HARNESS', [['ITEM#', 'QTY'], ['HARN-001', '9']]);
+    assert.equal(await tx.appendSheetRow('CACHE', 'Inventory', ['ZZ', 'ZZ', '', '']), indexBefore.length + 1);
+};
+
+// The callback throws: nothing is written
+await assert.rejects(h.Database.transaction(async (tx) => {
+    await work(tx);
+    throw new Error('abort in work');
+}), /abort in work/);
+assert.deepEqual(h.getSheet('INVENTORY', 'HARNESS'), inventoryBefore);
+assert.deepEqual(h.getSheet('CACHE', 'Inventory'), indexBefore);
+
+// The second spreadsheet's write fails: the first is rolled back
+const batchSetSheetData = h.sheets.batchSetSheetData;
+h.sheets.batchSetSheetData = async function (tableId, writes) {
+    if (tableId === 'CACHE') throw new Error('quota exceeded');
+    return batchSetSheetData.call(this, tableId, writes);
+};
+await assert.rejects(h.Database.transaction(work), /quota exceeded/);
+h.sheets.batchSetSheetData = batchSetSheetData;
+// Restored to the same values (rows are padded to the widest write)
+assert.deepEqual(h.getSheet('INVENTORY', 'HARNESS').map(row => row.slice(0, inventoryBefore[0].length)), inventoryBefore);
+assert.deepEqual(h.getSheet('CACHE', 'Inventory'), indexBefore);
+assert.equal((await h.Requests.getInventoryTabData('HARNESS'))[0].quantity, '2');
+
+// Committed, both are written
+await h.Database.transaction(work);
+assert.equal(h.getSheet('INVENTORY', 'HARNESS')[1][1], '9');
+assert.deepEqual(h.getSheet('CACHE', 'Inventory').at(-1), ['ZZ', 'ZZ', '', '']);
+
+// Calls after the transaction finished are refused
+let handle;
+await h.Database.transaction(async (tx) => { handle = tx; });
+await assert.rejects(handle.setCellValue('CACHE', 'Inventory', 1, 1, 'x'), /CLOSED/);
+
+await h.teardown();
+console.log('transaction-rollback: ok');